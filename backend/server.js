@@ -6,13 +6,17 @@ import pino from 'pino';
 import config from '#config';
 import { buildServer } from './src/app.js';
 import { connectToMongo, closeMongoConnection } from '#lib/mongoClient.js';
-import { connectToPinecone, closePineconeConnection } from '#lib/pineconeClient.js';
-import { connectToGemini, closeGeminiConnection } from '#lib/geminiClient.js';
+import { connectToVectorStore, closeVectorStore } from '#lib/vectorStore.js';
+import { connectToLlm, closeLlmConnection } from '#lib/llmClient.js';
+import { connectToLlmCache, closeLlmCache } from '#lib/llmCache.js';
+import { serializeRequest } from './src/middleware/auth.js';
 
 // ===== LOGGER INITIALIZATION =====
 // The logger setup is excellent. No changes needed here.
 const logger = pino({
   level: config.LOG_LEVEL,
+  // Request URLs are logged without their `access_token` (the event stream's credential).
+  serializers: { req: serializeRequest },
   ...(config.NODE_ENV === 'development' && {
     transport: {
       target: 'pino-pretty',
@@ -40,10 +44,10 @@ async function gracefulShutdown(server, signal) {
 
     // 2. Close connections to external services
     await closeMongoConnection(logger);
-    await closePineconeConnection(logger);
-    // Note: Gemini SDK doesn't have an explicit close method, this is a placeholder
-    // If it did, it would be called here. We keep the function for consistency.
-    await closeGeminiConnection(logger);
+    await closeVectorStore(logger);
+    // Stateless providers (Gemini, OpenAI-compatible) only log here; kept for consistency.
+    await closeLlmConnection(logger);
+    await closeLlmCache(logger);
     logger.info('Database and external service connections closed.');
 
     // 3. Exit the process
@@ -67,8 +71,10 @@ async function start() {
 
     // Connect to all external services before starting the server
     await connectToMongo(logger);
-    await connectToPinecone(logger);
-    connectToGemini(logger);
+    await connectToVectorStore(logger);
+    await connectToLlm(logger);
+    // After MongoDB, which the 'mongo' cache is stored in.
+    await connectToLlmCache(logger);
     logger.info('Database and external service connections established.');
 
     // Start listening for requests
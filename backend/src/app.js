@@ -11,9 +11,17 @@ import rateLimit from '@fastify/rate-limit';
 
 import { config } from './config/index.js';
 import { translationRoutes } from './features/translation/translation.routes.js';
+import projectRoutes from './features/projects/controller.js';
+import userRoutes from './features/users/controller.js';
+import { UserRepository } from './features/users/repository.js';
+import { UserService } from './features/users/service.js';
+import { createAuthHook } from './middleware/auth.js';
+import { getDb } from './lib/mongoClient.js';
 import { zodErrorHandler } from './middleware/errorHandler.js';
 import { getMongoStatus } from './config/database.js';
-import { getPineconeStatus } from './services/vector.service.js';
+import { getVectorStoreStatus } from './lib/vectorStore.js';
+import { getLlmStatus } from './lib/llmClient.js';
+import { getLlmCacheStatus } from './lib/llmCache.js';
 
 /**
  * Builds and configures the Fastify application instance.
@@ -36,7 +44,9 @@ export function buildApp({ logger }) {
   app.register(helmet, { contentSecurityPolicy: false });
   app.register(cors, {
     origin: config.CORS_ORIGIN,
-    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    // Lets the browser read the file name of a download.
+    exposedHeaders: ['Content-Disposition'],
   });
   app.register(rateLimit, {
     max: config.RATE_LIMIT_MAX,
@@ -49,13 +59,16 @@ export function buildApp({ logger }) {
   // 5. Register Health Check and Root Routes
   app.get('/health', { logLevel: 'silent' }, async (request, reply) => {
     const mongoStatus = await getMongoStatus();
-    const pineconeStatus = await getPineconeStatus();
-    const isHealthy = mongoStatus.isHealthy && pineconeStatus.isHealthy;
+    const vectorStoreStatus = await getVectorStoreStatus();
+    const llmStatus = await getLlmStatus();
+    // A failing response cache is reported but does not fail the check: calls then go to the provider.
+    const llmCacheStatus = await getLlmCacheStatus();
+    const isHealthy = mongoStatus.isHealthy && vectorStoreStatus.isHealthy && llmStatus.isHealthy;
 
     const healthDetails = {
       status: isHealthy ? 'ok' : 'error',
       timestamp: new Date().toISOString(),
-      dependencies: [mongoStatus, pineconeStatus],
+      dependencies: [mongoStatus, vectorStoreStatus, llmStatus, llmCacheStatus],
     };
 
     const httpStatus = isHealthy ? 200 : 503;
@@ -65,7 +78,24 @@ export function buildApp({ logger }) {
   app.get('/', async () => ({ status: 'ok', message: 'PST Backend is online.' }));
 
   // 6. Register Feature-Specific Routes
-  app.register(translationRoutes, { prefix: '/api/v1/translate' });
+  // Every API route requires an API key; the hook is scoped to this plugin, so the routes above stay public.
+  // The plugin runs once the server starts, after the database is connected.
+  app.register(async (api) => {
+    const userService = new UserService({
+      repository: new UserRepository({ db: getDb(), logger }),
+      adminApiKey: config.ADMIN_API_KEY,
+      defaultMonthlyLineQuota: config.DEFAULT_MONTHLY_LINE_QUOTA,
+      logger,
+    });
+    api.decorateRequest('user', null);
+    // Set instead of `user` when an event stream is opened with a stream token.
+    api.decorateRequest('streamJobId', null);
+    api.addHook('onRequest', createAuthHook({ userService }));
+
+    api.register(translationRoutes, { prefix: '/translate' });
+    api.register(projectRoutes, { prefix: '/projects' });
+    api.register(userRoutes, { prefix: '/users' });
+  }, { prefix: '/api/v1' });
 
   logger.info('Application routes and plugins registered.');
   return app;
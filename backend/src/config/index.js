@@ -5,10 +5,34 @@
 // ===== IMPORTS & DEPENDENCIES =====
 import dotenv from 'dotenv';
 import { z } from 'zod';
+import { BUILT_IN_PIPELINE_PROFILES, pipelineProfileSchema } from '../core/pipelineProfiles.js';
 
 // Load environment variables from a .env file into process.env
 dotenv.config();
 
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * A setting holding a JSON document, parsed and then validated against a schema.
+ * @param {string} name - The variable name, for the error message.
+ * @param {import('zod').ZodTypeAny} schema - The shape of the parsed document.
+ * @returns {import('zod').ZodTypeAny} The setting's schema; an unset variable is an empty object.
+ */
+function jsonSetting(name, schema) {
+  return z
+    .string()
+    .default('{}')
+    .transform((value, ctx) => {
+      try {
+        return JSON.parse(value);
+      } catch {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: `${name} must be valid JSON.` });
+        return z.NEVER;
+      }
+    })
+    .pipe(schema);
+}
+
 // ===== CONFIGURATION SCHEMA (THE "SINGLE SOURCE OF TRUTH") =====
 // Here, we define the entire "shape" of our application's environment.
 // Zod handles type coercion (e.g., string to number), default values, and validation.
@@ -24,30 +48,135 @@ const configSchema = z.object({
   FRONTEND_URL: z.string().url().default('http://localhost:3000'),
   RATE_LIMIT_MAX_REQUESTS: z.coerce.number().int().positive().default(100),
   RATE_LIMIT_WINDOW_MS: z.coerce.number().int().positive().default(60 * 1000),
+  // A key with admin rights, for creating the first users and their API keys. Without it,
+  // only existing admin users can manage accounts.
+  ADMIN_API_KEY: z.string().min(32, 'ADMIN_API_KEY must be at least 32 characters long.').optional(),
+  // Signs the short-lived tokens browsers use to follow a job's event stream (see lib/streamTokens.js).
+  // Without it, each instance signs with a random secret of its own.
+  STREAM_TOKEN_SECRET: z.string().min(32, 'STREAM_TOKEN_SECRET must be at least 32 characters long.').optional(),
+  STREAM_TOKEN_TTL_SECONDS: z.coerce.number().int().positive().default(60 * 60),
+  // Subtitle lines a new user may translate per calendar month (UTC), unless set per user.
+  DEFAULT_MONTHLY_LINE_QUOTA: z.coerce.number().int().nonnegative().default(20000),
 
   // --- Database & External Services ---
   // For required secrets, we use `.string().min(1)` to ensure they are not empty.
   // We avoid `.default()` because the app should fail if these aren't provided.
   MONGO_URI: z.string().min(1, 'MONGO_URI is a required environment variable.'),
-  PINECONE_API_KEY: z.string().min(1, 'PINECONE_API_KEY is a required environment variable.'),
+
+  // --- Translation Memory (Vector Store & Embeddings) ---
+  // 'memory' keeps vectors in-process (lost on restart), for development and tests without Pinecone.
+  VECTOR_STORE: z.enum(['pinecone', 'memory']).default('pinecone'),
+  // Required only when VECTOR_STORE is 'pinecone' (see the refinement below).
+  PINECONE_API_KEY: z.string().optional(),
   PINECONE_INDEX_NAME: z.string().default('pst-translations'),
-  GEMINI_API_KEY: z.string().min(1, 'GEMINI_API_KEY is a required environment variable.'),
+  // 'llm' embeds with the LLM provider's embedding model; 'hash' uses a local, deterministic embedder.
+  EMBEDDING_PROVIDER: z.enum(['llm', 'hash']).default('llm'),
+  // Past segments and terms less similar than this are not offered to the agents.
+  TRANSLATION_MEMORY_MIN_SCORE: z.coerce.number().min(0).max(1).default(0.8),
+
+  // --- LLM Provider Selection & Retry Configuration ---
+  // 'gemini' is the hosted default; 'openai-compatible' targets self-hosted servers
+  // (llama.cpp, vLLM, Ollama); 'mock' returns scripted responses for tests and offline runs.
+  LLM_PROVIDER: z.enum(['gemini', 'openai-compatible', 'mock']).default('gemini'),
+  LLM_MAX_RETRIES: z.coerce.number().int().nonnegative().default(3),
+  LLM_BACKOFF_MS: z.coerce.number().int().positive().default(200),
+  LLM_REQUEST_TIMEOUT_MS: z.coerce.number().int().positive().default(120 * 1000),
+  // How many times a blueprint agent is re-prompted with the validation errors when its JSON has the wrong shape.
+  AGENT_OUTPUT_REPAIR_ATTEMPTS: z.coerce.number().int().nonnegative().default(2),
+  // USD per million prompt (input) and response (output) tokens, as JSON keyed by model name.
+  // Extends the built-in Gemini prices in lib/llmPricing.js; models with no price are costed at 0.
+  LLM_PRICES: jsonSetting('LLM_PRICES',
+    z.record(z.object({ input: z.number().nonnegative(), output: z.number().nonnegative() }))),
+
+  // --- LLM Call Scheduling ---
+  // Model calls of every job in this process share these limits, per model. A model that is
+  // rate limited gets fewer concurrent calls for a while, and no calls for as long as it asks.
+  LLM_MAX_CONCURRENCY: z.coerce.number().int().positive().default(8),
+  // 0 sets no per-minute limit.
+  LLM_MAX_REQUESTS_PER_MINUTE: z.coerce.number().int().nonnegative().default(0),
+  // Limits for individual models, as JSON keyed by model name; unset fields use the two above.
+  LLM_MODEL_LIMITS: jsonSetting('LLM_MODEL_LIMITS', z.record(z.object({
+    maxConcurrency: z.number().int().positive().optional(),
+    requestsPerMinute: z.number().int().nonnegative().optional(),
+  }))),
+  // After this many consecutive failed calls the provider is treated as down: calls fail fast and
+  // /health reports it, until a trial call succeeds after the cooldown.
+  LLM_CIRCUIT_BREAKER_THRESHOLD: z.coerce.number().int().positive().default(5),
+  LLM_CIRCUIT_BREAKER_COOLDOWN_MS: z.coerce.number().int().positive().default(30 * 1000),
 
-  // --- Gemini Model & Retry Configuration (CORRECTED MODELS) ---
+  // --- LLM Response Cache ---
+  // Identical agent calls are answered from the cache instead of the provider: 'mongo' shares it
+  // between instances, 'disk' keeps it in LLM_CACHE_DIR; 'off' calls the provider every time.
+  LLM_CACHE: z.enum(['off', 'mongo', 'disk']).default('off'),
+  LLM_CACHE_TTL_SECONDS: z.coerce.number().int().positive().default(7 * 24 * 60 * 60),
+  LLM_CACHE_DIR: z.string().default('.cache/llm-responses'),
+
+  // --- Pipeline Profiles ---
+  // Profiles added to, or replacing, the built-in draft, standard and premium profiles (see
+  // core/pipelineProfiles.js), as JSON keyed by name. A job picks one with `settings.profile`.
+  PIPELINE_PROFILES: jsonSetting('PIPELINE_PROFILES', z.record(pipelineProfileSchema)),
+  // The profile of jobs whose settings do not name one.
+  DEFAULT_PIPELINE_PROFILE: z.string().min(1).default('standard'),
+
+  // --- Gemini Provider (CORRECTED MODELS) ---
+  // Required only when LLM_PROVIDER is 'gemini' (see the refinement below).
+  GEMINI_API_KEY: z.string().optional(),
   GEMINI_BLUEPRINT_MODEL: z.string().default('gemini-2.5-pro-latest'),
   GEMINI_TRANSLATION_MODEL: z.string().default('gemini-2.5-pro-latest'),
   GEMINI_SYNC_MODEL: z.string().default('gemini-2.5-flash-latest'),
-  GEMINI_MAX_RETRIES: z.coerce.number().int().nonnegative().default(3),
-  GEMINI_BACKOFF_MS: z.coerce.number().int().positive().default(200),
+  GEMINI_EMBEDDING_MODEL: z.string().default('text-embedding-004'),
+
+  // --- OpenAI-Compatible Provider ---
+  // Role-specific models fall back to OPENAI_COMPAT_MODEL.
+  OPENAI_COMPAT_BASE_URL: z.string().url().default('http://localhost:11434/v1'),
+  OPENAI_COMPAT_API_KEY: z.string().optional(),
+  OPENAI_COMPAT_MODEL: z.string().default('llama3.1'),
+  OPENAI_COMPAT_BLUEPRINT_MODEL: z.string().optional(),
+  OPENAI_COMPAT_TRANSLATION_MODEL: z.string().optional(),
+  OPENAI_COMPAT_SYNC_MODEL: z.string().optional(),
+  OPENAI_COMPAT_EMBEDDING_MODEL: z.string().default('nomic-embed-text'),
+
+  // --- Mock Provider ---
+  // A JSON file of scripted responses (see lib/llmProviders/mock.js).
+  LLM_MOCK_RESPONSES_PATH: z.string().optional(),
 
   // --- Observability ---
   LOG_LEVEL: z.enum(['trace', 'debug', 'info', 'warn', 'error', 'fatal']).default('info'),
+}).superRefine((env, ctx) => {
+  if (env.LLM_PROVIDER === 'gemini' && !env.GEMINI_API_KEY) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['GEMINI_API_KEY'],
+      message: 'GEMINI_API_KEY is a required environment variable when LLM_PROVIDER is "gemini".',
+    });
+  }
+  if (!Object.hasOwn({ ...BUILT_IN_PIPELINE_PROFILES, ...env.PIPELINE_PROFILES }, env.DEFAULT_PIPELINE_PROFILE)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['DEFAULT_PIPELINE_PROFILE'],
+      message: `DEFAULT_PIPELINE_PROFILE "${env.DEFAULT_PIPELINE_PROFILE}" is neither a built-in profile nor defined in PIPELINE_PROFILES.`,
+    });
+  }
+  if (env.VECTOR_STORE === 'pinecone' && !env.PINECONE_API_KEY) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['PINECONE_API_KEY'],
+      message: 'PINECONE_API_KEY is a required environment variable when VECTOR_STORE is "pinecone".',
+    });
+  }
 });
 
 // ===== VALIDATION & EXPORT =====
 // We use `safeParse` to attempt validation. If it fails, it returns an `error` object
 // instead of throwing, allowing us to format a clean and helpful error message.
-const parsedConfig = configSchema.safeParse(process.env);
+// The retry settings were Gemini-specific before providers became pluggable; the old names still work.
+// GEMINI_MAX_RETRIES counted every attempt, whereas LLM_MAX_RETRIES counts the retries after the first.
+const legacyMaxAttempts = Number.parseInt(process.env.GEMINI_MAX_RETRIES, 10);
+const parsedConfig = configSchema.safeParse({
+  LLM_MAX_RETRIES: Number.isInteger(legacyMaxAttempts) ? Math.max(legacyMaxAttempts - 1, 0) : process.env.GEMINI_MAX_RETRIES,
+  LLM_BACKOFF_MS: process.env.GEMINI_BACKOFF_MS,
+  ...process.env,
+});
 
 if (!parsedConfig.success) {
   // The logger is not available yet, so we use console.error.
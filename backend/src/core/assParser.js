@@ -0,0 +1,255 @@
+// ===== PRODUCTION-READY ASS/SSA PARSER UTILITY =====
+// This module contains pure, reusable functions for handling Advanced SubStation Alpha
+// (.ass) and SubStation Alpha (.ssa) scripts. Only spoken dialogue is exposed as lines for
+// translation; script info, styles, Comment events, karaoke and drawing events, and every
+// override tag are carried on the document and written back untouched.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { BadRequestError } from '../utils/errors.js';
+import { parseTimestamp, formatSrtTimestamp, formatAssTimestamp } from './timecode.js';
+import { MARKUP_PATTERNS, extractMarkup, applyMarkup, validateMarkup } from './markup.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const SECTION_PATTERN = /^\[([^\]]+)\]$/;
+const EVENT_LINE_PATTERN = /^([A-Za-z]+):\s?(.*)$/;
+// Karaoke (\k, \K, \kf, \ko) timing is per syllable of the original and drawing mode (\p1+)
+// renders vector shapes, so such events are passed through instead of being translated.
+const UNTRANSLATABLE_TAG_PATTERN = /\\(?:[kK][fo]?\d|p[1-9])/;
+const EVENTS_SECTION = 'Events';
+
+// Used when a script is produced from a format that has no styles of its own (e.g., SRT → ASS).
+const DEFAULT_SCRIPT_HEADER = [
+  { name: 'Script Info', lines: ['ScriptType: v4.00+', 'WrapStyle: 0', 'ScaledBorderAndShadow: yes', 'PlayResX: 1920', 'PlayResY: 1080'] },
+  {
+    name: 'V4+ Styles',
+    lines: [
+      'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+      'Style: Default,Arial,64,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,3,1,2,60,60,50,1',
+    ],
+  },
+];
+const DEFAULT_EVENT_FORMAT = ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+
+// ===== CUSTOM ERROR =====
+/**
+ * Custom error for failures during ASS/SSA parsing.
+ * Extends BadRequestError so an uncaught instance produces a 400 HTTP status.
+ */
+class AssParsingError extends BadRequestError {
+  constructor(message, originalError) {
+    super(message);
+    this.name = 'AssParsingError';
+    this.cause = originalError;
+  }
+}
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A translatable ASS dialogue line. Extends the common SrtLine shape from srtParser.js;
+ * its `markup` holds the override blocks (braces included, e.g., "{\\i1}").
+ * @typedef {import('./srtParser.js').SrtLine & {eventIndex: number, style: string, layer: string}} AssLine
+ * @property {number} eventIndex - Index of the source event in `AssDocument.events`.
+ * @property {string} style - The event's Style field; cues of different styles are never merged.
+ * @property {string} layer - The event's Layer field.
+ */
+
+/**
+ * A single line of the [Events] section.
+ * @typedef {object} AssEvent
+ * @property {string|null} type - "Dialogue", "Comment", etc., or null for non-event lines (e.g., ";" comments).
+ * @property {Record<string, string>|null} fields - Parsed fields keyed by the Format line, for Dialogue events.
+ * @property {string} raw - The original line, written back verbatim when the event is not translated.
+ * @property {boolean} translatable - Whether the event was exposed as an AssLine.
+ */
+
+/**
+ * A parsed ASS/SSA script.
+ * @typedef {object} AssDocument
+ * @property {'ass'} format - Always "ass".
+ * @property {Array<{name: string, lines: string[]}>} sections - All sections in order; the Events section's lines are empty.
+ * @property {string[]} eventFormat - Field names from the [Events] Format line.
+ * @property {AssEvent[]} events - All lines of the [Events] section, in order.
+ * @property {AssLine[]} lines - The translatable dialogue lines.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Splits an event body into its fields. Only the last field (Text) may contain commas.
+ * @private
+ * @param {string} body - Everything after "Dialogue:".
+ * @param {string[]} format - The field names from the Format line.
+ * @returns {Record<string, string>} The fields keyed by name.
+ */
+function _splitEventFields(body, format) {
+  const parts = body.split(',');
+  const head = parts.slice(0, format.length - 1);
+  const tail = parts.slice(format.length - 1).join(',');
+  return Object.fromEntries(format.map((name, index) => [name, index < format.length - 1 ? head[index]?.trim() ?? '' : tail]));
+}
+
+/**
+ * Separates dialogue from override blocks and converts ASS line-break codes to plain text.
+ * @private
+ * @param {string} rawText - The Text field of a Dialogue event.
+ * @returns {{text: string, markup: import('./markup.js').MarkupTag[]}} The plain dialogue and its override blocks.
+ */
+function _extractDialogue(rawText) {
+  const toPlain = (segment) => segment.replace(/\\N/g, '\n').replace(/\\n/g, '\n').replace(/\\h/g, ' ');
+  return extractMarkup(rawText, MARKUP_PATTERNS.ass, toPlain);
+}
+
+/**
+ * Serializes one dialogue event with new timing and text.
+ * @private
+ */
+function _formatDialogue(fields, eventFormat, line) {
+  const text = applyMarkup(line.text, line.markup, segment => segment.replace(/\n/g, '\\N'));
+  const updated = {
+    ...fields,
+    Start: formatAssTimestamp(parseTimestamp(line.startTime)),
+    End: formatAssTimestamp(parseTimestamp(line.endTime)),
+    Text: text,
+  };
+  return `Dialogue: ${eventFormat.map(name => updated[name] ?? '').join(',')}`;
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Parses a raw ASS/SSA script into a structured document.
+ * @param {string} assContent - The full content of an .ass or .ssa file.
+ * @returns {AssDocument} The parsed document.
+ * @throws {BadRequestError} If the content is not a string or is empty.
+ * @throws {AssParsingError} If the script is malformed.
+ */
+export function parseAss(assContent) {
+  if (typeof assContent !== 'string' || !assContent.trim()) {
+    throw new BadRequestError('ASS content must be a non-empty string.');
+  }
+
+  try {
+    const rawLines = assContent.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+    const sections = [];
+    const events = [];
+    const lines = [];
+    let eventFormat = null;
+    let current = null;
+
+    for (const rawLine of rawLines) {
+      const sectionMatch = SECTION_PATTERN.exec(rawLine.trim());
+      if (sectionMatch) {
+        current = { name: sectionMatch[1], lines: [] };
+        sections.push(current);
+        continue;
+      }
+      if (!current) {
+        if (rawLine.trim()) throw new Error(`Unexpected content before the first section: "${rawLine}".`);
+        continue;
+      }
+      if (current.name !== EVENTS_SECTION) {
+        current.lines.push(rawLine);
+        continue;
+      }
+      if (!rawLine.trim()) {
+        continue; // Blank lines inside [Events] are layout only; they are not preserved.
+      }
+
+      const eventMatch = EVENT_LINE_PATTERN.exec(rawLine);
+      const type = eventMatch?.[1] ?? null;
+      if (type === 'Format') {
+        eventFormat = eventMatch[2].split(',').map(name => name.trim());
+        continue;
+      }
+      if (type !== 'Dialogue') {
+        events.push({ type, fields: null, raw: rawLine, translatable: false });
+        continue;
+      }
+      if (!eventFormat) {
+        throw new Error('A Dialogue event appears before the [Events] Format line.');
+      }
+
+      const fields = _splitEventFields(eventMatch[2], eventFormat);
+      const { text, markup } = _extractDialogue(fields.Text ?? '');
+      const translatable = text !== '' && !markup.some(({ tag }) => UNTRANSLATABLE_TAG_PATTERN.test(tag));
+      events.push({ type, fields, raw: rawLine, translatable });
+      if (!translatable) {
+        continue;
+      }
+
+      const start = parseTimestamp(fields.Start);
+      const end = parseTimestamp(fields.End);
+      if (Number.isNaN(start) || Number.isNaN(end)) {
+        throw new Error(`Dialogue event has a malformed timestamp: "${rawLine}".`);
+      }
+      const markupIssues = validateMarkup(fields.Text ?? '', 'ass');
+      lines.push({
+        sequence: lines.length + 1,
+        startTime: formatSrtTimestamp(start),
+        endTime: formatSrtTimestamp(end),
+        duration: parseFloat((end - start).toFixed(3)),
+        text,
+        markup,
+        ...(markupIssues.length > 0 && { markupIssues }),
+        eventIndex: events.length - 1,
+        style: fields.Style ?? 'Default',
+        layer: fields.Layer ?? '0',
+      });
+    }
+
+    if (!sections.some(section => section.name === EVENTS_SECTION)) {
+      throw new Error('The script has no [Events] section.');
+    }
+    return { format: 'ass', sections, eventFormat: eventFormat ?? DEFAULT_EVENT_FORMAT, events, lines };
+  } catch (error) {
+    throw new AssParsingError(`Failed to parse malformed ASS content: ${error.message}`, error);
+  }
+}
+
+/**
+ * Converts an ASS document (or plain SrtLine objects) back into a valid ASS script.
+ * Non-dialogue sections and events are written verbatim; each dialogue event is written
+ * once per line that refers to it, with its style, layer and override tags intact.
+ * @param {Partial<AssDocument> & {lines: Array<import('./srtParser.js').SrtLine>}} document - The document to serialize.
+ * @returns {string} A valid ASS script.
+ */
+export function toAssString(document) {
+  if (!Array.isArray(document?.lines)) {
+    return '';
+  }
+  const { sections = [...DEFAULT_SCRIPT_HEADER, { name: EVENTS_SECTION, lines: [] }], eventFormat = DEFAULT_EVENT_FORMAT, events = [], lines } = document;
+
+  const linesByEvent = new Map();
+  const orphanLines = [];
+  for (const line of lines) {
+    if (Number.isInteger(line.eventIndex) && events[line.eventIndex]) {
+      linesByEvent.set(line.eventIndex, [...(linesByEvent.get(line.eventIndex) ?? []), line]);
+    } else {
+      orphanLines.push(line);
+    }
+  }
+  const defaultFields = Object.fromEntries(eventFormat.map(name => [name, name === 'Style' ? 'Default' : '0']));
+  defaultFields.Name = '';
+  defaultFields.Effect = '';
+
+  const eventLines = [`Format: ${eventFormat.join(', ')}`];
+  events.forEach((event, index) => {
+    if (!event.translatable) {
+      eventLines.push(event.raw);
+      return;
+    }
+    // A translatable event with no lines left was merged into a neighbour and is dropped.
+    for (const line of linesByEvent.get(index) ?? []) {
+      eventLines.push(_formatDialogue(event.fields, eventFormat, line));
+    }
+  });
+  // Lines converted from another format have no source event; they use the Default style.
+  orphanLines.forEach(line => eventLines.push(_formatDialogue(defaultFields, eventFormat, line)));
+
+  const output = sections.map(section => {
+    const body = section.name === EVENTS_SECTION ? eventLines : section.lines;
+    return [`[${section.name}]`, ...body].join('\n').replace(/\n+$/, '');
+  });
+  return `${output.join('\n\n')}\n`;
+}
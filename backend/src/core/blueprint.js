@@ -0,0 +1,155 @@
+// ===== PRODUCTION-READY BLUEPRINT REVIEW UTILITY =====
+// Pure functions for the blueprint review step: offering the grounding agent's candidate
+// translations alongside each glossary entry, and recording what the reviewer changed.
+//
+// List entries are matched between the AI original and the edited blueprint by their
+// identifying field (a glossary entry by its term, a persona by its name, an adaptation by
+// the original phrase), compared without regard to case or spacing.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { normalizeTerm } from './termbase.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// The reviewable list sections, their identifying field and the fields a reviewer can change.
+const LIST_SECTIONS = Object.freeze({
+  glossary: { keyField: 'term', fields: ['term', 'proposedTranslation', 'justification'] },
+  characterProfiles: { keyField: 'personaName', fields: ['personaName', 'speakingStyle'] },
+  culturalAdaptations: { keyField: 'original', fields: ['original', 'adaptation', 'justification'] },
+});
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * One change a reviewer made to the blueprint.
+ * @typedef {object} BlueprintChange
+ * @property {'summary'|'keyPoints'|'glossary'|'characterProfiles'|'culturalAdaptations'} section - Where the change was made.
+ * @property {'added'|'modified'|'rejected'} type - `rejected` means the AI proposed the entry and the reviewer left it out.
+ * @property {string} [key] - The entry's identifying value (e.g., the glossary term); absent for the summary.
+ * @property {string[]} [fields] - For `modified` list entries, the fields that changed.
+ * @property {any} [before] - The AI's version; absent for `added`.
+ * @property {any} [after] - The reviewer's version; absent for `rejected`.
+ */
+
+/**
+ * What the reviewer changed, as saved on the job.
+ * @typedef {object} BlueprintDiff
+ * @property {BlueprintChange[]} changes - Every change, by section.
+ * @property {{added: number, modified: number, rejected: number}} counts - The number of changes of each type.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Keeps only the reviewable fields of an entry, so review-only data (e.g., candidates) is ignored.
+ * @private
+ */
+function _pickFields(entry, fields) {
+  return Object.fromEntries(fields.map(field => [field, entry?.[field] ?? '']));
+}
+
+/**
+ * Indexes a section's entries by their normalized identifying field. Entries without one are skipped.
+ * @private
+ */
+function _indexEntries(entries, keyField) {
+  const index = new Map();
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const key = entry?.[keyField];
+    if (typeof key === 'string' && key.trim() && !index.has(normalizeTerm(key))) {
+      index.set(normalizeTerm(key), entry);
+    }
+  }
+  return index;
+}
+
+/**
+ * Compares one list section.
+ * @private
+ */
+function _diffListSection(section, originalEntries, editedEntries) {
+  const { keyField, fields } = LIST_SECTIONS[section];
+  const original = _indexEntries(originalEntries, keyField);
+  const edited = _indexEntries(editedEntries, keyField);
+  const changes = [];
+
+  for (const [normalizedKey, entry] of original) {
+    const before = _pickFields(entry, fields);
+    if (!edited.has(normalizedKey)) {
+      changes.push({ section, type: 'rejected', key: entry[keyField], before });
+      continue;
+    }
+    const after = _pickFields(edited.get(normalizedKey), fields);
+    const changedFields = fields.filter(field => String(before[field]).trim() !== String(after[field]).trim());
+    if (changedFields.length > 0) {
+      changes.push({ section, type: 'modified', key: entry[keyField], fields: changedFields, before, after });
+    }
+  }
+  for (const [normalizedKey, entry] of edited) {
+    if (!original.has(normalizedKey)) {
+      changes.push({ section, type: 'added', key: entry[keyField], after: _pickFields(entry, fields) });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Compares the key points, which are plain strings identified by their text.
+ * @private
+ */
+function _diffKeyPoints(originalPoints, editedPoints) {
+  const toIndex = (points) => new Map((Array.isArray(points) ? points : [])
+    .filter(point => typeof point === 'string' && point.trim())
+    .map(point => [normalizeTerm(point), point]));
+  const original = toIndex(originalPoints);
+  const edited = toIndex(editedPoints);
+  return [
+    ...[...original].filter(([key]) => !edited.has(key)).map(([, point]) => ({ section: 'keyPoints', type: 'rejected', key: point, before: point })),
+    ...[...edited].filter(([key]) => !original.has(key)).map(([, point]) => ({ section: 'keyPoints', type: 'added', key: point, after: point })),
+  ];
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Adds the grounding agent's candidate translations to each glossary entry as `candidates`,
+ * starting with the proposed one, so a reviewer can pick another. Locked entries get none.
+ * @param {Array<object>} [glossary=[]] - The assembled glossary.
+ * @param {{grounded_keywords?: Array<{term: string, translations?: string[]}>}} groundedKeywords - The grounding agent's output.
+ * @returns {Array<object>} The glossary with `candidates` on every entry.
+ */
+export function attachTermCandidates(glossary = [], groundedKeywords) {
+  const candidatesByTerm = new Map();
+  for (const { term, translations } of groundedKeywords?.grounded_keywords ?? []) {
+    if (typeof term === 'string' && Array.isArray(translations)) {
+      candidatesByTerm.set(normalizeTerm(term), translations.filter(translation => typeof translation === 'string' && translation.trim()));
+    }
+  }
+  return glossary.map(entry => {
+    if (entry.locked || typeof entry.term !== 'string') {
+      return { ...entry, candidates: [] };
+    }
+    const candidates = [entry.proposedTranslation, ...(candidatesByTerm.get(normalizeTerm(entry.term)) ?? [])];
+    return { ...entry, candidates: [...new Set(candidates.filter(Boolean))] };
+  });
+}
+
+/**
+ * Records how a reviewed blueprint differs from the one the agents produced.
+ * @param {object} original - The blueprint as generated.
+ * @param {object} edited - The blueprint the reviewer confirmed.
+ * @returns {BlueprintDiff} The changes.
+ */
+export function diffBlueprints(original = {}, edited = {}) {
+  const changes = [];
+  if ((original.summary ?? '').trim() !== (edited.summary ?? '').trim()) {
+    changes.push({ section: 'summary', type: 'modified', before: original.summary ?? '', after: edited.summary ?? '' });
+  }
+  changes.push(..._diffKeyPoints(original.keyPoints, edited.keyPoints));
+  for (const section of Object.keys(LIST_SECTIONS)) {
+    changes.push(..._diffListSection(section, original[section], edited[section]));
+  }
+
+  const counts = { added: 0, modified: 0, rejected: 0 };
+  changes.forEach(change => { counts[change.type]++; });
+  return { changes, counts };
+}
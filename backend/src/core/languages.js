@@ -0,0 +1,113 @@
+// ===== PRODUCTION-READY LANGUAGE PROFILES =====
+// This module is the single source of truth for per-language subtitle conventions.
+// Prompts and post-processing read reading speed, line length and text direction from here
+// instead of hard-coding the conventions of one language.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { BadRequestError } from '../utils/errors.js';
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * The subtitle conventions for a single language.
+ * @typedef {object} LanguageProfile
+ * @property {string} code - ISO 639-1 code (e.g., "fa").
+ * @property {string} name - English name of the language, used in prompts (e.g., "Persian").
+ * @property {'ltr'|'rtl'} direction - The language's text direction.
+ * @property {number} maxCps - Professional reading-speed threshold in characters per second.
+ * @property {number} maxCharsPerLine - Maximum characters on a single subtitle line.
+ * @property {number} maxLines - Maximum number of lines in a single subtitle.
+ */
+
+/**
+ * A source/target language pair resolved from the job settings.
+ * @typedef {object} LanguagePair
+ * @property {LanguageProfile} source - The language of the original subtitles.
+ * @property {LanguageProfile} target - The language to translate into.
+ */
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Reading speeds and line lengths follow common streaming-platform style guides for adult content.
+/** @type {Readonly<Record<string, LanguageProfile>>} */
+export const LANGUAGE_PROFILES = Object.freeze({
+  en: { code: 'en', name: 'English', direction: 'ltr', maxCps: 20, maxCharsPerLine: 42, maxLines: 2 },
+  fa: { code: 'fa', name: 'Persian', direction: 'rtl', maxCps: 22, maxCharsPerLine: 42, maxLines: 2 },
+  ar: { code: 'ar', name: 'Arabic', direction: 'rtl', maxCps: 20, maxCharsPerLine: 42, maxLines: 2 },
+  tr: { code: 'tr', name: 'Turkish', direction: 'ltr', maxCps: 17, maxCharsPerLine: 42, maxLines: 2 },
+  es: { code: 'es', name: 'Spanish', direction: 'ltr', maxCps: 17, maxCharsPerLine: 42, maxLines: 2 },
+});
+
+export const SUPPORTED_LANGUAGE_CODES = Object.freeze(Object.keys(LANGUAGE_PROFILES));
+export const DEFAULT_SOURCE_LANGUAGE = 'en';
+export const DEFAULT_TARGET_LANGUAGE = 'fa';
+
+// Unicode RIGHT-TO-LEFT MARK. Prefixing an RTL line with it stops players from moving leading
+// punctuation (e.g., "...", "-") to the wrong side when the line starts with a neutral character.
+const RLM = '\u200F';
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Looks up the profile for a language code.
+ * @param {string} code - ISO 639-1 language code.
+ * @returns {LanguageProfile} The language profile.
+ * @throws {BadRequestError} If the language is not supported.
+ */
+export function getLanguageProfile(code) {
+  const profile = LANGUAGE_PROFILES[code];
+  if (!profile) {
+    throw new BadRequestError(
+      `Unsupported language "${code}". Supported languages: ${SUPPORTED_LANGUAGE_CODES.join(', ')}.`
+    );
+  }
+  return profile;
+}
+
+/**
+ * Resolves the source and target language profiles from a job's settings,
+ * falling back to the historical English → Persian pair when a setting is absent.
+ * @param {{sourceLanguage?: string, targetLanguage?: string}} settings - The job settings.
+ * @returns {LanguagePair} The resolved language pair.
+ * @throws {BadRequestError} If a language is unsupported or source and target are the same.
+ */
+export function resolveLanguagePair(settings = {}) {
+  const source = getLanguageProfile(settings.sourceLanguage ?? DEFAULT_SOURCE_LANGUAGE);
+  const target = getLanguageProfile(settings.targetLanguage ?? DEFAULT_TARGET_LANGUAGE);
+  if (source.code === target.code) {
+    throw new BadRequestError('sourceLanguage and targetLanguage must differ.');
+  }
+  return { source, target };
+}
+
+/**
+ * Prepares translated subtitle text for display in the profile's text direction.
+ * For RTL languages each line is prefixed with a single RIGHT-TO-LEFT MARK; LTR text is unchanged.
+ * Inline markup offsets are shifted to match; a tag at the start of a line stays before the mark.
+ * @param {{text: string, markup?: import('./markup.js').MarkupTag[]}} line - The translated text (may contain multiple lines) and its tags.
+ * @param {LanguageProfile} profile - The target language profile.
+ * @returns {{text: string, markup: import('./markup.js').MarkupTag[]}} The direction-safe text and its tags.
+ */
+export function applyTextDirection({ text, markup = [] }, profile) {
+  if (profile.direction !== 'rtl' || typeof text !== 'string') {
+    return { text, markup };
+  }
+  // offsetMap[i] is where character i of the input ends up in the output.
+  const offsetMap = [];
+  let directed = '';
+  text.split('\n').forEach((line, lineIndex) => {
+    if (lineIndex > 0) {
+      offsetMap.push(directed.length);
+      directed += '\n';
+    }
+    const lineStart = directed.length;
+    const stripped = line.replace(/^\u200F+/, '');
+    const removed = line.length - stripped.length;
+    const prefix = stripped ? RLM : '';
+    for (let i = 0; i < line.length; i++) {
+      offsetMap.push(i === 0 ? lineStart : lineStart + prefix.length + Math.max(i - removed, 0));
+    }
+    directed += prefix + stripped;
+  });
+  offsetMap.push(directed.length);
+  return { text: directed, markup: markup.map(({ offset, tag }) => ({ offset: offsetMap[offset] ?? directed.length, tag })) };
+}
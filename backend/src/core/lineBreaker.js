@@ -0,0 +1,190 @@
+// ===== PRODUCTION-READY LINE BREAKER =====
+// Pure functions that lay out a cue's text over at most `maxLines` lines of at most
+// `maxCharsPerLine` characters. Breaks prefer punctuation and clause boundaries, lines are
+// kept balanced with the bottom line the longer one (pyramid shape), and each dialogue turn
+// that starts with a dash gets its own line.
+//
+// A break only ever replaces a single whitespace character with "\n", so the text keeps its
+// length and inline markup offsets stay valid. Non-breaking spaces and zero-width non-joiners
+// (which join the parts of a single Persian word) are never break points.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { countVisibleCharacters } from './readability.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const BREAKABLE_SPACE = /[ \n]/;
+const ZERO_WIDTH_NON_JOINER = '\u200C';
+const DIALOGUE_DASH = /^[-–—]/;
+const SENTENCE_END = /[.!?؟…]["'»”)]?$/;
+const CLAUSE_END = /[,;:،؛]$/;
+
+// Layout costs, in the same unit as the squared line-length deviation.
+const OVERFLOW_COST = 1000; // per character past the limit
+const TOP_HEAVY_COST = 3; // per character the top line is longer than the bottom one
+const SENTENCE_BREAK_BONUS = 60;
+const CLAUSE_BREAK_BONUS = 30;
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Replaces the characters at the given indexes with line breaks.
+ * @private
+ */
+function _applyBreaks(text, breakIndexes) {
+  const characters = text.replace(/\n/g, ' ').split('');
+  breakIndexes.forEach(index => { characters[index] = '\n'; });
+  return characters.join('');
+}
+
+/**
+ * Lists the indexes where a line may break: a single space or line break between two words.
+ * In a run of spaces only the last one is a candidate.
+ * @private
+ */
+function _breakCandidates(text) {
+  const candidates = [];
+  for (let index = 1; index < text.length - 1; index++) {
+    // A stray space next to a ZWNJ is still inside the joined word.
+    const isInsideJoinedWord = text[index - 1] === ZERO_WIDTH_NON_JOINER || text[index + 1] === ZERO_WIDTH_NON_JOINER;
+    if (BREAKABLE_SPACE.test(text[index]) && !/\s/.test(text[index + 1]) && !isInsideJoinedWord) {
+      candidates.push(index);
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Finds the start of every dialogue turn: the text starts with a dash and another dash
+ * follows a sentence end or an existing line break.
+ * @private
+ * @returns {number[]} The indexes of the spaces before the second and later turns; empty if the cue is not a dialogue.
+ */
+function _dialogueBreaks(text) {
+  if (!DIALOGUE_DASH.test(text)) {
+    return [];
+  }
+  return _breakCandidates(text).filter(index =>
+    DIALOGUE_DASH.test(text.slice(index + 1))
+    && (text[index] === '\n' || SENTENCE_END.test(text.slice(0, index).trimEnd())));
+}
+
+/**
+ * The cost of one line, given its length and the layout's mean line length.
+ * @private
+ */
+function _lineCost(length, mean, previousLength, maxCharsPerLine) {
+  let cost = (length - mean) ** 2 + Math.max(length - maxCharsPerLine, 0) * OVERFLOW_COST;
+  if (previousLength !== null && previousLength > length) {
+    cost += (previousLength - length) * TOP_HEAVY_COST;
+  }
+  return cost;
+}
+
+/**
+ * The bonus for breaking at an index: after a sentence, or after a clause.
+ * @private
+ */
+function _breakBonus(text, index) {
+  const before = text.slice(0, index).trimEnd();
+  if (SENTENCE_END.test(before)) return SENTENCE_BREAK_BONUS;
+  if (CLAUSE_END.test(before)) return CLAUSE_BREAK_BONUS;
+  return 0;
+}
+
+/**
+ * Finds the cheapest way to choose `count` break points from the candidates, by dynamic
+ * programming over (lines laid out, last break): O(count × candidates²) instead of trying
+ * every combination. The top-heavy penalty of a line is charged against the previous line of
+ * the best layout ending at its start, which keeps the search quadratic.
+ * @private
+ * @param {string} text - The flattened text.
+ * @param {number[]} candidates - The break candidates, in order.
+ * @param {number} count - The number of breaks to choose.
+ * @param {number} maxCharsPerLine - The line length limit.
+ * @param {number[]} visibleBefore - The visible character count before each index of the text.
+ * @returns {{breaks: number[], cost: number, fits: boolean}} The best layout.
+ */
+function _bestLayout(text, candidates, count, maxCharsPerLine, visibleBefore) {
+  const lineLength = (start, end) => visibleBefore[end] - visibleBefore[start];
+  const bonuses = candidates.map(index => _breakBonus(text, index));
+  // Each break takes one space out of the lines, so the mean line length is known up front.
+  const mean = (visibleBefore[text.length] - count) / (count + 1);
+
+  // rows[lines - 1][j]: the best layout of `lines` lines whose last break is candidates[j].
+  const rows = [];
+  for (let lines = 1; lines <= count; lines++) {
+    const row = candidates.map((index, j) => {
+      if (lines === 1) {
+        const length = lineLength(0, index);
+        return { cost: _lineCost(length, mean, null, maxCharsPerLine) - bonuses[j], length, from: -1 };
+      }
+      let best = null;
+      for (let i = lines - 2; i < j; i++) {
+        const previous = rows[lines - 2][i];
+        if (!previous) continue;
+        const length = lineLength(candidates[i] + 1, index);
+        const cost = previous.cost + _lineCost(length, mean, previous.length, maxCharsPerLine) - bonuses[j];
+        if (!best || cost < best.cost) best = { cost, length, from: i };
+      }
+      return best;
+    });
+    rows.push(row);
+  }
+
+  let best = null;
+  rows[count - 1].forEach((entry, j) => {
+    if (!entry) return;
+    const length = lineLength(candidates[j] + 1, text.length);
+    const cost = entry.cost + _lineCost(length, mean, entry.length, maxCharsPerLine);
+    if (!best || cost < best.cost) best = { cost, from: j };
+  });
+
+  const breaks = [];
+  for (let lines = count, j = best.from; lines >= 1; j = rows[lines - 1][j].from, lines--) {
+    breaks.unshift(candidates[j]);
+  }
+  const bounds = [0, ...breaks.map(index => index + 1)];
+  const fits = bounds.every((start, i) => lineLength(start, breaks[i] ?? text.length) <= maxCharsPerLine);
+  return { breaks, cost: best.cost, fits };
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Lays out a cue's text over balanced lines. Existing line breaks are re-flowed, except
+ * between dialogue turns, which always start a new line.
+ * @param {{text: string, markup?: import('./markup.js').MarkupTag[]}} marked - The cue text and its tags.
+ * @param {{maxCharsPerLine: number, maxLines: number}} limits - The layout limits (e.g., from the language profile).
+ * @returns {{text: string, markup: import('./markup.js').MarkupTag[]}} The laid-out text; `markup` is unchanged.
+ */
+export function breakLines({ text, markup = [] }, { maxCharsPerLine, maxLines }) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { text, markup };
+  }
+
+  const dialogueBreaks = _dialogueBreaks(text);
+  if (dialogueBreaks.length > 0) {
+    return { text: _applyBreaks(text, dialogueBreaks), markup };
+  }
+
+  const flattened = text.replace(/\n/g, ' ');
+  if (countVisibleCharacters(flattened) <= maxCharsPerLine) {
+    return { text: flattened, markup };
+  }
+
+  const candidates = _breakCandidates(flattened);
+  const visibleBefore = [0];
+  for (let index = 0; index < flattened.length; index++) {
+    visibleBefore.push(visibleBefore[index] + countVisibleCharacters(flattened[index]));
+  }
+  const minimumLines = Math.ceil(countVisibleCharacters(flattened) / maxCharsPerLine);
+  let best = null;
+  for (let lineCount = Math.min(Math.max(minimumLines, 2), maxLines); lineCount <= maxLines && lineCount - 1 <= candidates.length; lineCount++) {
+    const layout = _bestLayout(flattened, candidates, lineCount - 1, maxCharsPerLine, visibleBefore);
+    if (!best || (layout.fits && !best.fits) || (layout.fits === best.fits && layout.cost < best.cost)) {
+      best = layout;
+    }
+    if (best.fits) break; // Fewer lines are always preferred once the text fits.
+  }
+  return { text: best ? _applyBreaks(flattened, best.breaks) : flattened, markup };
+}
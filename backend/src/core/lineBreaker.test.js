@@ -0,0 +1,56 @@
+import { describe, it, expect } from '@jest/globals';
+import { breakLines } from './lineBreaker.js';
+
+const lengths = (text) => text.split('\n').map(line => line.length);
+
+describe('breakLines', () => {
+  it('keeps a short cue on one line', () => {
+    expect(breakLines({ text: 'Short\nline.' }, { maxCharsPerLine: 42, maxLines: 2 }).text).toBe('Short line.');
+  });
+
+  it('balances two lines', () => {
+    const { text } = breakLines({ text: 'I never thought we would see this place again after all' }, { maxCharsPerLine: 42, maxLines: 2 });
+    expect(text).toBe('I never thought we would see\nthis place again after all');
+  });
+
+  it('makes the bottom line the longer one when the lines cannot be equal', () => {
+    const { text } = breakLines({ text: 'abc abc abc abc abc' }, { maxCharsPerLine: 15, maxLines: 2 });
+    expect(text).toBe('abc abc\nabc abc abc');
+  });
+
+  it('prefers to break after a sentence', () => {
+    const { text } = breakLines({ text: 'We have to go now. They are coming for us' }, { maxCharsPerLine: 30, maxLines: 2 });
+    expect(text).toBe('We have to go now.\nThey are coming for us');
+  });
+
+  it('gives each dialogue turn its own line', () => {
+    expect(breakLines({ text: '- Ready? - Always.' }, { maxCharsPerLine: 42, maxLines: 2 }).text).toBe('- Ready?\n- Always.');
+  });
+
+  it('keeps the text length so markup offsets stay valid', () => {
+    const marked = { text: 'The <i> tag sits on the word right here in the middle', markup: [{ offset: 4, tag: '<i>' }] };
+    const result = breakLines(marked, { maxCharsPerLine: 30, maxLines: 2 });
+    expect(result.text).toHaveLength(marked.text.length);
+    expect(result.markup).toBe(marked.markup);
+  });
+
+  it('lays out a 40-word cue over 8 lines quickly', () => {
+    const words = Array.from({ length: 40 }, (_, index) => `word${index}`);
+    const started = Date.now();
+    const { text } = breakLines({ text: words.join(' ') }, { maxCharsPerLine: 40, maxLines: 8 });
+
+    expect(Date.now() - started).toBeLessThan(500);
+    expect(text.replace(/\n/g, ' ')).toBe(words.join(' '));
+    expect(Math.max(...lengths(text))).toBeLessThanOrEqual(40);
+  });
+
+  it('lays out a very long cue without blocking, even when it cannot fit', () => {
+    const text = Array.from({ length: 400 }, (_, index) => (index % 10 === 9 ? 'end.' : 'word')).join(' ');
+    const started = Date.now();
+    const result = breakLines({ text }, { maxCharsPerLine: 42, maxLines: 10 });
+
+    expect(Date.now() - started).toBeLessThan(2000);
+    expect(result.text.split('\n')).toHaveLength(10);
+    expect(result.text.replace(/\n/g, ' ')).toBe(text);
+  });
+});
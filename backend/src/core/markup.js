@@ -0,0 +1,322 @@
+// ===== PRODUCTION-READY INLINE MARKUP UTILITY =====
+// Pure functions for keeping inline formatting (SRT/WebVTT tags such as <i>, <b>, <font>,
+// <c.yellow>, and ASS override blocks such as {\i1} or {\pos(…)}) intact through translation.
+//
+// Parsers split each cue into plain `text` plus a `markup` list of tags anchored at character
+// offsets in that text. Before the agents see a line, every tag is replaced by a numbered
+// placeholder token; afterwards the tokens tell us exactly where each tag belongs in the
+// translation. If the model drops, duplicates or reorders tokens, tags are re-anchored
+// proportionally instead, and the fallback is reported.
+
+// ===== CONFIGURATION & CONSTANTS =====
+const PLACEHOLDER_PATTERN = /⟦(\d+)⟧/g;
+
+// Tag patterns per markup dialect. SRT files in the wild also carry ASS-style {\an8} positioning.
+export const MARKUP_PATTERNS = Object.freeze({
+  srt: /<\/?[a-zA-Z][^<>]*>|\{\\[^{}]*\}/g,
+  vtt: /<[^<>]+>/g,
+  ass: /\{[^{}]*\}/g,
+});
+
+// Tags each HTML-like dialect defines. Anything else is reported as unknown.
+export const KNOWN_TAGS = Object.freeze({
+  srt: ['i', 'b', 'u', 's', 'font'],
+  vtt: ['c', 'i', 'b', 'u', 'v', 'lang', 'ruby', 'rt'],
+});
+// WebVTT allows these to stay open until the end of the cue.
+const SELF_TERMINATING_TAGS = ['v', 'lang'];
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * An inline tag anchored in plain text.
+ * @typedef {object} MarkupTag
+ * @property {number} offset - Character offset in the plain text where the tag sits.
+ * @property {string} tag - The raw tag (e.g., "<i>", "</i>", "{\\an8}").
+ */
+
+/**
+ * A problem found in a cue's source markup.
+ * @typedef {object} MarkupIssue
+ * @property {'unclosed_tag'|'unexpected_closing_tag'|'unknown_tag'|'malformed_markup'} type - The kind of problem.
+ * @property {string} message - Human-readable description.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+const _identity = (value) => value;
+
+/**
+ * Finds the word boundary (start of a word) closest to a position.
+ * @private
+ */
+function _nearestWordBoundary(text, target) {
+  for (let distance = 0; distance < text.length; distance++) {
+    for (const candidate of [target - distance, target + distance]) {
+      if (candidate > 0 && candidate < text.length && /\s/.test(text[candidate - 1]) && !/\s/.test(text[candidate])) {
+        return candidate;
+      }
+    }
+  }
+  return target;
+}
+
+/**
+ * Finds the end of the word that starts at or after a position.
+ * @private
+ */
+function _nextWordEnd(text, from) {
+  const match = /\S+/.exec(text.slice(from));
+  return match ? from + match.index + match[0].length : text.length;
+}
+
+/**
+ * Lists the HTML-like tags still open after a run of markup, outermost first.
+ * @private
+ */
+function _openHtmlTags(markup) {
+  const open = [];
+  for (const { tag } of markup) {
+    const match = /^<(\/?)([a-zA-Z]+)/.exec(tag);
+    if (!match) continue;
+    const name = match[2].toLowerCase();
+    if (!match[1]) {
+      open.push({ name, tag });
+    } else {
+      const index = open.map(entry => entry.name).lastIndexOf(name);
+      if (index !== -1) open.splice(index, 1);
+    }
+  }
+  return open;
+}
+
+/**
+ * Trims text and shifts markup offsets so they still point at the same characters.
+ * @private
+ */
+function _trimWithMarkup(text, markup) {
+  const leading = text.length - text.trimStart().length;
+  const trimmed = text.trim();
+  return {
+    text: trimmed,
+    markup: markup.map(({ offset, tag }) => ({ offset: Math.min(Math.max(offset - leading, 0), trimmed.length), tag })),
+  };
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Splits raw cue text into plain text and anchored tags.
+ * @param {string} rawText - The cue text as it appears in the file.
+ * @param {RegExp} pattern - A global pattern matching one tag (see MARKUP_PATTERNS).
+ * @param {function(string): string} [toPlain] - Converts the text between tags (e.g., decodes entities).
+ * @returns {{text: string, markup: MarkupTag[]}} The trimmed plain text and its tags.
+ */
+export function extractMarkup(rawText, pattern, toPlain = _identity) {
+  const markup = [];
+  let text = '';
+  let lastIndex = 0;
+  for (const match of rawText.matchAll(pattern)) {
+    text += toPlain(rawText.slice(lastIndex, match.index));
+    markup.push({ offset: text.length, tag: match[0] });
+    lastIndex = match.index + match[0].length;
+  }
+  text += toPlain(rawText.slice(lastIndex));
+  return _trimWithMarkup(text, markup);
+}
+
+/**
+ * Writes tags back into plain text at their offsets.
+ * @param {string} text - The plain text.
+ * @param {MarkupTag[]} [markup=[]] - The tags to insert.
+ * @param {function(string): string} [fromPlain] - Converts the text between tags (e.g., escapes entities).
+ * @returns {string} The raw cue text.
+ */
+export function applyMarkup(text, markup = [], fromPlain = _identity) {
+  let result = '';
+  let cursor = 0;
+  for (const { offset, tag } of markup) {
+    const position = Math.min(Math.max(offset, cursor), text.length);
+    result += fromPlain(text.slice(cursor, position)) + tag;
+    cursor = position;
+  }
+  return result + fromPlain(text.slice(cursor));
+}
+
+/**
+ * Re-anchors tags on new text when exact positions are unknown. Tags at the start or end stay
+ * there; tags in the middle move to the word boundary nearest their proportional position,
+ * and a tag that enclosed text in the original still encloses at least one word.
+ * @param {string} newText - The new plain text (e.g., a translation).
+ * @param {MarkupTag[]} markup - Tags anchored in the original text.
+ * @param {number} originalLength - Length of the original plain text.
+ * @returns {MarkupTag[]} Tags anchored in `newText`.
+ */
+export function reanchorMarkup(newText, markup, originalLength) {
+  const positions = [];
+  markup.forEach(({ offset }, index) => {
+    let position;
+    if (offset === 0) position = 0;
+    else if (offset >= originalLength) position = newText.length;
+    else position = _nearestWordBoundary(newText, Math.round((offset / originalLength) * newText.length));
+
+    const previous = positions[index - 1];
+    if (index > 0 && offset > markup[index - 1].offset && position <= previous && previous < newText.length) {
+      position = _nextWordEnd(newText, previous);
+    }
+    positions.push(Math.max(position, previous ?? 0));
+  });
+  return markup.map(({ tag }, index) => ({ offset: positions[index], tag }));
+}
+
+/**
+ * Replaces every tag with a numbered placeholder token (⟦1⟧, ⟦2⟧, …) for the agents.
+ * @param {string} text - The plain text.
+ * @param {MarkupTag[]} [markup=[]] - The line's tags.
+ * @returns {string} The text with placeholder tokens.
+ */
+export function protectMarkup(text, markup = []) {
+  return applyMarkup(text, markup.map(({ offset }, index) => ({ offset, tag: `⟦${index + 1}⟧` })));
+}
+
+/**
+ * Turns an agent's placeholder-bearing output back into plain text and anchored tags.
+ * When every placeholder is present exactly once and in order, tags land exactly where the
+ * model put them; otherwise they are re-anchored proportionally and the reason is returned.
+ * @param {string} translated - The agent output, possibly containing placeholder tokens.
+ * @param {MarkupTag[]} markup - The source line's tags.
+ * @param {string} sourceText - The source line's plain text.
+ * @returns {{text: string, markup: MarkupTag[], fallbackReason: string|null}}
+ */
+export function restoreProtectedMarkup(translated, markup = [], sourceText = '') {
+  const found = [];
+  let text = '';
+  let lastIndex = 0;
+  // Removing a token can leave a doubled space behind ("a ⟦1⟧ b" → "a  b"), so one is dropped.
+  const append = (segment) => {
+    text += /\s$/.test(text) && /^ /.test(segment) ? segment.slice(1) : segment;
+  };
+  for (const match of translated.matchAll(PLACEHOLDER_PATTERN)) {
+    append(translated.slice(lastIndex, match.index));
+    found.push({ id: Number(match[1]), offset: text.length });
+    lastIndex = match.index + match[0].length;
+  }
+  append(translated.slice(lastIndex));
+  const collapsed = _trimWithMarkup(text, found.map(({ id, offset }) => ({ offset, tag: id })));
+  text = collapsed.text;
+  const anchors = collapsed.markup.map(({ offset, tag }) => ({ id: tag, offset }));
+
+  if (markup.length === 0) {
+    return { text, markup: [], fallbackReason: null };
+  }
+
+  const ids = anchors.map(anchor => anchor.id);
+  const isExact = ids.length === markup.length && ids.every((id, index) => id === index + 1);
+  if (isExact) {
+    return { text, markup: markup.map(({ tag }, index) => ({ offset: anchors[index].offset, tag })), fallbackReason: null };
+  }
+
+  let fallbackReason;
+  if (new Set(ids).size !== ids.length || ids.some(id => id < 1 || id > markup.length)) {
+    fallbackReason = 'duplicated_or_unknown_placeholders';
+  } else if (ids.length < markup.length) {
+    fallbackReason = 'missing_placeholders';
+  } else {
+    fallbackReason = 'reordered_placeholders';
+  }
+  return { text, markup: reanchorMarkup(text, markup, sourceText.length), fallbackReason };
+}
+
+/**
+ * Splits marked-up text in two, e.g., when one cue becomes two. Formatting that is open at the
+ * split point carries over: HTML-like tags are closed on the first part and reopened on the
+ * second, and ASS override blocks from the first part are repeated at the start of the second.
+ * @param {{text: string, markup?: MarkupTag[]}} marked - The text and its tags.
+ * @param {number} index - Where to split `text`.
+ * @returns {[{text: string, markup: MarkupTag[]}, {text: string, markup: MarkupTag[]}]} The two trimmed parts.
+ */
+export function splitMarkedText({ text, markup = [] }, index) {
+  const first = [];
+  const second = [];
+  for (const { offset, tag } of markup) {
+    // A closing tag exactly at the split point belongs to the first part.
+    if (offset < index || (offset === index && tag.startsWith('</'))) {
+      first.push({ offset, tag });
+    } else {
+      second.push({ offset: offset - index, tag });
+    }
+  }
+
+  const stillOpen = _openHtmlTags(first);
+  const carriedOverrides = first.filter(({ tag }) => tag.startsWith('{'));
+  const firstMarkup = [...first, ...[...stillOpen].reverse().map(({ name }) => ({ offset: index, tag: `</${name}>` }))];
+  const secondMarkup = [
+    ...carriedOverrides.map(({ tag }) => ({ offset: 0, tag })),
+    ...stillOpen.map(({ tag }) => ({ offset: 0, tag })),
+    ...second,
+  ];
+  return [
+    _trimWithMarkup(text.slice(0, index), firstMarkup),
+    _trimWithMarkup(text.slice(index), secondMarkup),
+  ];
+}
+
+/**
+ * Joins two marked-up texts, e.g., when two cues are merged into one.
+ * @param {{text: string, markup?: MarkupTag[]}} first - The first text and its tags.
+ * @param {{text: string, markup?: MarkupTag[]}} second - The second text and its tags.
+ * @param {string} [separator='\n'] - Inserted between the two texts.
+ * @returns {{text: string, markup: MarkupTag[]}} The joined text and tags.
+ */
+export function joinMarkedText(first, second, separator = '\n') {
+  const shift = first.text.length + separator.length;
+  return {
+    text: first.text + separator + second.text,
+    markup: [...(first.markup ?? []), ...(second.markup ?? []).map(({ offset, tag }) => ({ offset: offset + shift, tag }))],
+  };
+}
+
+/**
+ * Checks a cue's raw markup for problems that would break rendering or QC.
+ * @param {string} rawText - The cue text as it appears in the file.
+ * @param {'srt'|'vtt'|'ass'} dialect - The markup dialect.
+ * @returns {MarkupIssue[]} The problems found (empty when the markup is valid).
+ */
+export function validateMarkup(rawText, dialect) {
+  if (dialect === 'ass') {
+    const unbalanced = rawText.replace(MARKUP_PATTERNS.ass, '');
+    return /[{}]/.test(unbalanced)
+      ? [{ type: 'malformed_markup', message: 'Unbalanced "{" or "}" outside an override block.' }]
+      : [];
+  }
+
+  const issues = [];
+  const open = [];
+  const withoutTags = rawText.replace(MARKUP_PATTERNS[dialect], '');
+  if (/<\/?[a-zA-Z]/.test(withoutTags)) {
+    issues.push({ type: 'malformed_markup', message: 'A "<" does not start a valid tag.' });
+  }
+
+  for (const [tag] of rawText.matchAll(/<(\/?)([a-zA-Z]+)[^<>]*>/g)) {
+    const isClosing = tag.startsWith('</');
+    const name = /<\/?([a-zA-Z]+)/.exec(tag)[1].toLowerCase();
+    if (!KNOWN_TAGS[dialect].includes(name)) {
+      issues.push({ type: 'unknown_tag', message: `Unknown tag ${tag}.` });
+      continue;
+    }
+    if (!isClosing) {
+      open.push(name);
+    } else if (open.at(-1) === name) {
+      open.pop();
+    } else if (open.includes(name)) {
+      issues.push({ type: 'unclosed_tag', message: `<${open.at(-1)}> is closed after </${name}> (improper nesting).` });
+      open.splice(open.lastIndexOf(name), 1);
+    } else {
+      issues.push({ type: 'unexpected_closing_tag', message: `${tag} has no matching opening tag.` });
+    }
+  }
+  open
+    .filter(name => !(dialect === 'vtt' && SELF_TERMINATING_TAGS.includes(name)))
+    .forEach(name => issues.push({ type: 'unclosed_tag', message: `<${name}> is never closed.` }));
+  return issues;
+}
@@ -0,0 +1,123 @@
+// ===== PRODUCTION-READY PIPELINE PROFILES =====
+// A pipeline profile decides how much work Phase 2 puts into a job: which batch stages run,
+// which model and temperature each one uses, how many lines go into a batch, and which
+// deterministic post-processors run on the result. A job picks one with `settings.profile`.
+// Quality estimation runs after the batch stages, on the finished lines; it is off unless a
+// profile (or the job's `settings.qualityEstimation`) turns it on.
+// Deployments add profiles or replace these ones through `config.PIPELINE_PROFILES`; every
+// profile, built-in or configured, is validated against the same schema.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { z } from 'zod';
+import { BadRequestError } from '../utils/errors.js';
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * How one batch stage runs. Unset fields keep the agent's own model role and the default temperature.
+ * @typedef {object} PipelineStage
+ * @property {boolean} enabled - Whether the stage runs; a skipped stage passes its input on unchanged.
+ * @property {'blueprint'|'translation'|'sync'} [modelRole] - Which of the provider's models to use.
+ * @property {string} [model] - A provider-specific model name, used instead of the role's model.
+ * @property {number} [temperature] - The generation temperature.
+ */
+
+/**
+ * A validated pipeline profile.
+ * @typedef {object} PipelineProfile
+ * @property {string} name - The profile's name; recorded on the jobs that use it.
+ * @property {string} description - What the profile is for.
+ * @property {number} batchSize - How many lines are translated together.
+ * @property {Record<'summarize'|'transcreate'|'edit'|'qa'|'sync'|'backTranslate'|'judge', PipelineStage>} stages -
+ *   The batch stages, in the order they run, then the quality estimation stages.
+ * @property {{lineBreaking: boolean, readabilityCheck: boolean, timing: boolean}} postProcessors -
+ *   Whether lines are laid out within the target's line limits, whether reading-speed suggestions are
+ *   produced, and whether timing is re-flowed when the job's settings do not say.
+ */
+
+// ===== VALIDATION SCHEMA =====
+const stageSchema = z.object({
+  enabled: z.boolean().default(true),
+  modelRole: z.enum(['blueprint', 'translation', 'sync']).optional(),
+  model: z.string().min(1).optional(),
+  temperature: z.number().min(0).max(2).optional(),
+}).strict();
+
+export const pipelineProfileSchema = z.object({
+  description: z.string().default(''),
+  batchSize: z.number().int().min(1).max(100).default(25),
+  stages: z.object({
+    // Summarizes the previous batch for the transcreator (every batch but the first).
+    summarize: stageSchema.default({}),
+    // Every profile translates; the other stages refine the draft.
+    transcreate: stageSchema.refine(stage => stage.enabled, 'The transcreate stage cannot be disabled.').default({}),
+    edit: stageSchema.default({}),
+    qa: stageSchema.default({}),
+    sync: stageSchema.default({}),
+    // Quality estimation: back-translates the finished lines, and asks a judge to score them.
+    backTranslate: stageSchema.default({ enabled: false }),
+    judge: stageSchema.default({ enabled: false }),
+  }).strict().default({}),
+  postProcessors: z.object({
+    lineBreaking: z.boolean().default(true),
+    readabilityCheck: z.boolean().default(true),
+    timing: z.boolean().default(false),
+  }).strict().default({}),
+}).strict();
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Which of these a job gets when its settings name none is `config.DEFAULT_PIPELINE_PROFILE`.
+/** @type {Readonly<Record<string, Omit<PipelineProfile, 'name'>>>} */
+export const BUILT_IN_PIPELINE_PROFILES = Object.freeze(Object.fromEntries(Object.entries({
+  // Internal screeners: one transcreation pass on the fast model, in large batches.
+  draft: {
+    description: 'A single fast transcreation pass, for internal screeners.',
+    batchSize: 50,
+    stages: {
+      summarize: { enabled: false },
+      transcreate: { modelRole: 'sync' },
+      edit: { enabled: false },
+      qa: { enabled: false },
+      sync: { enabled: false },
+    },
+  },
+  // Every stage on the models configured for it.
+  standard: {
+    description: 'Transcreation, editing, QA and pacing, for regular deliveries.',
+    batchSize: 25,
+  },
+  // Theatrical releases: smaller batches, every stage on the translation model, steadier review
+  // passes, and every line's quality estimated for the reviewers.
+  premium: {
+    description: 'Every stage on the strongest model with smaller batches and quality estimation, for theatrical releases.',
+    batchSize: 15,
+    stages: {
+      summarize: { modelRole: 'translation' },
+      transcreate: { modelRole: 'translation', temperature: 0.6 },
+      edit: { modelRole: 'translation', temperature: 0.3 },
+      qa: { modelRole: 'translation', temperature: 0.2 },
+      sync: { modelRole: 'translation', temperature: 0.3 },
+      backTranslate: { enabled: true, temperature: 0 },
+      judge: { enabled: true, modelRole: 'translation', temperature: 0 },
+    },
+  },
+}).map(([name, profile]) => [name, Object.freeze(pipelineProfileSchema.parse(profile))])));
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Looks up a pipeline profile by name. Configured profiles replace built-in ones of the same name.
+ * @param {string} name - The profile's name (e.g., 'draft').
+ * @param {Record<string, Omit<PipelineProfile, 'name'>>} [configuredProfiles={}] - The deployment's validated profiles (`config.PIPELINE_PROFILES`).
+ * @returns {PipelineProfile} The profile.
+ * @throws {BadRequestError} If no profile has that name.
+ */
+export function resolvePipelineProfile(name, configuredProfiles = {}) {
+  const profiles = { ...BUILT_IN_PIPELINE_PROFILES, ...configuredProfiles };
+  if (!Object.hasOwn(profiles, name)) {
+    throw new BadRequestError(
+      `Unknown pipeline profile "${name}". Available profiles: ${Object.keys(profiles).join(', ')}.`
+    );
+  }
+  return { name, ...profiles[name] };
+}
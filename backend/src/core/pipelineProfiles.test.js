@@ -0,0 +1,55 @@
+import { describe, it, expect } from '@jest/globals';
+import { z } from 'zod';
+import { BUILT_IN_PIPELINE_PROFILES, pipelineProfileSchema, resolvePipelineProfile } from './pipelineProfiles.js';
+
+// PIPELINE_PROFILES is read from the environment as JSON and validated with this schema (see config/index.js).
+const configuredProfilesSchema = z.record(pipelineProfileSchema);
+const parseConfiguredProfiles = (json) => configuredProfilesSchema.safeParse(JSON.parse(json));
+
+describe('built-in pipeline profiles', () => {
+  it.each(Object.keys(BUILT_IN_PIPELINE_PROFILES))('validates the %s profile against the profile schema', (name) => {
+    const profile = BUILT_IN_PIPELINE_PROFILES[name];
+    expect(pipelineProfileSchema.parse(profile)).toEqual(profile);
+    expect(profile.stages.transcreate.enabled).toBe(true);
+  });
+
+  it('resolves a built-in profile by name', () => {
+    expect(resolvePipelineProfile('draft')).toMatchObject({ name: 'draft', batchSize: 50, stages: { edit: { enabled: false } } });
+  });
+});
+
+describe('configured pipeline profiles', () => {
+  it('accepts a PIPELINE_PROFILES value and fills in the defaults', () => {
+    const parsed = parseConfiguredProfiles(JSON.stringify({
+      subtitlesOnly: { description: 'No QA pass.', stages: { qa: { enabled: false }, edit: { model: 'gemini-2.5-pro', temperature: 0.4 } } },
+    }));
+
+    expect(parsed.success).toBe(true);
+    expect(parsed.data.subtitlesOnly).toMatchObject({
+      batchSize: 25,
+      stages: { transcreate: { enabled: true }, qa: { enabled: false }, edit: { enabled: true, model: 'gemini-2.5-pro' }, judge: { enabled: false } },
+      postProcessors: { lineBreaking: true, readabilityCheck: true, timing: false },
+    });
+    expect(resolvePipelineProfile('subtitlesOnly', parsed.data).name).toBe('subtitlesOnly');
+  });
+
+  it('lets a configured profile replace a built-in one of the same name', () => {
+    const parsed = parseConfiguredProfiles(JSON.stringify({ standard: { batchSize: 10 } }));
+    expect(resolvePipelineProfile('standard', parsed.data).batchSize).toBe(10);
+  });
+
+  it.each([
+    ['a disabled transcreate stage', { stages: { transcreate: { enabled: false } } }],
+    ['an unknown stage', { stages: { polish: {} } }],
+    ['an unknown stage option', { stages: { edit: { retries: 2 } } }],
+    ['an out-of-range batch size', { batchSize: 0 }],
+    ['an out-of-range temperature', { stages: { qa: { temperature: 3 } } }],
+  ])('rejects a profile with %s', (_, profile) => {
+    expect(parseConfiguredProfiles(JSON.stringify({ custom: profile })).success).toBe(false);
+  });
+
+  it('names the available profiles when a job asks for an unknown one', () => {
+    expect(() => resolvePipelineProfile('cinema', { custom: BUILT_IN_PIPELINE_PROFILES.draft }))
+      .toThrow('Unknown pipeline profile "cinema". Available profiles: draft, standard, premium, custom.');
+  });
+});
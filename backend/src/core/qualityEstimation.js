@@ -0,0 +1,186 @@
+// ===== PRODUCTION-READY QUALITY ESTIMATION REPORT =====
+// Pure scoring of finished translations from two independent signals: how close a
+// back-translation of each line comes to its source (cosine similarity of their embeddings),
+// and the adequacy and fluency a judge agent gives it. Lines scoring below a threshold are
+// flagged, so reviewers can start with the lines most likely to be wrong.
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Judge scores run from 1 (unusable) to 5 (perfect). `minSimilarity` is the default for the
+// LLM provider's embedding model; see MIN_SIMILARITY_BY_EMBEDDING_PROVIDER.
+export const QUALITY_THRESHOLD_DEFAULTS = Object.freeze({
+  minSimilarity: 0.8,
+  minAdequacy: 3,
+  minFluency: 3,
+});
+
+// The default similarity threshold for each EMBEDDING_PROVIDER. A model embedder scores a faithful
+// paraphrase close to 1, like the translation memory's TRANSLATION_MEMORY_MIN_SCORE assumes; the
+// local hashing embedder only sees shared words, so it scores the same back-translation much lower.
+export const MIN_SIMILARITY_BY_EMBEDDING_PROVIDER = Object.freeze({
+  llm: QUALITY_THRESHOLD_DEFAULTS.minSimilarity,
+  hash: 0.6,
+});
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * The thresholds a line's scores are checked against.
+ * @typedef {object} QualityThresholds
+ * @property {number} minSimilarity - Minimum similarity (0-1) of the back-translation to the source.
+ * @property {number} minAdequacy - Minimum judge adequacy score (1-5): how much of the meaning is carried over.
+ * @property {number} minFluency - Minimum judge fluency score (1-5): how natural the translation reads.
+ */
+
+/**
+ * The raw signals gathered for one line. A signal that was not gathered, or whose call failed, is null.
+ * @typedef {object} LineQualitySignals
+ * @property {number} sequence - The line's sequence number.
+ * @property {string|null} backTranslation - The translation rendered back into the source language.
+ * @property {number|null} similarity - Similarity of the back-translation to the source.
+ * @property {number|null} adequacy - The judge's adequacy score.
+ * @property {number|null} fluency - The judge's fluency score.
+ * @property {string|null} reason - The judge's explanation of its scores.
+ */
+
+/**
+ * A threshold a line falls below.
+ * @typedef {object} QualityFlag
+ * @property {'low_similarity'|'low_adequacy'|'low_fluency'} rule - The threshold missed.
+ * @property {number} value - The line's score.
+ * @property {number} limit - The threshold it was checked against.
+ * @property {string} message - Human-readable description, suitable for the UI.
+ */
+
+/**
+ * The assessment of one line. `isScored` is false when no signal could be gathered; `isStale` is
+ * set once the line is revised, since its scores no longer describe its text.
+ * @typedef {LineQualitySignals & {flags: QualityFlag[], isFlagged: boolean, isScored: boolean, isStale: boolean}} LineQuality
+ */
+
+/**
+ * The quality report stored on a job.
+ * @typedef {object} QualityReport
+ * @property {'complete'|'skipped'} status - Whether the lines were assessed.
+ * @property {string|null} reason - Why quality estimation was skipped.
+ * @property {QualityThresholds} thresholds - The thresholds applied.
+ * @property {Array<'backTranslation'|'judge'>} signals - The signals gathered.
+ * @property {{evaluatedLines: number, scoredLines: number, flaggedLines: number, averages: {similarity: number|null, adequacy: number|null, fluency: number|null}}} summary
+ * @property {LineQuality[]} lines - One entry per assessed line, in order.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+const _round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * The mean of the non-null values, or null if there are none.
+ * @private
+ */
+function _average(values) {
+  const present = values.filter(value => value !== null);
+  return present.length > 0 ? _round(present.reduce((sum, value) => sum + value, 0) / present.length) : null;
+}
+
+/**
+ * Counts and averages the assessed lines. Stale lines are left out of the averages and the flagged count.
+ * @private
+ * @param {LineQuality[]} lines - The assessed lines.
+ * @returns {QualityReport['summary']}
+ */
+function _summarize(lines) {
+  const current = lines.filter(line => line.isScored && !line.isStale);
+  return {
+    evaluatedLines: lines.length,
+    scoredLines: lines.filter(line => line.isScored).length,
+    flaggedLines: lines.filter(line => line.isFlagged).length,
+    averages: {
+      similarity: _average(current.map(line => line.similarity)),
+      adequacy: _average(current.map(line => line.adequacy)),
+      fluency: _average(current.map(line => line.fluency)),
+    },
+  };
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Builds the thresholds for a job, applying any per-job overrides.
+ * @param {Partial<QualityThresholds>} [overrides={}] - Thresholds set explicitly for the job; other keys are ignored.
+ * @param {'llm'|'hash'} [embeddingProvider='llm'] - The embedder similarities are measured with; it sets the default `minSimilarity`.
+ * @returns {QualityThresholds} The thresholds to apply.
+ */
+export function resolveQualityThresholds(overrides = {}, embeddingProvider = 'llm') {
+  const { minSimilarity, minAdequacy, minFluency } = overrides;
+  return {
+    minSimilarity: minSimilarity ?? MIN_SIMILARITY_BY_EMBEDDING_PROVIDER[embeddingProvider] ?? QUALITY_THRESHOLD_DEFAULTS.minSimilarity,
+    minAdequacy: minAdequacy ?? QUALITY_THRESHOLD_DEFAULTS.minAdequacy,
+    minFluency: minFluency ?? QUALITY_THRESHOLD_DEFAULTS.minFluency,
+  };
+}
+
+/**
+ * Checks one line's signals against the thresholds. A missing signal is not flagged.
+ * @param {LineQualitySignals} signals - The line's signals.
+ * @param {QualityThresholds} thresholds - The thresholds to apply.
+ * @returns {LineQuality} The assessment.
+ */
+export function assessLineQuality(signals, thresholds) {
+  const similarity = signals.similarity === null ? null : _round(signals.similarity);
+  const flags = [];
+  const add = (rule, value, limit, message) => flags.push({ rule, value, limit, message });
+
+  if (similarity !== null && similarity < thresholds.minSimilarity) {
+    add('low_similarity', similarity, thresholds.minSimilarity,
+      `The back-translation is ${similarity} similar to the source (minimum ${thresholds.minSimilarity}).`);
+  }
+  if (signals.adequacy !== null && signals.adequacy < thresholds.minAdequacy) {
+    add('low_adequacy', signals.adequacy, thresholds.minAdequacy, `Adequacy rated ${signals.adequacy}/5 (minimum ${thresholds.minAdequacy}).`);
+  }
+  if (signals.fluency !== null && signals.fluency < thresholds.minFluency) {
+    add('low_fluency', signals.fluency, thresholds.minFluency, `Fluency rated ${signals.fluency}/5 (minimum ${thresholds.minFluency}).`);
+  }
+  return {
+    ...signals,
+    similarity,
+    flags,
+    isFlagged: flags.length > 0,
+    isScored: similarity !== null || signals.adequacy !== null || signals.fluency !== null,
+    isStale: false,
+  };
+}
+
+/**
+ * Assesses every line and summarizes the result.
+ * @param {LineQualitySignals[]} lineSignals - The signals of each assessed line, in order.
+ * @param {QualityThresholds} thresholds - The thresholds to apply.
+ * @param {Array<'backTranslation'|'judge'>} signals - Which signals were gathered.
+ * @returns {QualityReport} The report.
+ */
+export function buildQualityReport(lineSignals, thresholds, signals) {
+  const lines = lineSignals.map(entry => assessLineQuality(entry, thresholds));
+  return { status: 'complete', reason: null, thresholds, signals, summary: _summarize(lines), lines };
+}
+
+/**
+ * Builds the report of a job whose quality was not estimated, e.g. because its budget ran out.
+ * @param {QualityThresholds} thresholds - The thresholds that would have applied.
+ * @param {Array<'backTranslation'|'judge'>} signals - The signals that would have been gathered.
+ * @param {string} reason - Why quality estimation was skipped.
+ * @returns {QualityReport} The report.
+ */
+export function buildSkippedQualityReport(thresholds, signals, reason) {
+  return { status: 'skipped', reason, thresholds, signals, summary: _summarize([]), lines: [] };
+}
+
+/**
+ * Marks revised lines as stale: their scores are kept for reference, but they are no longer flagged.
+ * @param {QualityReport} report - The job's report.
+ * @param {Set<number>|Map<number, any>} revisedSequences - The sequences that were revised.
+ * @returns {QualityReport} A new report.
+ */
+export function markQualityStale(report, revisedSequences) {
+  const lines = report.lines.map(line => revisedSequences.has(line.sequence)
+    ? { ...line, isFlagged: false, isStale: true }
+    : line);
+  return { ...report, summary: _summarize(lines), lines };
+}
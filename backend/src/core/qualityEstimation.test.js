@@ -0,0 +1,48 @@
+import { describe, it, expect } from '@jest/globals';
+import { buildQualityReport, markQualityStale, resolveQualityThresholds, MIN_SIMILARITY_BY_EMBEDDING_PROVIDER } from './qualityEstimation.js';
+
+const THRESHOLDS = { minSimilarity: 0.6, minAdequacy: 3, minFluency: 3 };
+const signals = (sequence, similarity, adequacy, fluency) => ({ sequence, backTranslation: null, similarity, adequacy, fluency, reason: null });
+
+describe('buildQualityReport', () => {
+  it('flags each threshold a line falls below', () => {
+    const report = buildQualityReport([signals(1, 0.9, 5, 5), signals(2, 0.412, 2, 4)], THRESHOLDS, ['backTranslation', 'judge']);
+
+    expect(report.lines[0]).toMatchObject({ isFlagged: false, isScored: true, flags: [] });
+    expect(report.lines[1].similarity).toBe(0.41);
+    expect(report.lines[1].flags.map(flag => flag.rule)).toEqual(['low_similarity', 'low_adequacy']);
+    expect(report.summary).toEqual({
+      evaluatedLines: 2, scoredLines: 2, flaggedLines: 1, averages: { similarity: 0.66, adequacy: 3.5, fluency: 4.5 },
+    });
+  });
+
+  it('neither flags nor scores a line whose signals were not gathered', () => {
+    const report = buildQualityReport([signals(1, null, null, null)], THRESHOLDS, ['backTranslation', 'judge']);
+    expect(report.lines[0]).toMatchObject({ isFlagged: false, isScored: false });
+    expect(report.summary.averages).toEqual({ similarity: null, adequacy: null, fluency: null });
+  });
+});
+
+describe('markQualityStale', () => {
+  it('keeps the scores of revised lines but stops flagging them', () => {
+    const report = buildQualityReport([signals(1, 0.2, 1, 1), signals(2, 0.3, 1, 1)], THRESHOLDS, ['backTranslation', 'judge']);
+    const stale = markQualityStale(report, new Set([1]));
+
+    expect(stale.lines[0]).toMatchObject({ similarity: 0.2, isFlagged: false, isStale: true });
+    expect(stale.lines[1]).toMatchObject({ isFlagged: true, isStale: false });
+    expect(stale.summary.flaggedLines).toBe(1);
+  });
+});
+
+describe('resolveQualityThresholds', () => {
+  it('keeps thresholds set for the job and defaults the others, whatever the embedder', () => {
+    const thresholds = resolveQualityThresholds({ minSimilarity: 0.7, minFluency: 4 }, 'hash');
+    expect(thresholds).toEqual({ minSimilarity: 0.7, minAdequacy: 3, minFluency: 4 });
+  });
+
+  it('defaults the similarity threshold to the one for the embedder in use', () => {
+    expect(resolveQualityThresholds({}, 'llm').minSimilarity).toBe(MIN_SIMILARITY_BY_EMBEDDING_PROVIDER.llm);
+    expect(resolveQualityThresholds({}, 'hash').minSimilarity).toBe(MIN_SIMILARITY_BY_EMBEDDING_PROVIDER.hash);
+    expect(MIN_SIMILARITY_BY_EMBEDDING_PROVIDER.hash).toBeLessThan(MIN_SIMILARITY_BY_EMBEDDING_PROVIDER.llm);
+  });
+});
@@ -0,0 +1,173 @@
+// ===== PRODUCTION-READY READABILITY ANALYZER =====
+// Pure, deterministic checks of translated subtitles against reading-speed and layout limits.
+// Unlike the LLM-based Phantom Sync agent, this measures every cue exactly, so its results
+// can be stored on the job and shown to the user as concrete, per-line violations.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { parseTimestamp } from './timecode.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Timing limits that do not depend on the language. Per-language limits come from the profile.
+export const READABILITY_DEFAULTS = Object.freeze({
+  minDurationSeconds: 5 / 6, // 20 frames at 24 fps
+  maxDurationSeconds: 7,
+  minGapSeconds: 2 / 24, // 2 frames at 24 fps
+});
+
+// Timestamps have millisecond precision, so limits are compared with this much tolerance.
+const TIMESTAMP_TOLERANCE_SECONDS = 0.001;
+
+// Bidi controls and zero-width joiners take no space on screen and are not read.
+const INVISIBLE_CHARACTERS = /[\u200B-\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g;
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * The limits a cue is checked against.
+ * @typedef {object} ReadabilityLimits
+ * @property {number} maxCps - Maximum characters per second.
+ * @property {number} maxCharsPerLine - Maximum characters on a single line.
+ * @property {number} maxLines - Maximum number of lines in a cue.
+ * @property {number} minDurationSeconds - Minimum time a cue stays on screen.
+ * @property {number} maxDurationSeconds - Maximum time a cue stays on screen.
+ * @property {number} minGapSeconds - Minimum gap between consecutive cues.
+ */
+
+/**
+ * The measurements of a single cue.
+ * @typedef {object} CueMetrics
+ * @property {number} durationSeconds - Time on screen.
+ * @property {number} charCount - Visible characters, excluding line breaks.
+ * @property {number|null} cps - Characters per second, or null for a zero-length cue (reported as too short instead).
+ * @property {number} lineCount - Number of lines.
+ * @property {number} longestLineLength - Visible characters on the longest line.
+ * @property {number|null} gapBeforeSeconds - Gap to the previous cue (negative when they overlap), or null for the first cue.
+ * @property {number|null} gapAfterSeconds - Gap to the next cue (negative when they overlap), or null for the last cue.
+ */
+
+/**
+ * A limit a cue breaks.
+ * @typedef {object} ReadabilityViolation
+ * @property {'cps'|'chars_per_line'|'line_count'|'min_duration'|'max_duration'|'min_gap'|'overlap'} rule - The limit broken.
+ * @property {number} value - The measured value.
+ * @property {number} limit - The limit it was checked against.
+ * @property {string} message - Human-readable description, suitable for the UI.
+ */
+
+/**
+ * The result for one cue that breaks at least one limit.
+ * @typedef {object} ReadabilityReport
+ * @property {number} sequence - The cue's sequence number.
+ * @property {CueMetrics} metrics - The cue's measurements.
+ * @property {ReadabilityViolation[]} violations - Every limit the cue breaks.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+const _round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * Measures one cue in the context of its neighbours.
+ * @private
+ * @param {import('./srtParser.js').SrtLine} line - The cue to measure.
+ * @param {import('./srtParser.js').SrtLine|undefined} previous - The cue before it.
+ * @param {import('./srtParser.js').SrtLine|undefined} next - The cue after it.
+ * @returns {CueMetrics} The measurements.
+ */
+function _measureCue(line, previous, next) {
+  const start = parseTimestamp(line.startTime);
+  const end = parseTimestamp(line.endTime);
+  const durationSeconds = Math.max(end - start, 0);
+  const textLines = line.text.split('\n');
+  const charCount = textLines.reduce((total, textLine) => total + countVisibleCharacters(textLine), 0);
+
+  return {
+    durationSeconds: _round(durationSeconds, 3),
+    charCount,
+    cps: durationSeconds > 0 ? _round(charCount / durationSeconds) : null,
+    lineCount: textLines.length,
+    longestLineLength: Math.max(...textLines.map(countVisibleCharacters)),
+    gapBeforeSeconds: previous ? _round(start - parseTimestamp(previous.endTime), 3) : null,
+    gapAfterSeconds: next ? _round(parseTimestamp(next.startTime) - end, 3) : null,
+  };
+}
+
+/**
+ * Compares a cue's measurements with the limits.
+ * @private
+ * @param {CueMetrics} metrics - The cue's measurements.
+ * @param {ReadabilityLimits} limits - The limits to apply.
+ * @param {number|undefined} nextSequence - The sequence of the following cue, for gap messages.
+ * @returns {ReadabilityViolation[]} Every limit the cue breaks.
+ */
+function _findViolations(metrics, limits, nextSequence) {
+  const violations = [];
+  const add = (rule, value, limit, message) => violations.push({ rule, value, limit, message });
+
+  if (metrics.cps !== null && metrics.cps > limits.maxCps) {
+    add('cps', metrics.cps, limits.maxCps, `Reading speed is ${metrics.cps} CPS (limit ${limits.maxCps}).`);
+  }
+  if (metrics.longestLineLength > limits.maxCharsPerLine) {
+    add('chars_per_line', metrics.longestLineLength, limits.maxCharsPerLine,
+      `A line has ${metrics.longestLineLength} characters (limit ${limits.maxCharsPerLine}).`);
+  }
+  if (metrics.lineCount > limits.maxLines) {
+    add('line_count', metrics.lineCount, limits.maxLines, `The cue has ${metrics.lineCount} lines (limit ${limits.maxLines}).`);
+  }
+  if (metrics.durationSeconds < limits.minDurationSeconds - TIMESTAMP_TOLERANCE_SECONDS) {
+    add('min_duration', metrics.durationSeconds, _round(limits.minDurationSeconds, 3),
+      `On screen for ${metrics.durationSeconds}s (minimum ${_round(limits.minDurationSeconds, 3)}s).`);
+  }
+  if (metrics.durationSeconds > limits.maxDurationSeconds) {
+    add('max_duration', metrics.durationSeconds, limits.maxDurationSeconds,
+      `On screen for ${metrics.durationSeconds}s (maximum ${limits.maxDurationSeconds}s).`);
+  }
+  // Gaps are reported on the earlier cue of each pair, so each pair is reported once.
+  if (metrics.gapAfterSeconds !== null && metrics.gapAfterSeconds < 0) {
+    add('overlap', metrics.gapAfterSeconds, 0, `Overlaps line ${nextSequence} by ${-metrics.gapAfterSeconds}s.`);
+  } else if (metrics.gapAfterSeconds !== null && metrics.gapAfterSeconds < limits.minGapSeconds - TIMESTAMP_TOLERANCE_SECONDS) {
+    add('min_gap', metrics.gapAfterSeconds, _round(limits.minGapSeconds, 3),
+      `Only ${metrics.gapAfterSeconds}s before line ${nextSequence} (minimum ${_round(limits.minGapSeconds, 3)}s).`);
+  }
+  return violations;
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Counts the characters a viewer actually reads (bidi controls and zero-width joiners excluded).
+ * @param {string} text - Plain subtitle text.
+ * @returns {number} The number of visible characters.
+ */
+export function countVisibleCharacters(text) {
+  return text.replace(INVISIBLE_CHARACTERS, '').length;
+}
+
+/**
+ * Builds the limits for a target language, applying any per-job overrides.
+ * @param {import('./languages.js').LanguageProfile} profile - The target language profile.
+ * @param {Partial<ReadabilityLimits>} [overrides={}] - Limits set explicitly for the job.
+ * @returns {ReadabilityLimits} The limits to apply.
+ */
+export function resolveReadabilityLimits(profile, overrides = {}) {
+  const { maxCps, maxCharsPerLine, maxLines } = profile;
+  return { ...READABILITY_DEFAULTS, maxCps, maxCharsPerLine, maxLines, ...overrides };
+}
+
+/**
+ * Measures every cue and reports those that break a readability limit.
+ * Cues must be in playback order; gaps are measured between consecutive entries.
+ * @param {Array<import('./srtParser.js').SrtLine>} lines - The translated cues.
+ * @param {ReadabilityLimits} limits - The limits to apply (see resolveReadabilityLimits).
+ * @returns {ReadabilityReport[]} One entry per offending cue, in order; empty if every cue is readable.
+ */
+export function analyzeReadability(lines, limits) {
+  if (!Array.isArray(lines)) {
+    return [];
+  }
+  return lines.flatMap((line, index) => {
+    const metrics = _measureCue(line, lines[index - 1], lines[index + 1]);
+    const violations = _findViolations(metrics, limits, lines[index + 1]?.sequence);
+    return violations.length > 0 ? [{ sequence: line.sequence, metrics, violations }] : [];
+  });
+}
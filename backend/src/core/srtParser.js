@@ -5,6 +5,7 @@
 // ===== IMPORTS & DEPENDENCIES =====
 import SrtParser from 'srt-parser-2';
 import { BadRequestError } from '../utils/errors.js'; // Import our standard API error
+import { MARKUP_PATTERNS, extractMarkup, applyMarkup, validateMarkup } from './markup.js';
 
 // ===== CONFIGURATION & CONSTANTS =====
 const parser = new SrtParser();
@@ -32,7 +33,9 @@ class SrtParsingError extends BadRequestError {
  * @property {string} startTime - The start timestamp string in SRT format (e.g., "00:00:20,490").
  * @property {string} endTime - The end timestamp string in SRT format (e.g., "00:00:22,490").
  * @property {number} duration - The calculated duration of the line in seconds.
- * @property {string} text - The sanitized (HTML-stripped and trimmed) text of the subtitle.
+ * @property {string} text - The plain (tag-free and trimmed) text of the subtitle.
+ * @property {import('./markup.js').MarkupTag[]} [markup] - Inline formatting tags removed from `text`, anchored by offset.
+ * @property {import('./markup.js').MarkupIssue[]} [markupIssues] - Problems found in the source markup, if any.
  */
 
 // ===== PRIVATE HELPER FUNCTIONS =====
@@ -46,12 +49,17 @@ class SrtParsingError extends BadRequestError {
  */
 function _mapToSrtLine(libLine) {
   const duration = libLine.endTimeSeconds - libLine.startTimeSeconds;
+  // Tags are kept aside rather than stripped, so italics, bold and colours survive translation.
+  const { text, markup } = extractMarkup(libLine.text, MARKUP_PATTERNS.srt);
+  const markupIssues = validateMarkup(libLine.text, 'srt');
   return {
     sequence: parseInt(libLine.id, 10),
     startTime: libLine.startTime,
     endTime: libLine.endTime,
     duration: isNaN(duration) ? 0 : parseFloat(duration.toFixed(3)),
-    text: libLine.text.replace(/<[^>]*>/g, '').trim(),
+    text,
+    markup,
+    ...(markupIssues.length > 0 && { markupIssues }),
   };
 }
 
@@ -66,7 +74,7 @@ function _mapFromSrtLine(srtLine) {
     id: srtLine.sequence.toString(),
     startTime: srtLine.startTime,
     endTime: srtLine.endTime,
-    text: srtLine.text,
+    text: applyMarkup(srtLine.text, srtLine.markup),
   };
 }
 
@@ -74,7 +82,7 @@ function _mapFromSrtLine(srtLine) {
 
 /**
  * Parses a raw SRT string into a structured array of subtitle lines.
- * It sanitizes the data, strips HTML, and calculates the duration for each line.
+ * It sanitizes the data, separates inline tags from the text, and calculates the duration for each line.
  * @param {string} srtContent - The full content of an SRT file.
  * @returns {SrtLine[]} An array of structured SrtLine objects.
  * @throws {BadRequestError} If the SRT content is not a string or is empty.
@@ -0,0 +1,158 @@
+// ===== PRODUCTION-READY SUBTITLE FORMAT DISPATCHER =====
+// A single entry point for reading and writing every subtitle format the platform supports.
+// Callers work with a format-agnostic SubtitleDocument and never need to know which parser ran.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { parseSrt, toSrtString } from './srtParser.js';
+import { parseVtt, toVttString } from './vttParser.js';
+import { parseAss, toAssString } from './assParser.js';
+import { KNOWN_TAGS } from './markup.js';
+import { BadRequestError } from '../utils/errors.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+export const SUBTITLE_FORMATS = Object.freeze(['srt', 'vtt', 'ass']);
+// Media types for serving each format as a file download.
+export const SUBTITLE_CONTENT_TYPES = Object.freeze({
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+  ass: 'text/x-ssa; charset=utf-8',
+});
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A parsed subtitle file in any supported format. Format-specific fields
+ * (e.g., WebVTT `header` and `blocks`, ASS `sections` and `events`) are carried along untouched.
+ * @typedef {object} SubtitleDocument
+ * @property {'srt'|'vtt'|'ass'} format - The format the document was parsed from.
+ * @property {Array<import('./srtParser.js').SrtLine>} lines - The subtitle lines, in order.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Whether the target format can render an inline tag. HTML-like tags are checked by name against
+ * the format's own set, so WebVTT-only tags (<v Bob>, <c.yellow>, <ruby>, inline timestamps) never
+ * reach an SRT file. Override blocks ({\\i1}) are valid in ASS and, by common player support, in
+ * SRT; ASS comments ({like this}) only in ASS.
+ * @private
+ * @param {string} tag - The raw tag.
+ * @param {'srt'|'vtt'|'ass'} format - The output format.
+ * @returns {boolean}
+ */
+function _isSupportedTag(tag, format) {
+  if (tag.startsWith('{')) {
+    return format === 'ass' || (format === 'srt' && tag.startsWith('{\\'));
+  }
+  if (/^<\d/.test(tag)) {
+    return format === 'vtt';
+  }
+  const name = /^<\/?([a-zA-Z]+)/.exec(tag)?.[1].toLowerCase();
+  return name !== undefined && (KNOWN_TAGS[format] ?? []).includes(name);
+}
+
+/**
+ * Removes the text of WebVTT ruby annotations (<rt>…</rt>), which would otherwise be read inline
+ * after their base text. An annotation without a closing tag ends at the next <rt>, at </ruby> or
+ * at the end of the cue.
+ * @private
+ * @param {{text: string, markup: Array<import('./markup.js').MarkupTag>}} line - The line's text and markup.
+ * @returns {{text: string, markup: Array<import('./markup.js').MarkupTag>}} The text without annotations.
+ */
+function _removeRubyText({ text, markup }) {
+  const startIndex = markup.findIndex(({ tag }) => /^<rt\b/i.test(tag));
+  if (startIndex === -1) {
+    return { text, markup };
+  }
+  const endIndex = markup.findIndex(({ tag }, index) => index > startIndex && /^<(?:\/rt|\/ruby|rt\b)/i.test(tag));
+  const from = markup[startIndex].offset;
+  const to = endIndex === -1 ? text.length : markup[endIndex].offset;
+  const shifted = markup
+    .filter((_, index) => index !== startIndex && !(index === endIndex && /^<\/rt/i.test(markup[index].tag)))
+    .map(({ offset, tag }) => ({ offset: offset <= from ? offset : Math.max(offset - (to - from), from), tag }));
+  return _removeRubyText({ text: text.slice(0, from) + text.slice(to), markup: shifted });
+}
+
+/**
+ * Drops inline tags the target format cannot render. A dropped pair unwraps its text, except
+ * ruby annotations, whose text is dropped with them.
+ * @private
+ * @param {Array<import('./srtParser.js').SrtLine>} lines - The lines to convert.
+ * @param {'srt'|'vtt'|'ass'} format - The output format.
+ * @returns {Array<import('./srtParser.js').SrtLine>} The lines with compatible markup only.
+ */
+function _convertMarkup(lines, format) {
+  return lines.map(line => {
+    const converted = format === 'vtt' ? { text: line.text, markup: line.markup ?? [] } : _removeRubyText({ text: line.text, markup: line.markup ?? [] });
+    return { ...line, text: converted.text, markup: converted.markup.filter(({ tag }) => _isSupportedTag(tag, format)) };
+  });
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Detects the format of raw subtitle content.
+ * @param {string} content - The raw file content.
+ * @returns {'srt'|'vtt'|'ass'|null} The detected format, or null if the content is not a subtitle file (e.g., plain text).
+ */
+export function detectSubtitleFormat(content) {
+  if (typeof content !== 'string') {
+    return null;
+  }
+  const head = content.replace(/^\uFEFF/, '').trimStart();
+  if (/^WEBVTT(?:[ \t\r\n]|$)/.test(head)) {
+    return 'vtt';
+  }
+  // .ssa and .ass scripts both start with [Script Info]; some tools omit it, but never [Events].
+  if (/^\[Script Info\]/i.test(head) || /^\[Events\]\s*$/m.test(content)) {
+    return 'ass';
+  }
+  if (content.includes('-->')) {
+    return 'srt';
+  }
+  return null;
+}
+
+/**
+ * Parses raw subtitle content in any supported format.
+ * @param {string} content - The raw file content.
+ * @returns {SubtitleDocument} The parsed document.
+ * @throws {BadRequestError} If the format cannot be detected or the content is malformed.
+ */
+export function parseSubtitles(content) {
+  const format = detectSubtitleFormat(content);
+  switch (format) {
+    case 'vtt':
+      return parseVtt(content);
+    case 'ass':
+      return parseAss(content);
+    case 'srt':
+      return { format, lines: parseSrt(content) };
+    default:
+      throw new BadRequestError(`Unrecognized subtitle format. Supported formats: ${SUBTITLE_FORMATS.join(', ')}.`);
+  }
+}
+
+/**
+ * Serializes a subtitle document. When the target format differs from the one the
+ * document was parsed from, only the lines are converted; format-specific metadata and
+ * inline tags the target format cannot render are dropped.
+ * @param {SubtitleDocument} document - The document to serialize.
+ * @param {'srt'|'vtt'|'ass'} [format=document.format] - The output format.
+ * @returns {string} The serialized subtitle file.
+ * @throws {BadRequestError} If the output format is not supported.
+ */
+export function serializeSubtitles(document, format = document.format) {
+  const sameFormat = format === document.format;
+  const lines = sameFormat ? document.lines : _convertMarkup(document.lines, format);
+  switch (format) {
+    case 'vtt':
+      return toVttString(sameFormat ? document : { lines });
+    case 'ass':
+      return toAssString(sameFormat ? document : { lines });
+    case 'srt':
+      return toSrtString(lines);
+    default:
+      throw new BadRequestError(`Unsupported output format "${format}". Supported formats: ${SUBTITLE_FORMATS.join(', ')}.`);
+  }
+}
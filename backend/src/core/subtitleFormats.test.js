@@ -0,0 +1,80 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseSubtitles, serializeSubtitles } from './subtitleFormats.js';
+
+const VTT_WITH_VTT_ONLY_TAGS = `WEBVTT
+
+00:00:01.000 --> 00:00:02.000
+<v Bob>Hello <c.yellow>there</c></v>
+
+00:00:03.000 --> 00:00:04.000
+<lang en>Hi</lang> <ruby>漢<rt>kan</rt>字<rt>ji</ruby> <i>yes</i>
+
+00:00:05.000 --> 00:00:06.000
+One <00:00:05.500>two
+`;
+
+const SRT_WITH_SRT_ONLY_TAGS = `1
+00:00:01,000 --> 00:00:02,000
+{\\an8}<font color="red">Hi</font> <s>gone</s> <b>bold</b>
+`;
+
+const ASS_WITH_COMMENT = `[Script Info]
+ScriptType: v4.00+
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,2,2,10,10,10,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,{\\i1}Hello{\\i0} {note to self}there
+`;
+
+const convert = (content, format) => serializeSubtitles(parseSubtitles(content), format);
+const cueTexts = (content) => parseSubtitles(content).lines.map(line => line.text);
+
+describe('serializeSubtitles markup conversion', () => {
+  it('drops WebVTT-only tags when writing SRT and keeps the shared ones', () => {
+    const srt = convert(VTT_WITH_VTT_ONLY_TAGS, 'srt');
+    expect(srt).not.toMatch(/<v |<c\.|<lang|<ruby|<rt|<\d/);
+    expect(srt).toContain('Hello there');
+    expect(srt).toContain('<i>yes</i>');
+  });
+
+  it('drops ruby annotations with their text instead of reading them inline', () => {
+    expect(cueTexts(convert(VTT_WITH_VTT_ONLY_TAGS, 'srt'))[1]).toBe('Hi 漢字 yes');
+  });
+
+  it('drops every HTML-like tag when writing ASS', () => {
+    const ass = convert(VTT_WITH_VTT_ONLY_TAGS, 'ass');
+    expect(ass).not.toMatch(/<[^>]+>/);
+    expect(ass).toContain(',Hi 漢字 yes');
+  });
+
+  it('drops SRT-only tags and override blocks when writing WebVTT', () => {
+    const vtt = convert(SRT_WITH_SRT_ONLY_TAGS, 'vtt');
+    expect(vtt).not.toMatch(/<font|<\/?s>|\{/);
+    expect(vtt).toContain('Hi gone <b>bold</b>');
+  });
+
+  it('keeps override blocks but not ASS comments when writing SRT', () => {
+    const srt = convert(ASS_WITH_COMMENT, 'srt');
+    expect(srt).toContain('{\\i1}Hello{\\i0} there');
+    expect(srt).not.toContain('note to self');
+  });
+
+  it('round-trips the tags both formats support between SRT and WebVTT', () => {
+    const srt = `1
+00:00:01,000 --> 00:00:02,000
+<i>Hello</i> <b>there</b>, <u>friend</u>
+`;
+    const roundTripped = convert(convert(srt, 'vtt'), 'srt');
+    expect(cueTexts(roundTripped)).toEqual(cueTexts(srt));
+    expect(parseSubtitles(roundTripped).lines[0].markup).toEqual(parseSubtitles(srt).lines[0].markup);
+  });
+
+  it('leaves every tag in place when the format does not change', () => {
+    expect(convert(VTT_WITH_VTT_ONLY_TAGS, 'vtt')).toContain('<v Bob>Hello <c.yellow>there</c></v>');
+    expect(convert(SRT_WITH_SRT_ONLY_TAGS, 'srt')).toContain('{\\an8}<font color="red">Hi</font> <s>gone</s>');
+  });
+});
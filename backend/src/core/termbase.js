@@ -0,0 +1,100 @@
+// ===== PRODUCTION-READY TERMBASE UTILITY =====
+// Pure functions for applying a project's termbase to a blueprint glossary.
+//
+// A project's termbase holds decisions that outlive a single job: the approved translation of
+// each term, terms that must stay untranslated, and variants that must never be used. Terms
+// from the termbase are locked: the blueprint agent is told about them, and afterwards the
+// glossary is corrected so that a locked term always carries its approved translation,
+// whatever the agent proposed.
+
+// ===== CONFIGURATION & CONSTANTS =====
+const DEFAULT_LOCKED_JUSTIFICATION = 'Approved in the project termbase.';
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * An entry in a project's termbase.
+ * @typedef {object} TermbaseEntry
+ * @property {string} term - The source-language term.
+ * @property {string} translation - The approved translation; empty when `doNotTranslate` is set.
+ * @property {string} notes - Guidance for translators and reviewers.
+ * @property {boolean} doNotTranslate - Whether the term must appear in its source form.
+ * @property {string[]} forbiddenVariants - Translations that must not be used.
+ */
+
+/**
+ * A blueprint glossary entry. Entries from the termbase are marked `locked`.
+ * @typedef {object} GlossaryEntry
+ * @property {string} term - The source-language term.
+ * @property {string} proposedTranslation - The translation to use.
+ * @property {string} justification - Why this translation was chosen.
+ * @property {boolean} [locked] - Whether the entry comes from the project termbase.
+ * @property {boolean} [doNotTranslate] - Whether the term must appear in its source form.
+ * @property {string[]} [forbiddenVariants] - Translations that must not be used.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Escapes a string for literal use inside a regular expression.
+ * @private
+ */
+function _escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Converts a termbase entry into the glossary entry the agents see.
+ * @private
+ */
+function _toLockedGlossaryEntry(entry) {
+  return {
+    term: entry.term,
+    proposedTranslation: entry.doNotTranslate ? entry.term : entry.translation,
+    justification: entry.notes || DEFAULT_LOCKED_JUSTIFICATION,
+    locked: true,
+    doNotTranslate: entry.doNotTranslate,
+    forbiddenVariants: entry.forbiddenVariants ?? [],
+  };
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Normalizes a term for comparison, so "Lord  Commander" and "lord commander" are the same term.
+ * @param {string} term - The term.
+ * @returns {string} The comparison key.
+ */
+export function normalizeTerm(term) {
+  return term.normalize('NFC').trim().replace(/\s+/g, ' ').toLocaleLowerCase();
+}
+
+/**
+ * Selects the termbase entries that occur in a text as whole words, ignoring case.
+ * @param {TermbaseEntry[]} termbase - The project's termbase.
+ * @param {string} text - The source text (e.g., every subtitle line, joined).
+ * @returns {TermbaseEntry[]} The entries found, in termbase order.
+ */
+export function findTermsInText(termbase, text) {
+  const normalizedText = normalizeTerm(text);
+  return termbase.filter(entry => {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${_escapeRegExp(normalizeTerm(entry.term))}(?![\\p{L}\\p{N}])`, 'u');
+    return pattern.test(normalizedText);
+  });
+}
+
+/**
+ * Merges locked termbase entries into a glossary. Every locked term appears once, with its
+ * approved translation; any entry the agent proposed for it is replaced. The agent's other
+ * entries are kept as new proposals.
+ * @param {GlossaryEntry[]} [glossary=[]] - The glossary to correct.
+ * @param {TermbaseEntry[]} lockedTerms - The termbase entries that apply to the job.
+ * @returns {GlossaryEntry[]} The locked entries first, then the proposals.
+ */
+export function applyTermbase(glossary = [], lockedTerms) {
+  const lockedKeys = new Set(lockedTerms.map(entry => normalizeTerm(entry.term)));
+  const proposals = glossary
+    .filter(entry => typeof entry?.term === 'string' && !lockedKeys.has(normalizeTerm(entry.term)))
+    .map(entry => ({ ...entry, locked: false }));
+  return [...lockedTerms.map(_toLockedGlossaryEntry), ...proposals];
+}
@@ -0,0 +1,81 @@
+// ===== PRODUCTION-READY TEXT EMBEDDING UTILITIES =====
+// Pure vector helpers for the translation memory. `hashEmbedding` is a deterministic,
+// dependency-free embedder (feature hashing over words and character trigrams). It finds
+// near-identical wording rather than paraphrases, which is what a translation memory
+// mostly needs, and lets the memory run with no embedding model at all.
+
+// ===== CONFIGURATION & CONSTANTS =====
+export const HASH_EMBEDDING_DIMENSIONS = 512;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const FNV_OFFSET_BASIS = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ * @private
+ */
+function _fnv1a(value) {
+  let hash = FNV_OFFSET_BASIS;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, FNV_PRIME);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * The features of a text: its words, plus the character trigrams of each word so that
+ * inflected forms still overlap.
+ * @private
+ */
+function _features(text) {
+  const words = text.toLowerCase().match(WORD_PATTERN) ?? [];
+  return words.flatMap(word => {
+    const padded = ` ${word} `;
+    const trigrams = [];
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      trigrams.push(`#${padded.slice(i, i + 3)}`);
+    }
+    return [word, ...trigrams];
+  });
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Embeds a text by hashing its features into a fixed-size, L2-normalized vector.
+ * @param {string} text - The text to embed.
+ * @param {number} [dimensions=HASH_EMBEDDING_DIMENSIONS] - The vector size.
+ * @returns {number[]} The embedding; all zeros for a text without words.
+ */
+export function hashEmbedding(text, dimensions = HASH_EMBEDDING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  for (const feature of _features(text)) {
+    const hash = _fnv1a(feature);
+    // The top bit picks the sign, so unrelated features cancel out instead of piling up.
+    vector[hash % dimensions] += hash & 0x80000000 ? -1 : 1;
+  }
+  const norm = Math.hypot(...vector);
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Cosine similarity of two vectors of the same length.
+ * @param {number[]} a - The first vector.
+ * @param {number[]} b - The second vector.
+ * @returns {number} The similarity, from -1 to 1; 0 if either vector is all zeros.
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
@@ -0,0 +1,80 @@
+// ===== PRODUCTION-READY TIMECODE UTILITY =====
+// Pure functions for converting subtitle timestamps between seconds and the textual
+// forms used by SRT, WebVTT and ASS. Internally, every parsed subtitle line stores its
+// times as SRT-style strings ("HH:MM:SS,mmm"), so formats can be converted freely.
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Accepts "HH:MM:SS,mmm" (SRT), "HH:MM:SS.mmm" / "MM:SS.mmm" (WebVTT) and "H:MM:SS.cc" (ASS).
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/;
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Splits a non-negative number of seconds into whole time units.
+ * @private
+ * @param {number} totalSeconds - The time in seconds.
+ * @param {number} fractionDigits - Digits of sub-second precision (3 for milliseconds, 2 for centiseconds).
+ * @returns {{hours: number, minutes: number, seconds: number, fraction: number}}
+ */
+function _splitSeconds(totalSeconds, fractionDigits) {
+  const scale = 10 ** fractionDigits;
+  const totalUnits = Math.round(Math.max(0, totalSeconds) * scale);
+  const fraction = totalUnits % scale;
+  const wholeSeconds = Math.floor(totalUnits / scale);
+  return {
+    hours: Math.floor(wholeSeconds / 3600),
+    minutes: Math.floor((wholeSeconds % 3600) / 60),
+    seconds: wholeSeconds % 60,
+    fraction,
+  };
+}
+
+const _pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Parses an SRT, WebVTT or ASS timestamp into seconds.
+ * @param {string} timestamp - The timestamp string (e.g., "00:01:02,500", "01:02.500", "0:01:02.50").
+ * @returns {number} The time in seconds, or NaN if the timestamp is malformed.
+ */
+export function parseTimestamp(timestamp) {
+  const match = TIMESTAMP_PATTERN.exec(String(timestamp).trim());
+  if (!match) {
+    return NaN;
+  }
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  // The fraction's precision depends on its length: "5" = 0.5s, "50" = 0.50s, "500" = 0.500s.
+  const fractionSeconds = Number(fraction) / 10 ** fraction.length;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + fractionSeconds;
+}
+
+/**
+ * Formats seconds as an SRT timestamp ("HH:MM:SS,mmm").
+ * @param {number} totalSeconds - The time in seconds.
+ * @returns {string} The SRT timestamp.
+ */
+export function formatSrtTimestamp(totalSeconds) {
+  const { hours, minutes, seconds, fraction } = _splitSeconds(totalSeconds, 3);
+  return `${_pad(hours)}:${_pad(minutes)}:${_pad(seconds)},${_pad(fraction, 3)}`;
+}
+
+/**
+ * Formats seconds as a WebVTT timestamp ("HH:MM:SS.mmm").
+ * @param {number} totalSeconds - The time in seconds.
+ * @returns {string} The WebVTT timestamp.
+ */
+export function formatVttTimestamp(totalSeconds) {
+  const { hours, minutes, seconds, fraction } = _splitSeconds(totalSeconds, 3);
+  return `${_pad(hours)}:${_pad(minutes)}:${_pad(seconds)}.${_pad(fraction, 3)}`;
+}
+
+/**
+ * Formats seconds as an ASS/SSA timestamp ("H:MM:SS.cc", centisecond precision).
+ * @param {number} totalSeconds - The time in seconds.
+ * @returns {string} The ASS timestamp.
+ */
+export function formatAssTimestamp(totalSeconds) {
+  const { hours, minutes, seconds, fraction } = _splitSeconds(totalSeconds, 2);
+  return `${hours}:${_pad(minutes)}:${_pad(seconds)}.${_pad(fraction)}`;
+}
@@ -0,0 +1,275 @@
+// ===== PRODUCTION-READY TIMING OPTIMIZER =====
+// Pure functions that re-flow subtitle timing so translated cues can be read comfortably.
+// Translations often run longer than the source, so a cue that was fine in English can be
+// too fast in Persian. The optimizer gives such cues more time by extending them into free
+// gaps, then by borrowing a little time from neighbours, and finally by merging or
+// splitting cues. Every change is reported so it can be reviewed.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { parseTimestamp, formatSrtTimestamp } from './timecode.js';
+import { countVisibleCharacters } from './readability.js';
+import { splitMarkedText, joinMarkedText } from './markup.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+export const TIMING_DEFAULTS = Object.freeze({
+  fps: 24,
+  minGapFrames: 2,
+  // How far a cue may start earlier, or a neighbour start later, to make room.
+  maxShiftSeconds: 0.5,
+  // Cues further apart than this are never merged.
+  maxMergeGapSeconds: 0.5,
+  allowMerge: true,
+  allowSplit: true,
+});
+
+// Override tags that place a cue on screen (ASS, or SRT carrying ASS overrides). A positioned
+// cue, such as a sign, must keep its own event, so it is never merged.
+const POSITIONING_TAG_PATTERN = /\\(?:pos|move|org|i?clip|an?\d)/;
+
+// Split points, best first: after a sentence, after a clause, then any space.
+const SPLIT_POINT_PATTERNS = [/(?<=[.!?؟…]["'»”)]?)\s+|\n/g, /(?<=[,;:،؛])\s+/g, /\s+/g];
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * Options for the optimizer (see TIMING_DEFAULTS).
+ * @typedef {object} TimingOptions
+ * @property {number} fps - Frame rate used for the minimum gap and for snapping changed times to frames.
+ * @property {number} minGapFrames - Minimum gap between consecutive cues, in frames.
+ * @property {number} maxShiftSeconds - Maximum time a cue start may move to make room.
+ * @property {number} maxMergeGapSeconds - Maximum gap between two cues that may be merged.
+ * @property {boolean} allowMerge - Whether too-fast cues may be merged with a neighbour.
+ * @property {boolean} allowSplit - Whether cues with too much text may be split in two.
+ */
+
+/**
+ * A timing change made by the optimizer.
+ * @typedef {object} TimingChange
+ * @property {'split'|'enforce_gap'|'extend_end'|'advance_start'|'shift_neighbour'|'merge'} action - What was done.
+ * @property {number[]} sequences - The source sequence numbers of the cues involved.
+ * @property {Array<{startTime: string, endTime: string}>} before - Timing of the cues involved before the change.
+ * @property {Array<{startTime: string, endTime: string}>} after - Timing of the resulting cues.
+ * @property {string} reason - Why the change was made.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+const _round = (seconds) => Number(seconds.toFixed(3));
+
+/**
+ * Creates the frame-snapping functions for a frame rate. Bounds are snapped inwards
+ * (a latest end down, an earliest start up) so a snapped time never breaks the bound.
+ * @private
+ */
+function _frameSnapper(fps) {
+  return {
+    down: (seconds) => _round(Math.floor(seconds * fps + 1e-6) / fps),
+    up: (seconds) => _round(Math.ceil(seconds * fps - 1e-6) / fps),
+  };
+}
+
+/**
+ * The time a cue needs on screen to be read at the maximum reading speed.
+ * @private
+ */
+function _requiredDuration(cue, limits) {
+  const charCount = cue.text.split('\n').reduce((total, line) => total + countVisibleCharacters(line), 0);
+  return Math.min(Math.max(charCount / limits.maxCps, limits.minDurationSeconds), limits.maxDurationSeconds);
+}
+
+const _isPositioned = (cue) => (cue.markup ?? []).some(({ tag }) => POSITIONING_TAG_PATTERN.test(tag));
+
+const _timing = (cue) => ({ startTime: formatSrtTimestamp(cue.start), endTime: formatSrtTimestamp(cue.end) });
+
+/**
+ * Finds the best place to split a cue's text: the highest-priority boundary closest to the middle.
+ * @private
+ * @returns {number|null} The index to split at, or null if there is no usable boundary.
+ */
+function _findSplitPoint(text) {
+  const middle = text.length / 2;
+  for (const pattern of SPLIT_POINT_PATTERNS) {
+    const candidates = [...text.matchAll(pattern)]
+      .map(match => match.index)
+      .filter(index => index > text.length / 4 && index < (text.length * 3) / 4);
+    if (candidates.length > 0) {
+      return candidates.reduce((best, index) => (Math.abs(index - middle) < Math.abs(best - middle) ? index : best));
+    }
+  }
+  return null;
+}
+
+/**
+ * Splits cues holding more text than fits on screen, dividing their time by character count.
+ * @private
+ */
+function _splitLongCues(cues, limits, minGap, snap, changes) {
+  const capacity = limits.maxCharsPerLine * limits.maxLines;
+  return cues.flatMap(cue => {
+    const splitAt = countVisibleCharacters(cue.text.replace(/\n/g, ' ')) > capacity ? _findSplitPoint(cue.text) : null;
+    if (splitAt === null || cue.end - cue.start < 2 * limits.minDurationSeconds + minGap) {
+      return [cue];
+    }
+    const [firstPart, secondPart] = splitMarkedText(cue, splitAt);
+    const share = firstPart.text.length / (firstPart.text.length + secondPart.text.length);
+    const splitTime = snap.down(cue.start + (cue.end - cue.start - minGap) * share);
+    const first = { ...cue, ...firstPart, end: splitTime };
+    // The second part keeps the source event (ASS) but not the cue identifier (WebVTT), which must stay unique.
+    const second = { ...cue, ...secondPart, start: _round(splitTime + minGap), ...('identifier' in cue && { identifier: null }) };
+    changes.push({
+      action: 'split',
+      sequences: [cue.sequence],
+      before: [_timing(cue)],
+      after: [_timing(first), _timing(second)],
+      reason: `${countVisibleCharacters(cue.text)} characters do not fit in ${limits.maxLines} lines of ${limits.maxCharsPerLine}.`,
+    });
+    return [first, second];
+  });
+}
+
+/**
+ * Gives too-fast cues more time: into the free gap after them, then before them, then by
+ * starting the next cue a little later if it can spare the time. Also enforces the minimum gap.
+ * Cues that overlap their neighbour (e.g., a sign shown over dialogue) overlap on purpose, so
+ * neither the gap nor the neighbour's start is adjusted for them.
+ * @private
+ */
+function _reflow(cues, limits, options, minGap, snap, changes) {
+  const record = (action, cue, before, reason) => {
+    const after = _timing(cue);
+    if (after.startTime !== before.startTime || after.endTime !== before.endTime) {
+      changes.push({ action, sequences: [cue.sequence], before: [before], after: [after], reason });
+    }
+  };
+
+  cues.forEach((cue, index) => {
+    const previous = cues[index - 1];
+    const next = cues[index + 1];
+    const gap = next ? next.start - cue.end : Infinity;
+
+    if (gap >= 0 && gap < minGap) {
+      const before = _timing(cue);
+      cue.end = _round(Math.max(next.start - minGap, cue.start));
+      record('enforce_gap', cue, before, `Gap to the next cue was below ${options.minGapFrames} frames.`);
+    }
+
+    const required = _requiredDuration(cue, limits);
+    if (cue.end - cue.start >= required) {
+      return;
+    }
+    const reason = `Needs ${_round(required)}s to be read at ${limits.maxCps} CPS.`;
+
+    const latestEnd = next ? next.start - minGap : Infinity;
+    const extendedEnd = Math.min(snap.up(cue.start + required), snap.down(latestEnd));
+    if (extendedEnd > cue.end) {
+      const before = _timing(cue);
+      cue.end = extendedEnd;
+      record('extend_end', cue, before, reason);
+    }
+
+    const earliestStart = Math.max(previous ? previous.end + minGap : 0, cue.start - options.maxShiftSeconds);
+    const advancedStart = Math.max(snap.down(cue.end - required), snap.up(earliestStart));
+    if (advancedStart < cue.start) {
+      const before = _timing(cue);
+      cue.start = advancedStart;
+      record('advance_start', cue, before, reason);
+    }
+
+    if (next && gap >= 0 && cue.end - cue.start < required) {
+      const spare = Math.max(next.end - next.start - _requiredDuration(next, limits), 0);
+      const shift = Math.min(cue.start + required - cue.end, options.maxShiftSeconds, spare);
+      const shiftedStart = snap.down(next.start + shift);
+      if (shiftedStart > next.start) {
+        const nextBefore = _timing(next);
+        const before = _timing(cue);
+        next.start = shiftedStart;
+        cue.end = _round(next.start - minGap);
+        record('shift_neighbour', next, nextBefore, `Started later to give line ${cue.sequence} more time.`);
+        record('extend_end', cue, before, reason);
+      }
+    }
+  });
+  return cues;
+}
+
+/**
+ * Merges cues that are still too fast with a close neighbour, when the two fit in one cue.
+ * Overlapping cues, cues of different ASS styles or layers, and positioned cues are left apart.
+ * @private
+ */
+function _mergeFastCues(cues, limits, options, changes) {
+  const merged = [];
+  for (const cue of cues) {
+    const previous = merged.at(-1);
+    const isFast = (entry) => entry.end - entry.start < _requiredDuration(entry, limits);
+    const canMerge = previous
+      && (isFast(previous) || isFast(cue))
+      && cue.start >= previous.end
+      && cue.start - previous.end <= options.maxMergeGapSeconds
+      && previous.style === cue.style && previous.layer === cue.layer
+      && !_isPositioned(previous) && !_isPositioned(cue)
+      && !previous.text.includes('\n') && !cue.text.includes('\n')
+      && limits.maxLines >= 2
+      && countVisibleCharacters(previous.text) <= limits.maxCharsPerLine
+      && countVisibleCharacters(cue.text) <= limits.maxCharsPerLine;
+    const combined = canMerge ? { ...previous, ...joinMarkedText(previous, cue), end: cue.end } : null;
+
+    if (!combined || isFast(combined)) {
+      merged.push(cue);
+      continue;
+    }
+    changes.push({
+      action: 'merge',
+      sequences: [previous.sequence, cue.sequence],
+      before: [_timing(previous), _timing(cue)],
+      after: [_timing(combined)],
+      reason: 'Both lines are readable in time only when shown together.',
+    });
+    merged[merged.length - 1] = combined;
+  }
+  return merged;
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Re-flows subtitle timing so every cue can be read within the limits, where possible.
+ * Cues with too much text are split, too-fast cues are extended into free time (and, within
+ * `maxShiftSeconds`, into time their neighbours can spare), cues that are still too fast are
+ * merged with a close neighbour, and the minimum gap between cues is enforced throughout.
+ * When cues are merged or split, the returned lines are renumbered from 1.
+ * @param {Array<import('./srtParser.js').SrtLine>} lines - The cues, in playback order.
+ * @param {import('./readability.js').ReadabilityLimits} limits - Reading-speed and layout limits.
+ * @param {Partial<TimingOptions>} [options={}] - Overrides for TIMING_DEFAULTS.
+ * @returns {{lines: Array<import('./srtParser.js').SrtLine>, changes: TimingChange[]}} The re-timed cues and every change made.
+ */
+export function optimizeTiming(lines, limits, options = {}) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { lines: [], changes: [] };
+  }
+  const resolved = { ...TIMING_DEFAULTS, ...options };
+  const minGap = resolved.minGapFrames / resolved.fps;
+  const snap = _frameSnapper(resolved.fps);
+  const changes = [];
+
+  let cues = lines.map(line => ({ ...line, start: parseTimestamp(line.startTime), end: parseTimestamp(line.endTime) }));
+  if (resolved.allowSplit) {
+    cues = _splitLongCues(cues, limits, minGap, snap, changes);
+  }
+  cues = _reflow(cues, limits, resolved, minGap, snap, changes);
+  if (resolved.allowMerge) {
+    cues = _mergeFastCues(cues, limits, resolved, changes);
+  }
+
+  const renumber = changes.some(change => change.action === 'split' || change.action === 'merge');
+  return {
+    lines: cues.map(({ start, end, ...line }, index) => ({
+      ...line,
+      sequence: renumber ? index + 1 : line.sequence,
+      startTime: formatSrtTimestamp(start),
+      endTime: formatSrtTimestamp(end),
+      duration: _round(end - start),
+    })),
+    changes,
+  };
+}
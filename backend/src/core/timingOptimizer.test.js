@@ -0,0 +1,91 @@
+import { describe, it, expect } from '@jest/globals';
+import { optimizeTiming } from './timingOptimizer.js';
+import { parseSubtitles } from './subtitleFormats.js';
+
+const LIMITS = {
+  maxCps: 17,
+  maxCharsPerLine: 42,
+  maxLines: 2,
+  minDurationSeconds: 5 / 6,
+  maxDurationSeconds: 7,
+};
+
+const cue = (sequence, startTime, endTime, text, extra = {}) => ({ sequence, startTime, endTime, text, markup: [], ...extra });
+
+const ASS_SIGN_OVER_DIALOGUE = `[Script Info]
+ScriptType: v4.00+
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+Style: Default,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,2,2,10,10,10,1
+Style: Sign,Arial,20,&H00FFFFFF,&H000000FF,&H00000000,&H00000000,0,0,0,0,100,100,0,0,1,2,2,8,10,10,10,1
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 1,0:00:01.00,0:00:04.00,Sign,,0,0,0,,{\\pos(320,50)}EXIT
+Dialogue: 0,0:00:01.50,0:00:01.90,Default,,0,0,0,,Run!
+`;
+
+describe('optimizeTiming gaps', () => {
+  it('enforces the minimum gap between cues that almost touch', () => {
+    const { lines, changes } = optimizeTiming([
+      cue(1, '00:00:01,000', '00:00:03,000', 'First line.'),
+      cue(2, '00:00:03,020', '00:00:05,000', 'Second line.'),
+    ], LIMITS);
+
+    expect(changes.map(change => change.action)).toEqual(['enforce_gap']);
+    expect(lines[0].endTime).toBe('00:00:02,937');
+  });
+});
+
+describe('optimizeTiming with overlapping cues', () => {
+  it('leaves cues that overlap on purpose at their original length', () => {
+    const { lines, changes } = optimizeTiming([
+      cue(1, '00:00:01,000', '00:00:04,000', 'EXIT'),
+      cue(2, '00:00:01,500', '00:00:03,500', 'Run, now!'),
+    ], LIMITS, { allowMerge: false });
+
+    expect(lines.map(line => [line.startTime, line.endTime])).toEqual([
+      ['00:00:01,000', '00:00:04,000'],
+      ['00:00:01,500', '00:00:03,500'],
+    ]);
+    expect(changes.filter(change => change.action === 'enforce_gap' || change.action === 'shift_neighbour')).toEqual([]);
+    expect(lines.every(line => line.duration > 0)).toBe(true);
+  });
+
+  it('does not merge an overlapping sign into the dialogue under it', () => {
+    const { lines, changes } = optimizeTiming(parseSubtitles(ASS_SIGN_OVER_DIALOGUE).lines, LIMITS);
+
+    expect(changes.some(change => change.action === 'merge')).toBe(false);
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ text: 'EXIT', style: 'Sign', startTime: '00:00:01,000', endTime: '00:00:04,000' });
+    expect(lines[0].markup).toEqual([{ offset: 0, tag: '{\\pos(320,50)}' }]);
+  });
+});
+
+describe('optimizeTiming merging', () => {
+  const fastPair = (firstExtra = {}, secondExtra = {}) => [
+    cue(1, '00:00:01,000', '00:00:01,600', 'Where to?', firstExtra),
+    cue(2, '00:00:01,700', '00:00:02,600', 'Out, for a bit.', secondExtra),
+    cue(3, '00:00:02,700', '00:00:09,000', 'Fine.'),
+  ];
+
+  it('merges two close, too-fast cues of the same style', () => {
+    const { lines, changes } = optimizeTiming(fastPair(), LIMITS, { maxShiftSeconds: 0 });
+    expect(changes.some(change => change.action === 'merge')).toBe(true);
+    expect(lines[0].text).toBe('Where to?\nOut, for a bit.');
+  });
+
+  it('never merges cues of different ASS styles or layers', () => {
+    const byStyle = optimizeTiming(fastPair({ style: 'Default', layer: '0' }, { style: 'Italics', layer: '0' }), LIMITS, { maxShiftSeconds: 0 });
+    const byLayer = optimizeTiming(fastPair({ style: 'Default', layer: '0' }, { style: 'Default', layer: '1' }), LIMITS, { maxShiftSeconds: 0 });
+    expect(byStyle.changes.some(change => change.action === 'merge')).toBe(false);
+    expect(byLayer.changes.some(change => change.action === 'merge')).toBe(false);
+  });
+
+  it('never merges a cue that carries a positioning override', () => {
+    const { lines, changes } = optimizeTiming(fastPair({}, { markup: [{ offset: 0, tag: '{\\an8}' }] }), LIMITS, { maxShiftSeconds: 0 });
+    expect(changes.some(change => change.action === 'merge')).toBe(false);
+    expect(lines[1].markup).toEqual([{ offset: 0, tag: '{\\an8}' }]);
+  });
+});
@@ -0,0 +1,190 @@
+// ===== PRODUCTION-READY WEBVTT PARSER UTILITY =====
+// This module contains pure, reusable functions for handling the WebVTT subtitle format.
+// Cues are mapped onto the same SrtLine shape used everywhere else, while everything a
+// translation must not touch (cue identifiers, cue settings, STYLE/NOTE/REGION blocks)
+// is kept on the parsed document so it survives a round-trip.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { BadRequestError } from '../utils/errors.js';
+import { parseTimestamp, formatSrtTimestamp, formatVttTimestamp } from './timecode.js';
+import { MARKUP_PATTERNS, extractMarkup, applyMarkup, validateMarkup } from './markup.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const SIGNATURE_PATTERN = /^WEBVTT(?:[ \t].*)?$/;
+const TIMING_PATTERN = /^(\S+)[ \t]+-->[ \t]+(\S+)(?:[ \t]+(.*))?$/;
+const METADATA_BLOCK_PATTERN = /^(NOTE|STYLE|REGION)(?:[ \t\n]|$)/;
+const DEFAULT_HEADER = 'WEBVTT';
+
+// WebVTT escapes these characters in cue text; they are decoded for the agents and re-encoded on output.
+// Tags (<i>, <c.yellow>, <v Speaker>, timestamps) are kept aside as markup, see markup.js.
+const ENTITY_DECODINGS = [
+  [/&lt;/g, '<'], [/&gt;/g, '>'], [/&nbsp;/g, '\u00A0'], [/&lrm;/g, '\u200E'], [/&rlm;/g, '\u200F'], [/&amp;/g, '&'],
+];
+
+// ===== CUSTOM ERROR =====
+/**
+ * Custom error for failures during WebVTT parsing.
+ * Extends BadRequestError so an uncaught instance produces a 400 HTTP status.
+ */
+class VttParsingError extends BadRequestError {
+  constructor(message, originalError) {
+    super(message);
+    this.name = 'VttParsingError';
+    this.cause = originalError;
+  }
+}
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A parsed WebVTT cue. Extends the common SrtLine shape from srtParser.js.
+ * @typedef {import('./srtParser.js').SrtLine & {identifier: string|null, settings: string|null}} VttLine
+ * @property {string|null} identifier - The cue identifier line, if the cue had one.
+ * @property {string|null} settings - The raw cue settings (e.g., "position:10% line:0 align:start").
+ */
+
+/**
+ * A non-cue block (NOTE, STYLE or REGION), kept verbatim.
+ * @typedef {object} VttMetadataBlock
+ * @property {'NOTE'|'STYLE'|'REGION'} type - The block keyword.
+ * @property {string} content - The full, raw block text.
+ * @property {number} afterCueCount - How many cues preceded the block; used to put it back in place.
+ */
+
+/**
+ * A parsed WebVTT file.
+ * @typedef {object} VttDocument
+ * @property {'vtt'} format - Always "vtt".
+ * @property {string} header - The "WEBVTT" signature line plus any header text.
+ * @property {VttMetadataBlock[]} blocks - NOTE/STYLE/REGION blocks, in file order.
+ * @property {VttLine[]} lines - The cues, in file order.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Decodes the character references in a run of cue text.
+ * @private
+ * @param {string} segment - Cue text without tags.
+ * @returns {string} The decoded text.
+ */
+function _decodeCueText(segment) {
+  return ENTITY_DECODINGS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), segment);
+}
+
+/**
+ * Escapes text for use as a cue payload.
+ * @private
+ * @param {string} text - Plain text.
+ * @returns {string} The escaped payload.
+ */
+function _escapeCueText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Parses one cue block into a VttLine.
+ * @private
+ * @param {string[]} blockLines - The lines of the block.
+ * @param {number} sequence - The 1-based position of the cue in the file.
+ * @returns {VttLine} The parsed cue.
+ */
+function _parseCue(blockLines, sequence) {
+  const hasIdentifier = !blockLines[0].includes('-->');
+  const identifier = hasIdentifier ? blockLines[0] : null;
+  const timingLine = hasIdentifier ? blockLines[1] : blockLines[0];
+  const timing = TIMING_PATTERN.exec(timingLine ?? '');
+  if (!timing) {
+    throw new Error(`Cue ${sequence} has no valid timing line: "${timingLine ?? ''}".`);
+  }
+
+  const [, rawStart, rawEnd, settings = null] = timing;
+  const start = parseTimestamp(rawStart);
+  const end = parseTimestamp(rawEnd);
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    throw new Error(`Cue ${sequence} has a malformed timestamp: "${timingLine}".`);
+  }
+
+  const payload = blockLines.slice(hasIdentifier ? 2 : 1).join('\n');
+  const { text, markup } = extractMarkup(payload, MARKUP_PATTERNS.vtt, _decodeCueText);
+  const markupIssues = validateMarkup(payload, 'vtt');
+  return {
+    sequence,
+    startTime: formatSrtTimestamp(start),
+    endTime: formatSrtTimestamp(end),
+    duration: parseFloat((end - start).toFixed(3)),
+    text,
+    markup,
+    ...(markupIssues.length > 0 && { markupIssues }),
+    identifier,
+    settings: settings?.trim() || null,
+  };
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Parses a raw WebVTT string into a structured document.
+ * @param {string} vttContent - The full content of a WebVTT file.
+ * @returns {VttDocument} The parsed document.
+ * @throws {BadRequestError} If the content is not a string or is empty.
+ * @throws {VttParsingError} If the content is not valid WebVTT.
+ */
+export function parseVtt(vttContent) {
+  if (typeof vttContent !== 'string' || !vttContent.trim()) {
+    throw new BadRequestError('WebVTT content must be a non-empty string.');
+  }
+
+  try {
+    const normalized = vttContent.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    // Blocks are separated by one or more blank lines; cue payloads cannot contain blank lines.
+    const rawBlocks = normalized.split(/\n[ \t]*\n/).map(block => block.replace(/^\n+|\s+$/g, '')).filter(Boolean);
+
+    const header = rawBlocks.shift() ?? '';
+    if (!SIGNATURE_PATTERN.test(header.split('\n')[0])) {
+      throw new Error('Missing "WEBVTT" signature on the first line.');
+    }
+
+    const blocks = [];
+    const lines = [];
+    for (const rawBlock of rawBlocks) {
+      const metadata = METADATA_BLOCK_PATTERN.exec(rawBlock);
+      if (metadata) {
+        blocks.push({ type: metadata[1], content: rawBlock, afterCueCount: lines.length });
+      } else {
+        lines.push(_parseCue(rawBlock.split('\n'), lines.length + 1));
+      }
+    }
+
+    return { format: 'vtt', header, blocks, lines };
+  } catch (error) {
+    throw new VttParsingError(`Failed to parse malformed WebVTT content: ${error.message}`, error);
+  }
+}
+
+/**
+ * Converts a WebVTT document (or plain SrtLine objects) back into a valid WebVTT string.
+ * Cue identifiers, cue settings and metadata blocks are written back where they were found.
+ * @param {Partial<VttDocument> & {lines: Array<import('./srtParser.js').SrtLine>}} document - The document to serialize.
+ * @returns {string} A valid WebVTT string.
+ */
+export function toVttString(document) {
+  if (!Array.isArray(document?.lines)) {
+    return '';
+  }
+  const { header = DEFAULT_HEADER, blocks = [], lines } = document;
+  const blocksAfter = (cueCount) => blocks.filter(block => block.afterCueCount === cueCount).map(block => block.content);
+
+  const output = [header, ...blocksAfter(0)];
+  lines.forEach((line, index) => {
+    const start = formatVttTimestamp(parseTimestamp(line.startTime));
+    const end = formatVttTimestamp(parseTimestamp(line.endTime));
+    const timing = `${start} --> ${end}${line.settings ? ` ${line.settings}` : ''}`;
+    output.push([line.identifier, timing, applyMarkup(line.text, line.markup, _escapeCueText)].filter(Boolean).join('\n'));
+    output.push(...blocksAfter(index + 1));
+  });
+  // Blocks anchored after cues that no longer exist (e.g., after merging) go at the end.
+  output.push(...blocks.filter(block => block.afterCueCount > lines.length).map(block => block.content));
+
+  return `${output.join('\n\n')}\n`;
+}
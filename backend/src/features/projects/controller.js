@@ -0,0 +1,130 @@
+// ===== PRODUCTION-READY PROJECT CONTROLLER =====
+// Routes for managing projects and their termbases. Requests are validated with the
+// feature's Zod schemas and handled with the request-specific, contextual logger.
+// Each route acts for `request.user`, set by the auth hook; the service limits it to its own projects.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { getDb } from '#lib/mongoClient.js';
+import { ProjectRepository } from './repository.js';
+import { ProjectService } from './service.js';
+import { projectSchemas } from './projects.schemas.js';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+
+// ===== CONTROLLER DEFINITION =====
+/**
+ * Registers the projects feature's routes and services with the Fastify server.
+ * @param {import('fastify').FastifyInstance} server
+ * @param {object} opts
+ */
+export default async function (server, opts) {
+
+  // --- COMPOSITION ROOT ---
+  const repository = new ProjectRepository({ db: getDb(), logger: server.log });
+  const projectService = new ProjectService({ repository, logger: server.log });
+
+  // --- ROUTE DEFINITIONS ---
+
+  server.post(
+    '/',
+    {
+      schema: {
+        body: zodToJsonSchema(projectSchemas.createProjectBody, 'createProjectBodySchema'),
+      },
+    },
+    async (request, reply) => {
+      request.log.info('Project creation request received.');
+      const project = await projectService.createProject(request.body, request.user, request.log);
+      reply.code(201);
+      return project;
+    }
+  );
+
+  server.get('/', async (request, reply) => {
+    return projectService.listProjects(request.user, request.log);
+  });
+
+  server.get(
+    '/:projectId',
+    {
+      schema: {
+        params: zodToJsonSchema(projectSchemas.projectParams, 'projectParamsSchema'),
+      },
+    },
+    async (request, reply) => {
+      return projectService.getProject(request.params.projectId, request.user, request.log);
+    }
+  );
+
+  // --- TERMBASE ROUTES ---
+
+  server.get(
+    '/:projectId/glossary',
+    {
+      schema: {
+        params: zodToJsonSchema(projectSchemas.projectParams, 'projectParamsSchema'),
+      },
+    },
+    async (request, reply) => {
+      return projectService.listGlossary(request.params.projectId, request.user, request.log);
+    }
+  );
+
+  server.post(
+    '/:projectId/glossary',
+    {
+      schema: {
+        params: zodToJsonSchema(projectSchemas.projectParams, 'projectParamsSchema'),
+        body: zodToJsonSchema(projectSchemas.createTermBody, 'createTermBodySchema'),
+      },
+    },
+    async (request, reply) => {
+      const { projectId } = request.params;
+      request.log.info({ projectId }, 'Termbase entry creation request received.');
+      const entry = await projectService.addTerm(projectId, request.body, request.user, request.log);
+      reply.code(201);
+      return entry;
+    }
+  );
+
+  server.get(
+    '/:projectId/glossary/:termId',
+    {
+      schema: {
+        params: zodToJsonSchema(projectSchemas.termParams, 'termParamsSchema'),
+      },
+    },
+    async (request, reply) => {
+      const { projectId, termId } = request.params;
+      return projectService.getTerm(projectId, termId, request.user, request.log);
+    }
+  );
+
+  server.patch(
+    '/:projectId/glossary/:termId',
+    {
+      schema: {
+        params: zodToJsonSchema(projectSchemas.termParams, 'termParamsSchema'),
+        body: zodToJsonSchema(projectSchemas.updateTermBody, 'updateTermBodySchema'),
+      },
+    },
+    async (request, reply) => {
+      const { projectId, termId } = request.params;
+      request.log.info({ projectId, termId }, 'Termbase entry update request received.');
+      return projectService.updateTerm(projectId, termId, request.body, request.user, request.log);
+    }
+  );
+
+  server.delete(
+    '/:projectId/glossary/:termId',
+    {
+      schema: {
+        params: zodToJsonSchema(projectSchemas.termParams, 'termParamsSchema'),
+      },
+    },
+    async (request, reply) => {
+      const { projectId, termId } = request.params;
+      await projectService.deleteTerm(projectId, termId, request.user, request.log);
+      return reply.code(204).send();
+    }
+  );
+}
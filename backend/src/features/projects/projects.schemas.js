@@ -0,0 +1,73 @@
+// ===== PRODUCTION-READY PROJECT SCHEMAS (ZOD) =====
+// This file centralizes all Zod schemas for the projects feature: named projects
+// (e.g., a series) and the termbase each of them owns.
+
+import { z } from 'zod';
+import {
+  SUPPORTED_LANGUAGE_CODES,
+  DEFAULT_SOURCE_LANGUAGE,
+  DEFAULT_TARGET_LANGUAGE,
+} from '#core/languages.js';
+
+// --- Reusable Components ---
+const languageCodeSchema = z.enum(SUPPORTED_LANGUAGE_CODES, {
+  errorMap: () => ({ message: `Language must be one of: ${SUPPORTED_LANGUAGE_CODES.join(', ')}.` }),
+});
+
+// MongoDB ObjectId in its 24-character hex string form.
+const objectIdSchema = (name) => z
+  .string({ required_error: `${name} is required.` })
+  .regex(/^[a-f\d]{24}$/i, `${name} must be a valid identifier.`);
+
+// The editable fields of a termbase entry. Whether an entry without a translation is
+// acceptable depends on `doNotTranslate`, so that rule is checked by the ProjectService.
+const termFields = {
+  term: z.string({ required_error: 'term is required.' }).min(1, 'term cannot be empty.').max(200),
+  translation: z.string().max(200),
+  notes: z.string().max(2000),
+  doNotTranslate: z.boolean(),
+  forbiddenVariants: z.array(z.string().min(1).max(200)).max(50),
+};
+
+// --- Route-Specific Schemas ---
+
+// POST /projects
+const createProjectBodySchema = z.object({
+  name: z.string({ required_error: 'name is required.' }).min(1, 'name cannot be empty.').max(200),
+  description: z.string().max(2000).default(''),
+  // A project's termbase is for one language pair; jobs attached to it must use the same pair.
+  sourceLanguage: languageCodeSchema.default(DEFAULT_SOURCE_LANGUAGE),
+  targetLanguage: languageCodeSchema.default(DEFAULT_TARGET_LANGUAGE),
+});
+
+// POST /projects/:projectId/glossary
+const createTermBodySchema = z.object({
+  term: termFields.term,
+  translation: termFields.translation.default(''),
+  notes: termFields.notes.default(''),
+  doNotTranslate: termFields.doNotTranslate.default(false),
+  forbiddenVariants: termFields.forbiddenVariants.default([]),
+});
+
+// PATCH /projects/:projectId/glossary/:termId
+const updateTermBodySchema = z.object(termFields).partial();
+
+// GET /projects/:projectId, GET /projects/:projectId/glossary
+const projectParamsSchema = z.object({
+  projectId: objectIdSchema('projectId'),
+});
+
+// GET, PATCH, DELETE /projects/:projectId/glossary/:termId
+const termParamsSchema = z.object({
+  projectId: objectIdSchema('projectId'),
+  termId: objectIdSchema('termId'),
+});
+
+// We group and export all schemas for easy importing in the controller.
+export const projectSchemas = {
+  createProjectBody: createProjectBodySchema,
+  createTermBody: createTermBodySchema,
+  updateTermBody: updateTermBodySchema,
+  projectParams: projectParamsSchema,
+  termParams: termParamsSchema,
+};
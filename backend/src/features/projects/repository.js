@@ -0,0 +1,201 @@
+// ===== PRODUCTION-READY PROJECT REPOSITORY =====
+// This class encapsulates all data access logic for projects and their termbases.
+// Projects and termbase entries live in separate collections, so a termbase can grow
+// without rewriting the project document.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { ObjectId } from 'mongodb';
+
+// ===== REPOSITORY CLASS =====
+/**
+ * Manages all database interactions for projects and their termbase entries.
+ * Termbase entries carry a `termKey` (the normalized term) that identifies a term within a project.
+ */
+export class ProjectRepository {
+  /**
+   * @param {object} dependencies - The dependencies for this repository.
+   * @param {import('mongodb').Db} dependencies.db - The connected MongoDB database instance.
+   * @param {object} dependencies.logger - The Pino logger instance for contextual logging.
+   */
+  constructor({ db, logger }) {
+    this.db = db;
+    this.projectsCollection = this.db.collection('projects');
+    this.termsCollection = this.db.collection('projectTerms');
+    this.logger = logger;
+  }
+
+  // --- PROJECTS ---
+
+  /**
+   * Creates a new project document.
+   * @param {object} projectData - The project's name, description, language pair and `ownerId`.
+   * @returns {Promise<object>} The stored project document.
+   */
+  async createProject(projectData) {
+    const projectDocument = {
+      ...projectData,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    try {
+      const result = await this.projectsCollection.insertOne(projectDocument);
+      this.logger.info({ projectId: result.insertedId }, 'Successfully created project.');
+      return { _id: result.insertedId, ...projectDocument };
+    } catch (error) {
+      this.logger.error({ error, projectData }, 'Error creating project in database.');
+      throw error;
+    }
+  }
+
+  /**
+   * Lists projects, most recently changed first.
+   * @param {object} filters
+   * @param {string|null} [filters.ownerId] - Only projects owned by this user; null matches projects without an owner.
+   * @returns {Promise<object[]>} The project documents.
+   */
+  async listProjects({ ownerId }) {
+    const query = ownerId !== undefined ? { ownerId } : {};
+    try {
+      return await this.projectsCollection.find(query).sort({ updatedAt: -1 }).toArray();
+    } catch (error) {
+      this.logger.error({ error }, 'Error listing projects.');
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieves a single project by its ID.
+   * @param {string} projectId - The ID of the project to retrieve.
+   * @returns {Promise<object|null>} The project document, or null if not found.
+   */
+  async getProjectById(projectId) {
+    try {
+      return await this.projectsCollection.findOne({ _id: new ObjectId(projectId) });
+    } catch (error) {
+      this.logger.error({ error, projectId }, 'Error retrieving project by ID.');
+      throw error;
+    }
+  }
+
+  /**
+   * Records that a project's termbase changed.
+   * @param {string} projectId - The ID of the project.
+   * @returns {Promise<import('mongodb').UpdateResult>} The result from the update operation.
+   */
+  async touchProject(projectId) {
+    try {
+      return await this.projectsCollection.updateOne(
+        { _id: new ObjectId(projectId) },
+        { $set: { updatedAt: new Date() } }
+      );
+    } catch (error) {
+      this.logger.error({ error, projectId }, 'Error updating project timestamp.');
+      throw error;
+    }
+  }
+
+  // --- TERMBASE ---
+
+  /**
+   * Lists a project's termbase entries in alphabetical order.
+   * @param {string} projectId - The ID of the project.
+   * @returns {Promise<object[]>} The termbase entry documents.
+   */
+  async listTerms(projectId) {
+    try {
+      return await this.termsCollection.find({ projectId: new ObjectId(projectId) }).sort({ termKey: 1 }).toArray();
+    } catch (error) {
+      this.logger.error({ error, projectId }, 'Error listing termbase entries.');
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieves a single termbase entry of a project.
+   * @param {string} projectId - The ID of the project.
+   * @param {string} termId - The ID of the entry.
+   * @returns {Promise<object|null>} The entry document, or null if not found.
+   */
+  async getTermById(projectId, termId) {
+    try {
+      return await this.termsCollection.findOne({ _id: new ObjectId(termId), projectId: new ObjectId(projectId) });
+    } catch (error) {
+      this.logger.error({ error, projectId, termId }, 'Error retrieving termbase entry by ID.');
+      throw error;
+    }
+  }
+
+  /**
+   * Finds the entry for a term in a project's termbase.
+   * @param {string} projectId - The ID of the project.
+   * @param {string} termKey - The normalized term.
+   * @returns {Promise<object|null>} The entry document, or null if the term is not in the termbase.
+   */
+  async findTermByKey(projectId, termKey) {
+    try {
+      return await this.termsCollection.findOne({ projectId: new ObjectId(projectId), termKey });
+    } catch (error) {
+      this.logger.error({ error, projectId, termKey }, 'Error looking up termbase entry.');
+      throw error;
+    }
+  }
+
+  /**
+   * Adds an entry to a project's termbase.
+   * @param {string} projectId - The ID of the project.
+   * @param {object} termData - The entry's fields, including its `termKey`.
+   * @returns {Promise<object>} The stored entry document.
+   */
+  async createTerm(projectId, termData) {
+    const termDocument = {
+      ...termData,
+      projectId: new ObjectId(projectId),
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    try {
+      const result = await this.termsCollection.insertOne(termDocument);
+      this.logger.info({ projectId, termId: result.insertedId }, 'Termbase entry created.');
+      return { _id: result.insertedId, ...termDocument };
+    } catch (error) {
+      this.logger.error({ error, projectId }, 'Error creating termbase entry.');
+      throw error;
+    }
+  }
+
+  /**
+   * Updates fields of a termbase entry.
+   * @param {string} projectId - The ID of the project.
+   * @param {string} termId - The ID of the entry.
+   * @param {object} changes - The fields to set.
+   * @returns {Promise<object|null>} The updated entry document, or null if not found.
+   */
+  async updateTerm(projectId, termId, changes) {
+    try {
+      return await this.termsCollection.findOneAndUpdate(
+        { _id: new ObjectId(termId), projectId: new ObjectId(projectId) },
+        { $set: { ...changes, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      this.logger.error({ error, projectId, termId }, 'Error updating termbase entry.');
+      throw error;
+    }
+  }
+
+  /**
+   * Removes an entry from a project's termbase.
+   * @param {string} projectId - The ID of the project.
+   * @param {string} termId - The ID of the entry.
+   * @returns {Promise<boolean>} Whether an entry was removed.
+   */
+  async deleteTerm(projectId, termId) {
+    try {
+      const result = await this.termsCollection.deleteOne({ _id: new ObjectId(termId), projectId: new ObjectId(projectId) });
+      return result.deletedCount > 0;
+    } catch (error) {
+      this.logger.error({ error, projectId, termId }, 'Error deleting termbase entry.');
+      throw error;
+    }
+  }
+}
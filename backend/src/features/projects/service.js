@@ -0,0 +1,300 @@
+// ===== PRODUCTION-READY PROJECT SERVICE =====
+// Business logic for projects and their termbases: validation, duplicate detection and the
+// client-facing views. The translation orchestrator uses it to load the terms a job must respect.
+// A project belongs to the user who created it; only they (or an admin) can see it, change its
+// termbase or attach a job to it.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { resolveLanguagePair } from '#core/languages.js';
+import { normalizeTerm } from '#core/termbase.js';
+import { BadRequestError, NotFoundError, ConflictError } from '#utils/errors.js';
+import { UserService } from '#features/users/service.js';
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Builds the client-facing view of a project document.
+ * @private
+ */
+function _toProjectView(project) {
+  return {
+    projectId: project._id.toString(),
+    name: project.name,
+    description: project.description ?? '',
+    sourceLanguage: project.sourceLanguage,
+    targetLanguage: project.targetLanguage,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+  };
+}
+
+/**
+ * Builds the client-facing view of a termbase entry document.
+ * @private
+ */
+function _toTermView(entry) {
+  return {
+    termId: entry._id.toString(),
+    term: entry.term,
+    translation: entry.translation,
+    notes: entry.notes,
+    doNotTranslate: entry.doNotTranslate,
+    forbiddenVariants: entry.forbiddenVariants,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+  };
+}
+
+/**
+ * Trims a termbase entry's fields and checks they are consistent. A do-not-translate term
+ * has no translation; any other term needs one, and it cannot also be a forbidden variant.
+ * @private
+ * @throws {BadRequestError} If the entry is inconsistent.
+ */
+function _normalizeTermFields(fields) {
+  const term = fields.term.trim().replace(/\s+/g, ' ');
+  const translation = fields.doNotTranslate ? '' : fields.translation.trim();
+  const forbiddenVariants = [...new Set(fields.forbiddenVariants.map(variant => variant.trim()).filter(Boolean))];
+
+  if (!term) {
+    throw new BadRequestError('term cannot be empty.');
+  }
+  if (!fields.doNotTranslate && !translation) {
+    throw new BadRequestError(`An approved translation is required for "${term}" unless doNotTranslate is set.`);
+  }
+  if (forbiddenVariants.some(variant => normalizeTerm(variant) === normalizeTerm(translation || term))) {
+    throw new BadRequestError(`The approved form of "${term}" cannot also be a forbidden variant.`);
+  }
+  return { term, termKey: normalizeTerm(term), translation, notes: fields.notes.trim(), doNotTranslate: fields.doNotTranslate, forbiddenVariants };
+}
+
+// ===== CORE BUSINESS LOGIC =====
+export class ProjectService {
+  /**
+   * @param {object} dependencies
+   * @param {import('./repository.js').ProjectRepository} dependencies.repository
+   * @param {object} dependencies.logger
+   */
+  constructor({ repository, logger }) {
+    this.repository = repository;
+    this.logger = logger; // This is the GLOBAL logger, used only if no contextual logger is passed.
+  }
+
+  // --- PROJECTS ---
+
+  /**
+   * Creates a project owned by the requester.
+   * @param {{name: string, description: string, sourceLanguage: string, targetLanguage: string}} projectData
+   * @param {import('#features/users/service.js').Requester|null} requester - The user creating the project; it becomes the owner.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object>} The project view.
+   * @throws {BadRequestError} If the language pair is invalid.
+   */
+  async createProject({ name, description, sourceLanguage, targetLanguage }, requester, logger) {
+    const log = logger || this.logger;
+    const languages = resolveLanguagePair({ sourceLanguage, targetLanguage });
+    const project = await this.repository.createProject({
+      name: name.trim(),
+      description: description.trim(),
+      sourceLanguage: languages.source.code,
+      targetLanguage: languages.target.code,
+      ownerId: requester?.userId ?? null,
+    }, log);
+    return _toProjectView(project);
+  }
+
+  /**
+   * Lists the projects a requester can access: their own, or all of them for an admin.
+   * @param {import('#features/users/service.js').Requester|null} requester - The authenticated requester.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object[]>} The project views.
+   */
+  async listProjects(requester, logger) {
+    const ownerId = UserService.isAdmin(requester) ? undefined : (requester?.userId ?? null);
+    const projects = await this.repository.listProjects({ ownerId }, logger || this.logger);
+    return projects.map(_toProjectView);
+  }
+
+  /**
+   * Returns a single project.
+   * @param {string} projectId - The ID of the project.
+   * @param {import('#features/users/service.js').Requester|null} requester - The authenticated requester.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object>} The project view.
+   * @throws {NotFoundError} If the project does not exist or belongs to another user.
+   */
+  async getProject(projectId, requester, logger) {
+    return _toProjectView(await this._requireProject(projectId, requester, logger || this.logger));
+  }
+
+  /**
+   * Checks that a requester may use a project, e.g. to attach a job to it: its owner or an admin.
+   * Other users are told the project does not exist, so project IDs cannot be probed.
+   * @param {string} projectId - The ID of the project.
+   * @param {import('#features/users/service.js').Requester|null} requester - The authenticated requester.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @throws {NotFoundError} If the project does not exist or belongs to another user.
+   */
+  async assertProjectAccess(projectId, requester, logger) {
+    await this._requireProject(projectId, requester, logger || this.logger);
+  }
+
+  // --- TERMBASE ---
+
+  /**
+   * Lists a project's termbase.
+   * @param {string} projectId - The ID of the project.
+   * @param {import('#features/users/service.js').Requester|null} requester - The authenticated requester.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<{projectId: string, terms: object[]}>} The termbase entry views.
+   * @throws {NotFoundError} If the project does not exist or belongs to another user.
+   */
+  async listGlossary(projectId, requester, logger) {
+    const log = logger || this.logger;
+    await this._requireProject(projectId, requester, log);
+    const terms = await this.repository.listTerms(projectId, log);
+    return { projectId, terms: terms.map(_toTermView) };
+  }
+
+  /**
+   * Returns a single termbase entry.
+   * @param {string} projectId - The ID of the project.
+   * @param {string} termId - The ID of the entry.
+   * @param {import('#features/users/service.js').Requester|null} requester - The authenticated requester.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object>} The entry view.
+   * @throws {NotFoundError} If the project or the entry does not exist, or the project belongs to another user.
+   */
+  async getTerm(projectId, termId, requester, logger) {
+    return _toTermView(await this._requireTerm(projectId, termId, requester, logger || this.logger));
+  }
+
+  /**
+   * Adds a term to a project's termbase.
+   * @param {string} projectId - The ID of the project.
+   * @param {object} fields - The entry's fields.
+   * @param {import('#features/users/service.js').Requester|null} requester - The authenticated requester.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object>} The entry view.
+   * @throws {NotFoundError} If the project does not exist or belongs to another user.
+   * @throws {BadRequestError} If the entry is inconsistent.
+   * @throws {ConflictError} If the term is already in the termbase.
+   */
+  async addTerm(projectId, fields, requester, logger) {
+    const log = logger || this.logger;
+    await this._requireProject(projectId, requester, log);
+    const termData = _normalizeTermFields(fields);
+    await this._assertTermIsNew(projectId, termData, null, log);
+
+    const entry = await this.repository.createTerm(projectId, termData, log);
+    await this.repository.touchProject(projectId, log);
+    return _toTermView(entry);
+  }
+
+  /**
+   * Changes fields of a termbase entry; fields that are not given keep their value.
+   * @param {string} projectId - The ID of the project.
+   * @param {string} termId - The ID of the entry.
+   * @param {object} changes - The fields to change.
+   * @param {import('#features/users/service.js').Requester|null} requester - The authenticated requester.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object>} The updated entry view.
+   * @throws {NotFoundError} If the project or the entry does not exist, or the project belongs to another user.
+   * @throws {BadRequestError} If no field is given or the result is inconsistent.
+   * @throws {ConflictError} If the entry is renamed to a term already in the termbase.
+   */
+  async updateTerm(projectId, termId, changes, requester, logger) {
+    const log = logger || this.logger;
+    if (Object.keys(changes).length === 0) {
+      throw new BadRequestError('At least one field must be given.');
+    }
+    const existing = await this._requireTerm(projectId, termId, requester, log);
+    const termData = _normalizeTermFields({ ...existing, ...changes });
+    await this._assertTermIsNew(projectId, termData, termId, log);
+
+    const entry = await this.repository.updateTerm(projectId, termId, termData, log);
+    if (!entry) {
+      throw new NotFoundError(`Term with ID ${termId} not found in project ${projectId}.`);
+    }
+    await this.repository.touchProject(projectId, log);
+    return _toTermView(entry);
+  }
+
+  /**
+   * Removes a term from a project's termbase.
+   * @param {string} projectId - The ID of the project.
+   * @param {string} termId - The ID of the entry.
+   * @param {import('#features/users/service.js').Requester|null} requester - The authenticated requester.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @throws {NotFoundError} If the project or the entry does not exist, or the project belongs to another user.
+   */
+  async deleteTerm(projectId, termId, requester, logger) {
+    const log = logger || this.logger;
+    await this._requireProject(projectId, requester, log);
+    if (!(await this.repository.deleteTerm(projectId, termId, log))) {
+      throw new NotFoundError(`Term with ID ${termId} not found in project ${projectId}.`);
+    }
+    await this.repository.touchProject(projectId, log);
+    log.info({ projectId, termId }, 'Termbase entry deleted.');
+  }
+
+  /**
+   * Loads the termbase a job attached to a project must respect. Whether the job's owner may use
+   * the project is checked when the job is created (see `assertProjectAccess`), not here.
+   * @param {string} projectId - The ID of the project.
+   * @param {import('#core/languages.js').LanguagePair} languages - The job's language pair.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<import('#core/termbase.js').TermbaseEntry[]>} The project's termbase.
+   * @throws {NotFoundError} If the project does not exist.
+   * @throws {BadRequestError} If the job's language pair differs from the project's.
+   */
+  async getTermbaseForJob(projectId, languages, logger) {
+    const log = logger || this.logger;
+    const project = await this._requireProject(projectId, undefined, log);
+    if (project.sourceLanguage !== languages.source.code || project.targetLanguage !== languages.target.code) {
+      throw new BadRequestError(
+        `Project "${project.name}" is for ${project.sourceLanguage} → ${project.targetLanguage}, ` +
+        `but the job is ${languages.source.code} → ${languages.target.code}.`
+      );
+    }
+    const terms = await this.repository.listTerms(projectId, log);
+    log.info({ projectId, termCount: terms.length }, 'Project termbase loaded.');
+    return terms.map(({ term, translation, notes, doNotTranslate, forbiddenVariants }) =>
+      ({ term, translation, notes, doNotTranslate, forbiddenVariants }));
+  }
+
+  // --- PRIVATE HELPERS ---
+
+  /**
+   * Loads a project, treating one the requester does not own as missing. Without a `requester`
+   * argument (undefined) the owner is not checked; that is only for callers that checked it earlier.
+   * @private
+   */
+  async _requireProject(projectId, requester, log) {
+    const project = await this.repository.getProjectById(projectId, log);
+    const accessible = project && (requester === undefined || UserService.isAdmin(requester) ||
+      (project.ownerId ?? null) === (requester?.userId ?? null));
+    if (!accessible) {
+      throw new NotFoundError(`Project with ID ${projectId} not found.`);
+    }
+    return project;
+  }
+
+  /** @private */
+  async _requireTerm(projectId, termId, requester, log) {
+    await this._requireProject(projectId, requester, log);
+    const entry = await this.repository.getTermById(projectId, termId, log);
+    if (!entry) {
+      throw new NotFoundError(`Term with ID ${termId} not found in project ${projectId}.`);
+    }
+    return entry;
+  }
+
+  /** @private */
+  async _assertTermIsNew(projectId, { term, termKey }, ownTermId, log) {
+    const existing = await this.repository.findTermByKey(projectId, termKey, log);
+    if (existing && existing._id.toString() !== ownTermId) {
+      throw new ConflictError(`"${term}" is already in the termbase of project ${projectId}.`);
+    }
+  }
+}
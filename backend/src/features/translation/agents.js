@@ -4,13 +4,59 @@
 
 // ===== IMPORTS & DEPENDENCIES =====
 import { toSrtPromptFormat } from '#core/srtParser.js';
-import config from '#config';
+import { parseTimestamp } from '#core/timecode.js';
+import { estimateTokenCount } from '#lib/llmPricing.js';
+import { agentOutputSchemas } from './translation.schemas.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Inline formatting reaches the agents as numbered placeholders (see core/markup.js).
+const PLACEHOLDER_RULE = 'Some lines contain placeholder tokens such as ⟦1⟧ that stand for formatting (italics, bold, colour). Keep every token exactly once, in the same order, around the words that correspond to the ones it surrounds in the original.';
+// How much of a rejected answer is quoted back to the model when asking it to correct the answer.
+const REJECTED_RESPONSE_QUOTE_CHARS = 4000;
+// Batch agents answer per sequence, so a dropped or merged line can be detected and repaired on its own.
+const LINES_OUTPUT_RULE = 'Your output MUST be a single JSON object with this exact structure: { "lines": [{ "sequence": 12, "text": "..." }] }, with exactly one entry for every input sequence, in the same order. Never merge, split, drop or add entries; a subtitle shown on several lines keeps its line breaks as "\\n" inside "text". Do not output any text before or after the JSON object.';
+
+// --- Response Cache ---
+// Part of every cached answer's key. Bump an agent's version when how its answer is used changes
+// without its prompt text changing (e.g., a new output schema), so older answers are not reused.
+const PROMPT_VERSIONS = Object.freeze({
+  extractKeywords: 1,
+  groundTranslations: 1,
+  assembleBlueprint: 1,
+  summarizeScene: 1,
+  transcreateBatch: 1,
+  editBatch: 1,
+  qaBatch: 1,
+  phantomSync: 1,
+  backTranslateBatch: 1,
+  judgeBatch: 1,
+});
+
+// --- Pre-flight Cost Estimates ---
+// Estimates size each prompt and answer from the text the agent would be sent; these cover the rest.
+// The fixed instructions and rules of a prompt.
+const ESTIMATE_INSTRUCTION_TOKENS = 400;
+// The JSON around each line of a batch ({ "sequence": 12, "text": "..." }).
+const ESTIMATE_LINE_FRAMING_TOKENS = 12;
+// Translations run longer than their source in most language pairs.
+const ESTIMATE_TRANSLATION_EXPANSION = 1.3;
+// The previous lines and translation memory matches offered to the transcreator, in lines of the batch's average length.
+const ESTIMATE_TRANSCREATION_CONTEXT_LINES = 30;
+// The keyword list and the blueprint grow with the script, up to a point.
+const ESTIMATE_KEYWORDS = { ratio: 0.2, maxTokens: 2000 };
+const ESTIMATE_BLUEPRINT = { ratio: 0.3, maxTokens: 4000 };
+// Each keyword is grounded with about three candidate translations.
+const ESTIMATE_CANDIDATES_PER_KEYWORD = 3;
+const ESTIMATE_SCENE_SUMMARY_TOKENS = 120;
+// The judge's scores and one-sentence reason for each line.
+const ESTIMATE_JUDGEMENT_TOKENS_PER_LINE = 40;
 
 // ===== CUSTOM ERROR =====
 /**
- * Custom error for when an agent fails to return parseable JSON.
+ * Custom error for when an agent fails to return parseable JSON, or JSON of the wrong shape.
+ * For the latter, `cause.originalError` is the ZodError.
  */
-class MalformedJsonResponseError extends Error {
+export class MalformedJsonResponseError extends Error {
   constructor(message, originalError, responseText) {
     super(message);
     this.name = 'MalformedJsonResponseError';
@@ -21,7 +67,7 @@ class MalformedJsonResponseError extends Error {
 // ===== UTILITY FUNCTIONS =====
 /**
  * Parses a JSON response from an agent, cleaning up common LLM artifacts like markdown code blocks.
- * @param {string} responseText - The raw text response from the Gemini API.
+ * @param {string} responseText - The raw text response from the model.
  * @param {string} agentName - The name of the agent for error logging.
  * @returns {object} The parsed JSON object.
  * @throws {MalformedJsonResponseError} If the JSON is invalid.
@@ -39,6 +85,238 @@ function parseJsonAgentResponse(responseText, agentName) {
   }
 }
 
+/**
+ * Parses an agent response and validates it against the agent's output schema.
+ * @param {string} responseText - The raw text response from the model.
+ * @param {import('zod').ZodTypeAny} schema - The expected shape.
+ * @param {string} agentName - The name of the agent for error logging.
+ * @returns {any} The validated output, with schema defaults applied.
+ * @throws {MalformedJsonResponseError} If the JSON is invalid or does not have the expected shape.
+ */
+function parseValidatedAgentResponse(responseText, schema, agentName) {
+  const result = schema.safeParse(parseJsonAgentResponse(responseText, agentName));
+  if (!result.success) {
+    throw new MalformedJsonResponseError(
+      `Agent [${agentName}] returned JSON that does not match the expected shape.`,
+      result.error,
+      responseText
+    );
+  }
+  return result.data;
+}
+
+/**
+ * Parses a batch agent response and validates it against the sequence-keyed lines schema.
+ * @param {string} responseText - The raw text response from the model.
+ * @param {string} agentName - The name of the agent for error logging.
+ * @returns {Array<{sequence: number, text: string}>} The returned lines, as the model ordered them.
+ * @throws {MalformedJsonResponseError} If the JSON is invalid or does not have the expected shape.
+ */
+function parseLinesAgentResponse(responseText, agentName) {
+  return parseValidatedAgentResponse(responseText, agentOutputSchemas.batchLines, agentName).lines;
+}
+
+/**
+ * Turns a response parser into a check of whether a response may be cached: only an answer
+ * the agent can use is, so a malformed one is asked for again on the next run.
+ * @param {function(string): any} parse - Throws if the response is unusable.
+ * @returns {function(string): boolean} The check.
+ */
+function isParseableBy(parse) {
+  return (responseText) => {
+    try {
+      parse(responseText);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+}
+
+/**
+ * Describes what was wrong with a rejected response, one problem per line, for the model to correct.
+ * @param {MalformedJsonResponseError} error - The parsing or validation failure.
+ * @returns {string} The problems.
+ */
+function describeResponseProblems(error) {
+  const { originalError } = error.cause;
+  if (Array.isArray(originalError?.issues)) {
+    return originalError.issues
+      .map(issue => `- ${issue.path.length > 0 ? issue.path.join('.') : '(root)'}: ${issue.message}`)
+      .join('\n');
+  }
+  return `- The response is not valid JSON (${originalError?.message ?? 'unknown error'}).`;
+}
+
+/**
+ * Builds the follow-up prompt asking the model to correct a rejected answer.
+ * @param {string} prompt - The original prompt.
+ * @param {string} responseText - The rejected answer.
+ * @param {string} problems - What was wrong with it.
+ * @returns {string} The repair prompt.
+ */
+function buildRepairPrompt(prompt, responseText, problems) {
+  return `${prompt}
+
+---
+**YOUR PREVIOUS ANSWER WAS REJECTED:**
+${responseText.slice(0, REJECTED_RESPONSE_QUOTE_CHARS)}
+---
+**Problems found:**
+${problems}
+---
+Answer again with the complete, corrected JSON object only.`;
+}
+
+/**
+ * Formats a batch as JSON for a prompt, optionally with each line's current translation.
+ * @param {Array<import('#core/srtParser.js').SrtLine>} batch - The source lines.
+ * @param {Map<number, string>} [translations] - The current translation of each line, keyed by sequence.
+ * @returns {string} A JSON array of `{ sequence, text, translation? }` entries.
+ */
+function formatBatchForPrompt(batch, translations) {
+  return JSON.stringify(batch.map(line => ({
+    sequence: line.sequence,
+    text: line.text,
+    ...(translations && { translation: translations.get(line.sequence) ?? '' }),
+  })), null, 2);
+}
+
+/**
+ * Formats the rolling context from the previous batch for the transcreation prompt. When only
+ * part of a finished file is translated again, the lines that follow it are included as well.
+ * @param {{sceneSummary: string|null, lines: Array<{sequence: number, source: string, translation: string|null}>, nextLines?: Array<{sequence: number, source: string, translation: string|null}>}|null} previousContext
+ * @param {import('#core/languages.js').LanguagePair} languages - The job's language pair.
+ * @returns {string} The context block.
+ */
+function formatPreviousContext(previousContext, languages) {
+  if (!previousContext) {
+    return 'None. This batch starts the file.';
+  }
+  const format = (contextLines) => contextLines
+    .map(({ sequence, source, translation }) => `${sequence} | ${source} | ${translation ?? '(not yet translated)'}`)
+    .join('\n');
+  const before = previousContext.lines.length > 0
+    ? `Last lines before this batch (Format: "Sequence | ${languages.source.name} | ${languages.target.name}"):
+${format(previousContext.lines)}`
+    : 'None. This batch starts the file.';
+  const after = previousContext.nextLines?.length > 0
+    ? `
+Lines right after this batch (Format: "Sequence | ${languages.source.name} | ${languages.target.name}"):
+${format(previousContext.nextLines)}`
+    : '';
+  return `Scene so far: ${previousContext.sceneSummary || 'Not available.'}
+${before}${after}
+Keep pronouns, forms of address, formality and running jokes consistent with these lines.`;
+}
+
+/**
+ * Formats a reviewer's instructions for re-translating part of a finished file.
+ * @param {string} instructions - What the reviewer asked for; may be empty.
+ * @returns {string} The instructions block, or an empty string when there are none.
+ */
+function formatReviewerInstructions(instructions) {
+  if (!instructions?.trim()) {
+    return '';
+  }
+  return `
+REVIEWER INSTRUCTIONS (these lines are being translated again at a reviewer's request; follow these instructions, within the output and placeholder rules):
+${instructions.trim()}
+`;
+}
+
+/**
+ * Formats earlier term decisions for the grounding prompt.
+ * @param {Array<{term: string, translation: string, justification: string}>} pastTerms - Matches from the translation memory.
+ * @returns {string} The memory block.
+ */
+function formatPastTerms(pastTerms) {
+  if (pastTerms.length === 0) {
+    return 'None.';
+  }
+  const decisions = pastTerms
+    .map(({ term, translation, justification }) => `- "${term}" => "${translation}"${justification ? ` (${justification})` : ''}`)
+    .join('\n');
+  return `${decisions}
+Earlier jobs settled on these translations. When a term to translate is the same as, or a close variant of, one of these, list the earlier translation first among its candidates.`;
+}
+
+/**
+ * Formats a project's locked terms for the blueprint prompt.
+ * @param {import('#core/termbase.js').TermbaseEntry[]} lockedTerms - The termbase entries found in the script.
+ * @param {import('#core/languages.js').LanguagePair} languages - The job's language pair.
+ * @returns {string} The termbase block.
+ */
+function formatLockedTerms(lockedTerms, languages) {
+  if (lockedTerms.length === 0) {
+    return 'None.';
+  }
+  const entries = lockedTerms.map(({ term, translation, notes, doNotTranslate, forbiddenVariants }) => {
+    const decision = doNotTranslate ? 'keep untranslated' : JSON.stringify(translation);
+    const forbidden = forbiddenVariants.length > 0 ? `; never ${forbiddenVariants.map(variant => JSON.stringify(variant)).join(', ')}` : '';
+    return `- ${JSON.stringify(term)} => ${decision}${forbidden}${notes ? ` (${notes})` : ''}`;
+  }).join('\n');
+  return `${entries}
+These terms are locked by the project. Use each approved translation exactly; terms marked "keep untranslated" stay in their ${languages.source.name} form. Never use a forbidden variant, and do not propose alternatives. Only add glossary entries for terms that are not in this list.`;
+}
+
+/**
+ * Formats the locked entries of a blueprint glossary for the edit and QA prompts, so polishing
+ * a line never replaces a project term with a synonym.
+ * @param {import('#core/termbase.js').GlossaryEntry[]} [glossary=[]] - The job's blueprint glossary.
+ * @param {import('#core/languages.js').LanguagePair} languages - The job's language pair.
+ * @returns {string} The locked terms block.
+ */
+function formatLockedGlossary(glossary = [], languages) {
+  const lockedEntries = glossary.filter(entry => entry?.locked);
+  if (lockedEntries.length === 0) {
+    return 'None.';
+  }
+  const entries = lockedEntries.map(({ term, proposedTranslation, doNotTranslate, forbiddenVariants = [] }) => {
+    const decision = doNotTranslate ? 'keep untranslated' : JSON.stringify(proposedTranslation);
+    const forbidden = forbiddenVariants.length > 0 ? `; never ${forbiddenVariants.map(variant => JSON.stringify(variant)).join(', ')}` : '';
+    return `- ${JSON.stringify(term)} => ${decision}${forbidden}`;
+  }).join('\n');
+  return `${entries}
+These terms are locked by the project. Wherever one occurs in the original text, the translation must keep its approved translation exactly; terms marked "keep untranslated" stay in their ${languages.source.name} form. Never change a locked term's translation or use a forbidden variant.`;
+}
+
+/**
+ * Formats similar lines from earlier jobs for the transcreation prompt.
+ * @param {Array<{source: string, translation: string}>} memorySegments - Matches from the translation memory.
+ * @param {import('#core/languages.js').LanguagePair} languages - The job's language pair.
+ * @returns {string} The memory block.
+ */
+function formatMemorySegments(memorySegments, languages) {
+  if (memorySegments.length === 0) {
+    return 'None.';
+  }
+  const segments = memorySegments
+    .map(({ source, translation }) => `${JSON.stringify(source)} => ${JSON.stringify(translation)}`)
+    .join('\n');
+  return `Approved translations of similar lines from earlier jobs (Format: ${languages.source.name} => ${languages.target.name}):
+${segments}
+Reuse their wording and terminology where a line in this batch means the same thing; do not copy them where the meaning differs.`;
+}
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * One agent call that was made, as reported to a usage recorder.
+ * @typedef {import('#lib/llmClient.js').LlmUsage & {agent: string}} AgentCallUsage
+ */
+
+/**
+ * One agent call a job is expected to make, with its predicted cost.
+ * @typedef {object} AgentCallEstimate
+ * @property {string} agent - The agent's name.
+ * @property {string} model - The model it would call.
+ * @property {boolean} isPriced - Whether the model has a price; unpriced models are costed at 0.
+ * @property {number} promptTokens - The expected prompt tokens.
+ * @property {number} responseTokens - The expected response tokens.
+ * @property {number} costUsd - The expected cost.
+ */
+
 // ===== AGENT SERVICE CLASS =====
 /**
  * Encapsulates all AI agent logic for the translation feature.
@@ -46,19 +324,124 @@ function parseJsonAgentResponse(responseText, agentName) {
 export class AgentService {
   /**
    * @param {object} dependencies - The dependencies for this service.
-   * @param {function} dependencies.geminiClient - The function to call the Gemini API.
+   * @param {function} dependencies.llmClient - The function to call the configured model provider (see lib/llmClient.js).
+   * @param {function} dependencies.costEstimator - Prices a call before it is made (see `estimateLlmCost` in lib/llmClient.js).
+   * @param {number} [dependencies.outputRepairAttempts=2] - How often a blueprint agent is re-prompted when its output fails validation.
    * @param {object} dependencies.logger - The Pino logger instance.
    */
-  constructor({ geminiClient, logger }) {
-    this.callGemini = geminiClient;
+  constructor({ llmClient, costEstimator, outputRepairAttempts = 2, logger }) {
+    this.callLlm = llmClient;
+    this.estimateCost = costEstimator;
+    this.outputRepairAttempts = outputRepairAttempts;
     this.logger = logger;
+    this.recordUsage = null;
+    this.bypassCache = false;
+    this.jobId = null;
+    this.stageModel = null;
+  }
+
+  /**
+   * Returns a view of this service whose model calls are queued as the job's, so the LLM
+   * scheduler shares capacity fairly between jobs running at the same time.
+   * @param {string} jobId - The ID of the job the calls are made for.
+   * @returns {AgentService} The view.
+   */
+  forJob(jobId) {
+    return this._view({ jobId });
+  }
+
+  /**
+   * Returns a view of this service that reports every model call it makes. The service is shared
+   * by all jobs, so the orchestrator takes one view per job stage to attribute the calls.
+   * @param {function(AgentCallUsage): Promise<void>} recordUsage - Receives each call's usage once it has answered.
+   * @returns {AgentService} The reporting view.
+   */
+  withUsageRecorder(recordUsage) {
+    return this._view({ recordUsage });
+  }
+
+  /**
+   * Returns a view of this service whose calls skip the response cache lookup. Their answers are still cached.
+   * @param {boolean} [bypassCache=true] - Whether to skip the lookup.
+   * @returns {AgentService} The view.
+   */
+  withCacheBypass(bypassCache = true) {
+    return bypassCache === this.bypassCache ? this : this._view({ bypassCache });
+  }
+
+  /**
+   * Returns a view of this service whose calls use a pipeline profile stage's model and temperature
+   * instead of the agent's own model role and the default temperature.
+   * @param {import('#core/pipelineProfiles.js').PipelineStage|null} stage - The stage's settings; null keeps the agent's own.
+   * @returns {AgentService} The view.
+   */
+  withStageModel(stage) {
+    return this._view({ stageModel: stage });
+  }
+
+  /**
+   * Returns a copy of this service with some fields replaced; the original is left unchanged.
+   * @private
+   */
+  _view(overrides) {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this, overrides);
+  }
+
+  /**
+   * Sends a prompt to the model for the given role and reports what the call used.
+   * The answer may come from the response cache; `isCacheable` keeps unusable answers out of it.
+   * @private
+   * @param {string} prompt - The complete prompt.
+   * @param {{modelRole: 'blueprint'|'translation'|'sync', agentName: string, expectJson?: boolean, isCacheable?: function(string): boolean}} options -
+   *   Which model to use, which agent is calling, whether to ask for JSON, and which answers may be cached.
+   * @returns {Promise<string>} The raw text response.
+   */
+  async _generate(prompt, { modelRole, agentName, expectJson = false, isCacheable }) {
+    const cache = { promptVersion: `${agentName}@${PROMPT_VERSIONS[agentName]}`, bypass: this.bypassCache, accept: isCacheable };
+    const { modelRole: stageModelRole, model, temperature } = this.stageModel ?? {};
+    const { text, usage } = await this.callLlm({
+      prompt, modelRole: stageModelRole ?? modelRole, model, temperature, expectJson, cache, queueKey: this.jobId,
+    }, this.logger);
+    if (this.recordUsage) {
+      await this.recordUsage({ agent: agentName, ...usage });
+    }
+    return text;
+  }
+
+  /**
+   * Sends a prompt expecting JSON of a given shape. When the answer is not valid JSON or does
+   * not match the schema, the model is re-prompted with the problems, up to `outputRepairAttempts` times.
+   * @private
+   * @param {string} prompt - The complete prompt.
+   * @param {{modelRole: 'blueprint'|'translation'|'sync', schema: import('zod').ZodTypeAny, agentName: string}} options
+   * @returns {Promise<any>} The validated output.
+   * @throws {MalformedJsonResponseError} If no attempt produced valid output.
+   */
+  async _generateValidated(prompt, { modelRole, schema, agentName }) {
+    let attemptPrompt = prompt;
+    for (let attempt = 0; ; attempt++) {
+      const response = await this._generate(attemptPrompt, {
+        modelRole, agentName, expectJson: true,
+        isCacheable: isParseableBy(text => parseValidatedAgentResponse(text, schema, agentName)),
+      });
+      try {
+        return parseValidatedAgentResponse(response, schema, agentName);
+      } catch (error) {
+        if (!(error instanceof MalformedJsonResponseError) || attempt >= this.outputRepairAttempts) {
+          throw error;
+        }
+        const problems = describeResponseProblems(error);
+        this.logger.warn({ agentName, attempt: attempt + 1, problems }, 'Agent output failed validation; re-prompting with the problems.');
+        attemptPrompt = buildRepairPrompt(prompt, response, problems);
+      }
+    }
   }
 
   // --- BLUEPRINT GENERATION AGENTS (PHASE 1) ---
 
-  async extractKeywords(text) {
+  async extractKeywords(text, languages) {
     this.logger.info('Agent [extractKeywords] activated.');
-    const prompt = `You are a Lexical Analyst. Your only task is to extract technical terms, specialist jargon, named entities, and culturally specific idioms from the text.
+    const prompt = `You are a Lexical Analyst. Your only task is to extract technical terms, specialist jargon, named entities, and culturally specific idioms from the ${languages.source.name} text.
 Your output MUST be a single JSON object with this exact structure: { "keywords": [{ "term": "...", "definition": "A concise, context-relevant definition" }] }.
 Do not output any text before or after the JSON object. If no keywords are found, return { "keywords": [] }.
 
@@ -68,124 +451,288 @@ ${text}
 ---
 
 Produce the JSON output.`;
-    const response = await this.callGemini(prompt, { modelName: config.GEMINI_BLUEPRINT_MODEL, expectJson: true });
-    return parseJsonAgentResponse(response, 'extractKeywords');
+    return this._generateValidated(prompt, { modelRole: 'blueprint', schema: agentOutputSchemas.keywords, agentName: 'extractKeywords' });
   }
 
-  async groundTranslations(keywords) {
-    this.logger.info({ keywordCount: keywords.length }, 'Agent [groundTranslations] activated.');
-    const prompt = `You are a professional Lexicographer. For each English term provided, find at least 3 high-quality, distinct Persian translations.
+  async groundTranslations(keywords, languages, pastTerms = []) {
+    this.logger.info({ keywordCount: keywords.length, pastTermCount: pastTerms.length }, 'Agent [groundTranslations] activated.');
+    const prompt = `You are a professional Lexicographer. For each ${languages.source.name} term provided, find at least 3 high-quality, distinct ${languages.target.name} translations.
 Your output MUST be a single JSON object with this exact structure: { "grounded_keywords": [{ "term": "...", "translations": ["...", "..."] }] }.
 Do not output any text before or after the JSON object.
 
+---
+**Earlier Term Decisions (Translation Memory):**
+${formatPastTerms(pastTerms)}
 ---
 **Terms to Translate (with definitions):**
 ${JSON.stringify(keywords, null, 2)}
 ---
 
 Produce the JSON output.`;
-    const response = await this.callGemini(prompt, { modelName: config.GEMINI_BLUEPRINT_MODEL, expectJson: true });
-    return parseJsonAgentResponse(response, 'groundTranslations');
+    return this._generateValidated(prompt, { modelRole: 'blueprint', schema: agentOutputSchemas.groundedKeywords, agentName: 'groundTranslations' });
   }
 
-  async assembleBlueprint(text, tone, groundedKeywords) {
-    this.logger.info('Agent [assembleBlueprint] activated.');
+  async assembleBlueprint(text, tone, groundedKeywords, languages, lockedTerms = []) {
+    this.logger.info({ lockedTermCount: lockedTerms.length }, 'Agent [assembleBlueprint] activated.');
     const prompt = `You are a Pre-production Strategist. Generate a "Translation Blueprint" JSON object based on the provided script, tone, and pre-verified keywords. This blueprint is the single source of truth for the translation team. Your analysis must be meticulous.
 The JSON MUST include:
 1.  'summary': A concise plot summary.
-2.  'keyPoints': An array of key themes.
-3.  'characterProfiles': An array of objects detailing character speaking styles.
-4.  'culturalAdaptations' (Phantom Lingo™): An array identifying idioms and proposing culturally equivalent Persian adaptations.
-5.  'glossary' (World Anvil): A detailed glossary where for each keyword, you select the single best 'proposedTranslation' from the candidates provided, and write a powerful 'justification' based on evidence from the text and the requested '${tone}' tone.
+2.  'keyPoints': An array of key themes, as strings.
+3.  'characterProfiles': An array of { "personaName", "speakingStyle" } objects detailing character speaking styles.
+4.  'culturalAdaptations' (Phantom Lingo™): An array of { "original", "adaptation", "justification" } objects identifying idioms and proposing culturally equivalent ${languages.target.name} adaptations.
+5.  'glossary' (World Anvil): An array of { "term", "proposedTranslation", "justification" } objects where for each keyword, you select the single best 'proposedTranslation' from the candidates provided, and write a powerful 'justification' based on evidence from the text and the requested '${tone}' tone.
 
-Your output MUST be only the single, valid JSON object. No other text.
+Your output MUST be only the single, valid JSON object. No other text. Use an empty array for a section with nothing to report.
 
+---
+**LOCKED PROJECT TERMBASE:**
+${formatLockedTerms(lockedTerms, languages)}
 ---
 **PRE-VERIFIED KEYWORD LIST (with translation candidates):**
 ${JSON.stringify(groundedKeywords, null, 2)}
 ---
-**Full English Subtitle Script for Analysis:**
+**Full ${languages.source.name} Subtitle Script for Analysis:**
 ${text}
 ---
 
 Produce the complete Translation Blueprint JSON.`;
-    const response = await this.callGemini(prompt, { modelName: config.GEMINI_BLUEPRINT_MODEL, expectJson: true });
-    return parseJsonAgentResponse(response, 'assembleBlueprint');
+    return this._generateValidated(prompt, { modelRole: 'blueprint', schema: agentOutputSchemas.blueprint, agentName: 'assembleBlueprint' });
   }
 
   // --- BATCH TRANSLATION AGENTS (PHASE 2) ---
 
-  async transcreateBatch(batch, previousContext, blueprint, tone) {
-    this.logger.info({ batchSize: batch.length }, 'Agent [transcreateBatch] activated.');
-    const batchSrt = toSrtPromptFormat(batch);
-    const prompt = `You are a Master Transcreator. Adhering strictly to the provided Blueprint, transcreate the following SRT batch into fluent Persian. The number of output lines must exactly match the number of input entries.
-Previous Context: ${previousContext}
-Blueprint: ${JSON.stringify(blueprint)}
-Tone: ${tone}
+  async summarizeScene(lines, languages) {
+    this.logger.info({ lineCount: lines.length }, 'Agent [summarizeScene] activated.');
+    const prompt = `You are a Script Supervisor. In at most three sentences of English, summarize the scene in the following ${languages.source.name} subtitle excerpt for the translator of the next scene: who is speaking to whom, their relationship and register (formal or informal), and any running joke or unresolved reference that must carry forward.
 
-BATCH TO TRANSLATE (Format: "Sequence | Text"):
+EXCERPT (Format: "Sequence | Text"):
 ---
-${batchSrt}
+${toSrtPromptFormat(lines)}
 ---
-Provide ONLY the translated text, one subtitle per line.`;
-    return await this.callGemini(prompt, { modelName: config.GEMINI_TRANSLATION_MODEL });
+Provide ONLY the summary.`;
+    return await this._generate(prompt, { modelRole: 'sync', agentName: 'summarizeScene', isCacheable: text => text.trim() !== '' });
   }
 
-  async editBatch(batch, initialTranslation, blueprint, tone) {
-    this.logger.info({ batchSize: batch.length }, 'Agent [editBatch] activated.');
-    const batchSrt = toSrtPromptFormat(batch);
-    const prompt = `You are a Senior Editor. Polish the provided Persian translation, ensuring it is faithful to the original English and the Blueprint directives (Glossary, Personas, Tone). The number of output lines must exactly match the input.
-
-ORIGINAL BATCH:
+  async transcreateBatch(batch, previousContext, blueprint, tone, languages, memorySegments = [], instructions = '') {
+    this.logger.info({ batchSize: batch.length, memorySegmentCount: memorySegments.length }, 'Agent [transcreateBatch] activated.');
+    const prompt = `You are a Master Transcreator. Adhering strictly to the provided Blueprint, transcreate the "text" of each of the following ${languages.source.name} subtitle entries into fluent ${languages.target.name}.
+${LINES_OUTPUT_RULE}
+${PLACEHOLDER_RULE}
+Previous Context:
+${formatPreviousContext(previousContext, languages)}
+Translation Memory:
+${formatMemorySegments(memorySegments, languages)}
+Blueprint: ${JSON.stringify(blueprint)}
+Tone: ${tone}
+${formatReviewerInstructions(instructions)}
+BATCH TO TRANSLATE:
 ---
-${batchSrt}
+${formatBatchForPrompt(batch)}
 ---
-INITIAL TRANSLATION (to be edited):
+Produce the JSON output, with the ${languages.target.name} translation as each entry's "text".`;
+    const response = await this._generate(prompt, {
+      modelRole: 'translation', agentName: 'transcreateBatch', expectJson: true,
+      isCacheable: isParseableBy(text => parseLinesAgentResponse(text, 'transcreateBatch')),
+    });
+    return parseLinesAgentResponse(response, 'transcreateBatch');
+  }
+
+  async editBatch(batch, initialTranslation, blueprint, tone, languages, instructions = '') {
+    this.logger.info({ batchSize: batch.length }, 'Agent [editBatch] activated.');
+    const prompt = `You are a Senior Editor. Polish the provided ${languages.target.name} translation of each entry, ensuring it is faithful to the original ${languages.source.name} "text" and the Blueprint directives (Glossary, Personas, Tone).
+${LINES_OUTPUT_RULE}
+${PLACEHOLDER_RULE}
+Blueprint: ${JSON.stringify(blueprint)}
+Tone: ${tone}
+Locked Terms:
+${formatLockedGlossary(blueprint?.glossary, languages)}
+${formatReviewerInstructions(instructions)}
+ENTRIES (original "text" and the initial "translation" to be edited):
 ---
-${initialTranslation}
+${formatBatchForPrompt(batch, initialTranslation)}
 ---
-Provide ONLY the edited and improved Persian text, one subtitle per line.`;
-    return await this.callGemini(prompt, { modelName: config.GEMINI_TRANSLATION_MODEL });
+Produce the JSON output, with the edited and improved ${languages.target.name} translation as each entry's "text".`;
+    const response = await this._generate(prompt, {
+      modelRole: 'translation', agentName: 'editBatch', expectJson: true,
+      isCacheable: isParseableBy(text => parseLinesAgentResponse(text, 'editBatch')),
+    });
+    return parseLinesAgentResponse(response, 'editBatch');
   }
 
-  async qaBatch(batch, editedTranslation, blueprint, tone) {
+  async qaBatch(batch, editedTranslation, blueprint, tone, languages, instructions = '') {
     this.logger.info({ batchSize: batch.length }, 'Agent [qaBatch] activated.');
-    const batchSrt = toSrtPromptFormat(batch);
-    const prompt = `You are Head of QA. Perform a final review of the edited translation for accuracy and brief compliance. The number of output lines must exactly match the input.
-
-ORIGINAL BATCH:
----
-${batchSrt}
----
-EDITED TRANSLATION (to be reviewed):
+    const prompt = `You are Head of QA. Perform a final review of the edited ${languages.target.name} translation of each entry for accuracy and brief compliance.
+${LINES_OUTPUT_RULE}
+${PLACEHOLDER_RULE}
+Blueprint: ${JSON.stringify(blueprint)}
+Tone: ${tone}
+Locked Terms:
+${formatLockedGlossary(blueprint?.glossary, languages)}
+${formatReviewerInstructions(instructions)}
+ENTRIES (original "text" and the edited "translation" to be reviewed):
 ---
-${editedTranslation}
+${formatBatchForPrompt(batch, editedTranslation)}
 ---
-Provide ONLY the final, approved Persian text, one subtitle per line.`;
-    return await this.callGemini(prompt, { modelName: config.GEMINI_TRANSLATION_MODEL });
+Produce the JSON output, with the final, approved ${languages.target.name} translation as each entry's "text".`;
+    const response = await this._generate(prompt, {
+      modelRole: 'translation', agentName: 'qaBatch', expectJson: true,
+      isCacheable: isParseableBy(text => parseLinesAgentResponse(text, 'qaBatch')),
+    });
+    return parseLinesAgentResponse(response, 'qaBatch');
   }
 
-  async phantomSync(batch, qaTranslation) {
+  async phantomSync(batch, qaTranslation, languages) {
+    const { name: targetName, maxCps } = languages.target;
     this.logger.info({ batchSize: batch.length }, 'Agent [phantomSync] activated.');
-    const promptData = batch.map((line, index) => {
-      const translatedLine = qaTranslation.split('\n')[index] || '';
-      return `L${line.sequence}:
-- Duration: ${line.duration.toFixed(2)}s
-- Translated Persian: "${translatedLine}"`;
-    }).join('\n');
-
-    const prompt = `You are "Phantom Sync™", a subtitle Pacing & Readability Analyst. Adjust translated Persian lines that are too long for their on-screen duration by rewriting them to be more concise while preserving 100% of the original meaning.
+    const promptData = JSON.stringify(batch.map(line => ({
+      sequence: line.sequence,
+      durationSeconds: Number((parseTimestamp(line.endTime) - parseTimestamp(line.startTime)).toFixed(2)),
+      text: qaTranslation.get(line.sequence) ?? '',
+    })), null, 2);
+
+    const prompt = `You are "Phantom Sync™", a subtitle Pacing & Readability Analyst. Adjust translated ${targetName} lines that are too long for their on-screen duration by rewriting them to be more concise while preserving 100% of the original meaning.
 **Rules:**
-1.  Analyze each line's reading pace (Characters Per Second). The professional threshold for Persian is ~22 CPS.
-2.  If a line is too fast (> 22 CPS), rewrite it to be shorter. Append the annotation: \`[PS Sync: Compressed from "original longer translation" for readability.]\`.
-3.  If a line's pace is acceptable, return it exactly as is.
-4.  The number of output lines MUST exactly match the number of input lines.
+1.  Analyze each entry's reading pace (Characters Per Second). The professional threshold for ${targetName} is ~${maxCps} CPS.
+2.  If an entry is too fast (> ${maxCps} CPS), rewrite its text to be shorter.
+3.  If an entry's pace is acceptable, return its text exactly as is.
+4.  ${LINES_OUTPUT_RULE}
+5.  ${PLACEHOLDER_RULE}
 
 **Data for Analysis:**
 ---
 ${promptData}
 ---
-Provide the final, sync-checked Persian subtitle text. Output ONLY the text, with one subtitle line per line, including any required [PS Sync: ...] annotations.`;
-    return await this.callGemini(prompt, { modelName: config.GEMINI_SYNC_MODEL });
+Produce the JSON output, with the final, sync-checked ${targetName} text of each entry.`;
+    const response = await this._generate(prompt, {
+      modelRole: 'sync', agentName: 'phantomSync', expectJson: true,
+      isCacheable: isParseableBy(text => parseLinesAgentResponse(text, 'phantomSync')),
+    });
+    return parseLinesAgentResponse(response, 'phantomSync');
+  }
+
+  // --- QUALITY ESTIMATION AGENTS (PHASE 2) ---
+
+  async backTranslateBatch(batch, translations, languages) {
+    this.logger.info({ batchSize: batch.length }, 'Agent [backTranslateBatch] activated.');
+    // The source is left out, so the back-translation shows what the translation says rather than what it should say.
+    const promptData = JSON.stringify(batch.map(line => ({
+      sequence: line.sequence,
+      text: translations.get(line.sequence) ?? '',
+    })), null, 2);
+    const prompt = `You are a Back-Translator. Translate the "text" of each of the following ${languages.target.name} subtitle entries into ${languages.source.name} as literally as natural ${languages.source.name} allows. Do not correct, improve or guess at what was meant: render exactly what each entry says, including its mistakes.
+${LINES_OUTPUT_RULE}
+ENTRIES:
+---
+${promptData}
+---
+Produce the JSON output, with the ${languages.source.name} back-translation as each entry's "text".`;
+    const response = await this._generate(prompt, {
+      modelRole: 'sync', agentName: 'backTranslateBatch', expectJson: true,
+      isCacheable: isParseableBy(text => parseLinesAgentResponse(text, 'backTranslateBatch')),
+    });
+    return parseLinesAgentResponse(response, 'backTranslateBatch');
+  }
+
+  async judgeBatch(batch, translations, languages) {
+    this.logger.info({ batchSize: batch.length }, 'Agent [judgeBatch] activated.');
+    const prompt = `You are a Translation Quality Judge. Score the ${languages.target.name} "translation" of each ${languages.source.name} subtitle entry on two scales from 1 to 5:
+- "adequacy": how much of the original's meaning the translation carries over (1 = none or wrong, 3 = the gist with noticeable losses, 5 = all of it).
+- "fluency": how natural the translation reads to a native ${languages.target.name} viewer (1 = unintelligible, 3 = understandable but awkward, 5 = native).
+Subtitles are condensed by design; do not mark a translation down for leaving out filler words or repetitions.
+Your output MUST be a single JSON object with this exact structure: { "lines": [{ "sequence": 12, "adequacy": 4, "fluency": 5, "reason": "..." }] }, with exactly one entry for every input sequence, in the same order. "reason" is one short English sentence naming the main problem, or empty when there is none. Do not output any text before or after the JSON object.
+ENTRIES (original "text" and its "translation"):
+---
+${formatBatchForPrompt(batch, translations)}
+---
+Produce the JSON output.`;
+    const { lines } = await this._generateValidated(prompt, {
+      modelRole: 'translation', schema: agentOutputSchemas.lineJudgements, agentName: 'judgeBatch',
+    });
+    return lines;
+  }
+
+  // --- PRE-FLIGHT COST ESTIMATES ---
+  // These mirror the calls the agents above make, sized from the text they would be sent.
+  // Repair calls are not predicted.
+
+  /**
+   * Predicts the calls of blueprint generation (phase 1).
+   * @param {string} scriptText - The text the blueprint agents analyze.
+   * @returns {{calls: AgentCallEstimate[], blueprintTokens: number}} The calls, and the expected size of the blueprint.
+   */
+  estimateBlueprintCalls(scriptText) {
+    const scriptTokens = estimateTokenCount(scriptText);
+    const keywordTokens = Math.min(Math.ceil(scriptTokens * ESTIMATE_KEYWORDS.ratio), ESTIMATE_KEYWORDS.maxTokens);
+    const candidateTokens = keywordTokens * ESTIMATE_CANDIDATES_PER_KEYWORD;
+    const blueprintTokens = Math.min(Math.ceil(scriptTokens * ESTIMATE_BLUEPRINT.ratio), ESTIMATE_BLUEPRINT.maxTokens);
+    const calls = [
+      this._priceCall('extractKeywords', 'blueprint', scriptTokens, keywordTokens),
+      this._priceCall('groundTranslations', 'blueprint', keywordTokens, candidateTokens),
+      this._priceCall('assembleBlueprint', 'blueprint', scriptTokens + candidateTokens, blueprintTokens),
+    ];
+    return { calls, blueprintTokens };
+  }
+
+  /**
+   * Predicts the calls that translate one batch (phase 2).
+   * @param {Array<{text: string}>} batch - The batch's source lines.
+   * @param {object} options
+   * @param {boolean} options.withSceneSummary - Whether the previous batch is summarized first (every batch but the first).
+   * @param {number} options.blueprintTokens - The size of the blueprint sent to the transcreation, edit and QA agents.
+   * @param {Partial<Record<string, import('#core/pipelineProfiles.js').PipelineStage>>} [options.stages={}] -
+   *   The pipeline profile's stages; disabled ones are left out and the others priced at their model.
+   * @returns {AgentCallEstimate[]} The calls.
+   */
+  estimateBatchCalls(batch, { withSceneSummary, blueprintTokens, stages = {} }) {
+    const framingTokens = batch.length * ESTIMATE_LINE_FRAMING_TOKENS;
+    const sourceTokens = batch.reduce((sum, line) => sum + estimateTokenCount(line.text), 0);
+    const sourceBatchTokens = sourceTokens + framingTokens;
+    const translatedBatchTokens = Math.ceil(sourceTokens * ESTIMATE_TRANSLATION_EXPANSION) + framingTokens;
+    const contextTokens = batch.length > 0
+      ? Math.ceil((sourceTokens / batch.length) * ESTIMATE_TRANSCREATION_CONTEXT_LINES)
+      : 0;
+    const stageCall = (stage, agent, modelRole, contentTokens, responseTokens) => {
+      const { enabled = true, modelRole: stageModelRole, model } = stages[stage] ?? {};
+      return enabled ? [this._priceCall(agent, stageModelRole ?? modelRole, contentTokens, responseTokens, model)] : [];
+    };
+    return [
+      ...(withSceneSummary ? stageCall('summarize', 'summarizeScene', 'sync', sourceBatchTokens, ESTIMATE_SCENE_SUMMARY_TOKENS) : []),
+      ...stageCall('transcreate', 'transcreateBatch', 'translation', sourceBatchTokens + contextTokens + blueprintTokens, translatedBatchTokens),
+      ...stageCall('edit', 'editBatch', 'translation', sourceBatchTokens + translatedBatchTokens + blueprintTokens, translatedBatchTokens),
+      ...stageCall('qa', 'qaBatch', 'translation', sourceBatchTokens + translatedBatchTokens + blueprintTokens, translatedBatchTokens),
+      ...stageCall('sync', 'phantomSync', 'sync', translatedBatchTokens + framingTokens, translatedBatchTokens),
+    ];
+  }
+
+  /**
+   * Predicts the calls that estimate the quality of one batch of finished lines.
+   * @param {Array<{text: string}>} batch - The batch's source lines.
+   * @param {{backTranslate: import('#core/pipelineProfiles.js').PipelineStage|null, judge: import('#core/pipelineProfiles.js').PipelineStage|null}} stages -
+   *   The quality estimation stages that run; null for one that does not.
+   * @returns {AgentCallEstimate[]} The calls.
+   */
+  estimateQualityCalls(batch, { backTranslate, judge }) {
+    const framingTokens = batch.length * ESTIMATE_LINE_FRAMING_TOKENS;
+    const sourceTokens = batch.reduce((sum, line) => sum + estimateTokenCount(line.text), 0);
+    const translatedBatchTokens = Math.ceil(sourceTokens * ESTIMATE_TRANSLATION_EXPANSION) + framingTokens;
+    return [
+      ...(backTranslate
+        ? [this._priceCall('backTranslateBatch', backTranslate.modelRole ?? 'sync', translatedBatchTokens, sourceTokens + framingTokens, backTranslate.model)]
+        : []),
+      ...(judge
+        ? [this._priceCall('judgeBatch', judge.modelRole ?? 'translation', sourceTokens + translatedBatchTokens, batch.length * ESTIMATE_JUDGEMENT_TOKENS_PER_LINE, judge.model)]
+        : []),
+    ];
+  }
+
+  /**
+   * Prices one predicted call, adding the fixed instructions to its prompt.
+   * @private
+   * @returns {AgentCallEstimate}
+   */
+  _priceCall(agent, modelRole, contentTokens, responseTokens, requestedModel) {
+    const promptTokens = ESTIMATE_INSTRUCTION_TOKENS + contentTokens;
+    const { model, isPriced, costUsd } = this.estimateCost({ modelRole, model: requestedModel, promptTokens, responseTokens });
+    return { agent, model, isPriced, promptTokens, responseTokens, costUsd };
   }
 }
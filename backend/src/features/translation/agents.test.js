@@ -0,0 +1,45 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { AgentService } from './agents.js';
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const LANGUAGES = { source: { code: 'en', name: 'English' }, target: { code: 'es', name: 'Spanish' } };
+const BATCH = [{ sequence: 1, text: 'Give me the Ring.' }];
+const BLUEPRINT = {
+  glossary: [
+    { term: 'Ring', proposedTranslation: 'Anillo', locked: true, doNotTranslate: false, forbiddenVariants: ['Sortija'] },
+    { term: 'Shire', proposedTranslation: 'Comarca', locked: false },
+  ],
+};
+
+// A model that returns the translation it was given, so only the prompt is under test.
+const createAgents = () => {
+  const llmClient = jest.fn(async () => ({ text: JSON.stringify({ lines: [{ sequence: 1, text: 'Dame el Anillo.' }] }), usage: {} }));
+  return { llmClient, agents: new AgentService({ llmClient, costEstimator: () => ({}), logger: silentLogger }) };
+};
+
+const lockedTermsOf = (prompt) => prompt.slice(prompt.indexOf('Locked Terms:'));
+
+describe('AgentService edit and QA prompts', () => {
+  it('give the editor and QA the locked terms, so the edit pass keeps them', async () => {
+    const { llmClient, agents } = createAgents();
+    const translations = new Map([[1, 'Dame el Anillo.']]);
+
+    await expect(agents.editBatch(BATCH, translations, BLUEPRINT, 'epic', LANGUAGES))
+      .resolves.toEqual([{ sequence: 1, text: 'Dame el Anillo.' }]);
+    await agents.qaBatch(BATCH, translations, BLUEPRINT, 'epic', LANGUAGES);
+
+    const [editPrompt, qaPrompt] = llmClient.mock.calls.map(([{ prompt }]) => prompt);
+    for (const prompt of [editPrompt, qaPrompt]) {
+      expect(lockedTermsOf(prompt)).toContain('- "Ring" => "Anillo"; never "Sortija"');
+      expect(lockedTermsOf(prompt)).not.toContain('"Shire" =>');
+      expect(prompt).toContain('Tone: epic');
+    }
+  });
+
+  it('say so when the blueprint has no locked terms', async () => {
+    const { llmClient, agents } = createAgents();
+    await agents.editBatch(BATCH, new Map([[1, 'Dame el Anillo.']]), { glossary: [] }, 'epic', LANGUAGES);
+
+    expect(llmClient.mock.calls[0][0].prompt).toContain('Locked Terms:\nNone.');
+  });
+});
@@ -3,15 +3,38 @@
 // and to correctly propagate the request-specific, contextual logger for end-to-end observability.
 
 // ===== IMPORTS & DEPENDENCIES =====
+import config from '#config';
 import { getDb } from '#lib/mongoClient.js';
-import { getPineconeIndex } from '#lib/pineconeClient.js';
-import { callGemini } from '#lib/geminiClient.js';
+import { getVectorStore } from '#lib/vectorStore.js';
+import { getEmbeddingFunction } from '#lib/embeddings.js';
+import { callLlm, estimateLlmCost } from '#lib/llmClient.js';
+import { issueStreamToken } from '#lib/streamTokens.js';
+import { ProjectRepository } from '#features/projects/repository.js';
+import { ProjectService } from '#features/projects/service.js';
+import { UserRepository } from '#features/users/repository.js';
+import { UserService } from '#features/users/service.js';
 import { TranslationRepository } from './repository.js';
 import { AgentService } from './agents.js';
 import { TranslationOrchestrator } from './orchestrator.js';
+import { JobEventBus } from './jobEvents.js';
+import { openEventStream } from '#utils/sse.js';
 import { translationSchemas } from './translation.schemas.js'; // Import our new Zod schemas
 import { zodToJsonSchema } from 'zod-to-json-schema'; // Helper to convert Zod to JSON Schema
 
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Builds an attachment Content-Disposition header. Non-ASCII names (e.g., Persian titles) are
+ * sent in `filename*`, with an ASCII approximation in `filename` for older clients.
+ * @private
+ */
+function contentDisposition(fileName) {
+  const asciiName = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  // encodeURIComponent leaves characters RFC 5987 does not allow unescaped.
+  const encodedName = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+}
+
 // ===== CONTROLLER DEFINITION =====
 /**
  * Registers the translation feature's routes and services with the Fastify server.
@@ -27,22 +50,68 @@ export default async function (server, opts) {
   // 1. Create the data access layer.
   const repository = new TranslationRepository({ 
     db: getDb(), 
-    vectorIndex: getPineconeIndex(), 
+    vectorStore: getVectorStore(),
+    embed: getEmbeddingFunction(),
+    memoryMinScore: config.TRANSLATION_MEMORY_MIN_SCORE,
     logger: server.log, // Global logger for setup-time logging
   });
 
   // 2. Create the AI agent service layer.
   const agentService = new AgentService({
-    geminiClient: callGemini,
+    llmClient: callLlm,
+    costEstimator: estimateLlmCost,
+    outputRepairAttempts: config.AGENT_OUTPUT_REPAIR_ATTEMPTS,
     logger: server.log,
   });
 
-  // 3. Create the core business logic layer, injecting dependencies.
+  // 3. Create the in-process event bus that carries live job progress to SSE clients.
+  const eventBus = new JobEventBus({ logger: server.log });
+
+  // 4. Create the project service, which supplies the termbase of a job's project.
+  const projectService = new ProjectService({
+    repository: new ProjectRepository({ db: getDb(), logger: server.log }),
+    logger: server.log,
+  });
+
+  // 5. Create the user service, which meters each user's monthly line quota.
+  const quotaService = new UserService({
+    repository: new UserRepository({ db: getDb(), logger: server.log }),
+    defaultMonthlyLineQuota: config.DEFAULT_MONTHLY_LINE_QUOTA,
+    logger: server.log,
+  });
+
+  // 6. Create the core business logic layer, injecting dependencies.
   const orchestrator = new TranslationOrchestrator({ 
     repository, 
     agentService,
+    eventBus,
+    projectService,
+    quotaService,
+    embed: getEmbeddingFunction(),
+    embeddingProvider: config.EMBEDDING_PROVIDER,
+    pipelineProfiles: config.PIPELINE_PROFILES,
+    defaultPipelineProfile: config.DEFAULT_PIPELINE_PROFILE,
     logger: server.log,
   });
+
+  // 7. Fail the jobs whose process stopped while running them, so they can be resumed, and keep
+  // the heartbeat of this process's jobs fresh so other instances leave them alone.
+  await orchestrator.failInterruptedJobs(server.log);
+  orchestrator.startJobMonitor(server.log);
+  server.addHook('onClose', async () => orchestrator.stopJobMonitor());
+
+  // Routes that name a job only serve it to its owner (or an admin); `request.user` is set by the auth hook.
+  const authorizeJob = async (request) => {
+    const jobId = request.params.jobId ?? request.body.jobId;
+    await orchestrator.assertJobAccess(jobId, request.user, request.log);
+  };
+  // A job's event stream may also be opened with a stream token for that job (see middleware/auth.js).
+  const authorizeJobStream = async (request) => {
+    if (request.streamJobId === request.params.jobId) {
+      return;
+    }
+    await authorizeJob(request);
+  };
   
   // --- ROUTE DEFINITIONS ---
 
@@ -56,7 +125,7 @@ export default async function (server, opts) {
     }, 
     async (request, reply) => {
       // Any errors thrown from here onwards will be caught by our global handler.
-      const { subtitleContent, settings } = request.body;
+      const { subtitleContent, settings, fileName } = request.body;
       
       // CRITICAL: We use request.log here, which has the unique traceId.
       request.log.info('Blueprint generation request received.');
@@ -65,6 +134,8 @@ export default async function (server, opts) {
       const result = await orchestrator.generateTranslationBlueprint(
         subtitleContent, 
         settings, 
+        fileName ?? null,
+        request.user,
         request.log // <-- CONTEXTUAL LOGGER INJECTION
       );
     
@@ -73,9 +144,24 @@ export default async function (server, opts) {
     }
   );
 
+  server.post(
+    '/estimate',
+    {
+      schema: {
+        body: zodToJsonSchema(translationSchemas.estimateBody, 'estimateBodySchema'),
+      },
+    },
+    async (request, reply) => {
+      const { subtitleContent, settings } = request.body;
+      request.log.info('Cost estimate request received.');
+      return orchestrator.estimateJobCost(subtitleContent, settings, request.log);
+    }
+  );
+
   server.post(
     '/execute', 
     { 
+      preHandler: authorizeJob,
       schema: { 
         body: zodToJsonSchema(translationSchemas.executeBody, 'executeBodySchema'),
       },
@@ -85,15 +171,206 @@ export default async function (server, opts) {
       
       request.log.info({ jobId }, 'Translation execution request received.');
     
-      // Pass the contextual logger down for this request as well.
-      const result = await orchestrator.executeTranslationChain(
+      // The chain runs in the background; the client follows progress via GET /jobs/:jobId.
+      const result = await orchestrator.queueTranslationChain(
         jobId, 
         confirmedBlueprint, 
         settings,
+        request.user,
         request.log // <-- CONTEXTUAL LOGGER INJECTION
       );
     
-      return result;
+      reply.code(202);
+      // Browsers follow the job's event stream with this token instead of their API key.
+      return { ...result, streamToken: issueStreamToken(jobId) };
+    }
+  );
+
+  // --- JOB HISTORY ROUTES ---
+
+  server.get(
+    '/jobs',
+    {
+      schema: {
+        querystring: zodToJsonSchema(translationSchemas.listJobsQuery, 'listJobsQuerySchema'),
+      },
+    },
+    async (request, reply) => {
+      // Admins see every user's jobs; everyone else only their own.
+      const ownerId = UserService.isAdmin(request.user) ? undefined : request.user.userId;
+      return orchestrator.listJobs({ ...request.query, ownerId }, request.log);
+    }
+  );
+
+  server.get(
+    '/jobs/:jobId',
+    {
+      preHandler: authorizeJob,
+      schema: {
+        params: zodToJsonSchema(translationSchemas.jobParams, 'jobParamsSchema'),
+      },
+    },
+    async (request, reply) => {
+      const { jobId } = request.params;
+      return orchestrator.getJobStatus(jobId, request.log);
+    }
+  );
+
+  server.post(
+    '/jobs/:jobId/resume',
+    {
+      preHandler: authorizeJob,
+      schema: {
+        params: zodToJsonSchema(translationSchemas.jobParams, 'jobParamsSchema'),
+      },
+    },
+    async (request, reply) => {
+      const { jobId } = request.params;
+      request.log.info({ jobId }, 'Translation resume request received.');
+      // Only the batches that did not complete run again, in the background like /execute.
+      const result = await orchestrator.resumeTranslationChain(jobId, request.user, request.log);
+      reply.code(202);
+      return { ...result, streamToken: issueStreamToken(jobId) };
+    }
+  );
+
+  server.get(
+    '/jobs/:jobId/usage',
+    {
+      preHandler: authorizeJob,
+      schema: {
+        params: zodToJsonSchema(translationSchemas.jobParams, 'jobParamsSchema'),
+      },
+    },
+    async (request, reply) => {
+      const { jobId } = request.params;
+      return orchestrator.getJobUsage(jobId, request.log);
+    }
+  );
+
+  server.get(
+    '/jobs/:jobId/download',
+    {
+      preHandler: authorizeJob,
+      schema: {
+        params: zodToJsonSchema(translationSchemas.jobParams, 'jobParamsSchema'),
+        querystring: zodToJsonSchema(translationSchemas.downloadQuery, 'downloadQuerySchema'),
+      },
+    },
+    async (request, reply) => {
+      const { jobId } = request.params;
+      const { fileName, contentType, content } = await orchestrator.getJobDownload(jobId, request.query.format, request.log);
+      reply
+        .header('Content-Type', contentType)
+        .header('Content-Disposition', contentDisposition(fileName));
+      return content;
+    }
+  );
+
+  server.delete(
+    '/jobs/:jobId',
+    {
+      preHandler: authorizeJob,
+      schema: {
+        params: zodToJsonSchema(translationSchemas.jobParams, 'jobParamsSchema'),
+      },
+    },
+    async (request, reply) => {
+      const { jobId } = request.params;
+      request.log.info({ jobId }, 'Job deletion request received.');
+      await orchestrator.deleteJob(jobId, request.log);
+      return reply.code(204).send();
+    }
+  );
+
+  server.post(
+    '/jobs/:jobId/stream-token',
+    {
+      preHandler: authorizeJob,
+      schema: {
+        params: zodToJsonSchema(translationSchemas.jobParams, 'jobParamsSchema'),
+      },
+    },
+    async (request, reply) => {
+      // For following a job that was not started in this session, or once the earlier token has expired.
+      return issueStreamToken(request.params.jobId);
+    }
+  );
+
+  server.get(
+    '/jobs/:jobId/events',
+    {
+      preHandler: authorizeJobStream,
+      // EventSource cannot send headers, so a stream token for the job may come as `access_token`.
+      config: { allowQueryToken: true },
+      schema: {
+        params: zodToJsonSchema(translationSchemas.jobParams, 'jobParamsSchema'),
+      },
+    },
+    async (request, reply) => {
+      const { jobId } = request.params;
+      // Resolve the job BEFORE hijacking the reply so a 404 still goes through the error handler.
+      const snapshot = await orchestrator.getJobStatus(jobId, request.log);
+
+      const stream = openEventStream(reply);
+      stream.send({ event: 'snapshot', data: snapshot });
+      // A completed job stays followable while some of its lines are being re-translated.
+      if (['complete', 'failed'].includes(snapshot.status) && snapshot.revision?.status !== 'running') {
+        stream.close();
+        return;
+      }
+
+      // EventSource sends Last-Event-ID on reconnect; only replay what the client missed.
+      const lastEventId = Number.parseInt(request.headers['last-event-id'], 10);
+      const unsubscribe = eventBus.subscribe(
+        jobId,
+        (event) => {
+          stream.send({ id: event.id, event: event.type, data: event.data });
+          if (JobEventBus.isTerminal(event.type)) {
+            stream.close();
+          }
+        },
+        { afterId: Number.isNaN(lastEventId) ? -1 : lastEventId }
+      );
+      stream.onClose(unsubscribe);
+      request.log.info({ jobId }, 'Client subscribed to job events.');
+    }
+  );
+
+  // --- LINE REVIEW ROUTES ---
+
+  server.patch(
+    '/jobs/:jobId/lines/:sequence',
+    {
+      preHandler: authorizeJob,
+      schema: {
+        params: zodToJsonSchema(translationSchemas.lineParams, 'lineParamsSchema'),
+        body: zodToJsonSchema(translationSchemas.updateLineBody, 'updateLineBodySchema'),
+      },
+    },
+    async (request, reply) => {
+      const { jobId, sequence } = request.params;
+      request.log.info({ jobId, sequence }, 'Line edit request received.');
+      return orchestrator.updateLine(jobId, sequence, request.body.text, request.log);
+    }
+  );
+
+  server.post(
+    '/jobs/:jobId/lines/retranslate',
+    {
+      preHandler: authorizeJob,
+      schema: {
+        params: zodToJsonSchema(translationSchemas.jobParams, 'jobParamsSchema'),
+        body: zodToJsonSchema(translationSchemas.retranslateBody, 'retranslateBodySchema'),
+      },
+    },
+    async (request, reply) => {
+      const { jobId } = request.params;
+      request.log.info({ jobId, fromSequence: request.body.fromSequence, toSequence: request.body.toSequence }, 'Line re-translation request received.');
+      // The agents run in the background; the outcome is reported on the job's event stream.
+      const result = await orchestrator.retranslateLines(jobId, request.body, request.user, request.log);
+      reply.code(202);
+      return { ...result, streamToken: issueStreamToken(jobId) };
     }
   );
 }
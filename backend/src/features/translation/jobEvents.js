@@ -0,0 +1,152 @@
+// ===== PRODUCTION-READY JOB EVENT BUS =====
+// An in-process publish/subscribe channel for translation job progress.
+// The orchestrator publishes events as agents and batches move forward, and the
+// Server-Sent Events route in the controller relays them to connected clients.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { EventEmitter } from 'node:events';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const MAX_HISTORY_PER_JOB = 500; // Enough to replay a full run to a late or reconnecting subscriber.
+const HISTORY_RETENTION_MS = 5 * 60 * 1000; // Keep history briefly after a job ends for reconnects.
+// A job that stops publishing without ending (e.g., left awaiting blueprint review) is released
+// once it has been quiet this long and nobody is subscribed.
+const HISTORY_IDLE_TTL_MS = 30 * 60 * 1000;
+// A re-translation of a completed job's lines ends with one of the revision events.
+const TERMINAL_EVENT_TYPES = ['complete', 'failed', 'revision_complete', 'revision_failed'];
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A single progress event for a job.
+ * @typedef {object} JobEvent
+ * @property {number} id - Monotonic, per-job event id (used as the SSE `id` for reconnects).
+ * @property {string} type - The event type (e.g., 'stage', 'progress', 'lines', 'complete', 'failed', 'revision_complete').
+ * @property {object} data - The event payload.
+ * @property {string} timestamp - ISO timestamp of when the event was published.
+ */
+
+// ===== EVENT BUS CLASS =====
+/**
+ * Fans out job events to subscribers and keeps a short replay history per job,
+ * so a client that connects mid-run (or reconnects) still sees earlier events.
+ */
+export class JobEventBus {
+  /**
+   * @param {object} dependencies - The dependencies for this service.
+   * @param {object} dependencies.logger - The Pino logger instance.
+   */
+  constructor({ logger }) {
+    this.logger = logger;
+    this.emitter = new EventEmitter();
+    // One listener per connected SSE client; there is no meaningful upper bound.
+    this.emitter.setMaxListeners(0);
+    /** @type {Map<string, {nextId: number, events: JobEvent[], cleanupTimer: NodeJS.Timeout | null}>} */
+    this.histories = new Map();
+  }
+
+  /**
+   * Publishes an event for a job to all current subscribers.
+   * @param {string} jobId - The ID of the job the event belongs to.
+   * @param {string} type - The event type.
+   * @param {object} [data={}] - The event payload.
+   * @returns {JobEvent} The published event.
+   */
+  publish(jobId, type, data = {}) {
+    const history = this._getHistory(jobId);
+    const event = { id: history.nextId++, type, data, timestamp: new Date().toISOString() };
+
+    history.events.push(event);
+    if (history.events.length > MAX_HISTORY_PER_JOB) {
+      history.events.shift();
+    }
+    this._scheduleCleanup(jobId, history, TERMINAL_EVENT_TYPES.includes(type) ? HISTORY_RETENTION_MS : HISTORY_IDLE_TTL_MS);
+
+    this.emitter.emit(jobId, event);
+    return event;
+  }
+
+  /**
+   * Subscribes to a job's events. Buffered events newer than `afterId` are replayed first.
+   * @param {string} jobId - The ID of the job to follow.
+   * @param {function(JobEvent): void} listener - Called for every event.
+   * @param {object} [options]
+   * @param {number} [options.afterId=-1] - Replay only events with an id greater than this.
+   * @returns {function(): void} A function that removes the subscription.
+   */
+  subscribe(jobId, listener, { afterId = -1 } = {}) {
+    const history = this.histories.get(jobId);
+    history?.events.filter(event => event.id > afterId).forEach(listener);
+
+    this.emitter.on(jobId, listener);
+    return () => this.emitter.off(jobId, listener);
+  }
+
+  /**
+   * Starts a new history for a job that runs again (e.g., to re-translate some of its lines), so
+   * new subscribers are not replayed the end of the earlier run. Event ids keep counting up, so
+   * a reconnecting client's Last-Event-ID stays meaningful.
+   * @param {string} jobId - The ID of the job.
+   */
+  reset(jobId) {
+    const history = this.histories.get(jobId);
+    if (history) {
+      history.events = [];
+    }
+  }
+
+  /**
+   * Forgets a job's history at once, e.g. when the job is deleted.
+   * @param {string} jobId - The ID of the job.
+   */
+  release(jobId) {
+    const history = this.histories.get(jobId);
+    if (history?.cleanupTimer) {
+      clearTimeout(history.cleanupTimer);
+    }
+    this.histories.delete(jobId);
+  }
+
+  /**
+   * Whether an event type ends the job's event stream.
+   * @param {string} type - The event type.
+   * @returns {boolean}
+   */
+  static isTerminal(type) {
+    return TERMINAL_EVENT_TYPES.includes(type);
+  }
+
+  /**
+   * @private
+   */
+  _getHistory(jobId) {
+    let history = this.histories.get(jobId);
+    if (!history) {
+      history = { nextId: 0, events: [], cleanupTimer: null };
+      this.histories.set(jobId, history);
+    } else if (history.cleanupTimer) {
+      // The job is active again (e.g., re-executed); keep its history.
+      clearTimeout(history.cleanupTimer);
+      history.cleanupTimer = null;
+    }
+    return history;
+  }
+
+  /**
+   * Releases a job's history after a delay, unless it publishes again first. While clients are
+   * still subscribed, the release is postponed, so their event ids stay valid.
+   * @private
+   */
+  _scheduleCleanup(jobId, history, delayMs) {
+    history.cleanupTimer = setTimeout(() => {
+      if (this.emitter.listenerCount(jobId) > 0) {
+        this._scheduleCleanup(jobId, history, delayMs);
+        return;
+      }
+      this.histories.delete(jobId);
+      this.logger.debug({ jobId }, 'Job event history released.');
+    }, delayMs);
+    // Never keep the process alive just to clean up history.
+    history.cleanupTimer.unref();
+  }
+}
@@ -0,0 +1,1870 @@
+// ===== DEVELOPMENT/DEBUG TRANSLATION ORCHESTRATOR =====
+// This version is refactored for end-to-end observability, robust error handling,
+// and a more performant, reliable batch processing implementation.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { detectSubtitleFormat, parseSubtitles, serializeSubtitles, SUBTITLE_CONTENT_TYPES } from '#core/subtitleFormats.js';
+import { resolveLanguagePair, applyTextDirection } from '#core/languages.js';
+import { protectMarkup, restoreProtectedMarkup, reanchorMarkup } from '#core/markup.js';
+import { analyzeReadability, resolveReadabilityLimits } from '#core/readability.js';
+import { optimizeTiming, TIMING_DEFAULTS } from '#core/timingOptimizer.js';
+import { breakLines } from '#core/lineBreaker.js';
+import { findTermsInText, applyTermbase } from '#core/termbase.js';
+import { attachTermCandidates, diffBlueprints } from '#core/blueprint.js';
+import { resolvePipelineProfile } from '#core/pipelineProfiles.js';
+import { resolveQualityThresholds, buildQualityReport, buildSkippedQualityReport, markQualityStale } from '#core/qualityEstimation.js';
+import { cosineSimilarity } from '#core/textEmbedding.js';
+import { BadRequestError, NotFoundError, ConflictError } from '#utils/errors.js';
+import { runInBackground, mapWithConcurrency, createDeferred } from '#utils/async.js';
+import { estimateTokenCount } from '#lib/llmPricing.js';
+import { MalformedJsonResponseError } from './agents.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Jobs in these states already have an execution in flight and must not be queued twice.
+const ACTIVE_EXECUTION_STATUSES = ['queued', 'translating'];
+// Jobs in these states have agents writing to them and cannot be deleted.
+const RUNNING_STATUSES = ['processing_blueprint', ...ACTIVE_EXECUTION_STATUSES];
+// Up to 4 of a job's batches in flight, each at a different stage. How many model calls actually
+// run at once, across all jobs, is up to the LLM scheduler (lib/llmScheduler.js).
+const CONCURRENT_BATCHES_PER_JOB = 4;
+// How many lines from the end of the previous batch the transcreator sees, in source and translation.
+const CONTEXT_WINDOW_LINES = 5;
+// How many similar past lines from the translation memory the transcreator sees per batch.
+const MEMORY_SEGMENTS_PER_BATCH = 10;
+// A batch agent's answer is checked per sequence; lines it got wrong are requested once more on their own.
+const LINE_REPAIR_ATTEMPTS = 1;
+// A re-translation request runs as a single batch, so it covers at most one batch's worth of lines.
+const MAX_RETRANSLATE_LINES = 25;
+// A re-translation still marked as running after this long was interrupted (e.g., by a restart)
+// and no longer keeps the job's lines from being revised.
+const REVISION_STALE_MS = 15 * 60 * 1000;
+// The process running a job refreshes the job's heartbeat this often, so other instances can tell it is alive.
+const JOB_HEARTBEAT_MS = 30 * 1000;
+// A running job whose heartbeat is older than this was left by a process that stopped.
+const JOB_HEARTBEAT_STALE_MS = 2 * 60 * 1000;
+// A job's usage before its first agent call.
+const EMPTY_USAGE = Object.freeze({ calls: 0, promptTokens: 0, responseTokens: 0, costUsd: 0 });
+
+// The line stages of a batch, in order; each one's output is checkpointed on the job. The job's
+// pipeline profile may skip any but the transcreation (see core/pipelineProfiles.js).
+const BATCH_STAGES = ['transcreate', 'edit', 'qa', 'sync'];
+
+// ===== CUSTOM ERRORS =====
+/**
+ * Thrown when a job's next step would take it over its budget (`settings.maxCostUsd`).
+ * Raised before a step starts, it is a 400; during execution it stops the chain and fails the job.
+ */
+export class BudgetExceededError extends BadRequestError {
+  constructor(message) {
+    super(message);
+    this.name = 'BudgetExceededError';
+  }
+}
+
+/**
+ * Fails an execution after every batch has run when some of them could not be translated.
+ * The other batches are checkpointed, so resuming the job retries only the failed ones.
+ */
+export class BatchesFailedError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {number[]} failedBatches - The indexes of the batches that failed.
+   */
+  constructor(message, failedBatches) {
+    super(message);
+    this.name = 'BatchesFailedError';
+    this.failedBatches = failedBatches;
+  }
+}
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * The progress of one batch, stored in the job's `batches` array as the execution runs.
+ * @typedef {object} BatchCheckpoint
+ * @property {'pending'|'running'|'complete'|'failed'} status - 'running' once a stage's output is saved.
+ * @property {number} firstSequence - The sequence of the batch's first line; with the others, it ties the checkpoint to the batch plan.
+ * @property {number} lastSequence - The sequence of the batch's last line.
+ * @property {number} lineCount - The number of lines in the batch.
+ * @property {Partial<Record<'transcreate'|'edit'|'qa'|'sync', {texts: string[], fallbacks: Array<object>}>>} stages -
+ *   Each completed stage's text per line (in batch order, markup still protected) and the lines that fell back.
+ * @property {{name: string, message: string}|null} error - Why the batch last failed.
+ * @property {Date} updatedAt - When the checkpoint last changed.
+ */
+
+// ===== CORE BUSINESS LOGIC =====
+export class TranslationOrchestrator {
+  /**
+   * @param {object} dependencies
+   * @param {import('./repository.js').TranslationRepository} dependencies.repository
+   * @param {import('./agents.js').AgentService} dependencies.agentService
+   * @param {import('./jobEvents.js').JobEventBus} dependencies.eventBus - Receives live progress events for SSE clients.
+   * @param {import('#features/projects/service.js').ProjectService} dependencies.projectService - Provides the termbase of a job's project.
+   * @param {import('#features/users/service.js').UserService} dependencies.quotaService - Checks and records each user's monthly line quota.
+   * @param {import('#lib/embeddings.js').EmbeddingFunction} dependencies.embed - Embeds source lines and their back-translations to compare them.
+   * @param {'llm'|'hash'} [dependencies.embeddingProvider='llm'] - Which embedder `embed` is (`config.EMBEDDING_PROVIDER`); it sets the default similarity threshold.
+   * @param {Record<string, object>} [dependencies.pipelineProfiles={}] - The deployment's pipeline profiles, added to the built-in ones.
+   * @param {string} dependencies.defaultPipelineProfile - The profile of jobs whose settings do not name one (`config.DEFAULT_PIPELINE_PROFILE`).
+   * @param {object} dependencies.logger
+   */
+  constructor({ repository, agentService, eventBus, projectService, quotaService, embed, embeddingProvider = 'llm', pipelineProfiles = {}, defaultPipelineProfile, logger }) {
+    this.repository = repository;
+    this.agentService = agentService;
+    this.eventBus = eventBus;
+    this.projectService = projectService;
+    this.quotaService = quotaService;
+    this.embed = embed;
+    this.embeddingProvider = embeddingProvider;
+    this.pipelineProfiles = pipelineProfiles;
+    this.defaultPipelineProfile = defaultPipelineProfile;
+    this.logger = logger; // This is the GLOBAL logger, used only if no contextual logger is passed.
+    // The jobs this process has agents working on; their heartbeats are kept fresh (see startJobMonitor).
+    this.runningJobs = new Set();
+    this.jobMonitor = null;
+  }
+
+  /**
+   * Orchestrates the creation of a translation blueprint. When `settings.projectId` is set, the
+   * job is attached to that project and the project's terms are locked in the glossary.
+   * @param {string} subtitleContent - The original SRT or plain text content.
+   * @param {object} settings - The user-defined settings for the translation.
+   * @param {string|null} fileName - The uploaded file's name, if known; used for the job history and the download.
+   * @param {import('#features/users/service.js').Requester|null} requester - The user the job is for; it becomes the job's owner.
+   * @param {object} logger - The request-specific, contextual logger with traceId.
+   * @returns {Promise<{jobId: string, blueprint: object}>}
+   * @throws {NotFoundError} If `settings.projectId` names a project that does not exist or belongs to another user.
+   * @throws {TooManyRequestsError} If translating the file would exceed the requester's monthly quota.
+   * @throws {BudgetExceededError} If translating the file is estimated to cost more than `settings.maxCostUsd`.
+   */
+  async generateTranslationBlueprint(subtitleContent, settings, fileName, requester, logger) {
+    // If a contextual logger isn't passed, fall back to the global one.
+    // This makes the class usable in non-request contexts (e.g., test suites, cron jobs).
+    const log = logger || this.logger;
+    log.info("--- Orchestrator: Starting Blueprint Generation ---");
+
+    // Validate the language pair before any job record or agent call is made.
+    const languages = resolveLanguagePair(settings);
+    const profile = this._resolveProfile(settings);
+    const projectId = settings.projectId ?? null;
+    if (projectId) {
+      await this.projectService.assertProjectAccess(projectId, requester, log);
+    }
+    const termbase = await this._loadTermbase(projectId, languages, log);
+    // The quota is used when the job is executed; a file that could not be translated is not analyzed either.
+    const lineCount = this._countBillableLines(subtitleContent);
+    await this.quotaService.assertQuotaAvailable(requester, lineCount, log);
+    // No blueprint is generated for a job that is not expected to fit in its budget.
+    if (settings.maxCostUsd !== undefined) {
+      this._assertWithinBudget(settings, 0, this._estimateJobCost(subtitleContent, settings, profile).total.costUsd, 'Translating this file');
+    }
+
+    const jobResult = await this.repository.createJob({
+      subtitleContent, settings, projectId, fileName: fileName ?? null, ownerId: requester?.userId ?? null, lineCount,
+    }, log);
+    const jobId = jobResult.insertedId.toString();
+    log.info({ jobId }, "Translation job record created.");
+
+    this.runningJobs.add(jobId);
+    try {
+      const blueprint = await this._runBlueprintAgents(jobId, requester?.userId ?? null, subtitleContent, settings, languages, termbase, log);
+      log.info({ jobId }, "--- Orchestrator: Blueprint Generation Complete ---");
+      return { jobId, blueprint };
+    } catch (error) {
+      log.error({ jobId, err: error }, "Blueprint generation failed.");
+      await this.repository.markJobFailed(jobId, error, log);
+      this.eventBus.publish(jobId, 'failed', { message: error.message });
+      throw error;
+    } finally {
+      this.runningJobs.delete(jobId);
+    }
+  }
+
+  /**
+   * Runs the three blueprint agents and saves the result. The owner's earlier term decisions from
+   * the translation memory are offered to the grounding agent. Project terms found in the script
+   * are given to the assembling agent, and its glossary is then corrected to match them.
+   * Each glossary entry carries the grounding agent's candidates for the reviewer.
+   * @private
+   */
+  async _runBlueprintAgents(jobId, ownerId, subtitleContent, settings, languages, termbase, log) {
+    const { scriptText: textToAnalyze } = this._readScript(subtitleContent);
+    const bypassCache = settings.bypassCache ?? false;
+
+    // The agent service is now expected to throw an error on failure. No more `if (!result)` checks.
+    const keywords = await this._timeStage(jobId, 'blueprint.extractKeywords',
+      (agents) => agents.withCacheBypass(bypassCache).extractKeywords(textToAnalyze, languages, log), log);
+    const pastTerms = await this._recallFromMemory(jobId, 'blueprint.recallTerms',
+      () => this.repository.findSimilarTerms(ownerId, (keywords.keywords ?? []).map(keyword => keyword.term), languages, log), log);
+    const groundedKeywords = await this._timeStage(jobId, 'blueprint.groundTranslations',
+      (agents) => agents.withCacheBypass(bypassCache).groundTranslations(keywords, languages, pastTerms, log), log);
+    const lockedTerms = findTermsInText(termbase, textToAnalyze);
+    const assembledBlueprint = await this._timeStage(jobId, 'blueprint.assembleBlueprint',
+      (agents) => agents.withCacheBypass(bypassCache).assembleBlueprint(textToAnalyze, settings.tone, groundedKeywords, languages, lockedTerms, log), log);
+    const glossary = termbase.length > 0
+      ? applyTermbase(assembledBlueprint.glossary, lockedTerms)
+      : assembledBlueprint.glossary;
+    const blueprint = { ...assembledBlueprint, glossary: attachTermCandidates(glossary, groundedKeywords) };
+
+    await this.repository.saveBlueprint(jobId, blueprint, log);
+    log.info({ jobId }, "Blueprint saved successfully.");
+    this.eventBus.publish(jobId, 'status', { status: 'pending_approval' });
+
+    return blueprint;
+  }
+
+  /**
+   * Validates that a job can be executed, marks it as queued and starts the translation
+   * chain in the background. Returns immediately so the HTTP request is not held open.
+   * What the reviewer changed in the generated blueprint is saved on the job as `blueprintDiff`.
+   * @param {string} jobId - The ID of the job to execute.
+   * @param {object} confirmedBlueprint - The user-approved blueprint.
+   * @param {object} settings - The user-defined settings for the translation.
+   * @param {import('#features/users/service.js').Requester|null} requester - The user whose quota the job's lines are counted against.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<{jobId: string, status: string}>}
+   * @throws {NotFoundError} If the job does not exist.
+   * @throws {ConflictError} If the job's blueprint is still being generated, or the job is already queued or translating.
+   * @throws {TooManyRequestsError} If the job's lines exceed the requester's remaining monthly quota.
+   * @throws {BudgetExceededError} If executing the job is estimated to take it over `settings.maxCostUsd`.
+   */
+  async queueTranslationChain(jobId, confirmedBlueprint, settings, requester, logger) {
+    const log = logger || this.logger;
+    resolveLanguagePair(settings); // Reject an invalid language pair with a 400 before queueing.
+    const profile = this._resolveProfile(settings);
+
+    const job = await this.repository.getJobById(jobId, log);
+    if (!job) {
+      throw new NotFoundError(`Job with ID ${jobId} not found.`);
+    }
+    if (RUNNING_STATUSES.includes(job.status)) {
+      throw new ConflictError(`Job ${jobId} is ${job.status} and cannot be executed now.`);
+    }
+    // The budget covers the whole job, including the blueprint and any earlier attempts.
+    if (settings.maxCostUsd !== undefined) {
+      const { lines } = this._readScript(job.subtitleContent);
+      const executionCalls = this._estimateExecutionCalls(lines, estimateTokenCount(JSON.stringify(confirmedBlueprint)), profile,
+        this._resolveQualityEstimation(settings, profile));
+      this._assertWithinBudget(settings, job.usage?.costUsd ?? 0, this._sumUsage(executionCalls).costUsd, 'Executing this job');
+    }
+
+    const blueprintDiff = diffBlueprints(job.blueprint, confirmedBlueprint);
+    log.info({ jobId, ...blueprintDiff.counts }, "Blueprint review changes recorded.");
+    // Every execution is counted, including a re-run of a failed job: the agents are called again.
+    await this._withQuota(requester, job.lineCount ?? this._countBillableLines(job.subtitleContent), async () => {
+      // The profile is recorded as resolved now, so a later change to the configured profiles does not affect the job.
+      // The status is checked again as part of the write, so a concurrent request cannot queue the job a second time.
+      if (!(await this.repository.queueExecution(jobId, confirmedBlueprint, settings, blueprintDiff, profile, RUNNING_STATUSES, log))) {
+        throw new ConflictError(`Job ${jobId} was queued or started by another request.`);
+      }
+    }, log);
+    log.info({ jobId, pipelineProfile: profile.name }, "Translation job queued for background execution.");
+    // Subscribers to the new run must not be replayed the end of an earlier one.
+    this.eventBus.reset(jobId);
+    this.eventBus.publish(jobId, 'status', { status: 'queued' });
+
+    runInBackground(
+      () => this.executeTranslationChain(jobId, confirmedBlueprint, settings, log),
+      log,
+      `ExecuteTranslationChain for Job ${jobId}`
+    );
+
+    return { jobId, status: 'queued' };
+  }
+
+  /**
+   * Resumes a failed execution: batches that completed are kept, and the others are queued
+   * again, continuing after their last checkpointed stage. Quota is counted for the lines of
+   * those batches only, and the budget check covers only them.
+   * @param {string} jobId - The ID of the job to resume.
+   * @param {import('#features/users/service.js').Requester|null} requester - The user whose quota the remaining lines are counted against.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<{jobId: string, status: string, batchesToRun: number}>}
+   * @throws {NotFoundError} If the job does not exist.
+   * @throws {ConflictError} If the job's execution has not failed, or another request queues it first.
+   * @throws {TooManyRequestsError} If the remaining lines exceed the requester's remaining monthly quota.
+   * @throws {BudgetExceededError} If the remaining batches are estimated to take the job over `settings.maxCostUsd`.
+   */
+  async resumeTranslationChain(jobId, requester, logger) {
+    const log = logger || this.logger;
+    const job = await this.repository.getJobById(jobId, log);
+    if (!job) {
+      throw new NotFoundError(`Job with ID ${jobId} not found.`);
+    }
+    if (job.status !== 'failed' || !job.confirmedBlueprint) {
+      throw new ConflictError(`Job ${jobId} is ${job.status}; only a failed translation execution can be resumed.`);
+    }
+
+    const { lines } = this._readScript(job.subtitleContent);
+    const completedBatches = (job.batches ?? []).filter(checkpoint => checkpoint.status === 'complete');
+    const isCompleted = (line) => completedBatches.some(checkpoint =>
+      line.sequence >= checkpoint.firstSequence && line.sequence <= checkpoint.lastSequence);
+    const remainingLines = lines.filter(line => !isCompleted(line));
+    const profile = this._getJobProfile(job);
+    if (job.settings.maxCostUsd !== undefined) {
+      // Quality is estimated over the whole file once every batch is done.
+      const executionCalls = [
+        ...this._estimateExecutionCalls(remainingLines, estimateTokenCount(JSON.stringify(job.confirmedBlueprint)), profile),
+        ...this._estimateQualityCalls(lines, this._resolveQualityEstimation(job.settings, profile), profile.batchSize),
+      ];
+      this._assertWithinBudget(job.settings, job.usage?.costUsd ?? 0, this._sumUsage(executionCalls).costUsd, 'Resuming this job');
+    }
+    await this._withQuota(requester, remainingLines.length, async () => {
+      // The status is checked again as part of the write, so a concurrent request cannot resume the job a second time.
+      if (!(await this.repository.queueResumption(jobId, completedBatches.length, log))) {
+        throw new ConflictError(`Job ${jobId} was resumed or executed by another request.`);
+      }
+    }, log);
+    const batchesToRun = (job.progress?.totalBatches ?? this._planBatches(lines, profile.batchSize).length) - completedBatches.length;
+    log.info({ jobId, completedBatches: completedBatches.length, batchesToRun }, "Translation job queued to resume.");
+    this.eventBus.reset(jobId);
+    this.eventBus.publish(jobId, 'status', { status: 'queued' });
+
+    runInBackground(
+      () => this.executeTranslationChain(jobId, job.confirmedBlueprint, job.settings, log),
+      log,
+      `ResumeTranslationChain for Job ${jobId}`
+    );
+
+    return { jobId, status: 'queued', batchesToRun };
+  }
+
+  /**
+   * Marks running jobs whose process stopped as failed, so they can be resumed or executed again
+   * instead of staying 'translating' forever. Several instances may share the database, so a job
+   * is only failed once its heartbeat is stale; jobs other live instances are running are left alone.
+   * @param {object} logger - The contextual logger.
+   * @returns {Promise<number>} How many jobs were marked as failed.
+   */
+  async failInterruptedJobs(logger) {
+    const log = logger || this.logger;
+    const failure = new Error('The server running this job stopped. Resume or execute it again.');
+    const staleBefore = new Date(Date.now() - JOB_HEARTBEAT_STALE_MS);
+    const count = await this.repository.failStaleJobs(RUNNING_STATUSES, staleBefore, failure, log);
+    if (count > 0) {
+      log.warn({ count }, 'Jobs whose server stopped were marked as failed.');
+    }
+    return count;
+  }
+
+  /**
+   * Starts refreshing the heartbeat of the jobs this process runs and, on the same interval,
+   * failing jobs whose heartbeat went stale. A job interrupted by a restart is therefore failed
+   * within a few minutes by whichever instance notices first.
+   * @param {object} logger - The contextual logger.
+   */
+  startJobMonitor(logger) {
+    const log = logger || this.logger;
+    this.stopJobMonitor();
+    this.jobMonitor = setInterval(async () => {
+      try {
+        if (this.runningJobs.size > 0) {
+          await this.repository.touchJobs([...this.runningJobs], log);
+        }
+        await this.failInterruptedJobs(log);
+      } catch (error) {
+        log.error({ err: error }, 'Job heartbeat failed.');
+      }
+    }, JOB_HEARTBEAT_MS);
+    // Never keep the process alive just to watch jobs.
+    this.jobMonitor.unref();
+  }
+
+  /**
+   * Stops the job monitor started by startJobMonitor, e.g. when the server shuts down.
+   */
+  stopJobMonitor() {
+    clearInterval(this.jobMonitor);
+    this.jobMonitor = null;
+  }
+
+  /**
+   * Checks that a requester may access a job: its owner or an admin. Other users are told the
+   * job does not exist, so job IDs cannot be probed.
+   * @param {string} jobId - The ID of the job.
+   * @param {import('#features/users/service.js').Requester} requester - The authenticated requester.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @throws {NotFoundError} If the job does not exist or belongs to someone else.
+   */
+  async assertJobAccess(jobId, requester, logger) {
+    const log = logger || this.logger;
+    const ownerId = await this.repository.getJobOwner(jobId, log);
+    if (ownerId === undefined || (requester.role !== 'admin' && ownerId !== requester.userId)) {
+      throw new NotFoundError(`Job with ID ${jobId} not found.`);
+    }
+  }
+
+  /**
+   * Returns a client-facing snapshot of a job's status and progress.
+   * @param {string} jobId - The ID of the job.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object>} The job status view.
+   * @throws {NotFoundError} If the job does not exist.
+   */
+  async getJobStatus(jobId, logger) {
+    const log = logger || this.logger;
+    const job = await this.repository.getJobById(jobId, log);
+    if (!job) {
+      throw new NotFoundError(`Job with ID ${jobId} not found.`);
+    }
+
+    return {
+      jobId,
+      projectId: job.projectId ?? null,
+      fileName: job.fileName ?? null,
+      settings: job.settings,
+      status: job.status,
+      progress: job.progress ?? { batchesDone: 0, totalBatches: null },
+      timings: job.timings ?? {},
+      lineFallbacks: job.lineFallbacks ?? [],
+      blueprintDiff: job.blueprintDiff ?? null,
+      usage: job.usage ?? EMPTY_USAGE,
+      pipelineProfile: job.pipelineProfile ?? null,
+      batches: this._buildBatchViews(job),
+      error: job.error ?? null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      // A job reopened from the history can be reviewed where it was left.
+      ...(job.status === 'pending_approval' && { blueprint: job.blueprint }),
+      ...(job.status === 'complete' && {
+        finalSrt: job.finalSrt,
+        outputFormat: job.outputFormat ?? 'srt',
+        syncSuggestions: job.syncSuggestions ?? [],
+        markupReport: job.markupReport ?? { issues: [], fallbacks: [] },
+        timingChanges: job.timingChanges ?? [],
+        qualityReport: job.qualityReport ?? null,
+        revision: job.revision ?? null,
+        lines: job.translatedLines ? this._buildLineViews(parseSubtitles(job.subtitleContent).lines, job.translatedLines, job.qualityReport) : [],
+      }),
+    };
+  }
+
+  // --- COST ACCOUNTING ---
+
+  /**
+   * Predicts what translating a file would cost before anything is spent: the blueprint agents'
+   * calls over the script, then the batch agents' calls for every batch of the execution plan.
+   * Token counts are estimated from the text, so actual costs will differ; repair calls are not included.
+   * @param {string} subtitleContent - The original subtitle or plain text content.
+   * @param {object} settings - The user-defined settings; `maxCostUsd`, if set, is compared with the estimate.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object>} The estimated usage of the blueprint, the execution and both, with the budget check.
+   */
+  async estimateJobCost(subtitleContent, settings, logger) {
+    const log = logger || this.logger;
+    resolveLanguagePair(settings);
+    const estimate = this._estimateJobCost(subtitleContent, settings, this._resolveProfile(settings));
+    const maxCostUsd = settings.maxCostUsd ?? null;
+    log.info({ lineCount: estimate.lineCount, batchCount: estimate.batchCount, costUsd: estimate.total.costUsd }, "Job cost estimated.");
+    return {
+      ...estimate,
+      maxCostUsd,
+      isWithinBudget: maxCostUsd === null || estimate.total.costUsd <= maxCostUsd,
+    };
+  }
+
+  /**
+   * Returns what a job has used so far: its totals, the totals of each stage and every agent call.
+   * @param {string} jobId - The ID of the job.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<{usage: object, maxCostUsd: number|null, stages: Record<string, object>, calls: Array<object>}>}
+   * @throws {NotFoundError} If the job does not exist.
+   */
+  async getJobUsage(jobId, logger) {
+    const log = logger || this.logger;
+    const job = await this.repository.getJobUsage(jobId, { includeCalls: true }, log);
+    if (!job) {
+      throw new NotFoundError(`Job with ID ${jobId} not found.`);
+    }
+    const calls = job.agentCalls ?? [];
+    const callsByStage = new Map();
+    calls.forEach(call => callsByStage.set(call.stage, [...(callsByStage.get(call.stage) ?? []), call]));
+    return {
+      usage: job.usage ?? EMPTY_USAGE,
+      maxCostUsd: job.settings?.maxCostUsd ?? null,
+      stages: Object.fromEntries([...callsByStage].map(([stage, stageCalls]) => [stage, {
+        ...this._sumUsage(stageCalls),
+        cacheHits: stageCalls.filter(call => call.cache === 'hit').length,
+      }])),
+      calls,
+    };
+  }
+
+  // --- JOB HISTORY ---
+
+  /**
+   * Lists jobs, newest first, for the job history.
+   * @param {object} query - The validated `GET /jobs` query.
+   * @param {number} query.page - The 1-based page number.
+   * @param {number} query.pageSize - How many jobs a page holds.
+   * @param {string} [query.status] - Only jobs in this status.
+   * @param {string} [query.projectId] - Only jobs attached to this project.
+   * @param {string} [query.from] - Only jobs created on or after this date or time.
+   * @param {string} [query.to] - Only jobs created on or before this date or time; a bare date includes the whole day.
+   * @param {string|null} [query.ownerId] - Only jobs owned by this user; undefined lists every user's jobs.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<{jobs: object[], page: number, pageSize: number, total: number}>} The page of job summaries.
+   * @throws {BadRequestError} If a date is invalid or `from` is after `to`.
+   */
+  async listJobs({ page, pageSize, status, projectId, from, to, ownerId }, logger) {
+    const log = logger || this.logger;
+    const createdFrom = from ? this._parseDateFilter('from', from) : undefined;
+    let createdBefore;
+    if (to) {
+      createdBefore = this._parseDateFilter('to', to);
+      // A bare date means the whole day; a timestamp is included itself.
+      createdBefore = new Date(createdBefore.getTime() + (to.includes('T') ? 1 : 24 * 60 * 60 * 1000));
+    }
+    if (createdFrom && createdBefore && createdFrom >= createdBefore) {
+      throw new BadRequestError('from must not be after to.');
+    }
+
+    const { jobs, total } = await this.repository.listJobs(
+      { status, projectId, createdFrom, createdBefore, ownerId },
+      { skip: (page - 1) * pageSize, limit: pageSize },
+      log
+    );
+    return { jobs: jobs.map(job => this._toJobSummary(job)), page, pageSize, total };
+  }
+
+  /**
+   * Returns the translated file of a completed job, ready to be served as a download.
+   * @param {string} jobId - The ID of the job.
+   * @param {'srt'|'vtt'|'ass'} [format] - Converts the file to this format; defaults to the format it was translated to.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<{fileName: string, contentType: string, content: string}>}
+   * @throws {NotFoundError} If the job does not exist.
+   * @throws {ConflictError} If the job has not completed.
+   */
+  async getJobDownload(jobId, format, logger) {
+    const log = logger || this.logger;
+    const job = await this.repository.getJobById(jobId, log);
+    if (!job) {
+      throw new NotFoundError(`Job with ID ${jobId} not found.`);
+    }
+    if (job.status !== 'complete') {
+      throw new ConflictError(`Job ${jobId} is ${job.status}; only completed jobs can be downloaded.`);
+    }
+
+    const storedFormat = job.outputFormat ?? 'srt';
+    const outputFormat = format ?? storedFormat;
+    const content = outputFormat === storedFormat
+      ? job.finalSrt
+      : serializeSubtitles(parseSubtitles(job.finalSrt), outputFormat);
+    log.info({ jobId, outputFormat, converted: outputFormat !== storedFormat }, "Preparing job download.");
+    return {
+      fileName: this._buildDownloadFileName(jobId, job, outputFormat),
+      contentType: SUBTITLE_CONTENT_TYPES[outputFormat],
+      content,
+    };
+  }
+
+  /**
+   * Deletes a job. What it added to the translation memory stays there.
+   * @param {string} jobId - The ID of the job.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @throws {NotFoundError} If the job does not exist.
+   * @throws {ConflictError} If the job is still running.
+   */
+  async deleteJob(jobId, logger) {
+    const log = logger || this.logger;
+    const job = await this.repository.getJobById(jobId, log);
+    if (!job) {
+      throw new NotFoundError(`Job with ID ${jobId} not found.`);
+    }
+    if (RUNNING_STATUSES.includes(job.status) || !(await this.repository.deleteJob(jobId, RUNNING_STATUSES, log))) {
+      throw new ConflictError(`Job ${jobId} is still running and cannot be deleted.`);
+    }
+    this.eventBus.release(jobId);
+    log.info({ jobId }, "Job deleted.");
+  }
+
+  /**
+   * Builds the job history entry for a job document.
+   * @private
+   */
+  _toJobSummary(job) {
+    return {
+      jobId: job._id.toString(),
+      projectId: job.projectId ?? null,
+      ownerId: job.ownerId ?? null,
+      fileName: job.fileName ?? null,
+      status: job.status,
+      lineCount: job.lineCount ?? null,
+      sourceLanguage: job.settings?.sourceLanguage ?? null,
+      targetLanguage: job.settings?.targetLanguage ?? null,
+      tone: job.settings?.tone ?? null,
+      outputFormat: job.outputFormat ?? job.settings?.outputFormat ?? null,
+      progress: job.progress ?? { batchesDone: 0, totalBatches: null },
+      costUsd: job.usage?.costUsd ?? 0,
+      error: job.error ?? null,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt ?? null,
+    };
+  }
+
+  /**
+   * The lines a job is metered by: the cues of a subtitle file, or the non-empty lines of plain text.
+   * @private
+   */
+  _countBillableLines(subtitleContent) {
+    return this._readScript(subtitleContent).lines.length;
+  }
+
+  /**
+   * Reads uploaded content as the blueprint agents see it. Subtitle files (any supported format)
+   * are reduced to their dialogue; anything else is analyzed as plain text, one line per non-empty line.
+   * @private
+   * @returns {{scriptText: string, lines: Array<{text: string}>}}
+   */
+  _readScript(subtitleContent) {
+    if (detectSubtitleFormat(subtitleContent) !== null) {
+      const { lines } = parseSubtitles(subtitleContent);
+      return { scriptText: lines.map(line => line.text).join('\n'), lines };
+    }
+    const lines = subtitleContent.split(/\r?\n/).filter(line => line.trim()).map(text => ({ text }));
+    return { scriptText: subtitleContent, lines };
+  }
+
+  /**
+   * Resolves the pipeline profile named in a job's settings, or the default one.
+   * @private
+   * @returns {import('#core/pipelineProfiles.js').PipelineProfile}
+   * @throws {BadRequestError} If no profile has that name.
+   */
+  _resolveProfile(settings) {
+    return resolvePipelineProfile(settings.profile ?? this.defaultPipelineProfile, this.pipelineProfiles);
+  }
+
+  /**
+   * The pipeline profile a job was queued with. Jobs queued before profiles were recorded resolve theirs from the settings.
+   * @private
+   * @returns {import('#core/pipelineProfiles.js').PipelineProfile}
+   */
+  _getJobProfile(job) {
+    return job.pipelineProfile ?? this._resolveProfile(job.settings);
+  }
+
+  /**
+   * Decides whether a job's quality is estimated, by which stages, and against which thresholds.
+   * `settings.qualityEstimation.enabled` turns both stages on or off; when it is unset, the profile decides.
+   * @private
+   * @returns {{backTranslate: import('#core/pipelineProfiles.js').PipelineStage|null, judge: import('#core/pipelineProfiles.js').PipelineStage|null, thresholds: import('#core/qualityEstimation.js').QualityThresholds}|null}
+   *   The stages that run (null for one that does not), or null when neither does.
+   */
+  _resolveQualityEstimation(settings, profile) {
+    const { enabled, ...thresholds } = settings.qualityEstimation ?? {};
+    // Profiles recorded on jobs queued before quality estimation existed have no such stages.
+    const stageFor = (stage) => {
+      const options = profile.stages[stage] ?? { enabled: false };
+      return (enabled ?? options.enabled) ? options : null;
+    };
+    const backTranslate = stageFor('backTranslate');
+    const judge = stageFor('judge');
+    return backTranslate || judge ? { backTranslate, judge, thresholds: resolveQualityThresholds(thresholds, this.embeddingProvider) } : null;
+  }
+
+  /**
+   * Splits a file's lines into execution batches.
+   * @private
+   * @param {Array<object>} lines - The lines to split.
+   * @param {number} batchSize - Lines per batch, from the pipeline profile; every batch is one call to each of its batch agents.
+   */
+  _planBatches(lines, batchSize) {
+    const batches = [];
+    for (let i = 0; i < lines.length; i += batchSize) {
+      batches.push(lines.slice(i, i + batchSize));
+    }
+    return batches;
+  }
+
+  /**
+   * Predicts the agent calls of blueprint generation and execution for a file.
+   * @private
+   */
+  _estimateJobCost(subtitleContent, settings, profile) {
+    const { scriptText, lines } = this._readScript(subtitleContent);
+    const { calls: blueprintCalls, blueprintTokens } = this.agentService.estimateBlueprintCalls(scriptText);
+    const quality = this._resolveQualityEstimation(settings, profile);
+    const executionCalls = this._estimateExecutionCalls(lines, blueprintTokens, profile, quality);
+    const allCalls = [...blueprintCalls, ...executionCalls];
+    return {
+      currency: 'USD',
+      lineCount: lines.length,
+      pipelineProfile: profile.name,
+      batchCount: Math.ceil(lines.length / profile.batchSize),
+      batchSize: profile.batchSize,
+      qualityEstimation: quality !== null,
+      blueprint: this._sumUsage(blueprintCalls),
+      execution: this._sumUsage(executionCalls),
+      total: this._sumUsage(allCalls),
+      // Calls to these models are counted at no cost; price them with LLM_PRICES.
+      unpricedModels: [...new Set(allCalls.filter(call => !call.isPriced).map(call => call.model))],
+    };
+  }
+
+  /**
+   * Predicts the agent calls that translate a file's lines, batch by batch, then estimate their quality.
+   * @private
+   */
+  _estimateExecutionCalls(lines, blueprintTokens, profile, quality = null) {
+    return [
+      ...this._planBatches(lines, profile.batchSize).flatMap((batch, batchIndex) =>
+        this.agentService.estimateBatchCalls(batch, { withSceneSummary: batchIndex > 0, blueprintTokens, stages: profile.stages })),
+      ...this._estimateQualityCalls(lines, quality, profile.batchSize),
+    ];
+  }
+
+  /**
+   * Predicts the agent calls that estimate the quality of a file's lines; none when quality is not estimated.
+   * @private
+   */
+  _estimateQualityCalls(lines, quality, batchSize) {
+    if (!quality) {
+      return [];
+    }
+    return this._planBatches(lines.filter(line => line.text.trim()), batchSize)
+      .flatMap(batch => this.agentService.estimateQualityCalls(batch, quality));
+  }
+
+  /**
+   * Adds up the tokens and cost of agent calls, made or predicted.
+   * @private
+   * @returns {{calls: number, promptTokens: number, responseTokens: number, costUsd: number}}
+   */
+  _sumUsage(calls) {
+    const totals = calls.reduce((sum, call) => ({
+      calls: sum.calls + 1,
+      promptTokens: sum.promptTokens + call.promptTokens,
+      responseTokens: sum.responseTokens + call.responseTokens,
+      costUsd: sum.costUsd + call.costUsd,
+    }), { ...EMPTY_USAGE });
+    // Sums of fractional cents drift; a millionth of a dollar is precise enough.
+    return { ...totals, costUsd: Math.round(totals.costUsd * 1e6) / 1e6 };
+  }
+
+  /**
+   * Checks that the next step of a job fits in its budget.
+   * @private
+   * @param {object} settings - The job's settings; without `maxCostUsd` every step fits.
+   * @param {number} spentUsd - What the job has cost so far.
+   * @param {number} estimatedUsd - The estimated cost of the step.
+   * @param {string} step - The step, for the error message (e.g., 'Executing this job').
+   * @throws {BudgetExceededError} If the step would take the job over its budget.
+   */
+  _assertWithinBudget(settings, spentUsd, estimatedUsd, step) {
+    const maxCostUsd = settings.maxCostUsd ?? null;
+    if (maxCostUsd !== null && spentUsd + estimatedUsd > maxCostUsd) {
+      throw new BudgetExceededError(
+        `${step} is estimated to cost $${estimatedUsd.toFixed(4)}; with $${spentUsd.toFixed(4)} already spent, that exceeds the job's budget of $${maxCostUsd.toFixed(4)}.`
+      );
+    }
+  }
+
+  /**
+   * Records lines against the requester's quota, then runs the write that starts the work. If the
+   * write fails (e.g., a concurrent request started the work first), the lines are given back.
+   * @private
+   * @template T
+   * @param {import('#features/users/service.js').Requester|null} requester - The user whose quota the lines are counted against.
+   * @param {number} lines - The lines the work translates.
+   * @param {function(): Promise<T>} write - The conditional write; throws if the work must not start.
+   * @param {object} log - The contextual logger.
+   * @returns {Promise<T>} What the write returned.
+   * @throws {TooManyRequestsError} If the lines exceed the requester's remaining monthly quota; nothing is written then.
+   */
+  async _withQuota(requester, lines, write, log) {
+    await this.quotaService.consumeQuota(requester, lines, log);
+    try {
+      return await write();
+    } catch (error) {
+      await this.quotaService.refundQuota(requester, lines, log);
+      throw error;
+    }
+  }
+
+  /**
+   * Admits a running job's batches, in order, while they fit in its budget: what the job has
+   * spent, plus the estimates of the batches still running, plus the next batch's estimate must
+   * stay within `settings.maxCostUsd`. Once a batch is refused, every later one is too, and
+   * `refusal` describes why. Batches must ask for admission in batch order.
+   * @private
+   * @returns {{admit: function(number, number): Promise<boolean>, release: function(number): void, refusal: object|null}}
+   */
+  _createBudgetGuard(jobId, settings, log) {
+    const maxCostUsd = settings.maxCostUsd ?? null;
+    const running = new Map(); // batchIndex -> estimated cost
+    let decisions = Promise.resolve(true);
+
+    const guard = {
+      refusal: null,
+      admit: (batchIndex, estimatedUsd) => {
+        decisions = decisions.then(async () => {
+          if (guard.refusal) {
+            return false;
+          }
+          if (maxCostUsd === null) {
+            return true;
+          }
+          const job = await this.repository.getJobUsage(jobId, {}, log);
+          const spentUsd = job?.usage?.costUsd ?? 0;
+          const reservedUsd = [...running.values()].reduce((sum, cost) => sum + cost, 0);
+          if (spentUsd + reservedUsd + estimatedUsd > maxCostUsd) {
+            guard.refusal = { batchIndex, spentUsd, reservedUsd, estimatedUsd, maxCostUsd };
+            log.warn({ jobId, ...guard.refusal }, "The next batch would exceed the job's budget; no further batches will start.");
+            return false;
+          }
+          running.set(batchIndex, estimatedUsd);
+          return true;
+        });
+        return decisions;
+      },
+      release: (batchIndex) => running.delete(batchIndex),
+    };
+    return guard;
+  }
+
+  /**
+   * Parses a validated date filter.
+   * @private
+   * @throws {BadRequestError} If the value is not a real date (e.g., 2024-02-30).
+   */
+  _parseDateFilter(name, value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime()) || (!value.includes('T') && date.toISOString().slice(0, 10) !== value)) {
+      throw new BadRequestError(`${name} is not a valid date.`);
+    }
+    return date;
+  }
+
+  /**
+   * Names the download after the uploaded file and the target language (e.g., "episode-01.fa.srt").
+   * @private
+   */
+  _buildDownloadFileName(jobId, job, format) {
+    const baseName = (job.fileName ?? '')
+      .replace(/^.*[\\/]/, '')
+      .replace(/\.[^.]+$/, '')
+      .replace(/[\u0000-\u001f"]/g, '')
+      .trim();
+    return `${baseName || `translation-${jobId}`}.${job.settings?.targetLanguage ?? 'translated'}.${format}`;
+  }
+
+  /**
+   * Orchestrates the full translation of a subtitle file using parallel batch processing.
+   * The result is written in the input format unless `settings.outputFormat` asks for another,
+   * and timing is re-flowed for readability when `settings.timing.enabled` is set. Every cue is
+   * laid out within the target language's line limits before it is written. Lines an agent
+   * failed to return even after a repair call keep their previous text and are listed in `lineFallbacks`.
+   * The approved glossary and the finalized line pairs are stored in the translation memory, and
+   * each batch is transcreated with similar lines recalled from it.
+   * Progress and per-stage timings are written to the job as batches complete, and each stage's
+   * output is checkpointed in the job's `batches`. A batch that fails does not stop the others; once
+   * they are done the job fails with a BatchesFailedError and can be resumed (see resumeTranslationChain),
+   * which reuses completed batches and the saved stages of the rest. With `settings.maxCostUsd`, no
+   * batch starts that is expected to take the job over budget; the batches already running finish,
+   * then the job fails with a BudgetExceededError. On failure the job is marked as failed before
+   * the error is re-thrown.
+   * @param {string} jobId - The ID of the job to execute.
+   * @param {object} confirmedBlueprint - The user-approved blueprint.
+   * @param {object} settings - The user-defined settings for the translation.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<{finalSrt: string, outputFormat: string, syncSuggestions: Array<import('#core/readability.js').ReadabilityReport>, markupReport: object, timingChanges: Array<import('#core/timingOptimizer.js').TimingChange>, lineFallbacks: Array<object>, qualityReport: import('#core/qualityEstimation.js').QualityReport|null}>}
+   */
+  async executeTranslationChain(jobId, confirmedBlueprint, settings, logger) {
+    const log = logger || this.logger;
+    this.runningJobs.add(jobId);
+    try {
+      return await this._runTranslationChain(jobId, confirmedBlueprint, settings, log);
+    } catch (error) {
+      log.error({ jobId, err: error }, "Translation chain failed.");
+      await this.repository.markJobFailed(jobId, error, log);
+      this.eventBus.publish(jobId, 'failed', { message: error.message });
+      throw error;
+    } finally {
+      this.runningJobs.delete(jobId);
+    }
+  }
+
+  /**
+   * The body of the translation chain, without failure bookkeeping.
+   * @private
+   */
+  async _runTranslationChain(jobId, confirmedBlueprint, settings, log) {
+    log.info({ jobId }, "--- Orchestrator: Starting Translation Chain Execution ---");
+
+    const job = await this.repository.getJobById(jobId, log);
+    if (!job) {
+      // Throw a specific, actionable error that our global handler understands.
+      throw new NotFoundError(`Job with ID ${jobId} not found.`);
+    }
+    
+    const languages = resolveLanguagePair(settings);
+    const profile = this._getJobProfile(job);
+
+    const subtitleDocument = parseSubtitles(job.subtitleContent);
+    confirmedBlueprint = await this._enforceTermbase(job, confirmedBlueprint, subtitleDocument, languages, log);
+
+    // Only the glossary the user approved goes into the translation memory.
+    if (confirmedBlueprint.glossary?.length > 0) {
+      log.info({ jobId, termCount: confirmedBlueprint.glossary.length }, "Scheduling glossary upsert to vector store.");
+      runInBackground(
+        () => this.repository.upsertGlossaryVectors(jobId, job.ownerId ?? null, confirmedBlueprint.glossary, languages, log),
+        log,
+        `UpsertGlossaryVectors for Job ${jobId}`
+      );
+    }
+
+    const outputFormat = settings.outputFormat ?? subtitleDocument.format;
+    const srtLines = subtitleDocument.lines;
+    // Inline tags travel through the agents as numbered placeholders and are put back afterwards.
+    const promptLines = srtLines.map(line => ({ ...line, text: protectMarkup(line.text, line.markup) }));
+    const batches = this._planBatches(promptLines, profile.batchSize);
+    log.info({ jobId, batchCount: batches.length, batchSize: profile.batchSize, pipelineProfile: profile.name }, "Subtitle content split into batches.");
+    // A resumed execution keeps the checkpoints of the previous one; a new one starts with none.
+    const checkpoints = this._reconcileCheckpoints(job.batches ?? [], batches);
+    const restoredCount = checkpoints.filter(checkpoint => checkpoint.status === 'complete').length;
+    if (restoredCount > 0) {
+      log.info({ jobId, restoredBatches: restoredCount }, "Resuming execution; completed batches are reused.");
+    }
+    await this.repository.startExecution(jobId, checkpoints, log);
+    this.eventBus.publish(jobId, 'status', { status: 'translating' });
+    this.eventBus.publish(jobId, 'progress', { batchesDone: restoredCount, totalBatches: batches.length });
+
+    // --- Pipelined Batch Processing with Rolling Context ---
+    // Every batch is transcreated with the end of the previous batch as context. The source lines
+    // and a scene summary are available up front, but the previous translation is not, so a batch
+    // waits only for the previous batch's first draft; editing, QA and sync of earlier batches
+    // keep running in parallel. The final translation is used instead when it is already done.
+    const drafts = batches.map(() => createDeferred());
+    const finalTranslations = [];
+    // Fallbacks of batches completed by an earlier run were recorded then.
+    const lineFallbacks = [...(job.lineFallbacks ?? [])];
+    const failedBatches = [];
+    let batchesDone = restoredCount;
+    // Completed batches are not translated again; their drafts and final text are ready for their neighbours.
+    checkpoints.forEach((checkpoint, batchIndex) => {
+      if (checkpoint.status === 'complete') {
+        finalTranslations[batchIndex] = this._latestStageOutput(checkpoint).texts;
+        drafts[batchIndex].resolve(checkpoint.stages.transcreate.texts);
+      }
+    });
+    // With a budget, a batch starts only if it is expected to fit; batches already running finish.
+    const budget = this._createBudgetGuard(jobId, settings, log);
+    const blueprintTokens = estimateTokenCount(JSON.stringify(confirmedBlueprint));
+
+    const allTranslatedBatches = await mapWithConcurrency(batches, CONCURRENT_BATCHES_PER_JOB, async (batch, batchIndex) => {
+      if (finalTranslations[batchIndex]) {
+        return finalTranslations[batchIndex];
+      }
+      try {
+        const estimatedUsd = this._sumUsage(
+          this.agentService.estimateBatchCalls(batch, { withSceneSummary: batchIndex > 0, blueprintTokens, stages: profile.stages })).costUsd;
+        if (!(await budget.admit(batchIndex, estimatedUsd))) {
+          return null;
+        }
+        const { translated, fallbacks } = await this._processSingleBatch(jobId, batchIndex, batch, confirmedBlueprint, settings, languages, log, {
+          previousBatch: batches[batchIndex - 1] ?? null,
+          getPreviousTranslation: async () => {
+            if (batchIndex === 0) return null;
+            const draft = await drafts[batchIndex - 1].promise;
+            return finalTranslations[batchIndex - 1] ?? draft;
+          },
+          onDraft: drafts[batchIndex].resolve,
+          ownerId: job.ownerId ?? null,
+          stages: profile.stages,
+          checkpoint: checkpoints[batchIndex].stages,
+          onStageComplete: (stage, output) => this.repository.saveBatchStage(jobId, batchIndex, stage, output, log),
+        });
+        finalTranslations[batchIndex] = translated;
+        if (fallbacks.length > 0) {
+          lineFallbacks.push(...fallbacks);
+          await this.repository.recordLineFallbacks(jobId, fallbacks, log);
+        }
+        await this.repository.recordBatchCompleted(jobId, batchIndex, log);
+
+        batchesDone++;
+        this.eventBus.publish(jobId, 'lines', {
+          batchIndex,
+          lines: batch.map((line, index) => ({ sequence: line.sequence, text: restoreProtectedMarkup(translated[index]).text })),
+        });
+        this.eventBus.publish(jobId, 'progress', { batchesDone, totalBatches: batches.length });
+        return translated;
+      } catch (error) {
+        // One batch failing does not stop the others; the job fails once they are done and can be resumed.
+        log.error({ jobId, batchIndex, err: error }, "Batch failed; continuing with the remaining batches.");
+        failedBatches.push(batchIndex);
+        await this.repository.recordBatchFailed(jobId, batchIndex, error, log);
+        this.eventBus.publish(jobId, 'batchFailed', { batchIndex, message: error.message });
+        return null;
+      } finally {
+        budget.release(batchIndex);
+        // A failed or refused batch must not leave the next one waiting for its draft.
+        drafts[batchIndex].resolve(null);
+      }
+    });
+    if (budget.refusal) {
+      const { estimatedUsd, maxCostUsd } = budget.refusal;
+      const spentUsd = (await this.repository.getJobUsage(jobId, {}, log))?.usage?.costUsd ?? 0;
+      throw new BudgetExceededError(
+        `Stopped after ${batchesDone} of ${batches.length} batches: the next batch, estimated at $${estimatedUsd.toFixed(4)}, would exceed the job's budget of $${maxCostUsd.toFixed(4)} ($${spentUsd.toFixed(4)} spent).`
+      );
+    }
+    if (failedBatches.length > 0) {
+      failedBatches.sort((a, b) => a - b);
+      throw new BatchesFailedError(
+        `${failedBatches.length} of ${batches.length} batches failed (${failedBatches.join(', ')}); resume the job to retry them.`, failedBatches);
+    }
+    
+    // --- Final Assembly ---
+    // Flatten the array of arrays into a single array of translated lines.
+    const translatedLines = allTranslatedBatches.flat();
+    
+    const markupReport = {
+      issues: srtLines.filter(line => line.markupIssues).map(line => ({ sequence: line.sequence, issues: line.markupIssues })),
+      fallbacks: [],
+    };
+    const restoredLines = srtLines.map((line, index) => {
+      // Every line has a translation or a recorded fallback; an empty one keeps the source line as-is.
+      if (!translatedLines[index]) {
+        return line;
+      }
+      const { fallbackReason, ...restored } = restoreProtectedMarkup(translatedLines[index], line.markup, line.text);
+      if (fallbackReason) {
+        markupReport.fallbacks.push({ sequence: line.sequence, reason: fallbackReason });
+      }
+      return { ...line, ...restored };
+    });
+    if (markupReport.issues.length > 0 || markupReport.fallbacks.length > 0) {
+      log.warn({ jobId, issueCount: markupReport.issues.length, fallbackCount: markupReport.fallbacks.length }, "Inline markup needs review.");
+    }
+
+    // --- Quality Estimation ---
+    // Scores the finished translations for the reviewers; null when the job does not estimate quality.
+    const qualityReport = await this._estimateQuality(jobId, srtLines, restoredLines, settings, profile, languages, log);
+
+    // Each cue's translation is kept before re-timing and layout, so single lines can be revised later.
+    const translatedCues = restoredLines.map(line => ({ sequence: line.sequence, text: line.text, markup: line.markup ?? [], revision: null }));
+    const { finalSrt: finalSrtString, syncSuggestions, timingChanges } =
+      await this._renderSubtitles(jobId, subtitleDocument, restoredLines, settings, languages, profile.postProcessors, 'execution', log);
+
+    await this.repository.saveFinalSrt(jobId, finalSrtString,
+      { outputFormat, markupReport, syncSuggestions, timingChanges, qualityReport, translatedLines: translatedCues }, log);
+    log.info({ jobId, outputFormat }, "Final subtitles saved to job record.");
+
+    lineFallbacks.sort((a, b) => a.sequence - b.sequence);
+
+    // Finalized line pairs feed the translation memory; lines that fell back were never approved by the agents.
+    const fallbackSequences = new Set(lineFallbacks.map(fallback => fallback.sequence));
+    const segments = srtLines
+      .map((line, index) => ({ sequence: line.sequence, source: line.text, translation: restoredLines[index].text }))
+      .filter(segment => !fallbackSequences.has(segment.sequence) && segment.source.trim() && segment.translation !== segment.source)
+      .map(({ source, translation }) => ({ source, translation }));
+    if (segments.length > 0) {
+      runInBackground(
+        () => this.repository.upsertSegmentVectors(jobId, job.ownerId ?? null, segments, languages, log),
+        log,
+        `UpsertSegmentVectors for Job ${jobId}`
+      );
+    }
+    const result = {
+      finalSrt: finalSrtString, outputFormat, syncSuggestions, markupReport, timingChanges, lineFallbacks, qualityReport,
+      lines: this._buildLineViews(srtLines, translatedCues, qualityReport),
+    };
+    this.eventBus.publish(jobId, 'complete', result);
+    return result;
+  }
+
+  // --- LINE REVIEW ---
+
+  /**
+   * Replaces the translation of one cue of a completed job with a reviewer's text and
+   * re-renders the subtitle file. Inline tags are re-placed proportionally in the new text.
+   * The edited pair is also stored in the translation memory.
+   * @param {string} jobId - The ID of the job.
+   * @param {number} sequence - The cue's sequence number in the source file.
+   * @param {string} text - The new translation.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object>} The updated job status view.
+   * @throws {NotFoundError} If the job or the cue does not exist.
+   * @throws {ConflictError} If the job is not complete or was changed concurrently.
+   */
+  async updateLine(jobId, sequence, text, logger) {
+    const log = logger || this.logger;
+    const job = await this._getRevisableJob(jobId, log);
+    const current = job.translatedLines.find(line => line.sequence === sequence);
+    if (!current) {
+      throw new NotFoundError(`Line ${sequence} not found in job ${jobId}.`);
+    }
+
+    const markup = reanchorMarkup(text, current.markup, current.text.length);
+    const revisedLine = { sequence, text, markup, revision: 'edited' };
+    const markupFallbacks = markup.length > 0 ? [{ sequence, reason: 'line_edited' }] : [];
+    log.info({ jobId, sequence }, "Saving reviewer's edit of a line.");
+    const status = await this._applyLineRevisions(jobId, job, new Map([[sequence, revisedLine]]), { markupFallbacks }, log);
+
+    const languages = resolveLanguagePair(job.settings);
+    const source = parseSubtitles(job.subtitleContent).lines.find(line => line.sequence === sequence);
+    if (source?.text.trim() && text !== source.text) {
+      runInBackground(
+        () => this.repository.upsertSegmentVectors(jobId, job.ownerId ?? null, [{ source: source.text, translation: text }], languages, log),
+        log,
+        `UpsertSegmentVectors for edited line ${sequence} of Job ${jobId}`
+      );
+    }
+    return status;
+  }
+
+  /**
+   * Queues a range of cues of a completed job to run through the agent chain again, with the
+   * job's approved blueprint, the lines around the range as context and optional reviewer
+   * instructions. The agents run in the background; the job's event stream reports
+   * `revision_complete` with the updated job status view, or `revision_failed`.
+   * @param {string} jobId - The ID of the job.
+   * @param {{fromSequence: number, toSequence?: number, instructions?: string}} range - The cues to re-translate, inclusive.
+   * @param {import('#features/users/service.js').Requester|null} requester - The user whose quota the lines are counted against.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<{jobId: string, status: string, revision: object}>} The job and the re-translation's state.
+   * @throws {NotFoundError} If the job or a cue does not exist.
+   * @throws {BadRequestError} If the range is reversed or longer than MAX_RETRANSLATE_LINES.
+   * @throws {ConflictError} If the job is not complete, is already being re-translated or was changed concurrently.
+   * @throws {TooManyRequestsError} If the lines exceed the requester's remaining monthly quota.
+   * @throws {BudgetExceededError} If re-translating the lines is estimated to take the job over `settings.maxCostUsd`.
+   */
+  async retranslateLines(jobId, { fromSequence, toSequence = fromSequence, instructions = '' }, requester, logger) {
+    const log = logger || this.logger;
+    const job = await this._getRevisableJob(jobId, log);
+    const profile = this._getJobProfile(job);
+    const sourceLines = parseSubtitles(job.subtitleContent).lines;
+
+    const first = sourceLines.findIndex(line => line.sequence === fromSequence);
+    const last = sourceLines.findIndex(line => line.sequence === toSequence);
+    if (first === -1 || last === -1) {
+      throw new NotFoundError(`Lines ${fromSequence} to ${toSequence} are not all in job ${jobId}.`);
+    }
+    if (last < first) {
+      throw new BadRequestError('toSequence must not come before fromSequence.');
+    }
+    if (last - first + 1 > MAX_RETRANSLATE_LINES) {
+      throw new BadRequestError(`At most ${MAX_RETRANSLATE_LINES} lines can be re-translated at once.`);
+    }
+    if (job.settings.maxCostUsd !== undefined) {
+      const estimatedCalls = this.agentService.estimateBatchCalls(sourceLines.slice(first, last + 1), {
+        withSceneSummary: first > 0,
+        blueprintTokens: estimateTokenCount(JSON.stringify(job.confirmedBlueprint)),
+        stages: profile.stages,
+      });
+      this._assertWithinBudget(job.settings, job.usage?.costUsd ?? 0, this._sumUsage(estimatedCalls).costUsd, 'Re-translating these lines');
+    }
+    // Marking the job checks that it is unchanged in the same write, so two re-translations cannot overlap.
+    const revision = { status: 'running', fromSequence, toSequence, startedAt: new Date() };
+    const updatedAt = await this._withQuota(requester, last - first + 1, async () => {
+      const startedAt = await this.repository.startLineRevision(jobId, job.updatedAt, revision, log);
+      if (!startedAt) {
+        throw new ConflictError(`Job ${jobId} was changed by another request; reload it and try again.`);
+      }
+      return startedAt;
+    }, log);
+    log.info({ jobId, fromSequence, toSequence }, "Line re-translation queued for background execution.");
+    this.eventBus.reset(jobId);
+    this.eventBus.publish(jobId, 'revision_started', { fromSequence, toSequence });
+
+    runInBackground(
+      () => this._runLineRetranslation(jobId, { ...job, updatedAt, revision }, first, last, instructions, log),
+      log,
+      `RetranslateLines ${fromSequence}-${toSequence} for Job ${jobId}`
+    );
+    return { jobId, status: job.status, revision };
+  }
+
+  /**
+   * Re-translates the cues from index `first` to `last` and saves them as a revision. Publishes
+   * `revision_complete` or, after recording the failure on the job, `revision_failed`.
+   * @private
+   * @param {string} jobId - The ID of the job.
+   * @param {object} job - The job, with the `updatedAt` and `revision` set when the re-translation started.
+   * @param {number} first - The index of the first cue to re-translate.
+   * @param {number} last - The index of the last cue to re-translate.
+   * @param {string} instructions - The reviewer's instructions, if any.
+   * @param {object} log - The contextual logger.
+   */
+  async _runLineRetranslation(jobId, job, first, last, instructions, log) {
+    const { fromSequence, toSequence } = job.revision;
+    try {
+      const status = await this._retranslateRange(jobId, job, first, last, instructions, log);
+      this.eventBus.publish(jobId, 'revision_complete', status);
+    } catch (error) {
+      log.error({ jobId, fromSequence, toSequence, err: error }, "Line re-translation failed.");
+      await this.repository.finishLineRevision(jobId, {
+        ...job.revision,
+        status: 'failed',
+        finishedAt: new Date(),
+        error: { name: error.name, message: error.message },
+      }, log);
+      this.eventBus.publish(jobId, 'revision_failed', { fromSequence, toSequence, message: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * The body of a line re-translation, without failure bookkeeping.
+   * @private
+   */
+  async _retranslateRange(jobId, job, first, last, instructions, log) {
+    const languages = resolveLanguagePair(job.settings);
+    const profile = this._getJobProfile(job);
+    const subtitleDocument = parseSubtitles(job.subtitleContent);
+    const sourceLines = subtitleDocument.lines;
+    const { fromSequence, toSequence } = job.revision;
+
+    const blueprint = await this._enforceTermbase(job, job.confirmedBlueprint, subtitleDocument, languages, log);
+    // Context translations carry the same placeholders as the source lines they are paired with.
+    const promptLines = sourceLines.map(line => ({ ...line, text: protectMarkup(line.text, line.markup) }));
+    const promptTranslations = job.translatedLines.map(line => protectMarkup(line.text, line.markup));
+    const contextStart = Math.max(first - CONTEXT_WINDOW_LINES, 0);
+    const previousLines = promptLines.slice(contextStart, first);
+    const nextLines = promptLines.slice(last + 1, last + 1 + CONTEXT_WINDOW_LINES).map((line, index) => ({
+      sequence: line.sequence,
+      source: line.text,
+      translation: promptTranslations[last + 1 + index],
+    }));
+
+    log.info({ jobId, fromSequence, toSequence, hasInstructions: Boolean(instructions.trim()) }, "Re-translating lines.");
+    const batch = promptLines.slice(first, last + 1);
+    const { translated, fallbacks } = await this._processSingleBatch(jobId, 0, batch, blueprint, job.settings, languages, log, {
+      previousBatch: previousLines.length > 0 ? previousLines : null,
+      getPreviousTranslation: async () => promptTranslations.slice(contextStart, first),
+      onDraft: () => {},
+      ownerId: job.ownerId ?? null,
+      nextLines,
+      instructions,
+      stages: profile.stages,
+      phase: 'revision',
+      // A reviewer asking again wants a new answer, not the one already rejected.
+      bypassCache: true,
+    });
+
+    const revisedLines = new Map();
+    const markupFallbacks = [];
+    batch.forEach((line, index) => {
+      const source = sourceLines[first + index];
+      const { fallbackReason, ...restored } = translated[index]
+        ? restoreProtectedMarkup(translated[index], source.markup, source.text)
+        : { text: source.text, markup: source.markup ?? [] };
+      if (fallbackReason) {
+        markupFallbacks.push({ sequence: line.sequence, reason: fallbackReason });
+      }
+      revisedLines.set(line.sequence, { sequence: line.sequence, text: restored.text, markup: restored.markup ?? [], revision: 'retranslated' });
+    });
+    return this._applyLineRevisions(jobId, job, revisedLines, {
+      lineFallbacks: fallbacks,
+      markupFallbacks,
+      revision: { ...job.revision, status: 'complete', finishedAt: new Date() },
+    }, log);
+  }
+
+  /**
+   * Loads a job whose lines can be revised.
+   * @private
+   * @throws {NotFoundError} If the job does not exist.
+   * @throws {ConflictError} If the job is not complete, finished before its lines were kept, or is being re-translated.
+   */
+  async _getRevisableJob(jobId, log) {
+    const job = await this.repository.getJobById(jobId, log);
+    if (!job) {
+      throw new NotFoundError(`Job with ID ${jobId} not found.`);
+    }
+    if (job.status !== 'complete') {
+      throw new ConflictError(`Job ${jobId} is ${job.status}; only completed jobs can be revised.`);
+    }
+    if (!Array.isArray(job.translatedLines)) {
+      throw new ConflictError(`Job ${jobId} finished before line review was available; translate it again to review its lines.`);
+    }
+    const { revision } = job;
+    if (revision?.status === 'running' && Date.now() - new Date(revision.startedAt).getTime() < REVISION_STALE_MS) {
+      throw new ConflictError(`Lines ${revision.fromSequence} to ${revision.toSequence} of job ${jobId} are being re-translated; try again when that finishes.`);
+    }
+    return job;
+  }
+
+  /**
+   * Replaces some cues' translations, re-renders the subtitle file and saves the result.
+   * Fallbacks previously reported for the revised cues are replaced by the new ones.
+   * @private
+   * @param {string} jobId - The ID of the job.
+   * @param {object} job - The job as loaded; its `updatedAt` guards against concurrent revisions.
+   * @param {Map<number, {sequence: number, text: string, markup: Array<object>, revision: string}>} revisedLines - The new translations, keyed by sequence.
+   * @param {{lineFallbacks?: Array<object>, markupFallbacks?: Array<object>, revision?: object}} outcome - What the revision
+   *   could not do cleanly, and the final state of the background re-translation that made it, if any.
+   * @param {object} log - The contextual logger.
+   * @returns {Promise<object>} The updated job status view.
+   * @throws {ConflictError} If the job was changed since it was loaded.
+   */
+  async _applyLineRevisions(jobId, job, revisedLines, { lineFallbacks = [], markupFallbacks = [], revision }, log) {
+    const languages = resolveLanguagePair(job.settings);
+    const subtitleDocument = parseSubtitles(job.subtitleContent);
+    const translatedLines = job.translatedLines.map(line => revisedLines.get(line.sequence) ?? line);
+    const restoredLines = subtitleDocument.lines.map((line, index) => ({ ...line, text: translatedLines[index].text, markup: translatedLines[index].markup }));
+
+    const { finalSrt, outputFormat, syncSuggestions, timingChanges } =
+      await this._renderSubtitles(jobId, subtitleDocument, restoredLines, job.settings, languages, this._getJobProfile(job).postProcessors, 'revision', log);
+
+    const isRevised = (entry) => revisedLines.has(entry.sequence);
+    const bySequence = (a, b) => a.sequence - b.sequence;
+    const saved = await this.repository.saveLineRevision(jobId, job.updatedAt, {
+      translatedLines,
+      finalSrt,
+      outputFormat,
+      syncSuggestions,
+      timingChanges,
+      markupReport: {
+        issues: job.markupReport?.issues ?? [],
+        fallbacks: [...(job.markupReport?.fallbacks ?? []).filter(entry => !isRevised(entry)), ...markupFallbacks].sort(bySequence),
+      },
+      lineFallbacks: [...(job.lineFallbacks ?? []).filter(entry => !isRevised(entry)), ...lineFallbacks].sort(bySequence),
+      // A revised line's scores no longer describe its text.
+      ...(job.qualityReport && { qualityReport: markQualityStale(job.qualityReport, revisedLines) }),
+      ...(revision && { revision }),
+    }, log);
+    if (!saved) {
+      throw new ConflictError(`Job ${jobId} was changed by another request; reload it and try again.`);
+    }
+    log.info({ jobId, sequences: [...revisedLines.keys()] }, "Line revision saved.");
+    return this.getJobStatus(jobId, log);
+  }
+
+  /**
+   * Lays out, checks and serializes the translated cues. Timing is re-flowed first when
+   * `settings.timing.enabled` is set, or when the settings do not say and the profile's post-processors do.
+   * @private
+   * @param {string} jobId - The ID of the job.
+   * @param {object} subtitleDocument - The parsed source file.
+   * @param {Array<object>} restoredLines - The source cues with their translated text and markup.
+   * @param {object} settings - The job's settings.
+   * @param {import('#core/languages.js').LanguagePair} languages - The job's language pair.
+   * @param {import('#core/pipelineProfiles.js').PipelineProfile['postProcessors']} postProcessors - Which deterministic post-processors run.
+   * @param {'execution'|'revision'} phase - Namespaces the timing stage.
+   * @param {object} log - The contextual logger.
+   * @returns {Promise<{finalSrt: string, outputFormat: string, syncSuggestions: Array<object>, timingChanges: Array<object>}>}
+   */
+  async _renderSubtitles(jobId, subtitleDocument, restoredLines, settings, languages, postProcessors, phase, log) {
+    const outputFormat = settings.outputFormat ?? subtitleDocument.format;
+    // Limits come from the target profile unless overridden; an enabled timing stage sets the minimum gap.
+    const { enabled: isTimingEnabled = postProcessors.timing, ...timingOptions } = settings.timing ?? {};
+    const { fps, minGapFrames } = { ...TIMING_DEFAULTS, ...timingOptions };
+    const readabilityLimits = resolveReadabilityLimits(languages.target, {
+      ...(isTimingEnabled && { minGapSeconds: minGapFrames / fps }),
+      ...settings.readability,
+    });
+
+    // --- Optional Post-Processing: Timing Re-flow ---
+    let retimedLines = restoredLines;
+    let timingChanges = [];
+    if (isTimingEnabled) {
+      ({ lines: retimedLines, changes: timingChanges } = await this._timeStage(jobId, `${phase}.timing`,
+        async () => optimizeTiming(restoredLines, readabilityLimits, timingOptions), log));
+      log.info({ jobId, changeCount: timingChanges.length }, "Timing re-flow complete.");
+    }
+
+    // Lines are laid out within the target's line limits, then direction marks are added.
+    const finalSrtObject = retimedLines.map(line => {
+      const laidOut = postProcessors.lineBreaking ? { ...line, ...breakLines(line, readabilityLimits) } : line;
+      return { ...laidOut, ...applyTextDirection(laidOut, languages.target) };
+    });
+
+    // Deterministic reading-speed and layout checks on the lines as they will be delivered.
+    let syncSuggestions = [];
+    if (postProcessors.readabilityCheck) {
+      syncSuggestions = analyzeReadability(finalSrtObject, readabilityLimits);
+      log.info({ jobId, flaggedLines: syncSuggestions.length }, "Readability analysis complete.");
+    }
+
+    // Serialize in the input format unless the caller asked for another one.
+    const finalSrt = serializeSubtitles({ ...subtitleDocument, lines: finalSrtObject }, outputFormat);
+    return { finalSrt, outputFormat, syncSuggestions, timingChanges };
+  }
+
+  /**
+   * Pairs each source cue with its current translation, and its quality assessment if it has one, for the review table.
+   * @private
+   * @param {Array<object>} sourceLines - The parsed source cues.
+   * @param {Array<{sequence: number, text: string, revision: string|null}>} translatedLines - The translations, in the same order.
+   * @param {import('#core/qualityEstimation.js').QualityReport|null} [qualityReport=null] - The job's quality report.
+   * @returns {Array<{sequence: number, startTime: string, endTime: string, source: string, translation: string, revision: string|null, quality: object|null}>}
+   */
+  _buildLineViews(sourceLines, translatedLines, qualityReport = null) {
+    const qualityBySequence = new Map((qualityReport?.lines ?? []).map(({ sequence, ...quality }) => [sequence, quality]));
+    return sourceLines.map((line, index) => ({
+      sequence: line.sequence,
+      startTime: line.startTime,
+      endTime: line.endTime,
+      source: line.text,
+      translation: translatedLines[index]?.text ?? '',
+      revision: translatedLines[index]?.revision ?? null,
+      quality: qualityBySequence.get(line.sequence) ?? null,
+    }));
+  }
+
+  /**
+   * Summarizes a job's batch checkpoints for the status view. Until the job is complete, each
+   * batch also lists its lines as of its latest finished stage, so partial results can be inspected.
+   * @private
+   * @param {object} job - The job document.
+   * @returns {Array<{batchIndex: number, status: string, firstSequence: number, lastSequence: number, lineCount: number, stagesDone: string[], error: object|null, updatedAt: Date, lines?: Array<{sequence: number, text: string, stage: string}>}>}
+   */
+  _buildBatchViews(job) {
+    const checkpoints = job.batches ?? [];
+    const withLines = job.status !== 'complete' && checkpoints.some(checkpoint => Object.keys(checkpoint.stages ?? {}).length > 0);
+    const sourceLines = withLines ? parseSubtitles(job.subtitleContent).lines : [];
+    return checkpoints.map((checkpoint, batchIndex) => {
+      const stagesDone = BATCH_STAGES.filter(stage => checkpoint.stages?.[stage]);
+      const latest = this._latestStageOutput(checkpoint);
+      const view = {
+        batchIndex,
+        status: checkpoint.status,
+        firstSequence: checkpoint.firstSequence,
+        lastSequence: checkpoint.lastSequence,
+        lineCount: checkpoint.lineCount,
+        stagesDone,
+        error: checkpoint.error ?? null,
+        updatedAt: checkpoint.updatedAt,
+      };
+      if (withLines && latest) {
+        view.lines = sourceLines
+          .filter(line => line.sequence >= checkpoint.firstSequence && line.sequence <= checkpoint.lastSequence)
+          .map((line, index) => ({ sequence: line.sequence, text: restoreProtectedMarkup(latest.texts[index] ?? '').text, stage: latest.stage }));
+      }
+      return view;
+    });
+  }
+
+  /**
+   * Estimates the quality of the finished lines: each is back-translated and compared with its
+   * source, and a judge scores its adequacy and fluency. The report only guides the reviewers, so
+   * it is skipped when it would take the job over its budget, and a failed call leaves its lines
+   * unscored instead of failing the job.
+   * @private
+   * @param {string} jobId - The ID of the job being executed.
+   * @param {Array<object>} sourceLines - The parsed source cues.
+   * @param {Array<object>} restoredLines - The source cues with their final translated text, in the same order.
+   * @param {object} settings - The job's settings.
+   * @param {import('#core/pipelineProfiles.js').PipelineProfile} profile - The job's pipeline profile.
+   * @param {import('#core/languages.js').LanguagePair} languages - The job's language pair.
+   * @param {object} log - The contextual logger.
+   * @returns {Promise<import('#core/qualityEstimation.js').QualityReport|null>} The report, or null when the job does not estimate quality.
+   */
+  async _estimateQuality(jobId, sourceLines, restoredLines, settings, profile, languages, log) {
+    const quality = this._resolveQualityEstimation(settings, profile);
+    if (!quality) {
+      return null;
+    }
+    const signals = [...(quality.backTranslate ? ['backTranslation'] : []), ...(quality.judge ? ['judge'] : [])];
+    const lines = sourceLines
+      .map((line, index) => ({ sequence: line.sequence, text: line.text, translation: restoredLines[index].text }))
+      .filter(line => line.text.trim() && line.translation.trim());
+    const chunks = this._planBatches(lines, profile.batchSize);
+
+    if (settings.maxCostUsd !== undefined) {
+      const estimatedUsd = this._sumUsage(chunks.flatMap(chunk => this.agentService.estimateQualityCalls(chunk, quality))).costUsd;
+      const spentUsd = (await this.repository.getJobUsage(jobId, {}, log))?.usage?.costUsd ?? 0;
+      if (spentUsd + estimatedUsd > settings.maxCostUsd) {
+        log.warn({ jobId, spentUsd, estimatedUsd, maxCostUsd: settings.maxCostUsd }, "Quality estimation would exceed the job's budget; skipping it.");
+        return buildSkippedQualityReport(quality.thresholds, signals,
+          `Estimating quality would cost about $${estimatedUsd.toFixed(4)}; with $${spentUsd.toFixed(4)} already spent, that exceeds the job's budget of $${settings.maxCostUsd.toFixed(4)}.`);
+      }
+    }
+
+    log.info({ jobId, lineCount: lines.length, signals }, "Estimating translation quality.");
+    const scoredChunks = await mapWithConcurrency(chunks, CONCURRENT_BATCHES_PER_JOB,
+      (chunk, chunkIndex) => this._scoreQualityChunk(jobId, chunkIndex, chunk, quality, settings, languages, log));
+    const report = buildQualityReport(scoredChunks.flat(), quality.thresholds, signals);
+    log.info({ jobId, ...report.summary }, "Translation quality estimated.");
+    return report;
+  }
+
+  /**
+   * Gathers the quality signals of one chunk of lines. When a call fails, or its answer leaves a
+   * line out, that line's signal is null.
+   * @private
+   * @param {string} jobId - The ID of the job being executed.
+   * @param {number} chunkIndex - The chunk's position, for events and logs.
+   * @param {Array<{sequence: number, text: string, translation: string}>} chunk - The source lines and their translations.
+   * @param {object} quality - The quality estimation stages and thresholds (see _resolveQualityEstimation).
+   * @param {object} settings - The job's settings.
+   * @param {import('#core/languages.js').LanguagePair} languages - The job's language pair.
+   * @param {object} log - The contextual logger.
+   * @returns {Promise<import('#core/qualityEstimation.js').LineQualitySignals[]>} The signals of each line, in order.
+   */
+  async _scoreQualityChunk(jobId, chunkIndex, chunk, quality, settings, languages, log) {
+    const translations = new Map(chunk.map(line => [line.sequence, line.translation]));
+    const runStage = async (name, stage, agentCall) => {
+      if (!stage) {
+        return [];
+      }
+      try {
+        return await this._timeStage(jobId, `execution.${name}`,
+          (agents) => agentCall(agents.withCacheBypass(settings.bypassCache ?? false).withStageModel(stage)), log, { batchIndex: chunkIndex });
+      } catch (error) {
+        log.warn({ jobId, batchIndex: chunkIndex, stage: name, err: error }, "Quality estimation call failed; its lines are left unscored.");
+        return [];
+      }
+    };
+    const [backTranslations, judgements] = await Promise.all([
+      runStage('backTranslate', quality.backTranslate, (agents) => agents.backTranslateBatch(chunk, translations, languages, log)),
+      runStage('judge', quality.judge, (agents) => agents.judgeBatch(chunk, translations, languages, log)),
+    ]);
+
+    const backTranslated = this._reconcileLines(chunk, backTranslations).accepted;
+    const judged = new Map(judgements.map(judgement => [judgement.sequence, judgement]));
+    const similarities = await this._measureSimilarity(jobId, chunk, backTranslated, log);
+    return chunk.map(line => {
+      const judgement = judged.get(line.sequence);
+      return {
+        sequence: line.sequence,
+        backTranslation: backTranslated.get(line.sequence) ?? null,
+        similarity: similarities.get(line.sequence) ?? null,
+        adequacy: judgement?.adequacy ?? null,
+        fluency: judgement?.fluency ?? null,
+        reason: judgement?.reason || null,
+      };
+    });
+  }
+
+  /**
+   * Compares each source line with its back-translation by the cosine similarity of their
+   * embeddings, clamped to 0-1. A failed embedding call leaves the chunk without similarities.
+   * Both sides of the chunk are embedded in one call of up to twice the batch size; the embedding
+   * function splits it into requests the provider accepts (see lib/llmClient.js `embedTexts`).
+   * @private
+   * @returns {Promise<Map<number, number>>} The similarity of each back-translated line, keyed by sequence.
+   */
+  async _measureSimilarity(jobId, chunk, backTranslated, log) {
+    const pairs = chunk.filter(line => backTranslated.has(line.sequence));
+    if (pairs.length === 0) {
+      return new Map();
+    }
+    try {
+      const vectors = await this.embed([
+        ...pairs.map(line => line.text),
+        ...pairs.map(line => backTranslated.get(line.sequence)),
+      ], log);
+      return new Map(pairs.map((line, index) =>
+        [line.sequence, Math.max(cosineSimilarity(vectors[index], vectors[pairs.length + index]), 0)]));
+    } catch (error) {
+      log.warn({ jobId, err: error }, "Embedding back-translations failed; similarity is left unscored.");
+      return new Map();
+    }
+  }
+
+  /**
+   * Makes the project's locked terms win over any change made to them while reviewing the blueprint.
+   * @private
+   * @returns {Promise<object>} The blueprint to translate with.
+   */
+  async _enforceTermbase(job, confirmedBlueprint, subtitleDocument, languages, log) {
+    if (!job.projectId) {
+      return confirmedBlueprint;
+    }
+    const termbase = await this._loadTermbase(job.projectId, languages, log);
+    const lockedTerms = findTermsInText(termbase, subtitleDocument.lines.map(line => line.text).join('\n'));
+    return { ...confirmedBlueprint, glossary: applyTermbase(confirmedBlueprint.glossary, lockedTerms) };
+  }
+
+  /**
+   * Runs one agent stage, adds its wall-clock duration to the job's stage timings and
+   * publishes `stage` events when it starts and finishes. The stage gets a view of the agent
+   * service that records every model call it makes against the job, under the stage's name;
+   * the finished event counts the calls answered from the response cache and those that missed it.
+   * @private
+   * @param {string} jobId - The ID of the job being executed.
+   * @param {string} stage - The timings key, namespaced by phase (e.g., 'execution.transcreate').
+   * @param {function(import('./agents.js').AgentService): Promise<any>} stageFn - The agent call to time.
+   * @param {object} logger - The contextual logger.
+   * @param {object} [eventData={}] - Extra fields for the stage events (e.g., `batchIndex`).
+   * @returns {Promise<any>} The stage result.
+   */
+  async _timeStage(jobId, stage, stageFn, logger, eventData = {}) {
+    this.eventBus.publish(jobId, 'stage', { stage, status: 'started', ...eventData });
+    const cacheCounts = { cacheHits: 0, cacheMisses: 0 };
+    const agents = this.agentService.forJob(jobId).withUsageRecorder((usage) => {
+      if (usage.cache === 'hit') {
+        cacheCounts.cacheHits += 1;
+        logger.info({ jobId, stage, agent: usage.agent, ...eventData }, "Agent call answered from the response cache.");
+      } else if (usage.cache === 'miss') {
+        cacheCounts.cacheMisses += 1;
+      }
+      return this.repository.recordAgentCall(jobId, { stage, ...eventData, ...usage }, logger);
+    });
+    const startedAt = Date.now();
+    const result = await stageFn(agents);
+    const durationMs = Date.now() - startedAt;
+    await this.repository.recordStageTiming(jobId, stage, durationMs, logger);
+    this.eventBus.publish(jobId, 'stage', {
+      stage, status: 'finished', durationMs, ...eventData,
+      ...(cacheCounts.cacheHits + cacheCounts.cacheMisses > 0 && cacheCounts),
+    });
+    return result;
+  }
+
+  /**
+   * Runs a translation memory lookup as a timed stage. The memory only assists the agents,
+   * so a failed lookup is logged and treated as having found nothing.
+   * @private
+   * @param {string} jobId - The ID of the job being executed.
+   * @param {string} stage - The timings key (e.g., 'execution.recallSegments').
+   * @param {function(): Promise<Array<object>>} lookupFn - The repository query.
+   * @param {object} logger - The contextual logger.
+   * @param {object} [eventData={}] - Extra fields for the stage events.
+   * @returns {Promise<Array<object>>} The matches, or an empty array if the lookup failed.
+   */
+  async _recallFromMemory(jobId, stage, lookupFn, logger, eventData = {}) {
+    try {
+      return await this._timeStage(jobId, stage, lookupFn, logger, eventData);
+    } catch (error) {
+      logger.warn({ jobId, stage, err: error, ...eventData }, "Translation memory lookup failed; continuing without it.");
+      return [];
+    }
+  }
+
+  /**
+   * Loads the termbase of the project a job is attached to. Unlike the translation memory,
+   * locked terms are binding, so a failed lookup fails the job.
+   * @private
+   * @param {string|null} projectId - The job's project, or null if it has none.
+   * @param {import('#core/languages.js').LanguagePair} languages - The job's language pair.
+   * @param {object} logger - The contextual logger.
+   * @returns {Promise<import('#core/termbase.js').TermbaseEntry[]>} The termbase; empty without a project.
+   */
+  async _loadTermbase(projectId, languages, logger) {
+    if (!projectId) {
+      return [];
+    }
+    return this.projectService.getTermbaseForJob(projectId, languages, logger);
+  }
+
+  /**
+   * Builds the rolling context for a batch from the end of the previous one.
+   * @private
+   * @param {Array<object>|null} previousBatch - The previous batch's source lines, or null for the first batch.
+   * @param {string[]|null} previousTranslation - The previous batch's translated lines, if available.
+   * @param {string|null} sceneSummary - A short summary of the previous batch.
+   * @param {Array<{sequence: number, source: string, translation: string}>} [nextLines=[]] - Translated lines that follow the batch, when revising a finished file.
+   * @returns {{sceneSummary: string|null, lines: Array<{sequence: number, source: string, translation: string|null}>, nextLines?: Array<object>}|null}
+   */
+  _buildPreviousContext(previousBatch, previousTranslation, sceneSummary, nextLines = []) {
+    if (!previousBatch && nextLines.length === 0) {
+      return null;
+    }
+    const offset = Math.max((previousBatch?.length ?? 0) - CONTEXT_WINDOW_LINES, 0);
+    return {
+      sceneSummary,
+      lines: (previousBatch ?? []).slice(offset).map((line, index) => ({
+        sequence: line.sequence,
+        source: line.text,
+        translation: previousTranslation?.[offset + index] ?? null,
+      })),
+      ...(nextLines.length > 0 && { nextLines }),
+    };
+  }
+
+  /**
+   * Lines up a job's stored checkpoints with the batch plan. A checkpoint is reused only if it
+   * covers exactly the same lines; an unfinished one keeps its stage outputs but is pending again.
+   * @private
+   * @param {Array<BatchCheckpoint>} saved - The checkpoints stored on the job.
+   * @param {Array<Array<object>>} batches - The planned batches.
+   * @returns {Array<BatchCheckpoint>} One checkpoint per batch.
+   */
+  _reconcileCheckpoints(saved, batches) {
+    return batches.map((batch, batchIndex) => {
+      const plan = { firstSequence: batch[0].sequence, lastSequence: batch.at(-1).sequence, lineCount: batch.length };
+      const checkpoint = saved[batchIndex];
+      const matchesPlan = checkpoint && Object.entries(plan).every(([key, value]) => checkpoint[key] === value);
+      if (!matchesPlan) {
+        return { status: 'pending', ...plan, stages: {}, error: null, updatedAt: new Date() };
+      }
+      // Stages the profile skips leave no output; every profile transcreates.
+      const isComplete = checkpoint.status === 'complete' && Boolean(checkpoint.stages?.transcreate);
+      return {
+        ...checkpoint,
+        status: isComplete ? 'complete' : 'pending',
+        stages: checkpoint.stages ?? {},
+        error: isComplete ? null : checkpoint.error ?? null,
+      };
+    });
+  }
+
+  /**
+   * The output of the last stage a batch checkpoint has saved.
+   * @private
+   * @param {BatchCheckpoint} checkpoint - The checkpoint.
+   * @returns {{stage: string, texts: string[], fallbacks: Array<object>}|null} The output, or null if no stage has completed.
+   */
+  _latestStageOutput(checkpoint) {
+    const stage = BATCH_STAGES.findLast(name => checkpoint.stages?.[name]);
+    return stage ? { stage, ...checkpoint.stages[stage] } : null;
+  }
+
+  /**
+   * Private helper method to process a single batch through the full agent chain.
+   * Each agent's answer is matched to the batch by sequence (see _runLineStage), so the
+   * result always has one translated text per input line, in batch order.
+   * @private
+   * @param {object} context - Hand-offs between neighbouring batches.
+   * @param {Array<object>|null} context.previousBatch - The previous batch's source lines.
+   * @param {function(): Promise<string[]|null>} context.getPreviousTranslation - Resolves with the previous batch's translation (draft or final).
+   * @param {function(string[]): void} context.onDraft - Receives this batch's first draft for the next batch.
+   * @param {string|null} [context.ownerId=null] - The job owner's user ID; only their translation memory is recalled.
+   * @param {Array<object>} [context.nextLines] - Translated lines after the batch, when revising a finished file.
+   * @param {string} [context.instructions] - A reviewer's instructions for the transcreation, edit and QA agents.
+   * @param {'execution'|'revision'} [context.phase='execution'] - Namespaces the stage timings.
+   * @param {boolean} [context.bypassCache=settings.bypassCache] - Whether the agents skip the response cache lookup.
+   * @param {import('#core/pipelineProfiles.js').PipelineProfile['stages']} [context.stages={}] - The pipeline profile's stages: which run, and on which model.
+   * @param {BatchCheckpoint['stages']} [context.checkpoint={}] - Stage outputs saved by an earlier run; those stages are not run again.
+   * @param {function(string, {texts: string[], fallbacks: Array<object>}): Promise<void>} [context.onStageComplete] - Saves each stage's output as it completes.
+   * @returns {Promise<{translated: string[], fallbacks: Array<{sequence: number, stage: string, reason: string}>}>}
+   */
+  async _processSingleBatch(jobId, batchIndex, batch, blueprint, settings, languages, logger, context) {
+    const {
+      previousBatch, getPreviousTranslation, onDraft, ownerId = null, nextLines = [], instructions = '', phase = 'execution',
+      bypassCache = settings.bypassCache ?? false, stages = {}, checkpoint = {}, onStageComplete = async () => {},
+    } = context;
+    const isEnabled = (stage) => stages[stage]?.enabled ?? true;
+    const agentsFor = (stage, agents) => agents.withCacheBypass(bypassCache).withStageModel(stages[stage] ?? null);
+
+    const fallbacks = [];
+    const runStage = async (stage, agentCall, inputTexts) => {
+      // A skipped stage passes its input on; it saves no checkpoint.
+      if (!isEnabled(stage)) {
+        return inputTexts;
+      }
+      const saved = checkpoint[stage];
+      if (saved) {
+        fallbacks.push(...saved.fallbacks);
+        return new Map(batch.map((line, index) => [line.sequence, saved.texts[index]]));
+      }
+      const { texts, fallbacks: stageFallbacks } = await this._runLineStage(jobId, batchIndex, `${phase}.${stage}`, batch,
+        (lines, agents) => agentCall(lines, agentsFor(stage, agents)), inputTexts, logger);
+      fallbacks.push(...stageFallbacks);
+      await onStageComplete(stage, { texts: batch.map(line => texts.get(line.sequence)), fallbacks: stageFallbacks });
+      return texts;
+    };
+
+    // The context is only needed to transcreate, which a resumed batch may already have done.
+    let previousContext = null;
+    let memorySegments = [];
+    if (!checkpoint.transcreate) {
+      // The scene summary only needs source text, so it is requested before waiting on the previous batch.
+      const sceneSummary = previousBatch && isEnabled('summarize')
+        ? await this._timeStage(jobId, `${phase}.summarize`,
+          (agents) => agentsFor('summarize', agents).summarizeScene(previousBatch, languages, logger), logger, { batchIndex })
+        : null;
+      memorySegments = await this._recallFromMemory(jobId, `${phase}.recallSegments`,
+        () => this.repository.findSimilarSegments(ownerId, batch.map(line => restoreProtectedMarkup(line.text).text), languages, MEMORY_SEGMENTS_PER_BATCH, logger),
+        logger, { batchIndex });
+      previousContext = this._buildPreviousContext(previousBatch, await getPreviousTranslation(), sceneSummary, nextLines);
+    }
+
+    const sourceTexts = new Map(batch.map(line => [line.sequence, line.text]));
+    const transcreated = await runStage('transcreate',
+      (lines, agents) => agents.transcreateBatch(lines, previousContext, blueprint, settings.tone, languages, memorySegments, instructions, logger), sourceTexts);
+    // The first draft unblocks the next batch's transcreation.
+    onDraft(batch.map(line => transcreated.get(line.sequence)));
+    const edited = await runStage('edit',
+      (lines, agents) => agents.editBatch(lines, transcreated, blueprint, settings.tone, languages, instructions, logger), transcreated);
+    const qaApproved = await runStage('qa',
+      (lines, agents) => agents.qaBatch(lines, edited, blueprint, settings.tone, languages, instructions, logger), edited);
+    const finalBatch = await runStage('sync',
+      (lines, agents) => agents.phantomSync(lines, qaApproved, languages, logger), qaApproved);
+
+    return { translated: batch.map(line => finalBatch.get(line.sequence)), fallbacks };
+  }
+
+  /**
+   * Runs one line-level agent stage and matches its answer to the batch by sequence.
+   * Lines that come back missing, duplicated or empty (or all lines, if the answer is not valid
+   * JSON of the expected shape) are requested again in a repair call for just those lines.
+   * Lines still unresolved after that keep their text from before the stage and are reported as fallbacks.
+   * @private
+   * @param {string} jobId - The ID of the job being executed.
+   * @param {number} batchIndex - The batch's position, for events and logs.
+   * @param {string} stage - The timings key of the stage (e.g., 'execution.edit').
+   * @param {Array<object>} batch - The batch's source lines.
+   * @param {function(Array<object>, import('./agents.js').AgentService): Promise<Array<{sequence: number, text: string}>>} agentCall - Runs the agent on some of the batch's lines.
+   * @param {Map<number, string>} inputTexts - Each line's text before this stage, keyed by sequence.
+   * @param {object} logger - The contextual logger.
+   * @returns {Promise<{texts: Map<number, string>, fallbacks: Array<{sequence: number, stage: string, reason: string}>}>}
+   */
+  async _runLineStage(jobId, batchIndex, stage, batch, agentCall, inputTexts, logger) {
+    const texts = new Map();
+    let pending = batch;
+    let problems = new Map();
+
+    for (let attempt = 0; attempt <= LINE_REPAIR_ATTEMPTS && pending.length > 0; attempt++) {
+      const isRepair = attempt > 0;
+      let returned = [];
+      let isMalformed = false;
+      try {
+        returned = await this._timeStage(jobId, stage, (agents) => agentCall(pending, agents), logger,
+          { batchIndex, ...(isRepair && { repair: true }) });
+      } catch (error) {
+        // Transport and provider errors still fail the batch; only an unusable answer is repaired.
+        if (!(error instanceof MalformedJsonResponseError)) {
+          throw error;
+        }
+        logger.warn({ jobId, batchIndex, stage, err: error }, "Agent returned an unusable response.");
+        isMalformed = true;
+      }
+
+      const reconciled = this._reconcileLines(pending, returned);
+      reconciled.accepted.forEach((text, sequence) => texts.set(sequence, text));
+      problems = isMalformed
+        ? new Map(pending.map(line => [line.sequence, 'malformed_response']))
+        : reconciled.problems;
+      if (reconciled.unexpected.length > 0) {
+        logger.warn({ jobId, batchIndex, stage, sequences: reconciled.unexpected }, "Agent returned sequences that are not in the batch; they were ignored.");
+      }
+      if (problems.size > 0) {
+        logger.warn({ jobId, batchIndex, stage, problems: Object.fromEntries(problems), isRepair },
+          isRepair ? "Repair call did not resolve every line." : "Agent output did not match the batch; repairing the affected lines.");
+      }
+      pending = pending.filter(line => problems.has(line.sequence));
+    }
+
+    const fallbacks = [...problems].map(([sequence, reason]) => ({ sequence, stage, reason }));
+    fallbacks.forEach(({ sequence }) => texts.set(sequence, inputTexts.get(sequence)));
+    if (fallbacks.length > 0) {
+      logger.error({ jobId, batchIndex, stage, sequences: fallbacks.map(f => f.sequence) }, "Lines kept their previous text after a failed repair.");
+    }
+    return { texts, fallbacks };
+  }
+
+  /**
+   * Matches an agent's answer to the lines it was asked for.
+   * @private
+   * @param {Array<object>} expected - The lines sent to the agent.
+   * @param {Array<{sequence: number, text: string}>} returned - The lines the agent returned.
+   * @returns {{accepted: Map<number, string>, problems: Map<number, 'missing'|'duplicated'|'empty'>, unexpected: number[]}}
+   */
+  _reconcileLines(expected, returned) {
+    const returnedBySequence = new Map();
+    returned.forEach(entry => returnedBySequence.set(entry.sequence, [...(returnedBySequence.get(entry.sequence) ?? []), entry]));
+    const accepted = new Map();
+    const problems = new Map();
+    for (const line of expected) {
+      const entries = returnedBySequence.get(line.sequence) ?? [];
+      if (entries.length === 0) {
+        problems.set(line.sequence, 'missing');
+      } else if (entries.length > 1) {
+        problems.set(line.sequence, 'duplicated');
+      } else if (entries[0].text.trim() === '' && line.text.trim() !== '') {
+        problems.set(line.sequence, 'empty');
+      } else {
+        accepted.set(line.sequence, entries[0].text);
+      }
+    }
+    const expectedSequences = new Set(expected.map(line => line.sequence));
+    const unexpected = [...returnedBySequence.keys()].filter(sequence => !expectedSequences.has(sequence));
+    return { accepted, problems, unexpected };
+  }
+}
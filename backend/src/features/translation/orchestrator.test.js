@@ -0,0 +1,106 @@
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import { TranslationOrchestrator } from './orchestrator.js';
+import { JobEventBus } from './jobEvents.js';
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {}, child() { return silentLogger; } };
+const LANGUAGES = { source: { code: 'en' }, target: { code: 'es' } };
+const BATCH = [{ sequence: 1, text: 'Hello.' }, { sequence: 2, text: 'Goodbye.' }];
+
+// An agent service whose stages tag each line, so the output shows which stages ran.
+const createAgents = () => {
+  const tagLines = (tag) => jest.fn(async (lines, texts) =>
+    lines.map(line => ({ sequence: line.sequence, text: `${texts instanceof Map ? texts.get(line.sequence) : line.text} ${tag}` })));
+  const agents = {
+    transcreateBatch: tagLines('[transcreate]'),
+    editBatch: tagLines('[edit]'),
+    qaBatch: tagLines('[qa]'),
+    phantomSync: tagLines('[sync]'),
+    summarizeScene: jest.fn(async () => 'summary'),
+  };
+  Object.assign(agents, {
+    forJob: () => agents,
+    withUsageRecorder: () => agents,
+    withCacheBypass: () => agents,
+    withStageModel: () => agents,
+  });
+  return agents;
+};
+
+const createOrchestrator = (agents, repository = {}) => new TranslationOrchestrator({
+  repository: new Proxy({ findSimilarSegments: async () => [], ...repository }, { get: (target, key) => target[key] ?? (async () => {}) }),
+  agentService: agents,
+  eventBus: new JobEventBus({ logger: silentLogger }),
+  defaultPipelineProfile: 'standard',
+  logger: silentLogger,
+});
+
+const processBatch = (orchestrator, context) => orchestrator._processSingleBatch('job', 0, BATCH, {}, { tone: 'neutral' }, LANGUAGES, silentLogger, {
+  previousBatch: null,
+  getPreviousTranslation: async () => null,
+  onDraft: () => {},
+  ...context,
+});
+
+describe('TranslationOrchestrator pipeline stages', () => {
+  it('passes the input of a disabled stage on to the next one unchanged', async () => {
+    const agents = createAgents();
+    const onStageComplete = jest.fn(async () => {});
+    const { translated } = await processBatch(createOrchestrator(agents), {
+      stages: { edit: { enabled: false }, qa: { enabled: false } },
+      onStageComplete,
+    });
+
+    expect(translated).toEqual(['Hello. [transcreate] [sync]', 'Goodbye. [transcreate] [sync]']);
+    expect(agents.editBatch).not.toHaveBeenCalled();
+    expect(agents.qaBatch).not.toHaveBeenCalled();
+    expect(onStageComplete.mock.calls.map(([stage]) => stage)).toEqual(['transcreate', 'sync']);
+  });
+
+  it('skips a disabled stage when resuming a batch from its checkpoint', async () => {
+    const agents = createAgents();
+    const onStageComplete = jest.fn(async () => {});
+    const { translated } = await processBatch(createOrchestrator(agents), {
+      stages: { edit: { enabled: false } },
+      checkpoint: { transcreate: { texts: ['Hola.', 'Adiós.'], fallbacks: [] } },
+      onStageComplete,
+    });
+
+    expect(translated).toEqual(['Hola. [qa] [sync]', 'Adiós. [qa] [sync]']);
+    expect(agents.transcreateBatch).not.toHaveBeenCalled();
+    expect(agents.editBatch).not.toHaveBeenCalled();
+    expect(onStageComplete.mock.calls.map(([stage]) => stage)).toEqual(['qa', 'sync']);
+  });
+});
+
+describe('TranslationOrchestrator job monitor', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('fails only running jobs whose heartbeat is stale', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+    const failStaleJobs = jest.fn(async () => 1);
+    await expect(createOrchestrator(createAgents(), { failStaleJobs }).failInterruptedJobs(silentLogger)).resolves.toBe(1);
+
+    const [statuses, staleBefore] = failStaleJobs.mock.calls[0];
+    expect(statuses).toEqual(['processing_blueprint', 'queued', 'translating']);
+    expect(staleBefore).toEqual(new Date('2026-01-01T11:58:00Z'));
+  });
+
+  it('refreshes the heartbeat of the jobs this process is running while it watches for stale ones', async () => {
+    jest.useFakeTimers();
+    const touchJobs = jest.fn(async () => {});
+    const failStaleJobs = jest.fn(async () => 0);
+    const orchestrator = createOrchestrator(createAgents(), { touchJobs, failStaleJobs });
+    orchestrator.runningJobs.add('job-a');
+
+    orchestrator.startJobMonitor(silentLogger);
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    expect(touchJobs).toHaveBeenCalledWith(['job-a'], silentLogger);
+    expect(failStaleJobs).toHaveBeenCalledTimes(1);
+
+    orchestrator.stopJobMonitor();
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(touchJobs).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,9 +1,42 @@
 // ===== PRODUCTION-READY TRANSLATION REPOSITORY =====
 // This class encapsulates all data access logic for the translation feature.
-// It interacts with MongoDB for job data and Pinecone for vector data.
+// It interacts with MongoDB for job data and the vector store for the translation memory.
 
 // ===== IMPORTS & DEPENDENCIES =====
+import { createHash } from 'node:crypto';
 import { ObjectId } from 'mongodb';
+import { mapWithConcurrency } from '#utils/async.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// How many past segments are considered for each line, before the score threshold is applied.
+const SEGMENT_MATCHES_PER_LINE = 2;
+// How many vector store queries a memory lookup keeps in flight; a long file looks up every line.
+const MEMORY_QUERY_CONCURRENCY = 8;
+// The fields a job history listing needs; the subtitle files and blueprints are left out.
+const JOB_SUMMARY_PROJECTION = Object.freeze({
+  fileName: 1, projectId: 1, ownerId: 1, lineCount: 1, status: 1, settings: 1, outputFormat: 1, progress: 1, error: 1,
+  usage: 1, createdAt: 1, updatedAt: 1, completedAt: 1,
+});
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * The owner a memory entry is stored and searched under. Vector metadata cannot hold null,
+ * so jobs created without a user share the empty owner.
+ * @private
+ */
+function _memoryOwner(ownerId) {
+  return ownerId ?? '';
+}
+
+/**
+ * A stable vector id for a memory entry, so the same owner storing the same term or line again replaces it.
+ * @private
+ */
+function _memoryId(kind, ownerId, languages, text) {
+  const digest = createHash('sha1').update(text.trim().toLowerCase()).digest('hex').slice(0, 24);
+  return `${kind}:${_memoryOwner(ownerId)}:${languages.source.code}-${languages.target.code}:${digest}`;
+}
 
 // ===== REPOSITORY CLASS =====
 /**
@@ -15,13 +48,17 @@ export class TranslationRepository {
   /**
    * @param {object} dependencies - The dependencies for this repository.
    * @param {import('mongodb').Db} dependencies.db - The connected MongoDB database instance.
-   * @param {import('@pinecone-database/pinecone').Index} dependencies.vectorIndex - The Pinecone index instance.
+   * @param {import('#lib/vectorStore.js').VectorStore} dependencies.vectorStore - The translation memory's vector store.
+   * @param {import('#lib/embeddings.js').EmbeddingFunction} dependencies.embed - Embeds texts for the vector store.
+   * @param {number} [dependencies.memoryMinScore=0.8] - Minimum similarity for a memory match to be returned.
    * @param {object} dependencies.logger - The Pino logger instance for contextual logging.
    */
-  constructor({ db, vectorIndex, logger }) {
+  constructor({ db, vectorStore, embed, memoryMinScore = 0.8, logger }) {
     this.db = db;
     this.jobsCollection = this.db.collection('translationJobs');
-    this.vectorIndex = vectorIndex;
+    this.vectorStore = vectorStore;
+    this.embed = embed;
+    this.memoryMinScore = memoryMinScore;
     this.logger = logger;
   }
 
@@ -34,6 +71,7 @@ export class TranslationRepository {
     const jobDocument = {
       ...jobData,
       status: 'processing_blueprint',
+      heartbeatAt: new Date(),
       createdAt: new Date(),
       updatedAt: new Date(),
     };
@@ -74,12 +112,355 @@ export class TranslationRepository {
   }
 
   /**
-   * Updates a job with the final translated SRT content.
+   * Marks a job as queued for execution and stores the approved blueprint, how it differs from
+   * the generated one, the settings and the pipeline profile they resolved to. Any progress or
+   * error left over from a previous run is reset. The update only applies if the job is not in
+   * one of the given states, so two concurrent requests cannot both queue it.
+   * @param {string} jobId - The ID of the job to update.
+   * @param {object} confirmedBlueprint - The user-approved blueprint.
+   * @param {object} settings - The user-defined settings for the translation.
+   * @param {import('#core/blueprint.js').BlueprintDiff} blueprintDiff - The reviewer's changes to the generated blueprint.
+   * @param {import('#core/pipelineProfiles.js').PipelineProfile} pipelineProfile - The profile the job runs with.
+   * @param {string[]} blockedStatuses - States in which the job must not be queued.
+   * @returns {Promise<boolean>} Whether the job was queued.
+   */
+  async queueExecution(jobId, confirmedBlueprint, settings, blueprintDiff, pipelineProfile, blockedStatuses) {
+    try {
+      this.logger.info({ jobId }, 'Queueing translation execution.');
+      const result = await this.jobsCollection.updateOne(
+        { _id: new ObjectId(jobId), status: { $nin: blockedStatuses } },
+        {
+          $set: {
+            confirmedBlueprint,
+            blueprintDiff,
+            settings,
+            pipelineProfile,
+            status: 'queued',
+            progress: { batchesDone: 0, totalBatches: null },
+            'timings.execution': {},
+            // A new execution starts from scratch; checkpoints of an earlier one do not carry over.
+            batches: [],
+            lineFallbacks: [],
+            error: null,
+            queuedAt: new Date(),
+            heartbeatAt: new Date(),
+            updatedAt: new Date(),
+          },
+        }
+      );
+      return result.matchedCount > 0;
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error queueing translation execution.');
+      throw error;
+    }
+  }
+
+  /**
+   * Queues a failed job to resume its execution. Completed batches and the stage outputs of
+   * unfinished ones are kept, so only what is missing is translated again. The update only
+   * applies while the job is still failed, so two concurrent requests cannot both resume it.
+   * @param {string} jobId - The ID of the job to update.
+   * @param {number} batchesDone - How many of its batches are already complete.
+   * @returns {Promise<boolean>} Whether the job was queued.
+   */
+  async queueResumption(jobId, batchesDone) {
+    try {
+      this.logger.info({ jobId, batchesDone }, 'Queueing resumption of translation execution.');
+      const result = await this.jobsCollection.updateOne(
+        { _id: new ObjectId(jobId), status: 'failed' },
+        {
+          $set: {
+            status: 'queued',
+            'progress.batchesDone': batchesDone,
+            error: null,
+            queuedAt: new Date(),
+            heartbeatAt: new Date(),
+            updatedAt: new Date(),
+          },
+        }
+      );
+      return result.matchedCount > 0;
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error queueing resumption of translation execution.');
+      throw error;
+    }
+  }
+
+  /**
+   * Marks a queued job as actively translating and records its batches. Checkpoints that are
+   * still valid for the batch plan are kept; the rest are replaced by empty, pending batches.
+   * @param {string} jobId - The ID of the job to update.
+   * @param {Array<object>} batches - One checkpoint per batch, in order (see the orchestrator's BatchCheckpoint).
+   * @returns {Promise<import('mongodb').UpdateResult>} The result from the update operation.
+   */
+  async startExecution(jobId, batches) {
+    try {
+      this.logger.info({ jobId, totalBatches: batches.length }, 'Marking job as translating.');
+      return await this.jobsCollection.updateOne(
+        { _id: new ObjectId(jobId) },
+        {
+          $set: {
+            status: 'translating',
+            batches,
+            'progress.totalBatches': batches.length,
+            startedAt: new Date(),
+            updatedAt: new Date(),
+          },
+        }
+      );
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error marking job as translating.');
+      throw error;
+    }
+  }
+
+  /**
+   * Saves one stage's output for a batch, so a resumed execution can continue after that stage.
    * @param {string} jobId - The ID of the job to update.
-   * @param {string} finalSrt - The final, translated SRT string.
+   * @param {number} batchIndex - The batch's position.
+   * @param {string} stage - The stage name (e.g., 'transcreate', 'qa').
+   * @param {{texts: string[], fallbacks: Array<object>}} output - The text of each line in batch order, and the lines that fell back.
    * @returns {Promise<import('mongodb').UpdateResult>} The result from the update operation.
    */
-  async saveFinalSrt(jobId, finalSrt) {
+  async saveBatchStage(jobId, batchIndex, stage, output) {
+    try {
+      return await this.jobsCollection.updateOne(
+        { _id: new ObjectId(jobId) },
+        {
+          $set: {
+            [`batches.${batchIndex}.stages.${stage}`]: output,
+            [`batches.${batchIndex}.status`]: 'running',
+            [`batches.${batchIndex}.updatedAt`]: new Date(),
+            updatedAt: new Date(),
+          },
+        }
+      );
+    } catch (error) {
+      this.logger.error({ error, jobId, batchIndex, stage }, 'Error saving batch stage output.');
+      throw error;
+    }
+  }
+
+  /**
+   * Records that a batch could not be translated. Its saved stage outputs are kept.
+   * @param {string} jobId - The ID of the job to update.
+   * @param {number} batchIndex - The batch's position.
+   * @param {Error} failure - The error that stopped the batch.
+   * @returns {Promise<import('mongodb').UpdateResult>} The result from the update operation.
+   */
+  async recordBatchFailed(jobId, batchIndex, failure) {
+    try {
+      return await this.jobsCollection.updateOne(
+        { _id: new ObjectId(jobId) },
+        {
+          $set: {
+            [`batches.${batchIndex}.status`]: 'failed',
+            [`batches.${batchIndex}.error`]: { name: failure.name, message: failure.message },
+            [`batches.${batchIndex}.updatedAt`]: new Date(),
+            updatedAt: new Date(),
+          },
+        }
+      );
+    } catch (error) {
+      this.logger.error({ error, jobId, batchIndex }, 'Error recording batch failure.');
+      throw error;
+    }
+  }
+
+  /**
+   * Marks a batch as complete and increments the number of completed batches for a job.
+   * @param {string} jobId - The ID of the job to update.
+   * @param {number} batchIndex - The batch's position.
+   * @returns {Promise<import('mongodb').UpdateResult>} The result from the update operation.
+   */
+  async recordBatchCompleted(jobId, batchIndex) {
+    try {
+      return await this.jobsCollection.updateOne(
+        { _id: new ObjectId(jobId) },
+        {
+          $inc: { 'progress.batchesDone': 1 },
+          $set: {
+            [`batches.${batchIndex}.status`]: 'complete',
+            [`batches.${batchIndex}.error`]: null,
+            [`batches.${batchIndex}.updatedAt`]: new Date(),
+            updatedAt: new Date(),
+          },
+        }
+      );
+    } catch (error) {
+      this.logger.error({ error, jobId, batchIndex }, 'Error recording batch progress.');
+      throw error;
+    }
+  }
+
+  /**
+   * Adds the duration of one agent stage run to the job's accumulated per-stage timings.
+   * @param {string} jobId - The ID of the job to update.
+   * @param {string} stage - The phase-qualified stage name (e.g., 'blueprint.extractKeywords', 'execution.qa').
+   * @param {number} durationMs - How long the stage took, in milliseconds.
+   * @returns {Promise<import('mongodb').UpdateResult>} The result from the update operation.
+   */
+  async recordStageTiming(jobId, stage, durationMs) {
+    try {
+      return await this.jobsCollection.updateOne(
+        { _id: new ObjectId(jobId) },
+        { $inc: { [`timings.${stage}.totalMs`]: durationMs, [`timings.${stage}.runs`]: 1 } }
+      );
+    } catch (error) {
+      this.logger.error({ error, jobId, stage }, 'Error recording stage timing.');
+      throw error;
+    }
+  }
+
+  /**
+   * Records one agent call against a job: the call itself is appended to `agentCalls`, and its
+   * tokens, cost and whether the response cache answered it are added to the job's running `usage` totals.
+   * @param {string} jobId - The ID of the job to update.
+   * @param {object} call - The call's stage, agent, model, token counts, latency, retries, cost and cache outcome.
+   * @returns {Promise<import('mongodb').UpdateResult>} The result from the update operation.
+   */
+  async recordAgentCall(jobId, call) {
+    try {
+      return await this.jobsCollection.updateOne(
+        { _id: new ObjectId(jobId) },
+        {
+          $push: { agentCalls: { ...call, recordedAt: new Date() } },
+          $inc: {
+            'usage.calls': 1,
+            'usage.promptTokens': call.promptTokens,
+            'usage.responseTokens': call.responseTokens,
+            'usage.costUsd': call.costUsd,
+            'usage.cacheHits': call.cache === 'hit' ? 1 : 0,
+            'usage.cacheMisses': call.cache === 'miss' ? 1 : 0,
+          },
+        }
+      );
+    } catch (error) {
+      this.logger.error({ error, jobId, stage: call.stage }, 'Error recording agent call.');
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieves a job's usage totals and budget, and optionally its recorded agent calls.
+   * @param {string} jobId - The ID of the job.
+   * @param {object} [options={}]
+   * @param {boolean} [options.includeCalls=false] - Whether to include every recorded agent call.
+   * @returns {Promise<{usage?: object, settings?: {maxCostUsd?: number}, agentCalls?: object[]}|null>} The usage fields, or null if the job does not exist.
+   */
+  async getJobUsage(jobId, { includeCalls = false } = {}) {
+    try {
+      return await this.jobsCollection.findOne(
+        { _id: new ObjectId(jobId) },
+        { projection: { _id: 0, usage: 1, 'settings.maxCostUsd': 1, ...(includeCalls && { agentCalls: 1 }) } }
+      );
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error retrieving job usage.');
+      throw error;
+    }
+  }
+
+  /**
+   * Appends lines that kept their pre-stage text because an agent did not return them, even after repair.
+   * @param {string} jobId - The ID of the job to update.
+   * @param {Array<{sequence: number, stage: string, reason: string}>} fallbacks - The lines and the stage that failed them.
+   * @returns {Promise<import('mongodb').UpdateResult>} The result from the update operation.
+   */
+  async recordLineFallbacks(jobId, fallbacks) {
+    try {
+      return await this.jobsCollection.updateOne(
+        { _id: new ObjectId(jobId) },
+        { $push: { lineFallbacks: { $each: fallbacks } }, $set: { updatedAt: new Date() } }
+      );
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error recording line fallbacks.');
+      throw error;
+    }
+  }
+
+  /**
+   * Marks a job as failed and stores a client-safe description of the error.
+   * @param {string} jobId - The ID of the job to update.
+   * @param {Error} failure - The error that stopped the job.
+   * @returns {Promise<import('mongodb').UpdateResult>} The result from the update operation.
+   */
+  async markJobFailed(jobId, failure) {
+    try {
+      this.logger.warn({ jobId, err: failure }, 'Marking job as failed.');
+      return await this.jobsCollection.updateOne(
+        { _id: new ObjectId(jobId) },
+        {
+          $set: {
+            status: 'failed',
+            error: { name: failure.name, message: failure.message },
+            updatedAt: new Date(),
+          },
+        }
+      );
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error marking job as failed.');
+      throw error;
+    }
+  }
+
+  /**
+   * Records that the process running the given jobs is still alive.
+   * @param {string[]} jobIds - The IDs of the jobs the process is running.
+   * @returns {Promise<import('mongodb').UpdateResult>} The result from the update operation.
+   */
+  async touchJobs(jobIds) {
+    try {
+      return await this.jobsCollection.updateMany(
+        { _id: { $in: jobIds.map(jobId => new ObjectId(jobId)) } },
+        { $set: { heartbeatAt: new Date() } }
+      );
+    } catch (error) {
+      this.logger.error({ error, jobIds }, 'Error refreshing job heartbeats.');
+      throw error;
+    }
+  }
+
+  /**
+   * Marks every job in one of the given states whose heartbeat is older than the given time as
+   * failed: the process running it has stopped. Jobs without a heartbeat count as stale. Their
+   * checkpoints are kept, so they can be resumed.
+   * @param {string[]} statuses - The states of the jobs to fail.
+   * @param {Date} staleBefore - Jobs whose last heartbeat is before this time are failed.
+   * @param {Error} failure - The error to record on each of them.
+   * @returns {Promise<number>} How many jobs were marked as failed.
+   */
+  async failStaleJobs(statuses, staleBefore, failure) {
+    try {
+      const result = await this.jobsCollection.updateMany(
+        { status: { $in: statuses }, heartbeatAt: { $not: { $gte: staleBefore } } },
+        {
+          $set: {
+            status: 'failed',
+            error: { name: failure.name, message: failure.message },
+            updatedAt: new Date(),
+          },
+        }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      this.logger.error({ error, statuses, staleBefore }, 'Error marking interrupted jobs as failed.');
+      throw error;
+    }
+  }
+
+  /**
+   * Updates a job with the final translated subtitle content.
+   * The field keeps its historical `finalSrt` name; `outputFormat` records the actual format.
+   * @param {string} jobId - The ID of the job to update.
+   * @param {string} finalSrt - The final, translated subtitle file.
+   * @param {object} [report={}] - Execution results stored alongside the file.
+   * @param {string} [report.outputFormat='srt'] - The format of the file (e.g., 'srt', 'vtt').
+   * @param {object} [report.markupReport] - Source markup issues and placeholder fallbacks.
+   * @param {Array<object>} [report.syncSuggestions] - Per-line readability violations.
+   * @param {Array<object>} [report.timingChanges] - Changes made by the timing re-flow stage.
+   * @returns {Promise<import('mongodb').UpdateResult>} The result from the update operation.
+   */
+  async saveFinalSrt(jobId, finalSrt, { outputFormat = 'srt', ...report } = {}) {
     try {
       this.logger.info({ jobId }, 'Saving final SRT to database.');
       return this.jobsCollection.updateOne(
@@ -87,7 +468,10 @@ export class TranslationRepository {
         {
           $set: {
             finalSrt: finalSrt,
+            outputFormat,
+            ...report,
             status: 'complete',
+            completedAt: new Date(),
             updatedAt: new Date(),
           },
         }
@@ -97,20 +481,271 @@ export class TranslationRepository {
       throw error;
     }
   }
+
+  /**
+   * Saves a revision of a completed job's lines and the re-rendered subtitle file. The update
+   * only applies if the job has not changed since it was read, so concurrent revisions cannot
+   * overwrite each other.
+   * @param {string} jobId - The ID of the job to update.
+   * @param {Date} expectedUpdatedAt - The job's `updatedAt` when it was read.
+   * @param {object} revision - The revised `translatedLines`, `finalSrt` and reports to set.
+   * @returns {Promise<boolean>} Whether the revision was saved.
+   */
+  async saveLineRevision(jobId, expectedUpdatedAt, revision) {
+    try {
+      this.logger.info({ jobId }, 'Saving line revision to database.');
+      const result = await this.jobsCollection.updateOne(
+        { _id: new ObjectId(jobId), status: 'complete', updatedAt: expectedUpdatedAt },
+        { $set: { ...revision, revisedAt: new Date(), updatedAt: new Date() } }
+      );
+      return result.matchedCount > 0;
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error saving line revision to database.');
+      throw error;
+    }
+  }
+
+  /**
+   * Marks a completed job as having a re-translation running in the background. Like
+   * saveLineRevision, the update only applies if the job has not changed since it was read.
+   * @param {string} jobId - The ID of the job to update.
+   * @param {Date} expectedUpdatedAt - The job's `updatedAt` when it was read.
+   * @param {object} revision - The re-translation's state (`status: 'running'`, the range and `startedAt`).
+   * @returns {Promise<Date|null>} The job's new `updatedAt`, or null if the job had changed.
+   */
+  async startLineRevision(jobId, expectedUpdatedAt, revision) {
+    try {
+      this.logger.info({ jobId }, 'Marking job as being re-translated in database.');
+      const updatedAt = new Date();
+      const result = await this.jobsCollection.updateOne(
+        { _id: new ObjectId(jobId), status: 'complete', updatedAt: expectedUpdatedAt },
+        { $set: { revision, updatedAt } }
+      );
+      return result.matchedCount > 0 ? updatedAt : null;
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error marking job as being re-translated in database.');
+      throw error;
+    }
+  }
+
+  /**
+   * Records the outcome of a background re-translation that did not save a revision (e.g., it failed).
+   * Only the re-translation that was started with the same `startedAt` is updated.
+   * @param {string} jobId - The ID of the job to update.
+   * @param {object} revision - The re-translation's final state.
+   * @returns {Promise<import('mongodb').UpdateResult>} The result from the update operation.
+   */
+  async finishLineRevision(jobId, revision) {
+    try {
+      this.logger.info({ jobId, status: revision.status }, 'Recording re-translation outcome in database.');
+      return await this.jobsCollection.updateOne(
+        { _id: new ObjectId(jobId), 'revision.status': 'running', 'revision.startedAt': revision.startedAt },
+        { $set: { revision, updatedAt: new Date() } }
+      );
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error recording re-translation outcome in database.');
+      throw error;
+    }
+  }
   
+  // --- TRANSLATION MEMORY (VECTOR STORE) ---
+
+  /**
+   * Embeds approved glossary terms and stores them in the translation memory. Entries are keyed
+   * by owner, language pair and term, so the owner's later decision on the same term replaces the earlier one.
+   * @param {string} jobId - The ID of the job whose blueprint approved the glossary.
+   * @param {string|null} ownerId - The job owner's user ID; only their later jobs recall these terms.
+   * @param {Array<{term: string, proposedTranslation: string, justification?: string}>} glossary - The approved glossary.
+   * @param {import('#core/languages.js').LanguagePair} languages - The job's language pair.
+   * @returns {Promise<number>} The number of terms stored.
+   */
+  async upsertGlossaryVectors(jobId, ownerId, glossary, languages) {
+    const entries = glossary.filter(entry => entry?.term?.trim() && entry?.proposedTranslation?.trim());
+    try {
+      const vectors = await this.embed(entries.map(entry => entry.term), this.logger);
+      await this.vectorStore.upsert(entries.map((entry, index) => ({
+        id: _memoryId('term', ownerId, languages, entry.term),
+        values: vectors[index],
+        metadata: {
+          kind: 'term',
+          ownerId: _memoryOwner(ownerId),
+          sourceLanguage: languages.source.code,
+          targetLanguage: languages.target.code,
+          jobId,
+          term: entry.term,
+          translation: entry.proposedTranslation,
+          justification: entry.justification ?? '',
+        },
+      })));
+      this.logger.info({ jobId, termCount: entries.length }, 'Glossary terms stored in translation memory.');
+      return entries.length;
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error storing glossary terms in translation memory.');
+      throw error;
+    }
+  }
+
+  /**
+   * Embeds finalized source/translation line pairs and stores them in the translation memory.
+   * Entries are keyed by owner, language pair and source text, so the owner's latest translation of a line wins.
+   * @param {string} jobId - The ID of the completed job.
+   * @param {string|null} ownerId - The job owner's user ID; only their later jobs recall these lines.
+   * @param {Array<{source: string, translation: string}>} segments - The finalized line pairs (plain text).
+   * @param {import('#core/languages.js').LanguagePair} languages - The job's language pair.
+   * @returns {Promise<number>} The number of segments stored.
+   */
+  async upsertSegmentVectors(jobId, ownerId, segments, languages) {
+    // Repeated lines ("Yes.", "What?") would otherwise be embedded once per occurrence.
+    const unique = [...new Map(segments.map(segment => [_memoryId('segment', ownerId, languages, segment.source), segment])).entries()];
+    try {
+      const vectors = await this.embed(unique.map(([, segment]) => segment.source), this.logger);
+      await this.vectorStore.upsert(unique.map(([id, segment], index) => ({
+        id,
+        values: vectors[index],
+        metadata: {
+          kind: 'segment',
+          ownerId: _memoryOwner(ownerId),
+          sourceLanguage: languages.source.code,
+          targetLanguage: languages.target.code,
+          jobId,
+          source: segment.source,
+          translation: segment.translation,
+        },
+      })));
+      this.logger.info({ jobId, segmentCount: unique.length }, 'Line pairs stored in translation memory.');
+      return unique.length;
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error storing line pairs in translation memory.');
+      throw error;
+    }
+  }
+
+  /**
+   * Finds the owner's earlier term decisions for the same language pair that resemble the given terms.
+   * @param {string|null} ownerId - The requesting job owner's user ID.
+   * @param {string[]} terms - The terms to look up.
+   * @param {import('#core/languages.js').LanguagePair} languages - The job's language pair.
+   * @returns {Promise<Array<{term: string, translation: string, justification: string, score: number}>>} The best match per term, at or above the score threshold.
+   */
+  async findSimilarTerms(ownerId, terms, languages) {
+    const matches = await this._queryMemory('term', ownerId, terms, languages, 1);
+    return matches.map(({ score, metadata }) => ({
+      term: metadata.term,
+      translation: metadata.translation,
+      justification: metadata.justification,
+      score,
+    }));
+  }
+
   /**
-   * (Placeholder) Upserts glossary term vectors into the Pinecone index.
-   * @param {string} jobId - The ID of the job the glossary belongs to.
-   * @param {Array<object>} glossary - The glossary to be vectorized and upserted.
-   */
-  async upsertGlossaryVectors(jobId, glossary) {
-    this.logger.info({ jobId, glossaryCount: glossary.length }, 'Placeholder: Upserting glossary vectors to Pinecone.');
-    // In a real implementation:
-    // 1. Generate embeddings for each term in the glossary using an embedding model.
-    // 2. Format the vectors in the structure Pinecone expects: { id, values, metadata }.
-    // 3. Call `this.vectorIndex.upsert(vectors)`.
-    // 4. Implement robust error handling for the upsert operation.
-    return Promise.resolve();
+   * Finds finalized line pairs from the owner's earlier jobs for the same language pair that resemble the given lines.
+   * @param {string|null} ownerId - The requesting job owner's user ID.
+   * @param {string[]} texts - The source lines to look up (plain text).
+   * @param {import('#core/languages.js').LanguagePair} languages - The job's language pair.
+   * @param {number} [limit=10] - The maximum number of segments returned.
+   * @returns {Promise<Array<{source: string, translation: string, score: number}>>} The closest segments, best first.
+   */
+  async findSimilarSegments(ownerId, texts, languages, limit = 10) {
+    const matches = await this._queryMemory('segment', ownerId, texts, languages, SEGMENT_MATCHES_PER_LINE);
+    return matches
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ score, metadata }) => ({ source: metadata.source, translation: metadata.translation, score }));
+  }
+
+  /**
+   * Embeds the texts and queries the owner's entries in the vector store for each, keeping matches
+   * above the score threshold. A record matched by several texts is returned once, with its best score.
+   * @private
+   */
+  async _queryMemory(kind, ownerId, texts, languages, topK) {
+    const queries = texts.filter(text => text?.trim());
+    if (queries.length === 0) {
+      return [];
+    }
+    try {
+      const vectors = await this.embed(queries, this.logger);
+      const filter = {
+        kind, ownerId: _memoryOwner(ownerId), sourceLanguage: languages.source.code, targetLanguage: languages.target.code,
+      };
+      const results = await mapWithConcurrency(vectors, MEMORY_QUERY_CONCURRENCY, vector => this.vectorStore.query({ vector, topK, filter }));
+      const best = new Map();
+      results.flat()
+        .filter(match => match.score >= this.memoryMinScore)
+        .forEach(match => {
+          if (!best.has(match.id) || best.get(match.id).score < match.score) best.set(match.id, match);
+        });
+      return [...best.values()];
+    } catch (error) {
+      this.logger.error({ error, kind }, 'Error querying translation memory.');
+      throw error;
+    }
+  }
+
+  /**
+   * Lists jobs, newest first, without their subtitle content.
+   * @param {object} filters
+   * @param {string} [filters.status] - Only jobs in this status.
+   * @param {string} [filters.projectId] - Only jobs attached to this project.
+   * @param {Date} [filters.createdFrom] - Only jobs created at or after this time.
+   * @param {Date} [filters.createdBefore] - Only jobs created before this time.
+   * @param {string|null} [filters.ownerId] - Only jobs owned by this user; null matches jobs without an owner.
+   * @param {{skip: number, limit: number}} page - The slice of the matching jobs to return.
+   * @returns {Promise<{jobs: object[], total: number}>} The page of job documents and the number of matching jobs.
+   */
+  async listJobs({ status, projectId, createdFrom, createdBefore, ownerId }, { skip, limit }) {
+    const query = {
+      ...(ownerId !== undefined && { ownerId }),
+      ...(status && { status }),
+      ...(projectId && { projectId }),
+      ...((createdFrom || createdBefore) && {
+        createdAt: { ...(createdFrom && { $gte: createdFrom }), ...(createdBefore && { $lt: createdBefore }) },
+      }),
+    };
+    try {
+      const [jobs, total] = await Promise.all([
+        this.jobsCollection.find(query, { projection: JOB_SUMMARY_PROJECTION })
+          .sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit).toArray(),
+        this.jobsCollection.countDocuments(query),
+      ]);
+      return { jobs, total };
+    } catch (error) {
+      this.logger.error({ error, query }, 'Error listing translation jobs.');
+      throw error;
+    }
+  }
+
+  /**
+   * Looks up who owns a job, without loading it.
+   * @param {string} jobId - The ID of the job.
+   * @returns {Promise<string|null|undefined>} The owner's user ID, null for a job without an owner, or undefined if the job does not exist.
+   */
+  async getJobOwner(jobId) {
+    try {
+      const job = await this.jobsCollection.findOne({ _id: new ObjectId(jobId) }, { projection: { ownerId: 1 } });
+      return job ? (job.ownerId ?? null) : undefined;
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error looking up job owner.');
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes a job unless it is in one of the given states, so a job that started running
+   * after it was checked is not removed from under its execution.
+   * @param {string} jobId - The ID of the job to delete.
+   * @param {string[]} protectedStatuses - States in which the job must be kept.
+   * @returns {Promise<boolean>} Whether the job was deleted.
+   */
+  async deleteJob(jobId, protectedStatuses) {
+    try {
+      const result = await this.jobsCollection.deleteOne({ _id: new ObjectId(jobId), status: { $nin: protectedStatuses } });
+      this.logger.info({ jobId, deleted: result.deletedCount > 0 }, 'Translation job delete requested.');
+      return result.deletedCount > 0;
+    } catch (error) {
+      this.logger.error({ error, jobId }, 'Error deleting translation job.');
+      throw error;
+    }
   }
 
   /**
@@ -0,0 +1,38 @@
+import { describe, it, expect } from '@jest/globals';
+import { TranslationRepository } from './repository.js';
+import { createMemoryVectorStore } from '#lib/vectorStores/memory.js';
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const LANGUAGES = { source: { code: 'en' }, target: { code: 'es' } };
+
+// Every text embeds to the same vector, so only the metadata filter decides what is recalled.
+const createRepository = () => new TranslationRepository({
+  db: { collection: () => ({}) },
+  vectorStore: createMemoryVectorStore(),
+  embed: async (texts) => texts.map(() => [1, 0]),
+  logger: silentLogger,
+});
+
+describe('TranslationRepository translation memory', () => {
+  it("recalls only the owner's own line pairs", async () => {
+    const repository = createRepository();
+    await repository.upsertSegmentVectors('job-a', 'user-a', [{ source: 'Hello.', translation: 'Hola.' }], LANGUAGES);
+    await repository.upsertSegmentVectors('job-b', 'user-b', [{ source: 'Hello.', translation: 'Buenas.' }], LANGUAGES);
+
+    await expect(repository.findSimilarSegments('user-a', ['Hello.'], LANGUAGES))
+      .resolves.toEqual([{ source: 'Hello.', translation: 'Hola.', score: 1 }]);
+    await expect(repository.findSimilarSegments('user-c', ['Hello.'], LANGUAGES)).resolves.toEqual([]);
+  });
+
+  it("keeps each owner's decision on the same term", async () => {
+    const repository = createRepository();
+    await repository.upsertGlossaryVectors('job-a', 'user-a', [{ term: 'Ring', proposedTranslation: 'Anillo' }], LANGUAGES);
+    await repository.upsertGlossaryVectors('job-b', 'user-b', [{ term: 'Ring', proposedTranslation: 'Sortija' }], LANGUAGES);
+
+    const [termOfA] = await repository.findSimilarTerms('user-a', ['Ring'], LANGUAGES);
+    const [termOfB] = await repository.findSimilarTerms('user-b', ['Ring'], LANGUAGES);
+    expect(termOfA.translation).toBe('Anillo');
+    expect(termOfB.translation).toBe('Sortija');
+    await expect(repository.findSimilarTerms(null, ['Ring'], LANGUAGES)).resolves.toEqual([]);
+  });
+});
@@ -3,33 +3,235 @@
 // It provides a single source of truth for API request and response shapes.
 
 import { z } from 'zod';
+import {
+  SUPPORTED_LANGUAGE_CODES,
+  DEFAULT_SOURCE_LANGUAGE,
+  DEFAULT_TARGET_LANGUAGE,
+} from '#core/languages.js';
+import { SUBTITLE_FORMATS } from '#core/subtitleFormats.js';
 
 // --- Reusable Components ---
+const languageCodeSchema = z.enum(SUPPORTED_LANGUAGE_CODES, {
+  errorMap: () => ({ message: `Language must be one of: ${SUPPORTED_LANGUAGE_CODES.join(', ')}.` }),
+});
+
+const readabilityLimitsSchema = z.object({
+  maxCps: z.number().positive(),
+  maxCharsPerLine: z.number().int().positive().max(200),
+  maxLines: z.number().int().positive().max(10),
+  minDurationSeconds: z.number().nonnegative(),
+  maxDurationSeconds: z.number().positive(),
+  minGapSeconds: z.number().nonnegative(),
+}).partial();
+
+// Optional timing re-flow stage; see TIMING_DEFAULTS in core/timingOptimizer.js for the defaults.
+const timingSchema = z.object({
+  enabled: z.boolean().default(false),
+  fps: z.number().positive().max(120).optional(),
+  minGapFrames: z.number().int().nonnegative().optional(),
+  maxShiftSeconds: z.number().nonnegative().optional(),
+  maxMergeGapSeconds: z.number().nonnegative().optional(),
+  allowMerge: z.boolean().optional(),
+  allowSplit: z.boolean().optional(),
+});
+
+// Optional quality estimation; see QUALITY_THRESHOLD_DEFAULTS and MIN_SIMILARITY_BY_EMBEDDING_PROVIDER in
+// core/qualityEstimation.js for the defaults.
+// When `enabled` is unset, the pipeline profile's backTranslate and judge stages decide.
+const qualityEstimationSchema = z.object({
+  enabled: z.boolean().optional(),
+  minSimilarity: z.number().min(0).max(1).optional(),
+  minAdequacy: z.number().min(1).max(5).optional(),
+  minFluency: z.number().min(1).max(5).optional(),
+});
+
 const settingsSchema = z.object({
   tone: z.string({ required_error: 'Tone is required.' }).min(1, 'Tone cannot be empty.'),
+  // The pair itself (e.g., source !== target) is checked by resolveLanguagePair() in core/languages.js.
+  sourceLanguage: languageCodeSchema.default(DEFAULT_SOURCE_LANGUAGE),
+  targetLanguage: languageCodeSchema.default(DEFAULT_TARGET_LANGUAGE),
+  // When omitted, the translation is returned in the same format as the uploaded file.
+  outputFormat: z.enum(SUBTITLE_FORMATS).optional(),
+  // Overrides for the readability checks; unset limits come from the target language profile.
+  readability: readabilityLimitsSchema.optional(),
+  timing: timingSchema.optional(),
+  qualityEstimation: qualityEstimationSchema.optional(),
+  // Attaches the job to a project, whose termbase the blueprint must respect.
+  projectId: z.string().regex(/^[a-f\d]{24}$/i, 'projectId must be a valid project identifier.').optional(),
+  // The most the job's agent calls may cost, in USD; a step expected to go over it is not started.
+  maxCostUsd: z.number().positive('maxCostUsd must be greater than 0.').optional(),
+  // Asks every agent afresh instead of reusing cached answers; the new answers are cached.
+  bypassCache: z.boolean().optional(),
+  // The pipeline profile (e.g., 'draft', 'standard', 'premium'); unknown names are rejected when the job is queued.
+  profile: z.string().min(1, 'profile cannot be empty.').max(64).optional(),
   // Future settings like 'formality', 'genre', etc., can be added here.
 });
 
+// Every state a job moves through, from blueprint generation to the finished translation.
+const JOB_STATUSES = ['processing_blueprint', 'pending_approval', 'queued', 'translating', 'complete', 'failed'];
+
+// A calendar date (2024-05-01) or a full ISO 8601 timestamp.
+const dateFilterSchema = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/, 'Dates must be in ISO 8601 form, e.g. 2024-05-01.');
+
+// MongoDB ObjectId in its 24-character hex string form.
+const jobIdSchema = z
+  .string({ required_error: 'jobId is required.' })
+  .regex(/^[a-f\d]{24}$/i, 'jobId must be a valid job identifier.');
+
+// --- Blueprint ---
+// The shape the blueprint agent must produce and /execute accepts. Review-only fields
+// (`locked`, `candidates`, ...) are optional so a reviewed blueprint can be sent back as is.
+const glossaryEntrySchema = z.object({
+  term: z.string().min(1, 'term cannot be empty.'),
+  proposedTranslation: z.string().min(1, 'proposedTranslation cannot be empty.'),
+  justification: z.string().default(''),
+  locked: z.boolean().optional(),
+  doNotTranslate: z.boolean().optional(),
+  forbiddenVariants: z.array(z.string()).optional(),
+  candidates: z.array(z.string()).optional(),
+});
+
+const characterProfileSchema = z.object({
+  personaName: z.string().min(1, 'personaName cannot be empty.'),
+  speakingStyle: z.string().min(1, 'speakingStyle cannot be empty.'),
+});
+
+const culturalAdaptationSchema = z.object({
+  original: z.string().min(1, 'original cannot be empty.'),
+  adaptation: z.string().min(1, 'adaptation cannot be empty.'),
+  justification: z.string().default(''),
+});
+
+const blueprintSchema = z.object({
+  summary: z.string().min(1, 'summary cannot be empty.'),
+  keyPoints: z.array(z.string()),
+  characterProfiles: z.array(characterProfileSchema),
+  culturalAdaptations: z.array(culturalAdaptationSchema),
+  glossary: z.array(glossaryEntrySchema),
+});
+
 // --- Route-Specific Schemas ---
 
 // POST /blueprint
 const blueprintBodySchema = z.object({
   subtitleContent: z.string().min(1, 'subtitleContent cannot be empty.'),
   settings: settingsSchema,
+  // The uploaded file's name, shown in the job history and used to name the download.
+  fileName: z.string().max(255).optional(),
 });
 
+// POST /estimate
+// Estimates the cost of the same request as POST /blueprint, without creating a job.
+const estimateBodySchema = blueprintBodySchema.pick({ subtitleContent: true, settings: true });
+
 // POST /execute
-// For now, we accept any object for confirmedBlueprint as its shape is dynamic.
-// We can tighten this later if a fixed structure emerges.
 const executeBodySchema = z.object({
-  jobId: z.string().min(1, 'jobId is required.'),
+  jobId: jobIdSchema,
   settings: settingsSchema,
-  confirmedBlueprint: z.object({}).passthrough(),
+  confirmedBlueprint: blueprintSchema,
+});
+
+// GET /jobs
+// Jobs are listed newest first; `from` and `to` filter on the creation date and are inclusive.
+const listJobsQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(20),
+  status: z.enum(JOB_STATUSES, {
+    errorMap: () => ({ message: `status must be one of: ${JOB_STATUSES.join(', ')}.` }),
+  }).optional(),
+  projectId: settingsSchema.shape.projectId,
+  from: dateFilterSchema.optional(),
+  to: dateFilterSchema.optional(),
+});
+
+// GET, DELETE /jobs/:jobId, GET /jobs/:jobId/usage
+const jobParamsSchema = z.object({
+  jobId: jobIdSchema,
+});
+
+// GET /jobs/:jobId/download
+// Without `format` the file is returned in the format it was translated to.
+const downloadQuerySchema = z.object({
+  format: z.enum(SUBTITLE_FORMATS).optional(),
+});
+
+// A cue's sequence number as given in the source file.
+const sequenceSchema = z.coerce.number({ invalid_type_error: 'sequence must be a number.' }).int().positive();
+
+// PATCH /jobs/:jobId/lines/:sequence
+const lineParamsSchema = z.object({
+  jobId: jobIdSchema,
+  sequence: sequenceSchema,
+});
+
+const updateLineBodySchema = z.object({
+  text: z.string({ required_error: 'text is required.' }).min(1, 'text cannot be empty.').max(1000),
+});
+
+// POST /jobs/:jobId/lines/retranslate
+// The range is inclusive; without toSequence only fromSequence is re-translated.
+const retranslateBodySchema = z.object({
+  fromSequence: sequenceSchema,
+  toSequence: sequenceSchema.optional(),
+  instructions: z.string().max(2000).default(''),
+});
+
+// --- Agent Output Schemas ---
+// Phase-1 agents: the keyword list and its translation candidates. The blueprint uses blueprintSchema.
+const keywordsSchema = z.object({
+  keywords: z.array(z.object({
+    term: z.string().min(1, 'term cannot be empty.'),
+    definition: z.string().default(''),
+  })),
+});
+
+const groundedKeywordsSchema = z.object({
+  grounded_keywords: z.array(z.object({
+    term: z.string().min(1, 'term cannot be empty.'),
+    translations: z.array(z.string().min(1)).min(1, 'Every term needs at least one translation.'),
+  })),
+});
+
+// Phase-2 agents answer with JSON keyed by subtitle sequence, so a dropped or merged line is
+// detected per sequence instead of by counting lines.
+const batchLinesSchema = z.object({
+  lines: z.array(z.object({
+    sequence: z.coerce.number().int().positive(),
+    text: z.string(),
+  })),
+});
+
+// The quality judge scores each line from 1 (unusable) to 5 (perfect) and says why.
+const lineJudgementsSchema = z.object({
+  lines: z.array(z.object({
+    sequence: z.coerce.number().int().positive(),
+    adequacy: z.coerce.number().int().min(1).max(5),
+    fluency: z.coerce.number().int().min(1).max(5),
+    reason: z.string().default(''),
+  })),
 });
 
 
 // We group and export all schemas for easy importing in the controller.
 export const translationSchemas = {
   blueprintBody: blueprintBodySchema,
+  estimateBody: estimateBodySchema,
   executeBody: executeBodySchema,
+  listJobsQuery: listJobsQuerySchema,
+  jobParams: jobParamsSchema,
+  downloadQuery: downloadQuerySchema,
+  lineParams: lineParamsSchema,
+  updateLineBody: updateLineBodySchema,
+  retranslateBody: retranslateBodySchema,
+};
+
+// Validates what the agents return; used by AgentService, not by any route.
+export const agentOutputSchemas = {
+  keywords: keywordsSchema,
+  groundedKeywords: groundedKeywordsSchema,
+  blueprint: blueprintSchema,
+  batchLines: batchLinesSchema,
+  lineJudgements: lineJudgementsSchema,
 };
@@ -0,0 +1,130 @@
+// ===== PRODUCTION-READY USER CONTROLLER =====
+// Routes for user accounts and their API keys. Every route runs behind the auth hook, so
+// `request.user` is the authenticated requester; managing accounts is limited to admins.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import config from '#config';
+import { getDb } from '#lib/mongoClient.js';
+import { ForbiddenError } from '#utils/errors.js';
+import { UserRepository } from './repository.js';
+import { UserService } from './service.js';
+import { userSchemas } from './users.schemas.js';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * A `preHandler` that lets only admins through.
+ * @private
+ */
+async function requireAdmin(request) {
+  if (!UserService.isAdmin(request.user)) {
+    throw new ForbiddenError('This action requires an administrator.');
+  }
+}
+
+// ===== CONTROLLER DEFINITION =====
+/**
+ * Registers the users feature's routes and services with the Fastify server.
+ * @param {import('fastify').FastifyInstance} server
+ * @param {object} opts
+ */
+export default async function (server, opts) {
+
+  // --- COMPOSITION ROOT ---
+  const repository = new UserRepository({ db: getDb(), logger: server.log });
+  const userService = new UserService({
+    repository,
+    adminApiKey: config.ADMIN_API_KEY,
+    defaultMonthlyLineQuota: config.DEFAULT_MONTHLY_LINE_QUOTA,
+    logger: server.log,
+  });
+
+  // --- ROUTE DEFINITIONS ---
+
+  server.get('/me', async (request, reply) => {
+    return userService.getProfile(request.user, request.log);
+  });
+
+  server.post(
+    '/',
+    {
+      preHandler: requireAdmin,
+      schema: {
+        body: zodToJsonSchema(userSchemas.createUserBody, 'createUserBodySchema'),
+      },
+    },
+    async (request, reply) => {
+      request.log.info('User creation request received.');
+      const user = await userService.createUser(request.body, request.log);
+      reply.code(201);
+      return user;
+    }
+  );
+
+  server.get('/', { preHandler: requireAdmin }, async (request, reply) => {
+    return userService.listUsers(request.log);
+  });
+
+  server.patch(
+    '/:userId',
+    {
+      preHandler: requireAdmin,
+      schema: {
+        params: zodToJsonSchema(userSchemas.userParams, 'userParamsSchema'),
+        body: zodToJsonSchema(userSchemas.updateUserBody, 'updateUserBodySchema'),
+      },
+    },
+    async (request, reply) => {
+      const { userId } = request.params;
+      request.log.info({ userId }, 'User update request received.');
+      return userService.updateUser(userId, request.body, request.log);
+    }
+  );
+
+  // --- API KEY ROUTES ---
+  // Users manage their own keys; admins manage everyone's.
+
+  server.get(
+    '/:userId/api-keys',
+    {
+      schema: {
+        params: zodToJsonSchema(userSchemas.userParams, 'userParamsSchema'),
+      },
+    },
+    async (request, reply) => {
+      return userService.listApiKeys(request.user, request.params.userId, request.log);
+    }
+  );
+
+  server.post(
+    '/:userId/api-keys',
+    {
+      schema: {
+        params: zodToJsonSchema(userSchemas.userParams, 'userParamsSchema'),
+        body: zodToJsonSchema(userSchemas.createApiKeyBody, 'createApiKeyBodySchema'),
+      },
+    },
+    async (request, reply) => {
+      const { userId } = request.params;
+      request.log.info({ userId }, 'API key creation request received.');
+      const key = await userService.issueApiKey(request.user, userId, request.body, request.log);
+      reply.code(201);
+      return key;
+    }
+  );
+
+  server.delete(
+    '/:userId/api-keys/:keyId',
+    {
+      schema: {
+        params: zodToJsonSchema(userSchemas.apiKeyParams, 'apiKeyParamsSchema'),
+      },
+    },
+    async (request, reply) => {
+      const { userId, keyId } = request.params;
+      await userService.revokeApiKey(request.user, userId, keyId, request.log);
+      return reply.code(204).send();
+    }
+  );
+}
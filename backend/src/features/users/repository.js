@@ -0,0 +1,268 @@
+// ===== PRODUCTION-READY USER REPOSITORY =====
+// This class encapsulates all data access logic for user accounts, their API keys and
+// their monthly usage. API keys are stored only as hashes; the key itself is shown once.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { ObjectId } from 'mongodb';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// A key's last use is recorded at most this often, so authenticated requests do not all write.
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// ===== REPOSITORY CLASS =====
+/**
+ * Manages all database interactions for users, API keys and usage.
+ * Usage is kept per user and calendar month (`YYYY-MM`, UTC) in its own collection.
+ */
+export class UserRepository {
+  /**
+   * @param {object} dependencies - The dependencies for this repository.
+   * @param {import('mongodb').Db} dependencies.db - The connected MongoDB database instance.
+   * @param {object} dependencies.logger - The Pino logger instance for contextual logging.
+   */
+  constructor({ db, logger }) {
+    this.db = db;
+    this.usersCollection = this.db.collection('users');
+    this.apiKeysCollection = this.db.collection('apiKeys');
+    this.usageCollection = this.db.collection('userUsage');
+    this.logger = logger;
+  }
+
+  // --- USERS ---
+
+  /**
+   * Creates a new user document.
+   * @param {object} userData - The user's name, email, role and quota.
+   * @returns {Promise<object>} The stored user document.
+   */
+  async createUser(userData) {
+    const userDocument = {
+      ...userData,
+      disabled: false,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    try {
+      const result = await this.usersCollection.insertOne(userDocument);
+      this.logger.info({ userId: result.insertedId }, 'Successfully created user.');
+      return { _id: result.insertedId, ...userDocument };
+    } catch (error) {
+      this.logger.error({ error }, 'Error creating user in database.');
+      throw error;
+    }
+  }
+
+  /**
+   * Lists all users in the order they were created.
+   * @returns {Promise<object[]>} The user documents.
+   */
+  async listUsers() {
+    try {
+      return await this.usersCollection.find({}).sort({ createdAt: 1 }).toArray();
+    } catch (error) {
+      this.logger.error({ error }, 'Error listing users.');
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieves a single user by its ID.
+   * @param {string} userId - The ID of the user to retrieve.
+   * @returns {Promise<object|null>} The user document, or null if not found.
+   */
+  async getUserById(userId) {
+    try {
+      return await this.usersCollection.findOne({ _id: new ObjectId(userId) });
+    } catch (error) {
+      this.logger.error({ error, userId }, 'Error retrieving user by ID.');
+      throw error;
+    }
+  }
+
+  /**
+   * Finds a user by email address.
+   * @param {string} email - The normalized email address.
+   * @returns {Promise<object|null>} The user document, or null if no user has this address.
+   */
+  async findUserByEmail(email) {
+    try {
+      return await this.usersCollection.findOne({ email });
+    } catch (error) {
+      this.logger.error({ error }, 'Error looking up user by email.');
+      throw error;
+    }
+  }
+
+  /**
+   * Updates fields of a user.
+   * @param {string} userId - The ID of the user.
+   * @param {object} changes - The fields to set.
+   * @returns {Promise<object|null>} The updated user document, or null if not found.
+   */
+  async updateUser(userId, changes) {
+    try {
+      return await this.usersCollection.findOneAndUpdate(
+        { _id: new ObjectId(userId) },
+        { $set: { ...changes, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      this.logger.error({ error, userId }, 'Error updating user.');
+      throw error;
+    }
+  }
+
+  // --- API KEYS ---
+
+  /**
+   * Stores a new API key for a user.
+   * @param {string} userId - The ID of the user the key belongs to.
+   * @param {{name: string, keyHash: string, prefix: string}} keyData - The key's label, hash and displayable prefix.
+   * @returns {Promise<object>} The stored key document.
+   */
+  async createApiKey(userId, keyData) {
+    const keyDocument = {
+      ...keyData,
+      userId: new ObjectId(userId),
+      createdAt: new Date(),
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+    try {
+      const result = await this.apiKeysCollection.insertOne(keyDocument);
+      this.logger.info({ userId, keyId: result.insertedId }, 'API key created.');
+      return { _id: result.insertedId, ...keyDocument };
+    } catch (error) {
+      this.logger.error({ error, userId }, 'Error creating API key.');
+      throw error;
+    }
+  }
+
+  /**
+   * Lists a user's API keys, newest first, including revoked ones.
+   * @param {string} userId - The ID of the user.
+   * @returns {Promise<object[]>} The key documents.
+   */
+  async listApiKeys(userId) {
+    try {
+      return await this.apiKeysCollection.find({ userId: new ObjectId(userId) }).sort({ createdAt: -1 }).toArray();
+    } catch (error) {
+      this.logger.error({ error, userId }, 'Error listing API keys.');
+      throw error;
+    }
+  }
+
+  /**
+   * Finds the key that has not been revoked with the given hash.
+   * @param {string} keyHash - The SHA-256 hash of the presented key.
+   * @returns {Promise<object|null>} The key document, or null if no active key matches.
+   */
+  async findActiveApiKeyByHash(keyHash) {
+    try {
+      return await this.apiKeysCollection.findOne({ keyHash, revokedAt: null });
+    } catch (error) {
+      this.logger.error({ error }, 'Error looking up API key.');
+      throw error;
+    }
+  }
+
+  /**
+   * Records that a key was used, unless that was already recorded within the last minute.
+   * @param {ObjectId} keyId - The ID of the key.
+   * @returns {Promise<import('mongodb').UpdateResult>} The result from the update operation.
+   */
+  async touchApiKey(keyId) {
+    const now = new Date();
+    try {
+      return await this.apiKeysCollection.updateOne(
+        { _id: keyId, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS) } }] },
+        { $set: { lastUsedAt: now } }
+      );
+    } catch (error) {
+      this.logger.error({ error, keyId }, 'Error recording API key use.');
+      throw error;
+    }
+  }
+
+  /**
+   * Revokes one of a user's keys.
+   * @param {string} userId - The ID of the user.
+   * @param {string} keyId - The ID of the key.
+   * @returns {Promise<boolean>} Whether an active key was revoked.
+   */
+  async revokeApiKey(userId, keyId) {
+    try {
+      const result = await this.apiKeysCollection.updateOne(
+        { _id: new ObjectId(keyId), userId: new ObjectId(userId), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      this.logger.error({ error, userId, keyId }, 'Error revoking API key.');
+      throw error;
+    }
+  }
+
+  // --- USAGE ---
+
+  /**
+   * Returns how many lines a user has used in a month.
+   * @param {string} userId - The ID of the user.
+   * @param {string} month - The calendar month, as `YYYY-MM`.
+   * @returns {Promise<number>} The lines used.
+   */
+  async getMonthlyUsage(userId, month) {
+    try {
+      const usage = await this.usageCollection.findOne({ userId: new ObjectId(userId), month });
+      return usage?.lines ?? 0;
+    } catch (error) {
+      this.logger.error({ error, userId, month }, 'Error reading monthly usage.');
+      throw error;
+    }
+  }
+
+  /**
+   * Adds lines to a user's usage for a month, but only if the total stays within the limit.
+   * The check and the increment are a single update, so concurrent requests cannot overspend.
+   * @param {string} userId - The ID of the user.
+   * @param {string} month - The calendar month, as `YYYY-MM`.
+   * @param {number} lines - The lines to add.
+   * @param {number|null} limit - The most lines allowed in the month; null for no limit.
+   * @returns {Promise<boolean>} Whether the lines were added.
+   */
+  async incrementMonthlyUsage(userId, month, lines, limit) {
+    const key = { userId: new ObjectId(userId), month };
+    try {
+      // Make sure the month's document exists, so the conditional increment below never upserts.
+      await this.usageCollection.updateOne(key, { $setOnInsert: { lines: 0, createdAt: new Date() } }, { upsert: true });
+      const result = await this.usageCollection.updateOne(
+        limit === null ? key : { ...key, lines: { $lte: limit - lines } },
+        { $inc: { lines }, $set: { updatedAt: new Date() } }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      this.logger.error({ error, userId, month }, 'Error recording monthly usage.');
+      throw error;
+    }
+  }
+
+  /**
+   * Takes lines back off a user's usage for a month, never going below zero.
+   * @param {string} userId - The ID of the user.
+   * @param {string} month - The calendar month, as `YYYY-MM`.
+   * @param {number} lines - The lines to take off.
+   * @returns {Promise<boolean>} Whether the lines were taken off.
+   */
+  async decrementMonthlyUsage(userId, month, lines) {
+    try {
+      const result = await this.usageCollection.updateOne(
+        { userId: new ObjectId(userId), month, lines: { $gte: lines } },
+        { $inc: { lines: -lines }, $set: { updatedAt: new Date() } }
+      );
+      return result.modifiedCount > 0;
+    } catch (error) {
+      this.logger.error({ error, userId, month }, 'Error refunding monthly usage.');
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,379 @@
+// ===== PRODUCTION-READY USER SERVICE =====
+// Business logic for user accounts: API key issuing and authentication, account management
+// and the monthly line quota. The auth hook and the translation orchestrator depend on it.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+} from '#utils/errors.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const API_KEY_PREFIX = 'pst_';
+const API_KEY_BYTES = 32;
+// How much of a key is kept in clear, so a user can tell their keys apart.
+const DISPLAYED_KEY_CHARS = API_KEY_PREFIX.length + 8;
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * Who is making a request, as attached to it by the auth hook.
+ * @typedef {object} Requester
+ * @property {string|null} userId - The user's ID; null for the ADMIN_API_KEY administrator, who has no account.
+ * @property {string} name - The user's display name.
+ * @property {'user'|'admin'} role - Admins manage users and can see every job.
+ * @property {number|null} monthlyLineQuota - Lines the user may translate per month; null for no limit.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Keys are long random strings, so a fast hash is enough to store them safely.
+ * @private
+ */
+function _hashApiKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * The calendar month usage is counted in, as `YYYY-MM` (UTC).
+ * @private
+ */
+function _currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+/**
+ * Builds the client-facing view of a user document.
+ * @private
+ */
+function _toUserView(user) {
+  return {
+    userId: user._id.toString(),
+    name: user.name,
+    email: user.email ?? null,
+    role: user.role,
+    monthlyLineQuota: user.monthlyLineQuota,
+    disabled: user.disabled,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+  };
+}
+
+/**
+ * Builds the client-facing view of an API key document; the key itself is never stored.
+ * @private
+ */
+function _toApiKeyView(key) {
+  return {
+    keyId: key._id.toString(),
+    name: key.name,
+    prefix: key.prefix,
+    createdAt: key.createdAt,
+    lastUsedAt: key.lastUsedAt,
+    revokedAt: key.revokedAt,
+  };
+}
+
+// ===== CORE BUSINESS LOGIC =====
+export class UserService {
+  /**
+   * @param {object} dependencies
+   * @param {import('./repository.js').UserRepository} dependencies.repository
+   * @param {string} [dependencies.adminApiKey] - A key that authenticates as an administrator without an account.
+   * @param {number} dependencies.defaultMonthlyLineQuota - The quota of users created without one.
+   * @param {object} dependencies.logger
+   */
+  constructor({ repository, adminApiKey, defaultMonthlyLineQuota, logger }) {
+    this.repository = repository;
+    this.adminKeyHash = adminApiKey ? Buffer.from(_hashApiKey(adminApiKey), 'hex') : null;
+    this.defaultMonthlyLineQuota = defaultMonthlyLineQuota;
+    this.logger = logger; // This is the GLOBAL logger, used only if no contextual logger is passed.
+  }
+
+  /**
+   * Whether a requester has admin rights.
+   * @param {Requester|null} requester
+   * @returns {boolean}
+   */
+  static isAdmin(requester) {
+    return requester?.role === 'admin';
+  }
+
+  // --- AUTHENTICATION ---
+
+  /**
+   * Resolves the user an API key belongs to.
+   * @param {string} apiKey - The key presented with the request.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<Requester>} The authenticated requester.
+   * @throws {UnauthorizedError} If the key is unknown or revoked.
+   * @throws {ForbiddenError} If the key's account is disabled.
+   */
+  async authenticate(apiKey, logger) {
+    const log = logger || this.logger;
+    const keyHash = _hashApiKey(apiKey);
+    if (this.adminKeyHash && timingSafeEqual(this.adminKeyHash, Buffer.from(keyHash, 'hex'))) {
+      return { userId: null, name: 'Administrator', role: 'admin', monthlyLineQuota: null };
+    }
+
+    const key = await this.repository.findActiveApiKeyByHash(keyHash, log);
+    const user = key ? await this.repository.getUserById(key.userId.toString(), log) : null;
+    if (!user) {
+      throw new UnauthorizedError('Invalid API key.');
+    }
+    if (user.disabled) {
+      throw new ForbiddenError('This account is disabled.');
+    }
+    this.repository.touchApiKey(key._id, log).catch(error => log.warn({ err: error }, 'Could not record API key use.'));
+    return { userId: user._id.toString(), name: user.name, role: user.role, monthlyLineQuota: user.monthlyLineQuota };
+  }
+
+  // --- USERS ---
+
+  /**
+   * Creates a user account. It has no API key until one is issued.
+   * @param {{name: string, email?: string, role: 'user'|'admin', monthlyLineQuota?: number|null}} fields
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object>} The user view.
+   * @throws {ConflictError} If another user has the same email address.
+   */
+  async createUser({ name, email, role, monthlyLineQuota }, logger) {
+    const log = logger || this.logger;
+    const normalizedEmail = email ? email.trim().toLowerCase() : null;
+    await this._assertEmailIsFree(normalizedEmail, null, log);
+    const user = await this.repository.createUser({
+      name: name.trim(),
+      email: normalizedEmail,
+      role,
+      monthlyLineQuota: monthlyLineQuota === undefined ? this.defaultMonthlyLineQuota : monthlyLineQuota,
+    }, log);
+    return _toUserView(user);
+  }
+
+  /**
+   * Lists all users.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object[]>} The user views.
+   */
+  async listUsers(logger) {
+    const users = await this.repository.listUsers(logger || this.logger);
+    return users.map(_toUserView);
+  }
+
+  /**
+   * Returns the requester's own account and this month's usage.
+   * @param {Requester} requester - The authenticated requester.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object>} The user view with `usage`.
+   */
+  async getProfile(requester, logger) {
+    const log = logger || this.logger;
+    if (!requester.userId) {
+      return { userId: null, name: requester.name, role: requester.role, monthlyLineQuota: null, usage: null };
+    }
+    const user = await this._requireUser(requester.userId, log);
+    const month = _currentMonth();
+    const linesUsed = await this.repository.getMonthlyUsage(requester.userId, month, log);
+    return {
+      ..._toUserView(user),
+      usage: {
+        month,
+        linesUsed,
+        linesRemaining: user.monthlyLineQuota === null ? null : Math.max(user.monthlyLineQuota - linesUsed, 0),
+      },
+    };
+  }
+
+  /**
+   * Changes fields of a user; fields that are not given keep their value.
+   * @param {string} userId - The ID of the user.
+   * @param {object} changes - The fields to change.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object>} The updated user view.
+   * @throws {BadRequestError} If no field is given.
+   * @throws {NotFoundError} If the user does not exist.
+   * @throws {ConflictError} If the email address belongs to another user.
+   */
+  async updateUser(userId, changes, logger) {
+    const log = logger || this.logger;
+    if (Object.keys(changes).length === 0) {
+      throw new BadRequestError('At least one field must be given.');
+    }
+    const normalized = {
+      ...changes,
+      ...(changes.name !== undefined && { name: changes.name.trim() }),
+      ...(changes.email !== undefined && { email: changes.email.trim().toLowerCase() }),
+    };
+    await this._requireUser(userId, log);
+    await this._assertEmailIsFree(normalized.email, userId, log);
+
+    const user = await this.repository.updateUser(userId, normalized, log);
+    if (!user) {
+      throw new NotFoundError(`User with ID ${userId} not found.`);
+    }
+    log.info({ userId, fields: Object.keys(changes) }, 'User updated.');
+    return _toUserView(user);
+  }
+
+  // --- API KEYS ---
+
+  /**
+   * Issues a new API key for a user. The key is returned only here; just its hash is stored.
+   * @param {Requester} requester - The authenticated requester.
+   * @param {string} userId - The ID of the user the key is for.
+   * @param {{name: string}} fields - A label for the key.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object>} The key view, with the key itself as `apiKey`.
+   * @throws {ForbiddenError} If the requester may not manage this user's keys.
+   * @throws {NotFoundError} If the user does not exist.
+   */
+  async issueApiKey(requester, userId, { name }, logger) {
+    const log = logger || this.logger;
+    this._assertCanManageKeys(requester, userId);
+    await this._requireUser(userId, log);
+
+    const apiKey = `${API_KEY_PREFIX}${randomBytes(API_KEY_BYTES).toString('base64url')}`;
+    const key = await this.repository.createApiKey(userId, {
+      name: name.trim(),
+      keyHash: _hashApiKey(apiKey),
+      prefix: apiKey.slice(0, DISPLAYED_KEY_CHARS),
+    }, log);
+    return { ..._toApiKeyView(key), apiKey };
+  }
+
+  /**
+   * Lists a user's API keys, without the keys themselves.
+   * @param {Requester} requester - The authenticated requester.
+   * @param {string} userId - The ID of the user.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @returns {Promise<object[]>} The key views.
+   * @throws {ForbiddenError} If the requester may not manage this user's keys.
+   * @throws {NotFoundError} If the user does not exist.
+   */
+  async listApiKeys(requester, userId, logger) {
+    const log = logger || this.logger;
+    this._assertCanManageKeys(requester, userId);
+    await this._requireUser(userId, log);
+    const keys = await this.repository.listApiKeys(userId, log);
+    return keys.map(_toApiKeyView);
+  }
+
+  /**
+   * Revokes one of a user's API keys.
+   * @param {Requester} requester - The authenticated requester.
+   * @param {string} userId - The ID of the user.
+   * @param {string} keyId - The ID of the key.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @throws {ForbiddenError} If the requester may not manage this user's keys.
+   * @throws {NotFoundError} If the user has no active key with this ID.
+   */
+  async revokeApiKey(requester, userId, keyId, logger) {
+    const log = logger || this.logger;
+    this._assertCanManageKeys(requester, userId);
+    if (!(await this.repository.revokeApiKey(userId, keyId, log))) {
+      throw new NotFoundError(`No active API key with ID ${keyId} for user ${userId}.`);
+    }
+    log.info({ userId, keyId }, 'API key revoked.');
+  }
+
+  // --- QUOTA ---
+
+  /**
+   * Checks that the requester has enough of this month's quota left for a job, without using any.
+   * Work started without a requester (e.g., from a script) is not metered.
+   * @param {Requester|null} requester - The authenticated requester.
+   * @param {number} lines - The lines the job would translate.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @throws {TooManyRequestsError} If the quota would be exceeded.
+   */
+  async assertQuotaAvailable(requester, lines, logger) {
+    const log = logger || this.logger;
+    if (!requester?.userId || requester.monthlyLineQuota === null) {
+      return;
+    }
+    const linesUsed = await this.repository.getMonthlyUsage(requester.userId, _currentMonth(), log);
+    if (linesUsed + lines > requester.monthlyLineQuota) {
+      throw this._quotaExceeded(requester, lines, linesUsed);
+    }
+  }
+
+  /**
+   * Records lines against the requester's quota for this month.
+   * @param {Requester|null} requester - The authenticated requester.
+   * @param {number} lines - The lines about to be translated.
+   * @param {object} logger - The request-specific, contextual logger.
+   * @throws {TooManyRequestsError} If the quota would be exceeded; nothing is recorded then.
+   */
+  async consumeQuota(requester, lines, logger) {
+    const log = logger || this.logger;
+    if (!requester?.userId) {
+      return;
+    }
+    const month = _currentMonth();
+    if (!(await this.repository.incrementMonthlyUsage(requester.userId, month, lines, requester.monthlyLineQuota, log))) {
+      const linesUsed = await this.repository.getMonthlyUsage(requester.userId, month, log);
+      throw this._quotaExceeded(requester, lines, linesUsed);
+    }
+    log.info({ userId: requester.userId, month, lines }, 'Quota usage recorded.');
+  }
+
+  /**
+   * Gives back lines recorded by consumeQuota when the work they were recorded for did not start.
+   * @param {Requester|null} requester - The authenticated requester.
+   * @param {number} lines - The lines recorded.
+   * @param {object} logger - The request-specific, contextual logger.
+   */
+  async refundQuota(requester, lines, logger) {
+    const log = logger || this.logger;
+    if (!requester?.userId) {
+      return;
+    }
+    const month = _currentMonth();
+    if (await this.repository.decrementMonthlyUsage(requester.userId, month, lines, log)) {
+      log.info({ userId: requester.userId, month, lines }, 'Quota usage refunded.');
+    }
+  }
+
+  // --- PRIVATE HELPERS ---
+
+  /** @private */
+  _quotaExceeded(requester, lines, linesUsed) {
+    const remaining = Math.max(requester.monthlyLineQuota - linesUsed, 0);
+    return new TooManyRequestsError(
+      `This job needs ${lines} lines, but only ${remaining} of your ${requester.monthlyLineQuota} monthly lines are left.`
+    );
+  }
+
+  /** @private */
+  _assertCanManageKeys(requester, userId) {
+    if (!UserService.isAdmin(requester) && requester.userId !== userId) {
+      throw new ForbiddenError("Only administrators can manage other users' API keys.");
+    }
+  }
+
+  /** @private */
+  async _requireUser(userId, log) {
+    const user = await this.repository.getUserById(userId, log);
+    if (!user) {
+      throw new NotFoundError(`User with ID ${userId} not found.`);
+    }
+    return user;
+  }
+
+  /** @private */
+  async _assertEmailIsFree(email, ownUserId, log) {
+    if (!email) {
+      return;
+    }
+    const existing = await this.repository.findUserByEmail(email, log);
+    if (existing && existing._id.toString() !== ownUserId) {
+      throw new ConflictError(`A user with the email address ${email} already exists.`);
+    }
+  }
+}
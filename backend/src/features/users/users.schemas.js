@@ -0,0 +1,61 @@
+// ===== PRODUCTION-READY USER SCHEMAS (ZOD) =====
+// This file centralizes all Zod schemas for the users feature: accounts, their API keys
+// and their monthly line quotas.
+
+import { z } from 'zod';
+
+// --- Reusable Components ---
+export const USER_ROLES = ['user', 'admin'];
+
+// MongoDB ObjectId in its 24-character hex string form.
+const objectIdSchema = (name) => z
+  .string({ required_error: `${name} is required.` })
+  .regex(/^[a-f\d]{24}$/i, `${name} must be a valid identifier.`);
+
+// The editable fields of an account. A `null` quota means the user is not limited.
+const userFields = {
+  name: z.string({ required_error: 'name is required.' }).min(1, 'name cannot be empty.').max(200),
+  email: z.string().email('email must be a valid email address.').max(320),
+  role: z.enum(USER_ROLES),
+  monthlyLineQuota: z.number().int().nonnegative().nullable(),
+  disabled: z.boolean(),
+};
+
+// --- Route-Specific Schemas ---
+
+// POST /users
+// Without `monthlyLineQuota`, the user gets DEFAULT_MONTHLY_LINE_QUOTA.
+const createUserBodySchema = z.object({
+  name: userFields.name,
+  email: userFields.email.optional(),
+  role: userFields.role.default('user'),
+  monthlyLineQuota: userFields.monthlyLineQuota.optional(),
+});
+
+// PATCH /users/:userId
+const updateUserBodySchema = z.object(userFields).partial();
+
+// POST /users/:userId/api-keys
+const createApiKeyBodySchema = z.object({
+  name: z.string().min(1, 'name cannot be empty.').max(100).default('default'),
+});
+
+// PATCH /users/:userId, GET and POST /users/:userId/api-keys
+const userParamsSchema = z.object({
+  userId: objectIdSchema('userId'),
+});
+
+// DELETE /users/:userId/api-keys/:keyId
+const apiKeyParamsSchema = z.object({
+  userId: objectIdSchema('userId'),
+  keyId: objectIdSchema('keyId'),
+});
+
+// We group and export all schemas for easy importing in the controller.
+export const userSchemas = {
+  createUserBody: createUserBodySchema,
+  updateUserBody: updateUserBodySchema,
+  createApiKeyBody: createApiKeyBodySchema,
+  userParams: userParamsSchema,
+  apiKeyParams: apiKeyParamsSchema,
+};
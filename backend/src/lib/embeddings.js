@@ -0,0 +1,36 @@
+// ===== PRODUCTION-READY EMBEDDING FUNCTION SELECTION =====
+// The translation memory and quality estimation receive their embedding function through dependency injection.
+// This module picks the one configured by `config.EMBEDDING_PROVIDER`.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import config from '#config';
+import { hashEmbedding } from '#core/textEmbedding.js';
+import { embedTexts } from './llmClient.js';
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * Embeds a list of texts.
+ * @typedef {function(string[], object): Promise<number[][]>} EmbeddingFunction
+ * Receives the texts and a contextual logger; resolves with one vector per text, in order.
+ * It accepts any number of texts; the LLM embedder splits them into requests of a size the provider accepts.
+ */
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Embeds texts locally with the deterministic hashing embedder; needs no model or network.
+ * @type {EmbeddingFunction}
+ */
+export async function embedTextsLocally(texts) {
+  return texts.map(text => hashEmbedding(text));
+}
+
+/**
+ * Returns the configured embedding function. Vectors from different functions are not
+ * comparable, so changing EMBEDDING_PROVIDER requires an empty vector index.
+ * @returns {EmbeddingFunction} The embedding function.
+ */
+export function getEmbeddingFunction() {
+  return config.EMBEDDING_PROVIDER === 'hash' ? embedTextsLocally : embedTexts;
+}
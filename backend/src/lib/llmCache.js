@@ -0,0 +1,162 @@
+// ===== PRODUCTION-READY LLM RESPONSE CACHE (MANAGED SINGLETON) =====
+// Content-addressed answers to model calls, so re-running a job (after a crash, or after a
+// small blueprint change) does not pay again for every identical call. An answer is keyed by
+// a hash of what determines it: the model, the prompt template version, the temperature and
+// the prompt. The backend is selected through `config.LLM_CACHE`; callLlm reads and writes it.
+//
+// The cache only saves money: a backend that fails is logged and treated as a miss.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { createHash } from 'node:crypto';
+import config from '#config';
+import { createMongoLlmCache } from './llmCaches/mongo.js';
+import { createDiskLlmCache } from './llmCaches/disk.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const CACHE_FACTORIES = {
+  mongo: () => createMongoLlmCache(),
+  disk: () => createDiskLlmCache({ directory: config.LLM_CACHE_DIR }),
+};
+
+// Bumped when the shape of a key changes, so keys from older releases are never matched.
+const KEY_FORMAT_VERSION = 1;
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A cached answer.
+ * @typedef {object} CachedResponse
+ * @property {string} model - The model that answered.
+ * @property {string} text - The raw text response.
+ * @property {number} promptTokens - The prompt tokens the original call was billed for.
+ * @property {number} responseTokens - The response tokens the original call was billed for.
+ * @property {Date} createdAt - When the answer was cached.
+ * @property {Date} expiresAt - When the answer stops being reused.
+ */
+
+/**
+ * The contract every cache backend implements. `get` returns null for an unknown or expired key.
+ * @typedef {object} LlmCacheBackend
+ * @property {string} name - The dependency name reported by the health check.
+ * @property {function(object): Promise<void>} connect - Prepares the backend; receives the logger.
+ * @property {function(object): Promise<void>} close - Releases any resources; receives the logger.
+ * @property {function(): Promise<{isHealthy: boolean, message: string}>} getStatus - Checks the backend is usable.
+ * @property {function(string): Promise<CachedResponse|null>} get - Looks up an answer.
+ * @property {function(string, CachedResponse): Promise<void>} set - Stores or replaces an answer.
+ */
+
+// ===== MODULE-LEVEL CLIENT STATE =====
+let backend = null; // The active LlmCacheBackend, or null when caching is off
+const stats = { hits: 0, misses: 0 }; // Since startup, for the health check
+
+// ===== CONNECTION & HEALTH CHECK LOGIC =====
+/**
+ * Creates and connects the configured backend, unless caching is off. Called once on application
+ * startup, after MongoDB is connected.
+ * @param {object} logger - The global Pino logger instance.
+ * @param {object} [options={}]
+ * @param {LlmCacheBackend} [options.backend] - A ready-made backend (e.g., in tests) instead of the configured one.
+ */
+export async function connectToLlmCache(logger, options = {}) {
+  if (backend) {
+    logger.info('LLM response cache already initialized. Skipping.');
+    return;
+  }
+  if (!options.backend && config.LLM_CACHE === 'off') {
+    logger.info('LLM response cache is off; every agent call goes to the provider.');
+    return;
+  }
+  const candidate = options.backend ?? CACHE_FACTORIES[config.LLM_CACHE]();
+  await candidate.connect(logger);
+  backend = candidate;
+  logger.info({ llmCache: candidate.name, ttlSeconds: config.LLM_CACHE_TTL_SECONDS }, 'LLM response cache initialized successfully.');
+}
+
+/**
+ * Closes the active backend and forgets it.
+ * @param {object} logger - The Pino logger instance.
+ */
+export async function closeLlmCache(logger) {
+  if (!backend) {
+    return;
+  }
+  await backend.close(logger);
+  backend = null;
+}
+
+/**
+ * Health check function for the active backend, with the hit rate since startup.
+ * Caching is optional, so a cache that is off is healthy.
+ * @returns {Promise<{name: string, isHealthy: boolean, message: string}>}
+ */
+export async function getLlmCacheStatus() {
+  if (!backend) {
+    return { name: 'LlmResponseCache', isHealthy: true, message: 'Off.' };
+  }
+  const usage = `${stats.hits} hit(s), ${stats.misses} miss(es) since startup.`;
+  try {
+    const { isHealthy, message } = await backend.getStatus();
+    return { name: backend.name, isHealthy, message: `${message} ${usage}` };
+  } catch (error) {
+    return { name: backend.name, isHealthy: false, message: error.message };
+  }
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Whether a backend is active, i.e. whether calls can be cached at all.
+ * @returns {boolean}
+ */
+export function isLlmCacheEnabled() {
+  return backend !== null;
+}
+
+/**
+ * Builds the key of a call: a SHA-256 hash of everything that determines its answer.
+ * @param {object} params
+ * @param {string} params.model - The provider-specific model name.
+ * @param {string} params.promptVersion - The version of the prompt template (see PROMPT_VERSIONS in the agents).
+ * @param {number} params.temperature - The generation temperature.
+ * @param {boolean} params.expectJson - Whether a JSON response was requested.
+ * @param {string} params.prompt - The complete prompt.
+ * @returns {string} The key, as 64 hex characters.
+ */
+export function buildLlmCacheKey({ model, promptVersion, temperature, expectJson, prompt }) {
+  return createHash('sha256')
+    .update(JSON.stringify([KEY_FORMAT_VERSION, model, promptVersion, temperature, expectJson, prompt]))
+    .digest('hex');
+}
+
+/**
+ * Looks up a cached answer. A backend failure is logged and counted as a miss.
+ * @param {string} key - The call's key (see buildLlmCacheKey).
+ * @param {object} logger - The contextual logger.
+ * @returns {Promise<CachedResponse|null>} The answer, or null on a miss.
+ */
+export async function readCachedResponse(key, logger) {
+  let cached = null;
+  try {
+    cached = await backend.get(key);
+  } catch (error) {
+    logger.warn({ err: error, llmCache: backend.name, cacheKey: key }, 'LLM response cache lookup failed; calling the provider.');
+  }
+  stats[cached ? 'hits' : 'misses'] += 1;
+  return cached;
+}
+
+/**
+ * Caches an answer. A backend failure is logged; the answer is still used.
+ * @param {string} key - The call's key (see buildLlmCacheKey).
+ * @param {{model: string, text: string, promptTokens: number, responseTokens: number}} response - The answer and what it cost.
+ * @param {number} ttlSeconds - How long the answer is reused.
+ * @param {object} logger - The contextual logger.
+ */
+export async function writeCachedResponse(key, response, ttlSeconds, logger) {
+  const createdAt = new Date();
+  try {
+    await backend.set(key, { ...response, createdAt, expiresAt: new Date(createdAt.getTime() + ttlSeconds * 1000) });
+  } catch (error) {
+    logger.warn({ err: error, llmCache: backend.name, cacheKey: key }, 'Failed to cache an LLM response.');
+  }
+}
@@ -0,0 +1,68 @@
+// ===== LOCAL DISK LLM RESPONSE CACHE =====
+// Keeps cached answers as JSON files on the local disk, for single-instance deployments and
+// development. Files are spread over subdirectories by the first two characters of their key.
+// An expired file is deleted when it is next looked up; nothing sweeps files that never are.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { randomUUID } from 'node:crypto';
+import { access, mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { constants as fsConstants } from 'node:fs';
+import path from 'node:path';
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Creates the disk-backed response cache.
+ * @param {object} options
+ * @param {string} options.directory - The cache directory, created if missing; relative paths resolve against the working directory.
+ * @returns {import('../llmCache.js').LlmCacheBackend} The cache.
+ */
+export function createDiskLlmCache({ directory }) {
+  const root = path.resolve(directory);
+  const fileOf = (key) => path.join(root, key.slice(0, 2), `${key}.json`);
+
+  return {
+    name: 'DiskLlmResponseCache',
+
+    async connect(logger) {
+      await mkdir(root, { recursive: true });
+      logger.info({ directory: root }, 'LLM response cache directory ready.');
+    },
+
+    async close() {},
+
+    async getStatus() {
+      await access(root, fsConstants.W_OK);
+      return { isHealthy: true, message: `Caching in ${root}.` };
+    },
+
+    async get(key) {
+      const file = fileOf(key);
+      let contents;
+      try {
+        contents = await readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+      const stored = JSON.parse(contents);
+      const cached = { ...stored, createdAt: new Date(stored.createdAt), expiresAt: new Date(stored.expiresAt) };
+      if (cached.expiresAt <= new Date()) {
+        await rm(file, { force: true });
+        return null;
+      }
+      return cached;
+    },
+
+    async set(key, cached) {
+      const file = fileOf(key);
+      await mkdir(path.dirname(file), { recursive: true });
+      // Written under a temporary name and renamed, so a concurrent lookup never reads half a file.
+      const temporaryFile = `${file}.${randomUUID()}.tmp`;
+      await writeFile(temporaryFile, JSON.stringify(cached));
+      await rename(temporaryFile, file);
+    },
+  };
+}
@@ -0,0 +1,52 @@
+// ===== PRODUCTION-READY MONGODB LLM RESPONSE CACHE =====
+// Keeps cached answers in the application database, so every instance shares them.
+// A TTL index lets MongoDB delete expired answers; until its next pass (about once a
+// minute), lookups skip them.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { getDb } from '../mongoClient.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const COLLECTION_NAME = 'llmResponseCache';
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Creates the MongoDB-backed response cache. The database must be connected first.
+ * @returns {import('../llmCache.js').LlmCacheBackend} The cache.
+ */
+export function createMongoLlmCache() {
+  let collection = null;
+
+  return {
+    name: 'MongoLlmResponseCache',
+
+    async connect(logger) {
+      collection = getDb().collection(COLLECTION_NAME);
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      logger.info({ collection: COLLECTION_NAME }, 'LLM response cache collection ready.');
+    },
+
+    async close() {
+      collection = null;
+    },
+
+    async getStatus() {
+      const count = await collection.estimatedDocumentCount();
+      return { isHealthy: true, message: `${count} cached response(s).` };
+    },
+
+    async get(key) {
+      const document = await collection.findOne({ _id: key, expiresAt: { $gt: new Date() } });
+      if (!document) {
+        return null;
+      }
+      const { _id, ...cached } = document;
+      return cached;
+    },
+
+    async set(key, cached) {
+      await collection.replaceOne({ _id: key }, cached, { upsert: true });
+    },
+  };
+}
@@ -0,0 +1,364 @@
+// ===== PRODUCTION-READY LLM CLIENT (MANAGED SINGLETON) =====
+// A provider-agnostic entry point for every model call. The provider is selected through
+// `config.LLM_PROVIDER`; this module owns what must behave the same for all of them:
+// the connection lifecycle, scheduling (lib/llmScheduler.js), retry with exponential backoff, JSON mode,
+// embeddings, the health check, the response cache (lib/llmCache.js) and the usage (tokens, latency,
+// retries and cost) reported for every call.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import config from '#config';
+import { ServiceUnavailableError } from '../utils/errors.js';
+import { createGeminiProvider } from './llmProviders/gemini.js';
+import { createOpenAiCompatibleProvider } from './llmProviders/openaiCompatible.js';
+import { createMockProvider, loadMockResponses } from './llmProviders/mock.js';
+import { createPriceList, estimateTokenCount } from './llmPricing.js';
+import { buildLlmCacheKey, isLlmCacheEnabled, readCachedResponse, writeCachedResponse } from './llmCache.js';
+import { CircuitOpenError, createLlmScheduler } from './llmScheduler.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Agents ask for a model by role; each provider maps the role to one of its own models.
+export const MODEL_ROLES = Object.freeze(['blueprint', 'translation', 'sync']);
+
+const PROVIDER_FACTORIES = {
+  gemini: () => createGeminiProvider({
+    apiKey: config.GEMINI_API_KEY,
+    embeddingModel: config.GEMINI_EMBEDDING_MODEL,
+    models: {
+      blueprint: config.GEMINI_BLUEPRINT_MODEL,
+      translation: config.GEMINI_TRANSLATION_MODEL,
+      sync: config.GEMINI_SYNC_MODEL,
+    },
+  }),
+  'openai-compatible': () => createOpenAiCompatibleProvider({
+    baseUrl: config.OPENAI_COMPAT_BASE_URL,
+    apiKey: config.OPENAI_COMPAT_API_KEY,
+    timeoutMs: config.LLM_REQUEST_TIMEOUT_MS,
+    embeddingModel: config.OPENAI_COMPAT_EMBEDDING_MODEL,
+    models: {
+      blueprint: config.OPENAI_COMPAT_BLUEPRINT_MODEL ?? config.OPENAI_COMPAT_MODEL,
+      translation: config.OPENAI_COMPAT_TRANSLATION_MODEL ?? config.OPENAI_COMPAT_MODEL,
+      sync: config.OPENAI_COMPAT_SYNC_MODEL ?? config.OPENAI_COMPAT_MODEL,
+    },
+  }),
+  mock: () => createMockProvider({ responses: loadMockResponses(config.LLM_MOCK_RESPONSES_PATH) }),
+};
+
+const priceList = createPriceList(config.LLM_PRICES);
+
+// The most texts sent in one embedding call; Gemini's batchEmbedContents rejects larger batches.
+const EMBEDDING_BATCH_SIZE = 100;
+
+// ===== CUSTOM ERROR =====
+/**
+ * A specific error for when the model provider is unreachable or fails after all retries.
+ * Extends ServiceUnavailableError to automatically produce a 503 HTTP status.
+ */
+export class LlmApiError extends ServiceUnavailableError {
+  constructor(message, originalError) {
+    super(message);
+    this.name = 'LlmApiError';
+    this.cause = originalError; // Retain original error for detailed logging
+  }
+}
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A single model request, as passed to a provider.
+ * @typedef {object} LlmRequest
+ * @property {string} prompt - The complete, engineered prompt.
+ * @property {string} model - The provider-specific model name.
+ * @property {boolean} expectJson - Whether the response must be a JSON document.
+ * @property {number} temperature - The generation temperature.
+ */
+
+/**
+ * A provider's answer to one request. Token counts are null when the provider does not report them.
+ * @typedef {object} LlmGeneration
+ * @property {string} text - The raw text response.
+ * @property {number|null} promptTokens - The tokens billed for the prompt.
+ * @property {number|null} responseTokens - The tokens billed for the response, including any reasoning tokens.
+ */
+
+/**
+ * How a call may use the response cache.
+ * @typedef {object} LlmCacheOptions
+ * @property {string} promptVersion - The version of the prompt template; part of the cache key.
+ * @property {boolean} [bypass=false] - Skips the lookup and asks the provider; its answer is still cached.
+ * @property {number} [ttlSeconds] - How long the answer is reused; defaults to `config.LLM_CACHE_TTL_SECONDS`.
+ * @property {function(string): boolean} [accept] - Whether an answer may be cached; by default every answer is.
+ */
+
+/**
+ * What one call to callLlm used, across all of its attempts. A call answered from the cache
+ * used no tokens and cost nothing.
+ * @typedef {object} LlmUsage
+ * @property {string} model - The model called.
+ * @property {number} promptTokens - The prompt tokens of the successful attempt.
+ * @property {number} responseTokens - The response tokens of the successful attempt.
+ * @property {boolean} tokensEstimated - Whether the provider did not report the counts and they were estimated from the text.
+ * @property {number} latencyMs - The time from the first attempt to the answer, including backoff and waiting in the scheduler.
+ * @property {number} retries - How many failed attempts preceded the answer.
+ * @property {number} costUsd - The cost of the tokens at the model's price; 0 for a model with no price.
+ * @property {'hit'|'miss'|'bypass'|'off'} cache - Whether the answer came from the cache; 'off' if the call could not be cached.
+ */
+
+/**
+ * The contract every provider implements. `generate` and `embed` make exactly one attempt; retries
+ * are handled here. A provider marks an error that retrying cannot fix with `isRetryable = false`,
+ * and a rate limit with `isRateLimited = true` and, if the provider says when to retry, `retryAfterMs`.
+ * @typedef {object} LlmProvider
+ * @property {string} name - The dependency name reported by the health check.
+ * @property {Record<string, string>} models - The model used for each of MODEL_ROLES.
+ * @property {string} embeddingModel - The model used for embeddings.
+ * @property {function(object): Promise<void>} connect - Prepares the client; receives the logger.
+ * @property {function(object): Promise<void>} close - Releases any resources; receives the logger.
+ * @property {function(): Promise<{isHealthy: boolean, message: string}>} getStatus - Checks the provider is usable.
+ * @property {function(LlmRequest): Promise<LlmGeneration>} generate - Returns the response and its token counts.
+ * @property {function({texts: string[], model: string}): Promise<number[][]>} embed - Returns one vector per text, in order.
+ */
+
+// ===== MODULE-LEVEL CLIENT STATE =====
+let provider = null; // The active LlmProvider
+let scheduler = null; // Schedules every attempt on the active provider (see lib/llmScheduler.js)
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Runs one provider operation through the scheduler, retrying with exponential backoff. A retry
+ * after a rate limit also waits in the scheduler until the model's pause is over.
+ * @private
+ * @param {function(): Promise<any>} operation - A single attempt.
+ * @param {string} model - The model called, for scheduling, logs and errors.
+ * @param {string|null} queueKey - The job the call is made for, so the scheduler shares capacity fairly; null for shared calls.
+ * @param {object} logger - The contextual logger.
+ * @returns {Promise<{value: any, retries: number}>} The operation's result and how many attempts failed before it.
+ * @throws {LlmApiError} After the last attempt, on an error that retrying cannot fix, or at once while the circuit breaker is open.
+ */
+async function _withRetry(operation, model, queueKey, logger) {
+  const maxAttempts = config.LLM_MAX_RETRIES + 1;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      return { value: await scheduler.run(model, queueKey, operation), retries: attempt - 1 };
+    } catch (error) {
+      if (error instanceof CircuitOpenError) {
+        logger.warn({ provider: provider.name, model }, 'LLM call failed fast; the circuit breaker is open.');
+        throw new LlmApiError(error.message, error);
+      }
+      const isLastAttempt = attempt === maxAttempts || error.isRetryable === false;
+      const logContext = {
+        attempt, maxAttempts, provider: provider.name, model, error: error.message,
+        ...(error.isRateLimited && { isRateLimited: true, retryAfterMs: error.retryAfterMs ?? null }),
+      };
+
+      if (isLastAttempt) {
+        logger.error(logContext, 'LLM call failed on the final attempt.');
+        throw new LlmApiError(`${provider.name} call to ${model} failed after ${attempt} attempt(s).`, error);
+      }
+
+      const delay = config.LLM_BACKOFF_MS * Math.pow(2, attempt - 1);
+      logger.warn(logContext, `LLM call failed. Retrying in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// ===== CONNECTION & HEALTH CHECK LOGIC =====
+/**
+ * Creates and connects the configured provider. Called once on application startup.
+ * @param {object} logger - The global Pino logger instance.
+ * @param {object} [options={}]
+ * @param {LlmProvider} [options.provider] - A ready-made provider (e.g., a scripted mock in tests) instead of the configured one.
+ */
+export async function connectToLlm(logger, options = {}) {
+  if (provider) {
+    logger.info('LLM provider already initialized. Skipping.');
+    return;
+  }
+  const candidate = options.provider ?? PROVIDER_FACTORIES[config.LLM_PROVIDER]();
+  try {
+    logger.info({ provider: candidate.name }, 'Initializing LLM provider...');
+    await candidate.connect(logger);
+    provider = candidate;
+    scheduler = createLlmScheduler({
+      maxConcurrency: config.LLM_MAX_CONCURRENCY,
+      requestsPerMinute: config.LLM_MAX_REQUESTS_PER_MINUTE,
+      modelLimits: config.LLM_MODEL_LIMITS,
+      failureThreshold: config.LLM_CIRCUIT_BREAKER_THRESHOLD,
+      cooldownMs: config.LLM_CIRCUIT_BREAKER_COOLDOWN_MS,
+      logger,
+    });
+    logger.info({ provider: candidate.name, models: candidate.models }, 'LLM provider initialized successfully.');
+  } catch (err) {
+    logger.fatal({ err, provider: candidate.name }, 'Fatal Error: Failed to initialize the LLM provider.');
+    process.exit(1);
+  }
+}
+
+/**
+ * Closes the active provider and forgets it, so a later connectToLlm() starts fresh.
+ * @param {object} logger - The Pino logger instance.
+ */
+export async function closeLlmConnection(logger) {
+  if (!provider) {
+    return;
+  }
+  await provider.close(logger);
+  provider = null;
+  scheduler = null;
+}
+
+/**
+ * Health check function for the active provider, with the scheduler's state.
+ * Fulfills the contract required by our deep health check in app.js. While the circuit breaker
+ * is open (or waiting on its trial call), the provider is reported as unhealthy.
+ * @returns {Promise<{name: string, isHealthy: boolean, message: string, scheduler?: object}>}
+ */
+export async function getLlmStatus() {
+  if (!provider) {
+    return { name: 'LlmProvider', isHealthy: false, message: 'Provider not initialized.' };
+  }
+  const schedulerStatus = scheduler.getStatus();
+  const { circuit } = schedulerStatus;
+  if (circuit.state !== 'closed') {
+    return {
+      name: provider.name,
+      isHealthy: false,
+      message: `Circuit breaker ${circuit.state} after ${circuit.consecutiveFailures} consecutive failed calls; next trial at ${circuit.retryAt}.`,
+      scheduler: schedulerStatus,
+    };
+  }
+  try {
+    return { name: provider.name, ...(await provider.getStatus()), scheduler: schedulerStatus };
+  } catch (error) {
+    return { name: provider.name, isHealthy: false, message: error.message, scheduler: schedulerStatus };
+  }
+}
+
+// ===== CORE API CLIENT =====
+/**
+ * Calls the active provider with retry logic and contextual logging.
+ * @param {object} params - The parameters for the call.
+ * @param {string} params.prompt - The complete, engineered prompt to send to the model.
+ * @param {'blueprint'|'translation'|'sync'} params.modelRole - Which of the provider's models to use.
+ * @param {string} [params.model] - A provider-specific model name to call instead of the role's model.
+ * @param {boolean} [params.expectJson=false] - If true, asks the provider for a JSON response.
+ * @param {number} [params.temperature=0.5] - The generation temperature.
+ * @param {LlmCacheOptions|null} [params.cache=null] - Lets the call be answered from and stored in the response cache, when it is on.
+ * @param {string|null} [params.queueKey=null] - The job the call is made for; the scheduler shares capacity fairly between jobs.
+ * @param {object} logger - The request-specific, contextual Pino logger (with traceId).
+ * @returns {Promise<{text: string, usage: LlmUsage}>} The raw text response from the model and what the call used.
+ * @throws {LlmApiError} If the call fails after all retry attempts, or with an error that retrying cannot fix.
+ */
+export async function callLlm({ prompt, modelRole, model: requestedModel, expectJson = false, temperature = 0.5, cache = null, queueKey = null }, logger) {
+  // Guard Clauses: Enforce contracts for robust operation.
+  if (!provider) {
+    throw new LlmApiError('LLM provider not initialized. Ensure connectToLlm() is called on startup.');
+  }
+  if (!logger) {
+    // This is a programmer error. The logger must always be passed.
+    throw new Error('Contextual logger is required for callLlm.');
+  }
+  if (!MODEL_ROLES.includes(modelRole)) {
+    // This forces the caller to be explicit about which model it needs.
+    throw new Error(`A valid \`modelRole\` is required for callLlm (one of: ${MODEL_ROLES.join(', ')}).`);
+  }
+
+  const model = requestedModel ?? provider.models[modelRole];
+  const startedAt = Date.now();
+  const cacheKey = cache && isLlmCacheEnabled()
+    ? buildLlmCacheKey({ model, promptVersion: cache.promptVersion, temperature, expectJson, prompt })
+    : null;
+
+  if (cacheKey && !cache.bypass) {
+    const cached = await readCachedResponse(cacheKey, logger);
+    if (cached) {
+      logger.debug({ model, cacheKey, cachedAt: cached.createdAt }, 'LLM call answered from the response cache.');
+      return {
+        text: cached.text,
+        usage: {
+          model,
+          promptTokens: 0,
+          responseTokens: 0,
+          tokensEstimated: false,
+          latencyMs: Date.now() - startedAt,
+          retries: 0,
+          costUsd: 0,
+          cache: 'hit',
+        },
+      };
+    }
+  }
+
+  const { value: generation, retries } = await _withRetry(
+    () => provider.generate({ prompt, model, expectJson, temperature }), model, queueKey, logger);
+  const tokensEstimated = generation.promptTokens === null || generation.responseTokens === null;
+  const promptTokens = generation.promptTokens ?? estimateTokenCount(prompt);
+  const responseTokens = generation.responseTokens ?? estimateTokenCount(generation.text);
+  if (cacheKey && (cache.accept?.(generation.text) ?? true)) {
+    await writeCachedResponse(cacheKey, { model, text: generation.text, promptTokens, responseTokens },
+      cache.ttlSeconds ?? config.LLM_CACHE_TTL_SECONDS, logger);
+  }
+  return {
+    text: generation.text,
+    usage: {
+      model,
+      promptTokens,
+      responseTokens,
+      tokensEstimated,
+      latencyMs: Date.now() - startedAt,
+      retries,
+      costUsd: priceList.costOf(model, promptTokens, responseTokens),
+      cache: !cacheKey ? 'off' : cache.bypass ? 'bypass' : 'miss',
+    },
+  };
+}
+
+/**
+ * Predicts the cost of a call before it is made, for pre-flight estimates.
+ * @param {object} params
+ * @param {'blueprint'|'translation'|'sync'} params.modelRole - Which of the provider's models would be called.
+ * @param {string} [params.model] - A provider-specific model name that would be called instead of the role's model.
+ * @param {number} params.promptTokens - The expected prompt tokens.
+ * @param {number} params.responseTokens - The expected response tokens.
+ * @returns {{model: string, isPriced: boolean, costUsd: number}} The model and the cost at its price; 0 if it has none.
+ */
+export function estimateLlmCost({ modelRole, model: requestedModel, promptTokens, responseTokens }) {
+  if (!provider) {
+    throw new LlmApiError('LLM provider not initialized. Ensure connectToLlm() is called on startup.');
+  }
+  const model = requestedModel ?? provider.models[modelRole];
+  return {
+    model,
+    isPriced: priceList.priceOf(model) !== null,
+    costUsd: priceList.costOf(model, promptTokens, responseTokens),
+  };
+}
+
+/**
+ * Embeds texts with the active provider's embedding model, with the same retry logic as callLlm.
+ * The texts are sent in batches of at most EMBEDDING_BATCH_SIZE, one after another; each batch is retried on its own.
+ * @param {string[]} texts - The texts to embed.
+ * @param {object} logger - The request-specific, contextual Pino logger.
+ * @returns {Promise<number[][]>} One vector per text, in order.
+ * @throws {LlmApiError} If the call fails after all retry attempts.
+ */
+export async function embedTexts(texts, logger) {
+  if (!provider) {
+    throw new LlmApiError('LLM provider not initialized. Ensure connectToLlm() is called on startup.');
+  }
+  if (texts.length === 0) {
+    return [];
+  }
+  const model = provider.embeddingModel;
+  const vectors = [];
+  for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+    const batch = texts.slice(start, start + EMBEDDING_BATCH_SIZE);
+    const { value: batchVectors } = await _withRetry(() => provider.embed({ texts: batch, model }), model, null, logger);
+    if (batchVectors.length !== batch.length) {
+      throw new LlmApiError(`${provider.name} returned ${batchVectors.length} embeddings for ${batch.length} texts.`);
+    }
+    vectors.push(...batchVectors);
+  }
+  return vectors;
+}
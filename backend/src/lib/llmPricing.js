@@ -0,0 +1,73 @@
+// ===== PRODUCTION-READY LLM PRICING =====
+// Turns token counts into money. Prices are in USD per million tokens, split into prompt (input)
+// and response (output) tokens. Built-in prices cover the hosted Gemini models; anything else
+// (self-hosted models, new releases) is priced through `config.LLM_PRICES`.
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Standard-tier list prices. Keys are matched as prefixes, so dated and "-latest" variants share a price.
+const DEFAULT_PRICES = Object.freeze({
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+});
+
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * The price of a model, in USD per million tokens.
+ * @typedef {object} ModelPrice
+ * @property {number} input - The price of prompt tokens.
+ * @property {number} output - The price of response tokens.
+ */
+
+/**
+ * @typedef {object} PriceList
+ * @property {function(string): ModelPrice|null} priceOf - The price of a model, or null if it has none.
+ * @property {function(string, number, number): number} costOf - The cost in USD of a call's prompt and response tokens; 0 for a model with no price.
+ */
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Creates a price list from the built-in prices and configured overrides.
+ * A model is priced by its exact name, or else by the longest name it starts with.
+ * @param {Record<string, ModelPrice>} [overrides={}] - Prices that replace or extend the built-in ones.
+ * @returns {PriceList} The price list.
+ */
+export function createPriceList(overrides = {}) {
+  const prices = { ...DEFAULT_PRICES, ...overrides };
+  const prefixes = Object.keys(prices).sort((a, b) => b.length - a.length);
+
+  const priceOf = (model) => {
+    if (prices[model]) {
+      return prices[model];
+    }
+    const prefix = prefixes.find(candidate => model.startsWith(candidate));
+    return prefix ? prices[prefix] : null;
+  };
+
+  const costOf = (model, promptTokens, responseTokens) => {
+    const price = priceOf(model);
+    if (!price) {
+      return 0;
+    }
+    return (promptTokens * price.input + responseTokens * price.output) / TOKENS_PER_PRICE_UNIT;
+  };
+
+  return { priceOf, costOf };
+}
+
+/**
+ * Roughly estimates how many tokens a text is, for providers that report no usage and for
+ * estimates made before any call. Four characters per token is typical of English; scripts such
+ * as Persian or Chinese take more tokens per character, so estimates for them run low.
+ * @param {string} text - The text.
+ * @returns {number} The estimated token count.
+ */
+export function estimateTokenCount(text) {
+  return Math.ceil(text.length / 4);
+}
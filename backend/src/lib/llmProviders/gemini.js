@@ -0,0 +1,98 @@
+// ===== PRODUCTION-READY GEMINI PROVIDER =====
+// The hosted Google Gemini backend for lib/llmClient.js. Each call is a single attempt;
+// retries, backoff and logging are handled by the client.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Subtitles routinely contain violence and profanity, so the safety filters are relaxed.
+const SAFETY_SETTINGS = [
+  { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+  { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
+  { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
+  { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+];
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Marks an SDK error for the client's retry logic and scheduler. HTTP errors carry their status:
+ * client errors other than rate limiting and timeouts will not succeed on retry, and a rate
+ * limit's `RetryInfo` detail says when to try again (e.g., "37s").
+ * @private
+ * @param {Error & {status?: number, errorDetails?: Array<object>}} error - The SDK error.
+ * @returns {Error} The same error, annotated.
+ */
+function _annotateError(error) {
+  if (typeof error.status !== 'number') {
+    return error;
+  }
+  error.isRateLimited = error.status === 429;
+  error.isRetryable = error.status >= 500 || error.status === 429 || error.status === 408;
+  const retryInfo = error.errorDetails?.find(detail => detail['@type']?.endsWith('google.rpc.RetryInfo'));
+  const retryDelaySeconds = Number.parseFloat(retryInfo?.retryDelay);
+  if (Number.isFinite(retryDelaySeconds)) {
+    error.retryAfterMs = Math.ceil(retryDelaySeconds * 1000);
+  }
+  return error;
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Creates the Gemini provider.
+ * @param {object} options
+ * @param {string} options.apiKey - The Google AI Studio API key.
+ * @param {string} options.embeddingModel - The Gemini embedding model.
+ * @param {Record<string, string>} options.models - The Gemini model for each model role.
+ * @returns {import('../llmClient.js').LlmProvider} The provider.
+ */
+export function createGeminiProvider({ apiKey, embeddingModel, models }) {
+  let genAI = null;
+
+  return {
+    name: 'GeminiClient',
+    models,
+    embeddingModel,
+
+    async connect() {
+      genAI = new GoogleGenerativeAI(apiKey);
+    },
+
+    async close(logger) {
+      logger.info('Google AI client is stateless; no connection to close. Shutdown step complete.');
+    },
+
+    async getStatus() {
+      const isHealthy = genAI !== null;
+      return { isHealthy, message: isHealthy ? 'Client initialized.' : 'Client not initialized.' };
+    },
+
+    async generate({ prompt, model, expectJson, temperature }) {
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        safetySettings: SAFETY_SETTINGS,
+        generationConfig: {
+          temperature,
+          ...(expectJson && { responseMimeType: 'application/json' }),
+        },
+      });
+      const result = await generativeModel.generateContent(prompt).catch((error) => { throw _annotateError(error); });
+      // Thinking models bill their reasoning tokens as output.
+      const usage = result.response.usageMetadata;
+      return {
+        text: result.response.text(),
+        promptTokens: usage?.promptTokenCount ?? null,
+        responseTokens: usage ? (usage.candidatesTokenCount ?? 0) + (usage.thoughtsTokenCount ?? 0) : null,
+      };
+    },
+
+    async embed({ texts, model }) {
+      const result = await genAI.getGenerativeModel({ model }).batchEmbedContents({
+        requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } })),
+      }).catch((error) => { throw _annotateError(error); });
+      return result.embeddings.map(embedding => embedding.values);
+    },
+  };
+}
@@ -0,0 +1,130 @@
+// ===== DETERMINISTIC MOCK PROVIDER =====
+// A backend for lib/llmClient.js that never leaves the process. Responses are scripted as an
+// ordered list of rules; the first rule matching the prompt answers it. This lets the whole
+// pipeline run in tests, including malformed answers, repair calls and provider failures.
+// Embeddings are never scripted; they come from the deterministic hashing embedder.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { readFileSync } from 'node:fs';
+import { hashEmbedding } from '#core/textEmbedding.js';
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * One scripted response.
+ * @typedef {object} MockRule
+ * @property {string|RegExp} [match] - Answers prompts containing this text (or matching this pattern); omit to match any prompt.
+ * @property {string|object|function(import('../llmClient.js').LlmRequest): string} [response] - The response; objects are sent as JSON.
+ * @property {string} [error] - Fail the call with this message instead of responding.
+ * @property {boolean} [retryable=true] - Whether a scripted error may be retried.
+ * @property {boolean} [rateLimited=false] - Whether a scripted error is a rate limit.
+ * @property {number} [retryAfterMs] - The retry-after hint of a scripted rate limit.
+ * @property {boolean} [once=false] - Use the rule for one call only, so later calls reach the rules after it.
+ * @property {string} [model] - Only answer calls to this model.
+ * @property {{promptTokens: number, responseTokens: number}} [usage] - The token counts to report; without it, the client estimates them.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Whether a rule answers a request.
+ * @private
+ */
+function _matches(rule, { prompt, model }) {
+  if (rule.model && rule.model !== model) {
+    return false;
+  }
+  if (rule.match instanceof RegExp) {
+    return rule.match.test(prompt);
+  }
+  return rule.match === undefined || prompt.includes(rule.match);
+}
+
+/**
+ * Produces a rule's response text.
+ * @private
+ */
+function _render(rule, request) {
+  const response = typeof rule.response === 'function' ? rule.response(request) : rule.response;
+  return typeof response === 'string' ? response : JSON.stringify(response);
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Reads scripted rules from a JSON file: an array of MockRule objects, where `match` is plain
+ * text, or `pattern` (with optional `flags`) holds a regular expression.
+ * @param {string} [path] - The file to read; with no path, the script is empty.
+ * @returns {MockRule[]} The rules.
+ */
+export function loadMockResponses(path) {
+  if (!path) {
+    return [];
+  }
+  const rules = JSON.parse(readFileSync(path, 'utf8'));
+  if (!Array.isArray(rules)) {
+    throw new Error(`Mock response script ${path} must contain a JSON array of rules.`);
+  }
+  return rules.map(({ pattern, flags, ...rule }) => (pattern ? { ...rule, match: new RegExp(pattern, flags) } : rule));
+}
+
+/**
+ * Creates the mock provider. Every call is recorded in `calls`, in order, for assertions.
+ * @param {object} [options={}]
+ * @param {MockRule[]} [options.responses=[]] - The script; the first matching rule answers each call.
+ * @param {Record<string, string>} [options.models] - The model name reported for each model role.
+ * @returns {import('../llmClient.js').LlmProvider & {calls: Array<import('../llmClient.js').LlmRequest>}} The provider.
+ */
+export function createMockProvider({ responses = [], models = { blueprint: 'mock-blueprint', translation: 'mock-translation', sync: 'mock-sync' } } = {}) {
+  const rules = [...responses];
+  const calls = [];
+
+  return {
+    name: 'MockLlmClient',
+    models,
+    embeddingModel: 'mock-hash-embedding',
+    calls,
+
+    async connect(logger) {
+      logger.warn({ ruleCount: rules.length }, 'Using the mock LLM provider; responses are scripted.');
+    },
+
+    async close() {},
+
+    async getStatus() {
+      return { isHealthy: true, message: `${rules.length} scripted response(s) remaining.` };
+    },
+
+    async generate(request) {
+      calls.push(request);
+      const index = rules.findIndex(rule => _matches(rule, request));
+      if (index === -1) {
+        const error = new Error(`No scripted response matches the prompt: "${request.prompt.slice(0, 80)}..."`);
+        error.isRetryable = false;
+        throw error;
+      }
+      const rule = rules[index];
+      if (rule.once) {
+        rules.splice(index, 1);
+      }
+      if (rule.error) {
+        const error = new Error(rule.error);
+        error.isRetryable = rule.retryable ?? true;
+        error.isRateLimited = rule.rateLimited ?? false;
+        if (rule.retryAfterMs !== undefined) {
+          error.retryAfterMs = rule.retryAfterMs;
+        }
+        throw error;
+      }
+      return {
+        text: _render(rule, request),
+        promptTokens: rule.usage?.promptTokens ?? null,
+        responseTokens: rule.usage?.responseTokens ?? null,
+      };
+    },
+
+    async embed({ texts }) {
+      return texts.map(text => hashEmbedding(text));
+    },
+  };
+}
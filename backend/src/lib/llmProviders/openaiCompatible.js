@@ -0,0 +1,124 @@
+// ===== PRODUCTION-READY OPENAI-COMPATIBLE PROVIDER =====
+// A backend for lib/llmClient.js that speaks the OpenAI Chat Completions API, which
+// self-hosted servers such as llama.cpp, vLLM and Ollama expose under `/v1`.
+// Each call is a single attempt; retries, backoff and logging are handled by the client.
+
+// ===== CONFIGURATION & CONSTANTS =====
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+// ===== CUSTOM ERROR =====
+/**
+ * An HTTP error from the server. Client errors other than rate limiting (e.g., an unknown
+ * model or a bad API key) will not succeed on retry, so they are marked as not retryable.
+ */
+class OpenAiCompatibleHttpError extends Error {
+  constructor(status, body, retryAfterMs) {
+    super(`Server responded with HTTP ${status}: ${body.slice(0, 500)}`);
+    this.name = 'OpenAiCompatibleHttpError';
+    this.status = status;
+    this.isRetryable = status >= 500 || status === 429;
+    this.isRateLimited = status === 429;
+    if (retryAfterMs !== null) {
+      this.retryAfterMs = retryAfterMs;
+    }
+  }
+}
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Reads a `Retry-After` header, given either in seconds or as an HTTP date.
+ * @private
+ * @param {string|null} value - The header value.
+ * @returns {number|null} How long to wait in milliseconds, or null if there is no usable hint.
+ */
+function _parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, Math.ceil(seconds * 1000));
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Creates the OpenAI-compatible provider.
+ * @param {object} options
+ * @param {string} options.baseUrl - The API root, including the version (e.g., 'http://localhost:11434/v1').
+ * @param {string} [options.apiKey] - Sent as a bearer token when set; local servers usually need none.
+ * @param {number} options.timeoutMs - How long a single completion may take.
+ * @param {string} options.embeddingModel - The model served under `/embeddings`.
+ * @param {Record<string, string>} options.models - The model for each model role.
+ * @returns {import('../llmClient.js').LlmProvider} The provider.
+ */
+export function createOpenAiCompatibleProvider({ baseUrl, apiKey, timeoutMs, embeddingModel, models }) {
+  const root = baseUrl.replace(/\/+$/, '');
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+  };
+  const post = async (path, body) => {
+    const response = await fetch(`${root}${path}`, {
+      method: 'POST',
+      headers,
+      signal: AbortSignal.timeout(timeoutMs),
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      throw new OpenAiCompatibleHttpError(response.status, await response.text(), _parseRetryAfter(response.headers.get('retry-after')));
+    }
+    return response.json();
+  };
+
+  return {
+    name: 'OpenAiCompatibleClient',
+    models,
+    embeddingModel,
+
+    async connect(logger) {
+      logger.info({ baseUrl: root }, 'OpenAI-compatible provider will call the server on demand.');
+    },
+
+    async close(logger) {
+      logger.info('OpenAI-compatible client is stateless; no connection to close. Shutdown step complete.');
+    },
+
+    // Listing the models is a lightweight way to confirm the server is up and the key is accepted.
+    async getStatus() {
+      const response = await fetch(`${root}/models`, { headers, signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT_MS) });
+      return response.ok
+        ? { isHealthy: true, message: `Server reachable at ${root}.` }
+        : { isHealthy: false, message: `Server at ${root} responded with HTTP ${response.status}.` };
+    },
+
+    async generate({ prompt, model, expectJson, temperature }) {
+      const body = await post('/chat/completions', {
+        model,
+        temperature,
+        messages: [{ role: 'user', content: prompt }],
+        ...(expectJson && { response_format: { type: 'json_object' } }),
+      });
+      const content = body.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error('Server response did not contain a completion.');
+      }
+      // Not every server reports usage; the client estimates what is missing.
+      return {
+        text: content,
+        promptTokens: body.usage?.prompt_tokens ?? null,
+        responseTokens: body.usage?.completion_tokens ?? null,
+      };
+    },
+
+    async embed({ texts, model }) {
+      const body = await post('/embeddings', { model, input: texts });
+      // Entries carry their input index; not every server returns them in order.
+      return [...body.data].sort((a, b) => a.index - b.index).map(entry => entry.embedding);
+    },
+  };
+}
@@ -0,0 +1,274 @@
+// ===== PRODUCTION-READY LLM CALL SCHEDULER =====
+// Every provider attempt made by lib/llmClient.js passes through one scheduler per process, so
+// the limits hold across all jobs rather than per request:
+// - Each model has a lane with a concurrency limit and an optional requests-per-minute limit.
+//   Waiting calls are queued per job and started round-robin, so a long job cannot starve others.
+// - A rate-limited call halves its model's concurrency and pauses the lane for as long as the
+//   provider's retry-after hint asks. Concurrency then grows back by one call per full round of
+//   successful calls (additive increase, multiplicative decrease).
+// - A circuit breaker counts consecutive failures of the provider. Once open, calls fail fast
+//   instead of waiting out their retries; after a cooldown a single trial call decides whether
+//   it closes again.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { ServiceUnavailableError } from '../utils/errors.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const MINUTE_MS = 60 * 1000;
+// How long a rate-limited lane pauses when the provider gives no retry-after hint.
+const DEFAULT_RATE_LIMIT_PAUSE_MS = 5000;
+// Rate limits usually hit several calls in flight at once; they count as one signal within this window.
+const CONCURRENCY_DECREASE_INTERVAL_MS = 2000;
+// Calls from outside a job (e.g., translation memory embeddings) share one queue.
+const SHARED_QUEUE_KEY = 'shared';
+
+// ===== CUSTOM ERROR =====
+/**
+ * Thrown instead of calling the provider while the circuit breaker is open.
+ * It is not retryable; the breaker decides when the provider is tried again.
+ */
+export class CircuitOpenError extends ServiceUnavailableError {
+  constructor(message) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.isRetryable = false;
+  }
+}
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * The limits of one model's lane.
+ * @typedef {object} LaneLimits
+ * @property {number} maxConcurrency - The most calls in flight; the adaptive limit never exceeds it.
+ * @property {number} requestsPerMinute - The most calls started in any minute; 0 for no limit.
+ */
+
+/**
+ * @typedef {object} LlmScheduler
+ * @property {function(string, string|null, function(): Promise<any>): Promise<any>} run -
+ *   Runs one provider attempt for a model, queued under a job's key (or null for shared calls).
+ * @property {function(): {circuit: {state: 'closed'|'open'|'half-open', consecutiveFailures: number, retryAt: string|null}, lanes: Array<object>}} getStatus -
+ *   The breaker's state and each lane's limits and load, for the health check.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Creates the circuit breaker shared by every lane.
+ * @private
+ */
+function _createCircuitBreaker({ failureThreshold, cooldownMs, logger }) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let retryAt = 0;
+  let isTrialInFlight = false;
+
+  return {
+    // Whether a call may go to the provider now. While half-open, only the trial call may.
+    tryAcquire() {
+      if (state === 'open' && Date.now() >= retryAt) {
+        state = 'half-open';
+        isTrialInFlight = false;
+      }
+      if (state === 'closed') {
+        return true;
+      }
+      if (state === 'half-open' && !isTrialInFlight) {
+        isTrialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    // The provider answered, even if with a rate limit or a rejected request: it is up.
+    recordAlive() {
+      if (state !== 'closed') {
+        logger.info('LLM provider answered the trial call; circuit breaker closed.');
+      }
+      state = 'closed';
+      consecutiveFailures = 0;
+      isTrialInFlight = false;
+    },
+
+    recordFailure() {
+      consecutiveFailures += 1;
+      if (state === 'half-open' || (state === 'closed' && consecutiveFailures >= failureThreshold)) {
+        state = 'open';
+        retryAt = Date.now() + cooldownMs;
+        isTrialInFlight = false;
+        logger.error({ consecutiveFailures, cooldownMs }, 'LLM provider appears to be down; circuit breaker opened. Calls fail fast until the cooldown ends.');
+      }
+    },
+
+    openError() {
+      return new CircuitOpenError(
+        `The LLM provider is unavailable after ${consecutiveFailures} consecutive failed calls; it will be tried again at ${new Date(retryAt).toISOString()}.`);
+    },
+
+    getStatus() {
+      return { state, consecutiveFailures, retryAt: state === 'closed' ? null : new Date(retryAt).toISOString() };
+    },
+  };
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Creates a scheduler. One is created per provider connection by lib/llmClient.js.
+ * @param {object} options
+ * @param {number} options.maxConcurrency - The default concurrency limit of a model.
+ * @param {number} options.requestsPerMinute - The default per-minute limit of a model; 0 for none.
+ * @param {Record<string, Partial<LaneLimits>>} [options.modelLimits={}] - Limits for individual models.
+ * @param {number} options.failureThreshold - Consecutive failures that open the circuit breaker.
+ * @param {number} options.cooldownMs - How long the breaker stays open before a trial call.
+ * @param {object} options.logger - The Pino logger instance.
+ * @returns {LlmScheduler} The scheduler.
+ */
+export function createLlmScheduler({ maxConcurrency, requestsPerMinute, modelLimits = {}, failureThreshold, cooldownMs, logger }) {
+  const breaker = _createCircuitBreaker({ failureThreshold, cooldownMs, logger });
+  const lanes = new Map();
+
+  const laneFor = (model) => {
+    if (!lanes.has(model)) {
+      const limits = {
+        maxConcurrency: modelLimits[model]?.maxConcurrency ?? maxConcurrency,
+        requestsPerMinute: modelLimits[model]?.requestsPerMinute ?? requestsPerMinute,
+      };
+      lanes.set(model, {
+        model,
+        ...limits,
+        concurrency: limits.maxConcurrency,
+        active: 0,
+        startedAt: [], // Start times within the last minute, oldest first.
+        queues: new Map(), // Queue key => waiting calls; Map order is the round-robin order.
+        pausedUntil: 0,
+        successStreak: 0,
+        lastDecreaseAt: 0,
+        wakeTimer: null,
+      });
+    }
+    return lanes.get(model);
+  };
+
+  // Takes the next call round-robin: the first key's oldest call, then that key moves to the back.
+  const takeNext = (lane) => {
+    const [key, queue] = lane.queues.entries().next().value;
+    const call = queue.shift();
+    lane.queues.delete(key);
+    if (queue.length > 0) {
+      lane.queues.set(key, queue);
+    }
+    return call;
+  };
+
+  const wakeAt = (lane, time) => {
+    if (lane.wakeTimer) {
+      return;
+    }
+    lane.wakeTimer = setTimeout(() => {
+      lane.wakeTimer = null;
+      dispatch(lane);
+    }, Math.max(time - Date.now(), 0));
+  };
+
+  const onRateLimited = (lane, error) => {
+    const now = Date.now();
+    lane.successStreak = 0;
+    lane.pausedUntil = Math.max(lane.pausedUntil, now + (error.retryAfterMs ?? DEFAULT_RATE_LIMIT_PAUSE_MS));
+    if (now - lane.lastDecreaseAt >= CONCURRENCY_DECREASE_INTERVAL_MS && lane.concurrency > 1) {
+      lane.concurrency = Math.max(1, Math.floor(lane.concurrency / 2));
+      lane.lastDecreaseAt = now;
+    }
+    logger.warn({ model: lane.model, concurrency: lane.concurrency, pausedForMs: lane.pausedUntil - now },
+      'LLM call was rate limited; lowering concurrency and pausing the model.');
+  };
+
+  const onSuccess = (lane) => {
+    lane.successStreak += 1;
+    if (lane.concurrency < lane.maxConcurrency && lane.successStreak >= lane.concurrency) {
+      lane.concurrency += 1;
+      lane.successStreak = 0;
+      logger.info({ model: lane.model, concurrency: lane.concurrency }, 'LLM calls are succeeding; raising concurrency.');
+    }
+  };
+
+  const start = (lane, call) => {
+    lane.active += 1;
+    lane.startedAt.push(Date.now());
+    Promise.resolve()
+      .then(call.operation)
+      .then(
+        (value) => {
+          breaker.recordAlive();
+          onSuccess(lane);
+          call.resolve(value);
+        },
+        (error) => {
+          if (error.isRateLimited) {
+            breaker.recordAlive();
+            onRateLimited(lane, error);
+          } else if (error.isRetryable === false) {
+            // A rejected request (e.g., a bad model name) says nothing about the provider's health.
+            breaker.recordAlive();
+          } else {
+            breaker.recordFailure();
+          }
+          call.reject(error);
+        })
+      .finally(() => {
+        lane.active -= 1;
+        dispatch(lane);
+      });
+  };
+
+  function dispatch(lane) {
+    while (lane.queues.size > 0 && lane.active < lane.concurrency) {
+      const now = Date.now();
+      if (lane.pausedUntil > now) {
+        wakeAt(lane, lane.pausedUntil);
+        return;
+      }
+      while (lane.startedAt.length > 0 && lane.startedAt[0] <= now - MINUTE_MS) {
+        lane.startedAt.shift();
+      }
+      if (lane.requestsPerMinute > 0 && lane.startedAt.length >= lane.requestsPerMinute) {
+        wakeAt(lane, lane.startedAt[0] + MINUTE_MS);
+        return;
+      }
+      const call = takeNext(lane);
+      if (!breaker.tryAcquire()) {
+        call.reject(breaker.openError());
+        continue;
+      }
+      start(lane, call);
+    }
+  }
+
+  return {
+    run(model, queueKey, operation) {
+      const lane = laneFor(model);
+      return new Promise((resolve, reject) => {
+        const key = queueKey ?? SHARED_QUEUE_KEY;
+        const queue = lane.queues.get(key) ?? [];
+        queue.push({ operation, resolve, reject });
+        lane.queues.set(key, queue);
+        dispatch(lane);
+      });
+    },
+
+    getStatus() {
+      return {
+        circuit: breaker.getStatus(),
+        lanes: [...lanes.values()].map(lane => ({
+          model: lane.model,
+          concurrency: lane.concurrency,
+          maxConcurrency: lane.maxConcurrency,
+          requestsPerMinute: lane.requestsPerMinute,
+          active: lane.active,
+          queued: [...lane.queues.values()].reduce((sum, queue) => sum + queue.length, 0),
+        })),
+      };
+    },
+  };
+}
@@ -0,0 +1,145 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { createLlmScheduler, CircuitOpenError } from './llmScheduler.js';
+
+const MODEL = 'test-model';
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+const createScheduler = (options = {}) => createLlmScheduler({
+  maxConcurrency: 4,
+  requestsPerMinute: 0,
+  failureThreshold: 3,
+  cooldownMs: 10000,
+  logger: silentLogger,
+  ...options,
+});
+
+// A provider attempt the test settles by hand.
+const deferred = () => {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+};
+
+// Errors shaped like the ones lib/llmProviders/* throw.
+const rateLimitError = (retryAfterMs) => Object.assign(new Error('Too many requests'), { isRateLimited: true, retryAfterMs });
+const outageError = () => new Error('Service unavailable');
+
+const laneStatus = (scheduler) => scheduler.getStatus().lanes.find(lane => lane.model === MODEL);
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('createLlmScheduler fairness', () => {
+  it('starts waiting calls round-robin across jobs', async () => {
+    const scheduler = createScheduler({ maxConcurrency: 1 });
+    const started = [];
+    const blocker = deferred();
+    const blocked = scheduler.run(MODEL, null, () => blocker.promise);
+
+    const calls = [['job-a', 1], ['job-a', 2], ['job-a', 3], ['job-b', 1], ['job-b', 2]].map(([jobId, index]) =>
+      scheduler.run(MODEL, jobId, async () => { started.push(`${jobId}#${index}`); }));
+    expect(laneStatus(scheduler).queued).toBe(5);
+
+    blocker.resolve();
+    await Promise.all([blocked, ...calls]);
+    expect(started).toEqual(['job-a#1', 'job-b#1', 'job-a#2', 'job-b#2', 'job-a#3']);
+  });
+});
+
+describe('createLlmScheduler rate limits', () => {
+  it('halves concurrency on a rate limit and grows it back by one per round of successes', async () => {
+    const scheduler = createScheduler({ maxConcurrency: 4 });
+    await expect(scheduler.run(MODEL, 'job', () => Promise.reject(rateLimitError(1000)))).rejects.toThrow('Too many requests');
+    expect(laneStatus(scheduler).concurrency).toBe(2);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    const succeed = () => scheduler.run(MODEL, 'job', async () => 'ok');
+    await Promise.all([succeed(), succeed()]);
+    expect(laneStatus(scheduler).concurrency).toBe(3);
+    await Promise.all([succeed(), succeed(), succeed()]);
+    expect(laneStatus(scheduler).concurrency).toBe(4);
+    await Promise.all([succeed(), succeed(), succeed(), succeed(), succeed()]);
+    expect(laneStatus(scheduler).concurrency).toBe(4);
+  });
+
+  it('counts rate limits on calls already in flight as one signal', async () => {
+    const scheduler = createScheduler({ maxConcurrency: 8 });
+    const attempts = Array.from({ length: 3 }, () => deferred());
+    const calls = attempts.map(attempt => scheduler.run(MODEL, 'job', () => attempt.promise).catch(error => error));
+
+    attempts.forEach(attempt => attempt.reject(rateLimitError(100)));
+    await Promise.all(calls);
+    expect(laneStatus(scheduler).concurrency).toBe(4);
+  });
+
+  it('pauses the model for as long as the retry-after hint asks', async () => {
+    const scheduler = createScheduler();
+    await expect(scheduler.run(MODEL, 'job', () => Promise.reject(rateLimitError(3000)))).rejects.toThrow('Too many requests');
+
+    const operation = jest.fn(async () => 'ok');
+    const waiting = scheduler.run(MODEL, 'other-job', operation);
+    await jest.advanceTimersByTimeAsync(2999);
+    expect(operation).not.toHaveBeenCalled();
+    expect(laneStatus(scheduler).queued).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(waiting).resolves.toBe('ok');
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createLlmScheduler circuit breaker', () => {
+  const openBreaker = async (scheduler) => {
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      await expect(scheduler.run(MODEL, 'job', () => Promise.reject(outageError()))).rejects.toThrow('Service unavailable');
+    }
+  };
+
+  it('opens after consecutive failures, lets one trial call through after the cooldown and closes when it succeeds', async () => {
+    const scheduler = createScheduler();
+    await openBreaker(scheduler);
+    expect(scheduler.getStatus().circuit.state).toBe('open');
+
+    const operation = jest.fn(async () => 'ok');
+    await expect(scheduler.run(MODEL, 'job', operation)).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(operation).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(10000);
+    const trial = deferred();
+    const trialCall = scheduler.run(MODEL, 'job', () => trial.promise);
+    expect(scheduler.getStatus().circuit.state).toBe('half-open');
+    await expect(scheduler.run(MODEL, 'other-job', operation)).rejects.toBeInstanceOf(CircuitOpenError);
+
+    trial.resolve('recovered');
+    await expect(trialCall).resolves.toBe('recovered');
+    expect(scheduler.getStatus().circuit).toEqual({ state: 'closed', consecutiveFailures: 0, retryAt: null });
+    await expect(scheduler.run(MODEL, 'job', operation)).resolves.toBe('ok');
+  });
+
+  it('opens again for another cooldown when the trial call fails', async () => {
+    const scheduler = createScheduler();
+    await openBreaker(scheduler);
+    await jest.advanceTimersByTimeAsync(10000);
+
+    await expect(scheduler.run(MODEL, 'job', () => Promise.reject(outageError()))).rejects.toThrow('Service unavailable');
+    expect(scheduler.getStatus().circuit.state).toBe('open');
+    await expect(scheduler.run(MODEL, 'job', async () => 'ok')).rejects.toBeInstanceOf(CircuitOpenError);
+  });
+
+  it('does not count rate limits or rejected requests as provider failures', async () => {
+    const scheduler = createScheduler({ failureThreshold: 2 });
+    const rejectedRequest = Object.assign(new Error('Unknown model'), { isRetryable: false });
+
+    await expect(scheduler.run(MODEL, 'job', () => Promise.reject(outageError()))).rejects.toThrow();
+    await expect(scheduler.run(MODEL, 'job', () => Promise.reject(rejectedRequest))).rejects.toThrow('Unknown model');
+    await expect(scheduler.run(MODEL, 'job', () => Promise.reject(outageError()))).rejects.toThrow();
+    await expect(scheduler.run(MODEL, 'job', () => Promise.reject(rateLimitError(0)))).rejects.toThrow('Too many requests');
+    await expect(scheduler.run(MODEL, 'job', () => Promise.reject(outageError()))).rejects.toThrow();
+    expect(scheduler.getStatus().circuit.state).toBe('closed');
+  });
+});
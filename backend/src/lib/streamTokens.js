@@ -0,0 +1,63 @@
+// ===== PRODUCTION-READY JOB STREAM TOKENS =====
+// Short-lived credentials for following one job's event stream. EventSource cannot send headers,
+// so a browser has to put its credential in the URL, where proxies and access logs may keep it.
+// A stream token opens a single job's stream and expires, so unlike an API key it is safe there.
+//
+// A token is "<jobId>.<expiry in epoch seconds>.<HMAC-SHA256 signature>". Without
+// STREAM_TOKEN_SECRET a random secret is used, so tokens only work on the instance that issued them.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import config from '#config';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const secret = config.STREAM_TOKEN_SECRET ?? randomBytes(32).toString('hex');
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A token for one job's event stream, as returned to the client.
+ * @typedef {object} StreamToken
+ * @property {string} token - The token, sent as the `access_token` query parameter.
+ * @property {string} expiresAt - ISO timestamp after which the stream no longer accepts it.
+ */
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/** @private */
+function _sign(payload) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Issues a token for a job's event stream, valid for STREAM_TOKEN_TTL_SECONDS.
+ * @param {string} jobId - The ID of the job whose stream the token opens.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {StreamToken} The token and its expiry.
+ */
+export function issueStreamToken(jobId, now = Date.now()) {
+  const expiresAt = Math.floor(now / 1000) + config.STREAM_TOKEN_TTL_SECONDS;
+  const payload = `${jobId}.${expiresAt}`;
+  return { token: `${payload}.${_sign(payload)}`, expiresAt: new Date(expiresAt * 1000).toISOString() };
+}
+
+/**
+ * Checks a stream token's signature and expiry.
+ * @param {string} token - The token sent by the client.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {string|null} The ID of the job the token opens, or null if it is malformed, forged or expired.
+ */
+export function verifyStreamToken(token, now = Date.now()) {
+  const [jobId, expiresAt, signature] = String(token).split('.');
+  if (!jobId || !expiresAt || !signature) {
+    return null;
+  }
+  const expected = Buffer.from(_sign(`${jobId}.${expiresAt}`));
+  const received = Buffer.from(signature);
+  if (received.length !== expected.length || !timingSafeEqual(received, expected)) {
+    return null;
+  }
+  return Number(expiresAt) * 1000 > now ? jobId : null;
+}
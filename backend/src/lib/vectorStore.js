@@ -0,0 +1,107 @@
+// ===== PRODUCTION-READY VECTOR STORE (MANAGED SINGLETON) =====
+// A backend-agnostic store for the translation memory's vectors. The backend is selected
+// through `config.VECTOR_STORE`: Pinecone in production, or an in-process store that needs
+// no external service. Both implement the same small contract, defined below.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import config from '#config';
+import { ServiceUnavailableError } from '../utils/errors.js';
+import { createPineconeVectorStore } from './vectorStores/pinecone.js';
+import { createMemoryVectorStore } from './vectorStores/memory.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+const STORE_FACTORIES = {
+  pinecone: () => createPineconeVectorStore(),
+  memory: () => createMemoryVectorStore(),
+};
+
+// ===== TYPES & INTERFACES (JSDoc) =====
+
+/**
+ * A stored vector. Metadata values are strings, numbers or booleans.
+ * @typedef {object} VectorRecord
+ * @property {string} id - Stable identifier; upserting the same id replaces the record.
+ * @property {number[]} values - The embedding.
+ * @property {Record<string, string|number|boolean>} metadata - What the vector stands for.
+ */
+
+/**
+ * A query result.
+ * @typedef {object} VectorMatch
+ * @property {string} id - The record's identifier.
+ * @property {number} score - Cosine similarity to the query vector.
+ * @property {Record<string, string|number|boolean>} metadata - The record's metadata.
+ */
+
+/**
+ * The contract every vector store implements.
+ * @typedef {object} VectorStore
+ * @property {string} name - The dependency name reported by the health check.
+ * @property {function(object): Promise<void>} connect - Prepares the store; receives the logger.
+ * @property {function(object): Promise<void>} close - Releases any resources; receives the logger.
+ * @property {function(): Promise<{isHealthy: boolean, message: string}>} getStatus - Checks the store is usable.
+ * @property {function(VectorRecord[]): Promise<void>} upsert - Inserts or replaces records.
+ * @property {function({vector: number[], topK: number, filter?: Record<string, string|number|boolean>}): Promise<VectorMatch[]>} query -
+ *   Returns the closest records whose metadata equals every `filter` entry, best first.
+ */
+
+// ===== MODULE-LEVEL CLIENT STATE =====
+let store = null; // The active VectorStore
+
+// ===== CONNECTION & HEALTH CHECK LOGIC =====
+/**
+ * Creates and connects the configured vector store. Called once on application startup.
+ * @param {object} logger - The global Pino logger instance.
+ * @param {object} [options={}]
+ * @param {VectorStore} [options.store] - A ready-made store (e.g., an in-process one in tests) instead of the configured one.
+ */
+export async function connectToVectorStore(logger, options = {}) {
+  if (store) {
+    logger.info('Vector store already initialized. Skipping.');
+    return;
+  }
+  const candidate = options.store ?? STORE_FACTORIES[config.VECTOR_STORE]();
+  await candidate.connect(logger);
+  store = candidate;
+  logger.info({ vectorStore: candidate.name }, 'Vector store initialized successfully.');
+}
+
+/**
+ * Provides access to the active vector store.
+ * @returns {VectorStore} The store.
+ * @throws {ServiceUnavailableError} If the store has not been initialized yet.
+ */
+export function getVectorStore() {
+  if (!store) {
+    throw new ServiceUnavailableError('Vector store not initialized. Ensure connectToVectorStore() is called on startup.');
+  }
+  return store;
+}
+
+/**
+ * Closes the active store and forgets it.
+ * @param {object} logger - The Pino logger instance.
+ */
+export async function closeVectorStore(logger) {
+  if (!store) {
+    return;
+  }
+  await store.close(logger);
+  store = null;
+}
+
+/**
+ * Health check function for the active store.
+ * Fulfills the contract required by our deep health check in app.js.
+ * @returns {Promise<{name: string, isHealthy: boolean, message: string}>}
+ */
+export async function getVectorStoreStatus() {
+  if (!store) {
+    return { name: 'VectorStore', isHealthy: false, message: 'Store not initialized.' };
+  }
+  try {
+    return { name: store.name, ...(await store.getStatus()) };
+  } catch (error) {
+    return { name: store.name, isHealthy: false, message: error.message };
+  }
+}
@@ -0,0 +1,48 @@
+// ===== IN-PROCESS VECTOR STORE =====
+// A vector store kept in a Map, searched by brute-force cosine similarity. It needs no
+// external service, which suits development, tests and small single-instance deployments.
+// Records are lost when the process exits.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { cosineSimilarity } from '#core/textEmbedding.js';
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Creates an empty in-process vector store.
+ * @returns {import('../vectorStore.js').VectorStore & {size: function(): number}} The store.
+ */
+export function createMemoryVectorStore() {
+  const records = new Map();
+
+  return {
+    name: 'InMemoryVectorStore',
+
+    async connect(logger) {
+      logger.warn('Using the in-process vector store; translation memory is lost on restart.');
+    },
+
+    async close() {
+      records.clear();
+    },
+
+    async getStatus() {
+      return { isHealthy: true, message: `${records.size} record(s) stored.` };
+    },
+
+    size: () => records.size,
+
+    async upsert(newRecords) {
+      newRecords.forEach(record => records.set(record.id, record));
+    },
+
+    async query({ vector, topK, filter = {} }) {
+      const filterEntries = Object.entries(filter);
+      return [...records.values()]
+        .filter(record => filterEntries.every(([key, value]) => record.metadata[key] === value))
+        .map(record => ({ id: record.id, score: cosineSimilarity(vector, record.values), metadata: record.metadata }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+    },
+  };
+}
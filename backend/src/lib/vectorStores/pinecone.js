@@ -0,0 +1,53 @@
+// ===== PRODUCTION-READY PINECONE VECTOR STORE =====
+// Adapts the managed Pinecone index (lib/pineconeClient.js) to the VectorStore contract.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import {
+  connectToPinecone,
+  closePineconeConnection,
+  getPineconeIndex,
+  getPineconeStatus,
+} from '../pineconeClient.js';
+
+// ===== CONFIGURATION & CONSTANTS =====
+// Pinecone recommends upserting in batches of up to 100 records.
+const UPSERT_BATCH_SIZE = 100;
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Creates the Pinecone-backed vector store.
+ * @returns {import('../vectorStore.js').VectorStore} The store.
+ */
+export function createPineconeVectorStore() {
+  return {
+    name: 'Pinecone',
+
+    connect: (logger) => connectToPinecone(logger),
+
+    close: (logger) => closePineconeConnection(logger),
+
+    async getStatus() {
+      const { isHealthy, message } = await getPineconeStatus();
+      return { isHealthy, message };
+    },
+
+    async upsert(records) {
+      const index = getPineconeIndex();
+      for (let i = 0; i < records.length; i += UPSERT_BATCH_SIZE) {
+        await index.upsert(records.slice(i, i + UPSERT_BATCH_SIZE));
+      }
+    },
+
+    async query({ vector, topK, filter = {} }) {
+      const pineconeFilter = Object.fromEntries(Object.entries(filter).map(([key, value]) => [key, { $eq: value }]));
+      const { matches = [] } = await getPineconeIndex().query({
+        vector,
+        topK,
+        includeMetadata: true,
+        ...(Object.keys(pineconeFilter).length > 0 && { filter: pineconeFilter }),
+      });
+      return matches.map(({ id, score, metadata }) => ({ id, score, metadata: metadata ?? {} }));
+    },
+  };
+}
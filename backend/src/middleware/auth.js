@@ -0,0 +1,79 @@
+// ===== PRODUCTION-READY AUTHENTICATION HOOK =====
+// Resolves the API key sent with a request to a user and attaches it as `request.user`.
+// Registered for every /api route in app.js; health checks stay public.
+//
+// Keys are sent as "Authorization: Bearer <key>" or in the X-API-Key header. Browsers cannot
+// set headers on an EventSource, so routes that opt in with `config: { allowQueryToken: true }`
+// also accept a stream token (lib/streamTokens.js) as the `access_token` query parameter. It
+// never carries an API key: a URL ends up in logs, and a stream token only opens one job's stream.
+
+// ===== IMPORTS & DEPENDENCIES =====
+import { UnauthorizedError } from '#utils/errors.js';
+import { verifyStreamToken } from '#lib/streamTokens.js';
+
+// ===== PRIVATE HELPER FUNCTIONS =====
+
+/**
+ * Reads the API key from a request, or returns null if none was sent.
+ * @private
+ */
+function _readApiKey(request) {
+  const [scheme, credentials] = (request.headers.authorization ?? '').split(' ');
+  if (scheme?.toLowerCase() === 'bearer' && credentials) {
+    return credentials.trim();
+  }
+  if (request.headers['x-api-key']) {
+    return String(request.headers['x-api-key']).trim();
+  }
+  return null;
+}
+
+/**
+ * Removes the `access_token` query parameter from a URL, keeping the rest of it.
+ * @private
+ */
+function _redactAccessToken(url) {
+  return url.replace(/([?&])access_token=[^&#]*/g, '$1access_token=[REDACTED]');
+}
+
+// ===== PUBLIC API FUNCTIONS =====
+
+/**
+ * Creates the `onRequest` hook that authenticates API requests. A request authenticated by a
+ * stream token gets `request.streamJobId` instead of `request.user`.
+ * @param {object} dependencies
+ * @param {import('#features/users/service.js').UserService} dependencies.userService
+ * @returns {function(import('fastify').FastifyRequest): Promise<void>} The hook.
+ */
+export function createAuthHook({ userService }) {
+  return async function authenticate(request) {
+    if (request.routeOptions.config?.allowQueryToken && request.query?.access_token) {
+      const jobId = verifyStreamToken(request.query.access_token);
+      if (!jobId || jobId !== request.params?.jobId) {
+        throw new UnauthorizedError('The stream token is invalid or has expired; request a new one.');
+      }
+      request.streamJobId = jobId;
+      return;
+    }
+    const apiKey = _readApiKey(request);
+    if (!apiKey) {
+      throw new UnauthorizedError('An API key is required. Send it as "Authorization: Bearer <key>".');
+    }
+    request.user = await userService.authenticate(apiKey, request.log);
+  };
+}
+
+/**
+ * Pino serializer for requests that leaves the `access_token` query parameter out of the logs.
+ * @param {import('fastify').FastifyRequest} request - The request being logged.
+ * @returns {object} The logged request fields.
+ */
+export function serializeRequest(request) {
+  return {
+    method: request.method,
+    url: _redactAccessToken(request.url),
+    hostname: request.hostname,
+    remoteAddress: request.ip,
+    remotePort: request.socket?.remotePort,
+  };
+}
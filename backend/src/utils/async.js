@@ -17,3 +17,45 @@ export function runInBackground(promiseFn, logger, taskName) {
       logger.error({ err }, `Background task failed: ${taskName}`);
     });
 }
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight.
+ * Items are started in order, so an item may safely wait on the ones before it.
+ * Rejects with the first error, after which no new items are started.
+ * @template T, R
+ * @param {T[]} items - The items to process.
+ * @param {number} limit - The maximum number of concurrent calls.
+ * @param {function(T, number): Promise<R>} mapper - Called with each item and its index.
+ * @returns {Promise<R[]>} The results, in item order.
+ */
+export async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await mapper(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Creates a promise together with the function that resolves it, for hand-offs between tasks.
+ * @template T
+ * @returns {{promise: Promise<T>, resolve: function(T): void}}
+ */
+export function createDeferred() {
+  let resolve;
+  const promise = new Promise((res) => { resolve = res; });
+  return { promise, resolve };
+}
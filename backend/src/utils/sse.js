@@ -0,0 +1,63 @@
+// ===== PRODUCTION-READY SERVER-SENT EVENTS UTILITY =====
+
+/**
+ * Serializes a message in the Server-Sent Events wire format.
+ * @param {object} message - The message to serialize.
+ * @param {string} message.event - The event name the client listens for.
+ * @param {any} message.data - The payload; serialized as JSON.
+ * @param {number|string} [message.id] - Optional event id, echoed back by the client as Last-Event-ID.
+ * @returns {string} The SSE frame, terminated by a blank line.
+ */
+export function formatServerSentEvent({ event, data, id }) {
+  const lines = [];
+  if (id !== undefined) {
+    lines.push(`id: ${id}`);
+  }
+  lines.push(`event: ${event}`);
+  lines.push(`data: ${JSON.stringify(data)}`);
+  return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Takes over a Fastify reply and opens a Server-Sent Events stream on it.
+ * Headers already set on the reply (e.g., by the CORS plugin) are preserved.
+ * @param {import('fastify').FastifyReply} reply - The reply to hijack.
+ * @param {object} [options]
+ * @param {number} [options.heartbeatMs=15000] - Interval for keep-alive comments that stop proxies closing idle streams.
+ * @returns {{send: function(object): void, close: function(): void, onClose: function(function(): void): void}}
+ */
+export function openEventStream(reply, { heartbeatMs = 15000 } = {}) {
+  reply.hijack();
+  const raw = reply.raw;
+  raw.writeHead(200, {
+    ...reply.getHeaders(),
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable response buffering in nginx-style proxies.
+  });
+
+  const closeHandlers = [];
+  let closed = false;
+  const heartbeat = setInterval(() => raw.write(': keep-alive\n\n'), heartbeatMs);
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    closeHandlers.forEach(handler => handler());
+  };
+  raw.on('close', cleanup);
+
+  return {
+    send: (message) => {
+      if (!closed) raw.write(formatServerSentEvent(message));
+    },
+    close: () => {
+      cleanup();
+      raw.end();
+    },
+    // Handlers registered after the stream has already closed run immediately.
+    onClose: (handler) => (closed ? handler() : closeHandlers.push(handler)),
+  };
+}
@@ -3,40 +3,666 @@ import { useState, useEffect } from 'react';
 // ===== TYPES & INTERFACES (Defines the shape of our data) =====
 type AppState = 'idle' | 'analyzing' | 'reviewing' | 'translating' | 'completed' | 'failed';
 type TranslationTone = 'Professional' | 'Literary' | 'Casual' | 'Technical' | 'Cinematic';
+type LanguageCode = 'en' | 'fa' | 'ar' | 'tr' | 'es';
+type SubtitleFormat = 'srt' | 'vtt' | 'ass';
+
+const API_KEY_STORAGE_KEY = 'pst.apiKey';
+
+// Extensions the backend can parse (core/subtitleFormats.js).
+const SUPPORTED_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa'];
+const OUTPUT_FORMATS: { value: SubtitleFormat | 'same'; label: string }[] = [
+  { value: 'same', label: 'Same as input' },
+  { value: 'srt', label: 'SubRip (.srt)' },
+  { value: 'vtt', label: 'WebVTT (.vtt)' },
+  { value: 'ass', label: 'Advanced SubStation (.ass)' },
+];
+
+// The built-in pipeline profiles (core/pipelineProfiles.js); 'default' leaves the choice to the server.
+const PIPELINE_PROFILES: { value: string; label: string }[] = [
+  { value: 'default', label: 'Server default' },
+  { value: 'draft', label: 'Draft (single fast pass)' },
+  { value: 'standard', label: 'Standard (edit, QA and pacing)' },
+  { value: 'premium', label: 'Premium (strongest model, quality flags)' },
+];
+
+// Mirrors the backend language profiles (core/languages.js).
+const LANGUAGES: { code: LanguageCode; name: string; direction: 'ltr' | 'rtl' }[] = [
+  { code: 'en', name: 'English', direction: 'ltr' },
+  { code: 'fa', name: 'Persian', direction: 'rtl' },
+  { code: 'ar', name: 'Arabic', direction: 'rtl' },
+  { code: 'tr', name: 'Turkish', direction: 'ltr' },
+  { code: 'es', name: 'Spanish', direction: 'ltr' },
+];
+
+// Entries marked `locked` come from the project termbase and cannot be changed per job.
+// `candidates` are the grounding agent's alternatives, offered during review only.
+interface GlossaryEntry {
+  term: string;
+  proposedTranslation: string;
+  justification: string;
+  locked?: boolean;
+  doNotTranslate?: boolean;
+  forbiddenVariants?: string[];
+  candidates?: string[];
+}
+
+interface CharacterProfile {
+  personaName: string;
+  speakingStyle: string;
+}
+
+interface CulturalAdaptation {
+  original: string;
+  adaptation: string;
+  justification: string;
+}
 
 interface Blueprint {
   summary: string;
   keyPoints: string[];
-  characterProfiles: { personaName: string; speakingStyle: string }[];
-  culturalAdaptations: { original: string; adaptation: string; justification: string }[];
-  glossary: { term: string; proposedTranslation: string; justification: string }[];
+  characterProfiles: CharacterProfile[];
+  culturalAdaptations: CulturalAdaptation[];
+  glossary: GlossaryEntry[];
+}
+
+interface MarkupReport {
+  issues: { sequence: number; issues: { type: string; message: string }[] }[];
+  fallbacks: { sequence: number; reason: string }[];
+}
+
+interface ReadabilityReport {
+  sequence: number;
+  violations: { rule: string; value: number; limit: number; message: string }[];
+}
+
+interface TimingChange {
+  action: 'split' | 'enforce_gap' | 'extend_end' | 'advance_start' | 'shift_neighbour' | 'merge';
+  sequences: number[];
+  before: { startTime: string; endTime: string }[];
+  after: { startTime: string; endTime: string }[];
+  reason: string;
+}
+
+interface LineFallback {
+  sequence: number;
+  stage: string;
+  reason: 'missing' | 'duplicated' | 'empty' | 'malformed_response';
+}
+
+// Per-line scores from the optional quality estimation stage; a signal that was not gathered is null.
+interface LineQuality {
+  backTranslation: string | null;
+  similarity: number | null;
+  adequacy: number | null;
+  fluency: number | null;
+  reason: string | null;
+  flags: { rule: 'low_similarity' | 'low_adequacy' | 'low_fluency'; value: number; limit: number; message: string }[];
+  isFlagged: boolean;
+  isScored: boolean;
+  isStale: boolean;
+}
+
+interface QualityReport {
+  status: 'complete' | 'skipped';
+  reason: string | null;
+  summary: {
+    evaluatedLines: number;
+    scoredLines: number;
+    flaggedLines: number;
+    averages: { similarity: number | null; adequacy: number | null; fluency: number | null };
+  };
+}
+
+interface ReviewLine {
+  sequence: number;
+  startTime: string;
+  endTime: string;
+  source: string;
+  translation: string;
+  revision: 'edited' | 'retranslated' | null;
+  quality?: LineQuality | null;
 }
 
 interface TranslationResult {
   finalSrt: string;
-  syncSuggestions: { sequence: number; suggestion: string }[];
+  outputFormat?: SubtitleFormat;
+  syncSuggestions: ReadabilityReport[];
+  markupReport?: MarkupReport;
+  timingChanges?: TimingChange[];
+  lineFallbacks?: LineFallback[];
+  qualityReport?: QualityReport | null;
+  lines?: ReviewLine[];
+}
+
+type JobStatusName = 'processing_blueprint' | 'pending_approval' | 'queued' | 'translating' | 'complete' | 'failed';
+
+interface JobSettings {
+  tone: string;
+  sourceLanguage: LanguageCode;
+  targetLanguage: LanguageCode;
+  outputFormat?: SubtitleFormat;
+  timing?: { enabled: boolean };
+  maxCostUsd?: number;
+  profile?: string;
 }
 
+interface JobStatus {
+  jobId: string;
+  fileName: string | null;
+  settings: JobSettings;
+  status: JobStatusName;
+  progress: BatchProgress;
+  blueprint?: Blueprint;
+  error: { name: string; message: string } | null;
+  finalSrt?: string;
+  outputFormat?: SubtitleFormat;
+  syncSuggestions?: TranslationResult['syncSuggestions'];
+  markupReport?: MarkupReport;
+  timingChanges?: TimingChange[];
+  lineFallbacks?: LineFallback[];
+  qualityReport?: QualityReport | null;
+  lines?: ReviewLine[];
+  batches?: BatchCheckpoint[];
+  revision?: LineRevision | null;
+}
+
+// Opens one job's event stream for a limited time; returned when work is queued.
+interface StreamToken {
+  token: string;
+  expiresAt: string;
+}
+
+// The answer to /execute, /resume and line re-translations, which run in the background.
+interface QueuedJob {
+  jobId: string;
+  status: JobStatusName;
+  streamToken: StreamToken;
+}
+
+// The latest background re-translation of a completed job's lines.
+interface LineRevision {
+  status: 'running' | 'complete' | 'failed';
+  fromSequence: number;
+  toSequence: number;
+  error?: { name: string; message: string };
+}
+
+// Each batch's progress as checkpointed by the server; a failed execution resumes from it.
+interface BatchCheckpoint {
+  batchIndex: number;
+  status: 'pending' | 'running' | 'complete' | 'failed';
+  firstSequence: number;
+  lastSequence: number;
+  stagesDone: string[];
+  error: { name: string; message: string } | null;
+}
+
+interface JobSummary {
+  jobId: string;
+  fileName: string | null;
+  status: JobStatusName;
+  sourceLanguage: LanguageCode | null;
+  targetLanguage: LanguageCode | null;
+  costUsd?: number;
+  createdAt: string;
+}
+
+interface JobList {
+  jobs: JobSummary[];
+  page: number;
+  pageSize: number;
+  total: number;
+}
+
+interface Usage {
+  calls: number;
+  promptTokens: number;
+  responseTokens: number;
+  costUsd: number;
+}
+
+// The backend's pre-flight prediction (POST /estimate); token counts are approximate.
+interface CostEstimate {
+  lineCount: number;
+  batchCount: number;
+  blueprint: Usage;
+  execution: Usage;
+  total: Usage;
+  unpricedModels: string[];
+}
+
+const formatUsd = (value: number) => `$${value < 0.01 ? value.toFixed(4) : value.toFixed(2)}`;
+
+interface BatchProgress {
+  batchesDone: number;
+  totalBatches: number | null;
+}
+
+interface StageEvent {
+  stage: string;
+  status: 'started' | 'finished';
+  batchIndex?: number;
+  durationMs?: number;
+  repair?: boolean;
+}
+
+interface LiveLine {
+  sequence: number;
+  text: string;
+}
+
+const MAX_LIVE_LINES = 200;
+const STAGE_LABELS: Record<string, string> = {
+  'execution.summarize': 'Summarizing previous scene',
+  'execution.recallSegments': 'Searching translation memory',
+  'execution.transcreate': 'Transcreating',
+  'execution.edit': 'Editing',
+  'execution.qa': 'Quality assurance',
+  'execution.sync': 'Phantom Sync',
+  'execution.timing': 'Re-timing cues',
+};
+
+// Splits a subtitle file into blank-line separated blocks; blocks with a timing line are cues, numbered in order.
+const splitIntoCueBlocks = (content: string) => {
+  let cueCount = 0;
+  return content.split(/\n{2,}/).map(text => ({ text, sequence: text.includes('-->') ? ++cueCount : null }));
+};
+
 // ===== ICON COMPONENTS (For a clean UI without extra dependencies) =====
 const UploadIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5"><path d="M9.25 13.25a.75.75 0 0 0 1.5 0V4.636l2.955 3.129a.75.75 0 0 0 1.09-1.03l-4.25-4.5a.75.75 0 0 0-1.09 0l-4.25 4.5a.75.75 0 1 0 1.09 1.03L9.25 4.636v8.614Z" /><path d="M3.5 12.75a.75.75 0 0 0-1.5 0v2.5A2.75 2.75 0 0 0 4.75 18h10.5A2.75 2.75 0 0 0 18 15.25v-2.5a.75.75 0 0 0-1.5 0v2.5c0 .69-.56 1.25-1.25 1.25H4.75c-.69 0-1.25-.56-1.25-1.25v-2.5Z" /></svg>;
 const TranslateIcon = () => <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className="w-5 h-5"><path fillRule="evenodd" d="M12.22 4.53a.75.75 0 0 1 1.06 0l4.25 4.25a.75.75 0 0 1 0 1.06l-4.25 4.25a.75.75 0 0 1-1.06-1.06L15.44 10 12.22 6.81a.75.75 0 0 1 0-1.06ZM8.84 4.53a.75.75 0 0 1 1.06 0l4.25 4.25a.75.75 0 0 1 0 1.06l-4.25 4.25a.75.75 0 0 1-1.06-1.06L12.06 10 8.84 6.81a.75.75 0 0 1 0-1.06ZM3.78 5.59a.75.75 0 0 0-1.06 1.06L5.94 10l-3.22 3.35a.75.75 0 1 0 1.06 1.06L7 11.06 3.78 7.81a.75.75 0 0 0 0-1.06Z" clipRule="evenodd" /></svg>;
 const Spinner = () => <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>;
 
+// ===== BLUEPRINT EDITOR =====
+// Reviewers edit a draft of the blueprint. Entries the AI proposed are rejected rather than
+// deleted, so they can be restored; entries the reviewer added are simply removed.
+type BlueprintSection = 'glossary' | 'characterProfiles' | 'culturalAdaptations';
+
+interface DraftEntry {
+  key: number;
+  origin: 'ai' | 'reviewer';
+  rejected: boolean;
+  value: Record<string, any>;
+}
+
+interface BlueprintDraft {
+  summary: string;
+  keyPoints: string; // One key point per line.
+  sections: Record<BlueprintSection, DraftEntry[]>;
+}
+
+// The first field identifies an entry; entries left without it are dropped on confirm.
+const BLUEPRINT_SECTIONS: { name: BlueprintSection; title: string; fields: { field: string; label: string; multiline?: boolean; isTarget?: boolean }[] }[] = [
+  { name: 'glossary', title: 'Glossary', fields: [
+    { field: 'term', label: 'Term' },
+    { field: 'proposedTranslation', label: 'Translation', isTarget: true },
+    { field: 'justification', label: 'Justification', multiline: true },
+  ] },
+  { name: 'characterProfiles', title: 'Character Profiles', fields: [
+    { field: 'personaName', label: 'Persona' },
+    { field: 'speakingStyle', label: 'Speaking style', multiline: true },
+  ] },
+  { name: 'culturalAdaptations', title: 'Cultural Adaptations', fields: [
+    { field: 'original', label: 'Original' },
+    { field: 'adaptation', label: 'Adaptation', isTarget: true },
+    { field: 'justification', label: 'Justification', multiline: true },
+  ] },
+];
+
+let nextDraftKey = 0;
+
+const toBlueprintDraft = (blueprint: Blueprint): BlueprintDraft => ({
+  summary: blueprint.summary ?? '',
+  keyPoints: (blueprint.keyPoints ?? []).join('\n'),
+  sections: Object.fromEntries(BLUEPRINT_SECTIONS.map(({ name }) => [
+    name,
+    ((blueprint[name] ?? []) as Record<string, any>[]).map(value => ({ key: nextDraftKey++, origin: 'ai', rejected: false, value: { ...value } })),
+  ])) as Record<BlueprintSection, DraftEntry[]>,
+});
+
+// Builds the blueprint sent to /execute. Candidates are only for review, so they are not sent.
+const fromBlueprintDraft = (draft: BlueprintDraft): Blueprint => {
+  const keptValues = ({ name, fields }: typeof BLUEPRINT_SECTIONS[number]) => draft.sections[name]
+    .filter(entry => !entry.rejected && String(entry.value[fields[0].field] ?? '').trim())
+    .map(({ value }) => Object.fromEntries(Object.entries(value).filter(([field]) => field !== 'candidates')));
+  const [glossary, characterProfiles, culturalAdaptations] = BLUEPRINT_SECTIONS.map(keptValues);
+  return {
+    summary: draft.summary.trim(),
+    keyPoints: draft.keyPoints.split('\n').map(point => point.trim()).filter(Boolean),
+    glossary: glossary as GlossaryEntry[],
+    characterProfiles: characterProfiles as CharacterProfile[],
+    culturalAdaptations: culturalAdaptations as CulturalAdaptation[],
+  };
+};
+
+const editorInputClass = 'w-full rounded-md py-1.5 px-2 text-sm bg-slate-950/60 text-slate-200 ring-1 ring-slate-700 outline-none focus-visible:ring-2 focus-visible:ring-cyan-400 disabled:opacity-60';
+
+const BlueprintEditor = ({ draft, onChange, targetDirection }: { draft: BlueprintDraft; onChange: (draft: BlueprintDraft) => void; targetDirection: 'ltr' | 'rtl' }) => {
+  const setSection = (name: BlueprintSection, entries: DraftEntry[]) => onChange({ ...draft, sections: { ...draft.sections, [name]: entries } });
+  const updateEntry = (name: BlueprintSection, key: number, change: Partial<DraftEntry>) =>
+    setSection(name, draft.sections[name].map(entry => entry.key === key ? { ...entry, ...change } : entry));
+  const addEntry = (name: BlueprintSection, fields: { field: string }[]) =>
+    setSection(name, [...draft.sections[name], { key: nextDraftKey++, origin: 'reviewer', rejected: false, value: Object.fromEntries(fields.map(({ field }) => [field, ''])) }]);
+
+  return (
+    <div className="space-y-8 text-sm text-slate-300">
+      <section>
+        <h3 className="text-base font-semibold text-slate-100 mb-2">Summary</h3>
+        <textarea rows={4} value={draft.summary} onChange={e => onChange({ ...draft, summary: e.target.value })} className={editorInputClass} />
+      </section>
+      <section>
+        <h3 className="text-base font-semibold text-slate-100 mb-2">Key Points <span className="text-xs font-normal text-slate-500">(one per line)</span></h3>
+        <textarea rows={4} value={draft.keyPoints} onChange={e => onChange({ ...draft, keyPoints: e.target.value })} className={editorInputClass} />
+      </section>
+      {BLUEPRINT_SECTIONS.map(({ name, title, fields }) => (
+        <section key={name}>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-base font-semibold text-slate-100">{title}</h3>
+            <button type="button" onClick={() => addEntry(name, fields)} className="px-3 py-1 rounded-md text-xs font-semibold text-cyan-300 bg-slate-800/60 hover:bg-slate-700/80">+ Add</button>
+          </div>
+          {draft.sections[name].length === 0 && <p className="text-slate-500">Nothing proposed.</p>}
+          <div className="space-y-3">
+            {draft.sections[name].map(entry => {
+              const isLocked = entry.value.locked === true;
+              const candidates: string[] = entry.value.candidates ?? [];
+              return (
+                <div key={entry.key} className={`rounded-lg p-3 ring-1 ${entry.rejected ? 'ring-red-900/60 opacity-50' : 'ring-slate-700/60 bg-slate-800/40'}`}>
+                  <div className="grid gap-2 sm:grid-cols-2">
+                    {fields.map(({ field, label, multiline, isTarget }) => {
+                      const value = String(entry.value[field] ?? '');
+                      const setValue = (newValue: string) => updateEntry(name, entry.key, { value: { ...entry.value, [field]: newValue } });
+                      const inputProps = { value, disabled: isLocked || entry.rejected, dir: isTarget ? targetDirection : undefined, className: editorInputClass };
+                      return (
+                        <label key={field} className={multiline ? 'sm:col-span-2' : ''}>
+                          <span className="block text-xs text-slate-500 mb-1">{label}</span>
+                          {multiline
+                            ? <textarea rows={2} {...inputProps} onChange={e => setValue(e.target.value)} />
+                            : <input type="text" {...inputProps} onChange={e => setValue(e.target.value)} />}
+                          {isTarget && !isLocked && !entry.rejected && candidates.length > 1 && (
+                            <span className="flex flex-wrap gap-1 mt-1">
+                              {candidates.map(candidate => (
+                                <button key={candidate} type="button" dir={targetDirection} onClick={() => setValue(candidate)}
+                                  className={`px-2 py-0.5 rounded text-xs ${candidate === value ? 'bg-cyan-500/30 text-cyan-200' : 'bg-slate-700/60 text-slate-300 hover:bg-slate-600/60'}`}>
+                                  {candidate}
+                                </button>
+                              ))}
+                            </span>
+                          )}
+                        </label>
+                      );
+                    })}
+                  </div>
+                  <div className="flex items-center justify-end gap-3 mt-2 text-xs">
+                    {isLocked && <span className="mr-auto text-amber-400">Locked by project</span>}
+                    {entry.origin === 'reviewer' && <span className="mr-auto text-cyan-400">Added by reviewer</span>}
+                    {entry.rejected && <span className="mr-auto text-red-400">Rejected</span>}
+                    {!isLocked && entry.origin === 'ai' && (
+                      <button type="button" onClick={() => updateEntry(name, entry.key, { rejected: !entry.rejected })} className="font-semibold text-slate-400 hover:text-slate-200">
+                        {entry.rejected ? 'Restore' : 'Reject'}
+                      </button>
+                    )}
+                    {entry.origin === 'reviewer' && (
+                      <button type="button" onClick={() => setSection(name, draft.sections[name].filter(other => other.key !== entry.key))} className="font-semibold text-slate-400 hover:text-slate-200">Remove</button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+// ===== LINE REVIEW =====
+// Side-by-side review of a finished job: each translation can be edited in place, and a
+// selected range can be sent through the agents again with instructions.
+const MAX_RETRANSLATE_LINES = 25;
+
+interface LineReviewTableProps {
+  lines: ReviewLine[];
+  syncSuggestions: ReadabilityReport[];
+  qualityReport: QualityReport | null;
+  targetDirection: 'ltr' | 'rtl';
+  isBusy: boolean;
+  onSave: (sequence: number, text: string) => Promise<boolean>;
+  onRetranslate: (fromSequence: number, toSequence: number, instructions: string) => Promise<boolean>;
+}
+
+const LineReviewTable = ({ lines, syncSuggestions, qualityReport, targetDirection, isBusy, onSave, onRetranslate }: LineReviewTableProps) => {
+  const [edits, setEdits] = useState<Record<number, string>>({});
+  const [selection, setSelection] = useState<{ from: number; to: number } | null>(null);
+  const [instructions, setInstructions] = useState('');
+  const [isFlaggedOnly, setIsFlaggedOnly] = useState(false);
+
+  // Selections are kept as indexes into all lines, so a range still covers the lines the filter hides.
+  const flaggedCount = lines.filter(line => line.quality?.isFlagged).length;
+  const visibleLines = lines
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => !isFlaggedOnly || line.quality?.isFlagged);
+  const toggleFlaggedOnly = (checked: boolean) => {
+    setIsFlaggedOnly(checked);
+    setSelection(null);
+  };
+
+  // Clicking a line starts a selection; shift-clicking extends it to a range.
+  const selectLine = (index: number, extend: boolean) => setSelection(current =>
+    extend && current ? { from: Math.min(current.from, index), to: Math.max(current.to, index) } : { from: index, to: index });
+  const isSelected = (index: number) => selection !== null && index >= selection.from && index <= selection.to;
+  const selectedCount = selection ? selection.to - selection.from + 1 : 0;
+
+  const saveLine = async (line: ReviewLine) => {
+    const text = edits[line.sequence];
+    if (text === undefined || text === line.translation || !text.trim()) return;
+    if (await onSave(line.sequence, text)) {
+      setEdits(({ [line.sequence]: _, ...rest }) => rest);
+    }
+  };
+  const retranslate = async () => {
+    if (!selection) return;
+    if (await onRetranslate(lines[selection.from].sequence, lines[selection.to].sequence, instructions)) {
+      setSelection(null);
+      setInstructions('');
+    }
+  };
+
+  return (
+    <div className="text-sm text-slate-300">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <input type="text" value={instructions} onChange={e => setInstructions(e.target.value)} disabled={isBusy || !selection}
+          placeholder={selection ? 'Instructions for the re-translation (optional)' : 'Select lines to re-translate (shift-click for a range)'}
+          className={`${editorInputClass} flex-grow sm:w-auto`} />
+        <button type="button" onClick={retranslate} disabled={isBusy || !selection || selectedCount > MAX_RETRANSLATE_LINES}
+          className="px-4 py-1.5 rounded-md text-sm font-semibold text-white bg-cyan-600 hover:bg-cyan-500 disabled:bg-slate-700 disabled:cursor-not-allowed">
+          {isBusy ? 'Working...' : `Re-translate ${selectedCount || ''} line${selectedCount === 1 ? '' : 's'}`}
+        </button>
+      </div>
+      {selectedCount > MAX_RETRANSLATE_LINES && (
+        <p className="text-xs text-red-400 mb-2">At most {MAX_RETRANSLATE_LINES} lines can be re-translated at once.</p>
+      )}
+      {qualityReport && (
+        <div className="flex flex-wrap items-center gap-3 mb-3 text-xs text-slate-400">
+          {qualityReport.status === 'skipped' ? (
+            <span className="text-amber-300">Quality estimation skipped: {qualityReport.reason}</span>
+          ) : (
+            <>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input type="checkbox" checked={isFlaggedOnly} onChange={e => toggleFlaggedOnly(e.target.checked)} disabled={flaggedCount === 0 && !isFlaggedOnly}
+                  className="rounded accent-cyan-500 disabled:opacity-50" />
+                Flagged lines only ({flaggedCount})
+              </label>
+              <span>
+                {qualityReport.summary.scoredLines} of {qualityReport.summary.evaluatedLines} lines scored
+                {qualityReport.summary.averages.adequacy !== null && ` · adequacy ${qualityReport.summary.averages.adequacy}/5`}
+                {qualityReport.summary.averages.fluency !== null && ` · fluency ${qualityReport.summary.averages.fluency}/5`}
+                {qualityReport.summary.averages.similarity !== null && ` · back-translation similarity ${qualityReport.summary.averages.similarity}`}
+              </span>
+            </>
+          )}
+        </div>
+      )}
+      <div className="max-h-[560px] overflow-y-auto rounded-lg ring-1 ring-slate-700/60">
+        <table className="w-full border-collapse">
+          <thead className="sticky top-0 bg-slate-900 text-xs text-slate-500 text-left">
+            <tr>
+              <th className="p-2 w-12">#</th>
+              <th className="p-2 w-32">Time</th>
+              <th className="p-2">Source</th>
+              <th className="p-2">Translation</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleLines.map(({ line, index }) => {
+              const violations = syncSuggestions.find(report => report.sequence === line.sequence)?.violations;
+              const quality = line.quality;
+              const value = edits[line.sequence] ?? line.translation;
+              const isDirty = value !== line.translation;
+              return (
+                <tr key={line.sequence} className={`align-top border-t border-slate-800 ${isSelected(index) ? 'bg-cyan-900/20' : ''}`}>
+                  <td className="p-2">
+                    <button type="button" onClick={e => selectLine(index, e.shiftKey)} disabled={isBusy}
+                      className={`font-mono text-xs ${isSelected(index) ? 'text-cyan-300 font-semibold' : 'text-slate-500 hover:text-slate-300'}`}>
+                      {line.sequence}
+                    </button>
+                  </td>
+                  <td className="p-2 font-mono text-xs text-slate-500 whitespace-nowrap">{line.startTime}<br />{line.endTime}</td>
+                  <td className="p-2 whitespace-pre-wrap">{line.source}</td>
+                  <td className="p-2">
+                    <textarea rows={Math.max(value.split('\n').length, 2)} value={value} dir={targetDirection} disabled={isBusy}
+                      onChange={e => setEdits(current => ({ ...current, [line.sequence]: e.target.value }))}
+                      className={`${editorInputClass} font-persian ${quality?.isFlagged ? 'ring-red-600/80' : violations ? 'ring-amber-600/80' : ''}`} />
+                    <div className="flex items-center gap-3 mt-1 text-xs">
+                      {line.revision && <span className="text-cyan-400">{line.revision === 'edited' ? 'Edited' : 'Re-translated'}</span>}
+                      {violations && <span className="text-amber-300">{violations.map(violation => violation.message).join(' ')}</span>}
+                      {quality?.isFlagged && (
+                        <span className="text-red-300" title={quality.backTranslation ? `Back-translation: ${quality.backTranslation}` : undefined}>
+                          {quality.flags.map(flag => flag.message).join(' ')}{quality.reason && ` ${quality.reason}`}
+                        </span>
+                      )}
+                      {isDirty && (
+                        <span className="ml-auto flex gap-3">
+                          <button type="button" onClick={() => setEdits(({ [line.sequence]: _, ...rest }) => rest)} disabled={isBusy} className="font-semibold text-slate-400 hover:text-slate-200">Discard</button>
+                          <button type="button" onClick={() => saveLine(line)} disabled={isBusy || !value.trim()} className="font-semibold text-cyan-300 hover:text-cyan-200 disabled:opacity-50">Save</button>
+                        </span>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// ===== JOB HISTORY =====
+// Past jobs, newest first. A job can be reopened where it was left: in blueprint review,
+// following a running translation, or on its finished result.
+const HISTORY_PAGE_SIZE = 10;
+const STATUS_LABELS: Record<JobStatusName, string> = {
+  processing_blueprint: 'Analyzing',
+  pending_approval: 'Awaiting review',
+  queued: 'Queued',
+  translating: 'Translating',
+  complete: 'Complete',
+  failed: 'Failed',
+};
+const RUNNING_JOB_STATUSES: JobStatusName[] = ['processing_blueprint', 'queued', 'translating'];
+
+interface JobHistoryProps {
+  history: JobList | null;
+  activeJobId: string | null;
+  isDisabled: boolean;
+  onDownload: (jobId: string) => void;
+  onPage: (page: number) => void;
+  onOpen: (jobId: string) => void;
+  onDelete: (jobId: string) => void;
+}
+
+const JobHistory = ({ history, activeJobId, isDisabled, onDownload, onPage, onOpen, onDelete }: JobHistoryProps) => {
+  if (!history) return <p className="text-sm text-slate-500">Loading...</p>;
+  if (history.total === 0) return <p className="text-sm text-slate-500">No jobs yet.</p>;
+  const pageCount = Math.ceil(history.total / history.pageSize);
+
+  return (
+    <div className="text-sm text-slate-300">
+      <ul className="divide-y divide-slate-800">
+        {history.jobs.map(job => (
+          <li key={job.jobId} className={`flex flex-wrap items-center gap-3 py-2 ${job.jobId === activeJobId ? 'text-cyan-200' : ''}`}>
+            <span className="flex-grow min-w-0 truncate" title={job.fileName ?? job.jobId}>{job.fileName ?? `Job ${job.jobId.slice(-6)}`}</span>
+            <span className="text-xs text-slate-500">{job.sourceLanguage} → {job.targetLanguage}</span>
+            <span className="text-xs text-slate-500">{new Date(job.createdAt).toLocaleString()}</span>
+            {job.costUsd ? <span className="text-xs text-slate-500" title="Cost of the job's agent calls">{formatUsd(job.costUsd)}</span> : null}
+            <span className={`text-xs font-semibold ${job.status === 'failed' ? 'text-red-400' : job.status === 'complete' ? 'text-emerald-400' : 'text-amber-300'}`}>{STATUS_LABELS[job.status]}</span>
+            <span className="flex gap-3 text-xs font-semibold">
+              {['pending_approval', 'queued', 'translating', 'complete'].includes(job.status) && (
+                <button type="button" onClick={() => onOpen(job.jobId)} disabled={isDisabled} className="text-cyan-300 hover:text-cyan-200 disabled:opacity-50">Open</button>
+              )}
+              {job.status === 'complete' && (
+                <button type="button" onClick={() => onDownload(job.jobId)} className="text-cyan-300 hover:text-cyan-200">Download</button>
+              )}
+              {!RUNNING_JOB_STATUSES.includes(job.status) && (
+                <button type="button" onClick={() => onDelete(job.jobId)} disabled={isDisabled} className="text-slate-400 hover:text-red-300 disabled:opacity-50">Delete</button>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {pageCount > 1 && (
+        <div className="flex items-center justify-end gap-3 mt-2 text-xs">
+          <button type="button" onClick={() => onPage(history.page - 1)} disabled={history.page <= 1} className="font-semibold text-slate-400 hover:text-slate-200 disabled:opacity-40">Newer</button>
+          <span className="text-slate-500">Page {history.page} of {pageCount}</span>
+          <button type="button" onClick={() => onPage(history.page + 1)} disabled={history.page >= pageCount} className="font-semibold text-slate-400 hover:text-slate-200 disabled:opacity-40">Older</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
 // ===== MAIN APPLICATION COMPONENT =====
 export default function App() {
   // --- STATE MANAGEMENT ---
   const [appState, setAppState] = useState<AppState>('idle');
   const [selectedFile, setSelectedFile] = useState<File | null>(null);
-  const [statusMessage, setStatusMessage] = useState('Upload an SRT file to begin.');
+  const [statusMessage, setStatusMessage] = useState('Upload a subtitle file to begin.');
   const [error, setError] = useState<string | null>(null);
   
+  // The API key is kept in this browser only; every request to the backend sends it.
+  const [apiKey, setApiKey] = useState(() => localStorage.getItem(API_KEY_STORAGE_KEY) ?? '');
+  const authHeaders = { Authorization: `Bearer ${apiKey}` };
+
   // Settings State
   const [tone, setTone] = useState<TranslationTone>('Professional');
   const tones: TranslationTone[] = ['Professional', 'Literary', 'Casual', 'Technical', 'Cinematic'];
+  const [sourceLanguage, setSourceLanguage] = useState<LanguageCode>('en');
+  const [targetLanguage, setTargetLanguage] = useState<LanguageCode>('fa');
+  const [outputFormat, setOutputFormat] = useState<SubtitleFormat | 'same'>('same');
+  const [pipelineProfile, setPipelineProfile] = useState('default');
+  const [isTimingFixEnabled, setIsTimingFixEnabled] = useState(false);
+  const [maxCostUsd, setMaxCostUsd] = useState('');
 
   // Data State
-  const [blueprint, setBlueprint] = useState<Blueprint | null>(null);
+  const [jobId, setJobId] = useState<string | null>(null);
+  // Opens the current job's event stream; EventSource cannot send the API key in a header.
+  const [streamToken, setStreamToken] = useState<string | null>(null);
+  const [blueprintDraft, setBlueprintDraft] = useState<BlueprintDraft | null>(null);
   const [translationResult, setTranslationResult] = useState<TranslationResult | null>(null);
+  const [isRevising, setIsRevising] = useState(false);
+  const [history, setHistory] = useState<JobList | null>(null);
+  const [historyPage, setHistoryPage] = useState(1);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [costEstimate, setCostEstimate] = useState<CostEstimate | null>(null);
+  const [isEstimating, setIsEstimating] = useState(false);
+  // Whether the current job failed during execution, so its unfinished batches can be resumed.
+  const [isResumable, setIsResumable] = useState(false);
+
+  // Live Progress State
+  const [progress, setProgress] = useState<BatchProgress | null>(null);
+  const [currentStage, setCurrentStage] = useState<string | null>(null);
+  const [liveLines, setLiveLines] = useState<LiveLine[]>([]);
 
   // API Configuration
   // IMPORTANT: This URL must be replaced with your live Render backend URL after deployment.
@@ -44,6 +670,16 @@ export default function App() {
 
   // --- DERIVED STATE (Computed values for the UI) ---
   const isProcessing = ['analyzing', 'translating'].includes(appState);
+  const isFinished = appState === 'completed' || appState === 'failed';
+  const targetProfile = LANGUAGES.find(l => l.code === targetLanguage) ?? LANGUAGES[1];
+  const settings = {
+    tone, sourceLanguage, targetLanguage,
+    ...(outputFormat !== 'same' && { outputFormat }),
+    ...(pipelineProfile !== 'default' && { profile: pipelineProfile }),
+    ...(isTimingFixEnabled && { timing: { enabled: true } }),
+    ...(Number(maxCostUsd) > 0 && { maxCostUsd: Number(maxCostUsd) }),
+  };
+  const budget = Number(maxCostUsd) > 0 ? Number(maxCostUsd) : null;
 
   const getButtonText = () => {
     switch (appState) {
@@ -58,39 +694,142 @@ export default function App() {
     }
   };
 
+  // --- LIVE JOB PROGRESS (Server-Sent Events) ---
+  // While a translation runs on the server, follow its event stream until it completes or fails.
+  useEffect(() => {
+    if (appState !== 'translating' || !jobId || !streamToken) return;
+
+    // The stream token only opens this job's stream, so it can go in the query string.
+    const source = new EventSource(`${API_BASE_URL}/api/translation/jobs/${jobId}/events?access_token=${encodeURIComponent(streamToken)}`);
+    const parse = (event: Event) => JSON.parse((event as MessageEvent).data);
+
+    const handleProgress = (next: BatchProgress) => {
+      setProgress(next);
+      if (next.totalBatches) {
+        setStatusMessage(`Phase 2: Translating... batch ${next.batchesDone} of ${next.totalBatches}`);
+      }
+    };
+    const handleComplete = (result: TranslationResult) => {
+      source.close();
+      setTranslationResult({ ...result, finalSrt: result.finalSrt ?? '', syncSuggestions: result.syncSuggestions ?? [] });
+      setAppState('completed');
+      setStatusMessage('Translation successful!');
+    };
+    const handleFailure = (message?: string) => {
+      source.close();
+      setError(message || 'Translation failed on the server.');
+      setIsResumable(true);
+      setAppState('failed');
+    };
+
+    source.addEventListener('snapshot', (event) => {
+      const job: JobStatus = parse(event);
+      if (job.status === 'complete') handleComplete({ ...job, finalSrt: job.finalSrt ?? '', syncSuggestions: job.syncSuggestions ?? [] });
+      else if (job.status === 'failed') handleFailure(job.error?.message);
+      else handleProgress(job.progress);
+    });
+    source.addEventListener('progress', (event) => handleProgress(parse(event)));
+    source.addEventListener('stage', (event) => {
+      const stage: StageEvent = parse(event);
+      if (stage.status === 'started' && stage.batchIndex !== undefined) {
+        setCurrentStage(`Batch ${stage.batchIndex + 1}: ${STAGE_LABELS[stage.stage] ?? stage.stage}${stage.repair ? ' (repairing lines)' : ''}`);
+      }
+    });
+    source.addEventListener('lines', (event) => {
+      const { lines }: { lines: LiveLine[] } = parse(event);
+      setLiveLines(previous => [...previous, ...lines].slice(-MAX_LIVE_LINES));
+    });
+    source.addEventListener('complete', (event) => handleComplete(parse(event)));
+    source.addEventListener('failed', (event) => handleFailure(parse(event).message));
+    // The browser reconnects automatically on transient drops; only a closed stream is fatal.
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) handleFailure('Lost connection to the translation progress stream.');
+    };
+
+    return () => source.close();
+  }, [appState, jobId, streamToken, API_BASE_URL]);
+
+  // The history is reloaded whenever a job changes state, so new and finished jobs show up.
+  useEffect(() => {
+    if (!apiKey) return;
+    const controller = new AbortController();
+    fetch(`${API_BASE_URL}/api/translation/jobs?page=${historyPage}&pageSize=${HISTORY_PAGE_SIZE}`, { headers: { Authorization: `Bearer ${apiKey}` }, signal: controller.signal })
+      .then(response => (response.ok ? response.json() : null))
+      .then((list: JobList | null) => { if (list) setHistory(list); })
+      .catch(() => { /* The history is optional; the current job keeps working without it. */ });
+    return () => controller.abort();
+  }, [historyPage, historyVersion, appState, apiKey, API_BASE_URL]);
+
   // --- CORE LOGIC & EVENT HANDLERS ---
   
   const handleFileSelect = (event: React.ChangeEvent<HTMLInputElement>) => {
     const file = event.target.files?.[0];
-    if (file && file.name.endsWith('.srt')) {
+    if (file && SUPPORTED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))) {
       setSelectedFile(file);
       setStatusMessage(`File selected: ${file.name}`);
       setError(null);
+      setCostEstimate(null);
       // Reset the state if a new file is selected after completion
       if (appState === 'completed' || appState === 'failed') {
         setAppState('idle');
         setTranslationResult(null);
       }
     } else {
-      setError('Please select a valid .srt file.');
+      setError(`Please select a valid subtitle file (${SUPPORTED_EXTENSIONS.join(', ')}).`);
       setSelectedFile(null);
     }
     // Reset file input to allow re-uploading the same file
     event.target.value = '';
   };
   
+  const handleApiKeyChange = (value: string) => {
+    const key = value.trim();
+    setApiKey(key);
+    localStorage.setItem(API_KEY_STORAGE_KEY, key);
+    setHistory(null);
+  };
+
   const handleReset = () => {
     setAppState('idle');
     setSelectedFile(null);
-    setStatusMessage('Upload an SRT file to begin.');
+    setStatusMessage('Upload a subtitle file to begin.');
     setError(null);
-    setBlueprint(null);
+    setJobId(null);
+    setStreamToken(null);
+    setBlueprintDraft(null);
     setTranslationResult(null);
+    setProgress(null);
+    setCurrentStage(null);
+    setLiveLines([]);
+    setCostEstimate(null);
+    setIsResumable(false);
+  };
+
+  const handleEstimateCost = async () => {
+    if (!selectedFile) return;
+    setIsEstimating(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/translation/estimate`, {
+        method: 'POST',
+        body: JSON.stringify({ subtitleContent: await selectedFile.text(), settings }),
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
+      });
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.message || errData.error || 'Failed to estimate the cost.');
+      }
+      setCostEstimate(await response.json());
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setIsEstimating(false);
+    }
   };
 
   const handleGenerateBlueprint = async () => {
     if (!selectedFile) {
-      setError('Please select an SRT file first.');
+      setError('Please select a subtitle file first.');
       return;
     }
     setAppState('analyzing');
@@ -99,27 +838,30 @@ export default function App() {
 
     const formData = new FormData();
     formData.append('subtitleContent', await selectedFile.text());
-    formData.append('settings', JSON.stringify({ tone }));
+    formData.append('settings', JSON.stringify(settings));
 
     try {
       const response = await fetch(`${API_BASE_URL}/api/translation/blueprint`, {
         method: 'POST',
         body: JSON.stringify({
           subtitleContent: await selectedFile.text(),
-          settings: { tone },
+          settings,
+          fileName: selectedFile.name,
         }),
         headers: {
             'Content-Type': 'application/json',
+            ...authHeaders,
         }
       });
 
       if (!response.ok) {
         const errData = await response.json();
-        throw new Error(errData.error || 'Failed to generate blueprint.');
+        throw new Error(errData.message || errData.error || 'Failed to generate blueprint.');
       }
 
       const data = await response.json();
-      setBlueprint(data.blueprint);
+      setJobId(data.jobId);
+      setBlueprintDraft(toBlueprintDraft(data.blueprint));
       setAppState('reviewing');
       setStatusMessage('Analysis complete. Please review the Translation Blueprint.');
     } catch (err: any) {
@@ -129,34 +871,37 @@ export default function App() {
   };
 
   const handleExecuteTranslation = async (blueprintToExecute: Blueprint) => {
-    if (!selectedFile) return;
+    if (!jobId) return;
 
-    setAppState('translating');
-    setStatusMessage('Phase 2: Translating with approved blueprint...');
-    setBlueprint(null); // Close the blueprint modal
+    setStatusMessage('Phase 2: Queueing translation with approved blueprint...');
+    setBlueprintDraft(null); // Close the blueprint modal
 
     try {
        const response = await fetch(`${API_BASE_URL}/api/translation/execute`, {
         method: 'POST',
         body: JSON.stringify({
-          subtitleContent: await selectedFile.text(),
-          settings: { tone },
+          jobId,
+          settings,
           confirmedBlueprint: blueprintToExecute,
         }),
         headers: {
             'Content-Type': 'application/json',
+            ...authHeaders,
         }
       });
       
       if (!response.ok) {
         const errData = await response.json();
-        throw new Error(errData.error || 'Translation failed on the server.');
+        throw new Error(errData.message || errData.error || 'Translation failed on the server.');
       }
       
-      const result: TranslationResult = await response.json();
-      setTranslationResult(result);
-      setAppState('completed');
-      setStatusMessage('Translation successful!');
+      // The server accepts the job (202) and translates in the background; the event stream takes over.
+      const { streamToken: token }: QueuedJob = await response.json();
+      setStreamToken(token.token);
+      setProgress(null);
+      setCurrentStage(null);
+      setLiveLines([]);
+      setAppState('translating');
 
     } catch (err: any) {
       setError(err.message);
@@ -164,6 +909,173 @@ export default function App() {
     }
   };
 
+  // Completed batches are kept by the server; only the failed or missing ones are translated again.
+  const handleResumeTranslation = async () => {
+    if (!jobId) return;
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/translation/jobs/${jobId}/resume`, { method: 'POST', headers: authHeaders });
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.message || errData.error || 'Failed to resume the translation.');
+      }
+      const { streamToken: token }: QueuedJob = await response.json();
+      setStreamToken(token.token);
+      setStatusMessage('Phase 2: Resuming translation...');
+      setProgress(null);
+      setCurrentStage(null);
+      setLiveLines([]);
+      setIsResumable(false);
+      setAppState('translating');
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  // A re-translation runs on the server in the background; its outcome arrives on the job's event stream.
+  const waitForRevision = (id: string, token: string) => new Promise<JobStatus>((resolve, reject) => {
+    const source = new EventSource(`${API_BASE_URL}/api/translation/jobs/${id}/events?access_token=${encodeURIComponent(token)}`);
+    const parse = (event: Event) => JSON.parse((event as MessageEvent).data);
+    const succeed = (job: JobStatus) => { source.close(); resolve(job); };
+    const fail = (message?: string) => { source.close(); reject(new Error(message || 'Re-translation failed on the server.')); };
+
+    source.addEventListener('snapshot', (event) => {
+      const job: JobStatus = parse(event);
+      if (job.revision?.status === 'complete') succeed(job);
+      else if (job.revision?.status === 'failed') fail(job.revision.error?.message);
+      else if (job.status !== 'complete') fail(`The job is ${job.status}; its lines can no longer be revised.`);
+    });
+    source.addEventListener('revision_complete', (event) => succeed(parse(event)));
+    source.addEventListener('revision_failed', (event) => fail(parse(event).message));
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) fail('Lost connection to the re-translation progress stream.');
+    };
+  });
+
+  // Line edits answer with the updated job status; re-translations once they finish.
+  const reviseLines = async (path: string, method: 'PATCH' | 'POST', body: object) => {
+    if (!jobId) return false;
+    setIsRevising(true);
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/translation/jobs/${jobId}/lines/${path}`, {
+        method,
+        body: JSON.stringify(body),
+        headers: {
+            'Content-Type': 'application/json',
+            ...authHeaders,
+        }
+      });
+
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.message || errData.error || 'Failed to update the translation.');
+      }
+
+      const job: JobStatus = response.status === 202
+        ? await waitForRevision(jobId, ((await response.json()) as QueuedJob).streamToken.token)
+        : await response.json();
+      setTranslationResult({ ...job, finalSrt: job.finalSrt ?? '', syncSuggestions: job.syncSuggestions ?? [] });
+      return true;
+    } catch (err: any) {
+      setError(err.message);
+      return false;
+    } finally {
+      setIsRevising(false);
+    }
+  };
+
+  // Downloads go through fetch so the API key can be sent; the server names the file.
+  const handleDownload = async (id: string) => {
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/translation/jobs/${id}/download`, { headers: authHeaders });
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.message || errData.error || 'Failed to download the translation.');
+      }
+      const disposition = response.headers.get('Content-Disposition') ?? '';
+      const encodedName = /filename\*=UTF-8''([^;]+)/i.exec(disposition)?.[1];
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await response.blob());
+      link.download = encodedName ? decodeURIComponent(encodedName) : `translation-${id}.srt`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  // Reopens a past job where it was left, with the settings it was created with.
+  const handleOpenJob = async (id: string) => {
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/translation/jobs/${id}`, { headers: authHeaders });
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.message || errData.error || 'Failed to load the job.');
+      }
+      const job: JobStatus = await response.json();
+
+      handleReset();
+      setJobId(job.jobId);
+      if (tones.includes(job.settings.tone as TranslationTone)) setTone(job.settings.tone as TranslationTone);
+      setSourceLanguage(job.settings.sourceLanguage);
+      setTargetLanguage(job.settings.targetLanguage);
+      setOutputFormat(job.settings.outputFormat ?? 'same');
+      setPipelineProfile(job.settings.profile ?? 'default');
+      setIsTimingFixEnabled(job.settings.timing?.enabled ?? false);
+      setMaxCostUsd(job.settings.maxCostUsd ? String(job.settings.maxCostUsd) : '');
+
+      if (job.status === 'pending_approval' && job.blueprint) {
+        setBlueprintDraft(toBlueprintDraft(job.blueprint));
+        setAppState('reviewing');
+        setStatusMessage('Please review the Translation Blueprint.');
+      } else if (job.status === 'complete') {
+        setTranslationResult({ ...job, finalSrt: job.finalSrt ?? '', syncSuggestions: job.syncSuggestions ?? [] });
+        setAppState('completed');
+        setStatusMessage('Translation successful!');
+      } else if (job.status === 'queued' || job.status === 'translating') {
+        // The event stream replays the job's progress from its snapshot.
+        const tokenResponse = await fetch(`${API_BASE_URL}/api/translation/jobs/${job.jobId}/stream-token`, { method: 'POST', headers: authHeaders });
+        if (!tokenResponse.ok) throw new Error('Failed to follow the job\'s progress.');
+        const token: StreamToken = await tokenResponse.json();
+        setStreamToken(token.token);
+        setAppState('translating');
+        setStatusMessage('Phase 2: Translating...');
+      } else if (job.status === 'failed') {
+        const failedBatches = job.batches?.filter(batch => batch.status !== 'complete').length ?? 0;
+        setError(job.error?.message ?? 'Translation failed on the server.');
+        setIsResumable(failedBatches > 0);
+        setAppState('failed');
+        setStatusMessage(failedBatches > 0 ? `${failedBatches} batch(es) did not complete.` : 'Translation failed.');
+      }
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteJob = async (id: string) => {
+    if (!window.confirm('Delete this job and its translation?')) return;
+    setError(null);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/translation/jobs/${id}`, { method: 'DELETE', headers: authHeaders });
+      if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.message || errData.error || 'Failed to delete the job.');
+      }
+      if (id === jobId) handleReset();
+      setHistoryVersion(version => version + 1);
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const handleSaveLine = (sequence: number, text: string) => reviseLines(String(sequence), 'PATCH', { text });
+
+  const handleRetranslateLines = (fromSequence: number, toSequence: number, instructions: string) =>
+    reviseLines('retranslate', 'POST', { fromSequence, toSequence, instructions });
+
 
   // --- RENDER ---
   return (
@@ -182,18 +1094,25 @@ export default function App() {
           
           {/* Left Column: Input & Controls */}
           <div className="flex flex-col gap-6">
+            <div>
+              <label htmlFor="api-key" className="block text-sm font-medium text-slate-300 mb-2">API Key</label>
+              <input id="api-key" type="password" autoComplete="off" value={apiKey} disabled={isProcessing}
+                onChange={e => handleApiKeyChange(e.target.value)} placeholder="pst_..."
+                className="w-full rounded-lg py-2 px-3 text-sm bg-slate-800/60 text-slate-300 ring-1 ring-slate-700 outline-none focus-visible:ring-2 focus-visible:ring-cyan-400 disabled:opacity-50" />
+            </div>
+
             <div>
               <div className="flex justify-between items-center mb-2">
-                <label htmlFor="file-upload" className="block text-sm font-medium text-slate-300">1. Upload SRT File</label>
+                <label htmlFor="file-upload" className="block text-sm font-medium text-slate-300">1. Upload Subtitle File</label>
                 <button
                   type="button"
                   onClick={() => document.getElementById('file-upload')?.click()}
                   disabled={isProcessing}
                   className="inline-flex items-center gap-2 text-sm font-semibold text-cyan-400 hover:text-cyan-300 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed">
                   <UploadIcon />
-                  <span>{selectedFile ? "Change File" : "Upload SRT"}</span>
+                  <span>{selectedFile ? "Change File" : "Upload File"}</span>
                 </button>
-                <input type="file" id="file-upload" onChange={handleFileSelect} accept=".srt" className="hidden" />
+                <input type="file" id="file-upload" onChange={handleFileSelect} accept={SUPPORTED_EXTENSIONS.join(',')} className="hidden" />
               </div>
               <div className="w-full h-48 bg-slate-800/50 border-2 border-dashed border-slate-700 rounded-lg flex items-center justify-center text-center p-4">
                 <span className="text-slate-400">{selectedFile ? `Selected: ${selectedFile.name}` : "Your file will appear here."}</span>
@@ -215,61 +1134,242 @@ export default function App() {
                 ))}
               </div>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2">3. Select Languages</label>
+              <div className="grid grid-cols-2 gap-2">
+                {([
+                  ['From', sourceLanguage, setSourceLanguage],
+                  ['To', targetLanguage, setTargetLanguage],
+                ] as const).map(([label, value, setValue]) => (
+                  <label key={label} className="flex items-center gap-2 text-sm text-slate-400">
+                    <span className="w-10">{label}</span>
+                    <select value={value} disabled={isProcessing}
+                      onChange={e => setValue(e.target.value as LanguageCode)}
+                      className="flex-grow rounded-lg py-2 px-3 text-sm font-semibold bg-slate-800/60 text-slate-300 ring-1 ring-slate-700 outline-none focus-visible:ring-2 focus-visible:ring-cyan-400 disabled:opacity-50">
+                      {LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.name}</option>)}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              <label className="flex items-center gap-2 text-sm text-slate-400 mt-2">
+                <span className="w-10">As</span>
+                <select value={outputFormat} disabled={isProcessing}
+                  onChange={e => setOutputFormat(e.target.value as SubtitleFormat | 'same')}
+                  className="flex-grow rounded-lg py-2 px-3 text-sm font-semibold bg-slate-800/60 text-slate-300 ring-1 ring-slate-700 outline-none focus-visible:ring-2 focus-visible:ring-cyan-400 disabled:opacity-50">
+                  {OUTPUT_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-sm text-slate-400 mt-2">
+                <span className="w-10">Pass</span>
+                <select value={pipelineProfile} disabled={isProcessing}
+                  onChange={e => setPipelineProfile(e.target.value)}
+                  className="flex-grow rounded-lg py-2 px-3 text-sm font-semibold bg-slate-800/60 text-slate-300 ring-1 ring-slate-700 outline-none focus-visible:ring-2 focus-visible:ring-cyan-400 disabled:opacity-50">
+                  {PIPELINE_PROFILES.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-sm text-slate-400 mt-3 cursor-pointer">
+                <input type="checkbox" checked={isTimingFixEnabled} disabled={isProcessing}
+                  onChange={e => setIsTimingFixEnabled(e.target.checked)}
+                  className="rounded accent-cyan-500 disabled:opacity-50" />
+                <span>Fix timing of fast lines automatically</span>
+              </label>
+              <label className="flex items-center gap-2 text-sm text-slate-400 mt-3">
+                <span>Budget (USD)</span>
+                <input type="number" min="0" step="0.01" value={maxCostUsd} disabled={isProcessing}
+                  onChange={e => setMaxCostUsd(e.target.value)} placeholder="No limit"
+                  className="w-28 rounded-lg py-1 px-2 text-sm bg-slate-800/60 text-slate-300 ring-1 ring-slate-700 outline-none focus-visible:ring-2 focus-visible:ring-cyan-400 disabled:opacity-50" />
+              </label>
+              {sourceLanguage === targetLanguage && (
+                <p className="text-xs text-red-400 mt-2">Source and target languages must differ.</p>
+              )}
+            </div>
             
             <div className="pt-4 border-t border-slate-800">
-               <button onClick={appState === 'completed' || appState === 'failed' ? handleReset : handleGenerateBlueprint} 
-                disabled={isProcessing || !selectedFile}
+               <button onClick={isFinished ? handleReset : handleGenerateBlueprint} 
+                disabled={isProcessing || (!isFinished && (!apiKey || !selectedFile || sourceLanguage === targetLanguage))}
                 className="w-full bg-gradient-to-r from-cyan-500 to-purple-600 text-white font-semibold py-3 rounded-lg disabled:from-slate-600 disabled:to-slate-700 disabled:cursor-not-allowed transform hover:-translate-y-1 transition-all duration-300 flex items-center justify-center gap-2">
                 {isProcessing ? <Spinner/> : <TranslateIcon />}
                 <span>{getButtonText()}</span>
               </button>
               <p className="text-center text-slate-500 mt-3 text-sm h-5">{isProcessing ? statusMessage : ''}</p>
+
+              {/* Pre-flight cost estimate; nothing is spent until the blueprint is generated */}
+              {appState === 'idle' && selectedFile && (
+                <div className="mt-2 text-center text-xs text-slate-400">
+                  {costEstimate ? (
+                    <p title={`Blueprint ${formatUsd(costEstimate.blueprint.costUsd)}, translation ${formatUsd(costEstimate.execution.costUsd)}`}>
+                      Estimated cost: <span className="font-semibold text-slate-200">{formatUsd(costEstimate.total.costUsd)}</span>
+                      {' '}for {costEstimate.lineCount} lines in {costEstimate.batchCount} batches
+                      {budget !== null && costEstimate.total.costUsd > budget && (
+                        <span className="block text-amber-300">This is over the budget; the job will not start.</span>
+                      )}
+                      {costEstimate.unpricedModels.length > 0 && (
+                        <span className="block text-slate-500">Not priced: {costEstimate.unpricedModels.join(', ')}</span>
+                      )}
+                    </p>
+                  ) : (
+                    <button type="button" onClick={handleEstimateCost} disabled={isEstimating || !apiKey || sourceLanguage === targetLanguage}
+                      className="font-semibold text-cyan-400 hover:text-cyan-300 disabled:opacity-50">
+                      {isEstimating ? 'Estimating...' : 'Estimate cost'}
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {/* Per-batch progress bar, driven by the job's event stream */}
+              {appState === 'translating' && progress?.totalBatches ? (
+                <div className="mt-3">
+                  <div className="w-full h-2 bg-slate-800 rounded-full overflow-hidden" role="progressbar"
+                    aria-valuemin={0} aria-valuemax={progress.totalBatches} aria-valuenow={progress.batchesDone}>
+                    <div className="h-full bg-gradient-to-r from-cyan-500 to-purple-600 transition-all duration-500"
+                      style={{ width: `${(progress.batchesDone / progress.totalBatches) * 100}%` }} />
+                  </div>
+                  <p className="text-center text-slate-500 mt-2 text-xs h-4">{currentStage ?? ''}</p>
+                </div>
+              ) : null}
             </div>
           </div>
 
           {/* Right Column: Output */}
           <div className="flex flex-col">
-             <label className="block text-sm font-medium text-slate-300 mb-2">Result</label>
+             <div className="flex justify-between items-center mb-2">
+               <label className="block text-sm font-medium text-slate-300">Result</label>
+               {appState === 'completed' && jobId && (
+                 <button type="button" onClick={() => handleDownload(jobId)} className="text-sm font-semibold text-cyan-400 hover:text-cyan-300 transition-colors duration-200">Download</button>
+               )}
+             </div>
              <div className="relative w-full h-full min-h-[360px] bg-slate-800/50 border border-slate-700 rounded-lg text-slate-200 font-persian shadow-inner">
-               <pre className="whitespace-pre-wrap break-words w-full h-full p-4 text-sm">
-                 {translationResult ? translationResult.finalSrt : "Your Persian translation will appear here..."}
-               </pre>
+               {appState === 'translating' && liveLines.length > 0 ? (
+                 // Live feed of lines as each batch is finalized on the server.
+                 <ol className="w-full h-full max-h-[480px] overflow-y-auto p-4 text-sm space-y-1">
+                   {liveLines.map(line => (
+                     <li key={line.sequence} className="flex gap-3">
+                       <span className="text-slate-500 font-mono text-xs w-10 flex-shrink-0 text-right">{line.sequence}</span>
+                       <span dir={targetProfile.direction}>{line.text}</span>
+                     </li>
+                   ))}
+                 </ol>
+               ) : translationResult ? (
+                 // Cues that break a readability limit are highlighted; hover for the details.
+                 <div dir={targetProfile.direction} className="w-full h-full max-h-[480px] overflow-y-auto p-4 text-sm space-y-3">
+                   {splitIntoCueBlocks(translationResult.finalSrt).map((block, index) => {
+                     const violations = translationResult.syncSuggestions.find(report => report.sequence === block.sequence)?.violations;
+                     return (
+                       <pre key={index} title={violations?.map(violation => violation.message).join('\n')}
+                         className={`whitespace-pre-wrap break-words rounded px-2 py-1 ${violations ? 'bg-amber-900/40 ring-1 ring-amber-600/60' : ''}`}>
+                         {block.text}
+                       </pre>
+                     );
+                   })}
+                 </div>
+               ) : (
+                 <pre dir="ltr" className="whitespace-pre-wrap break-words w-full h-full p-4 text-sm">
+                   {`Your ${targetProfile.name} translation will appear here...`}
+                 </pre>
+               )}
              </div>
+             {translationResult && translationResult.syncSuggestions.length > 0 && (
+               <details className="mt-3 bg-slate-800/50 border border-amber-700/60 text-amber-200 p-3 rounded-lg text-xs">
+                 <summary className="cursor-pointer text-amber-300 font-semibold">
+                   {translationResult.syncSuggestions.length} line(s) exceed readability limits
+                 </summary>
+                 <ul className="mt-2 space-y-1">
+                   {translationResult.syncSuggestions.map(report => (
+                     <li key={report.sequence}>Line {report.sequence}: {report.violations.map(violation => violation.message).join(' ')}</li>
+                   ))}
+                 </ul>
+               </details>
+             )}
+             {translationResult?.timingChanges && translationResult.timingChanges.length > 0 && (
+               <details className="mt-3 bg-slate-800/50 border border-cyan-700/60 text-cyan-200 p-3 rounded-lg text-xs">
+                 <summary className="cursor-pointer text-cyan-300 font-semibold">
+                   {translationResult.timingChanges.length} timing change(s) made
+                 </summary>
+                 <ul className="mt-2 space-y-1 font-mono">
+                   {translationResult.timingChanges.map((change, index) => (
+                     <li key={index}>
+                       {change.action.replace(/_/g, ' ')} (line {change.sequences.join(' + ')}): {change.before.map(t => `${t.startTime} → ${t.endTime}`).join(', ')} ⇒ {change.after.map(t => `${t.startTime} → ${t.endTime}`).join(', ')}
+                       <span className="block font-sans text-slate-400">{change.reason}</span>
+                     </li>
+                   ))}
+                 </ul>
+               </details>
+             )}
+             {/* Lines an agent did not return, even after a repair call, and that kept their text from the previous stage */}
+             {translationResult?.lineFallbacks && translationResult.lineFallbacks.length > 0 && (
+               <div className="mt-3 bg-red-900/30 border border-red-700/60 text-red-200 p-3 rounded-lg text-xs space-y-1">
+                 <strong className="block text-red-300">Lines need review</strong>
+                 {translationResult.lineFallbacks.map(({ sequence, stage, reason }) => (
+                   <p key={`${stage}-${sequence}`}>Line {sequence}: kept its text from before {STAGE_LABELS[stage] ?? stage} ({reason.replace(/_/g, ' ')}).</p>
+                 ))}
+               </div>
+             )}
+             {/* Formatting tags that were invalid in the source, or had to be re-placed by approximation */}
+             {translationResult?.markupReport && (translationResult.markupReport.issues.length > 0 || translationResult.markupReport.fallbacks.length > 0) && (
+               <div className="mt-3 bg-amber-900/30 border border-amber-700/60 text-amber-200 p-3 rounded-lg text-xs space-y-1">
+                 <strong className="block text-amber-300">Formatting needs review</strong>
+                 {translationResult.markupReport.issues.map(({ sequence, issues }) => (
+                   <p key={`issue-${sequence}`}>Line {sequence}: {issues.map(issue => issue.message).join(' ')}</p>
+                 ))}
+                 {translationResult.markupReport.fallbacks.map(({ sequence, reason }) => (
+                   <p key={`fallback-${sequence}`}>Line {sequence}: tags re-placed approximately ({reason.replace(/_/g, ' ')}).</p>
+                 ))}
+               </div>
+             )}
           </div>
         </div>
         
+        {/* Line Review */}
+        {appState === 'completed' && translationResult?.lines && translationResult.lines.length > 0 && (
+          <div className="mt-8 pt-6 border-t border-slate-800">
+            <label className="block text-sm font-medium text-slate-300 mb-2">Review Lines</label>
+            <LineReviewTable lines={translationResult.lines} syncSuggestions={translationResult.syncSuggestions}
+              qualityReport={translationResult.qualityReport ?? null}
+              targetDirection={targetProfile.direction} isBusy={isRevising}
+              onSave={handleSaveLine} onRetranslate={handleRetranslateLines} />
+          </div>
+        )}
+
+        {/* Job History */}
+        {apiKey && (
+          <details className="mt-8 pt-6 border-t border-slate-800">
+            <summary className="cursor-pointer text-sm font-medium text-slate-300 mb-2">History</summary>
+            <JobHistory history={history} activeJobId={jobId} isDisabled={isProcessing || isRevising}
+              onDownload={handleDownload} onPage={setHistoryPage} onOpen={handleOpenJob} onDelete={handleDeleteJob} />
+          </details>
+        )}
+
         {/* Error Display */}
         {error && (
           <div className="mt-6 bg-red-900/50 border border-red-700 text-red-300 p-3 rounded-lg text-sm" role="alert">
             <strong>Error:</strong> {error}
+            {appState === 'failed' && isResumable && (
+              <button onClick={handleResumeTranslation}
+                className="ml-3 px-3 py-1 text-xs font-semibold rounded-md bg-red-700 hover:bg-red-600 text-white transition">
+                Resume translation
+              </button>
+            )}
           </div>
         )}
       </div>
 
       {/* Blueprint Review Modal */}
-      {appState === 'reviewing' && blueprint && (
+      {appState === 'reviewing' && blueprintDraft && (
         <div className="fixed inset-0 bg-slate-950/80 backdrop-blur-md z-40 flex items-center justify-center p-4">
           <div className="bg-slate-900 ring-1 ring-white/10 rounded-2xl shadow-2xl w-full max-w-5xl h-[90vh] flex flex-col">
             <header className="flex-shrink-0 flex items-center justify-between p-4 border-b border-slate-800">
               <h2 className="text-2xl font-bold bg-gradient-to-r from-cyan-300 to-indigo-400 text-transparent bg-clip-text">Interactive Translation Blueprint</h2>
-              <p className="text-sm text-slate-400">Review & Approve the AI's Plan</p>
+              <p className="text-sm text-slate-400">Edit, reject or add entries, then approve</p>
             </header>
 
             <main className="flex-grow p-6 overflow-y-auto">
-              {/* Blueprint content goes here */}
-              <div className="prose prose-invert prose-sm">
-                <h3>Summary</h3>
-                <p>{blueprint.summary}</p>
-                <h3>Key Points</h3>
-                <ul>{blueprint.keyPoints.map(p => <li key={p}>{p}</li>)}</ul>
-                <h3>Glossary</h3>
-                <dl>{blueprint.glossary.map(g => <div key={g.term}><dt>{g.term}</dt><dd>{g.proposedTranslation} - <em>{g.justification}</em></dd></div>)}</dl>
-              </div>
+              <BlueprintEditor draft={blueprintDraft} onChange={setBlueprintDraft} targetDirection={targetProfile.direction} />
             </main>
 
             <footer className="flex-shrink-0 flex items-center justify-end gap-3 p-4 border-t border-slate-800 bg-slate-900/50 rounded-b-2xl">
               <button onClick={() => setAppState('idle')} className="px-4 py-2 rounded-lg text-sm font-semibold text-slate-300 bg-slate-800/60 hover:bg-slate-700/80 transition-colors">Cancel</button>
-              <button onClick={() => handleExecuteTranslation(blueprint)} className="px-6 py-2 rounded-lg text-sm font-semibold text-white bg-cyan-500 hover:bg-cyan-400 transition-colors">Confirm & Translate</button>
+              <button onClick={() => handleExecuteTranslation(fromBlueprintDraft(blueprintDraft))} className="px-6 py-2 rounded-lg text-sm font-semibold text-white bg-cyan-500 hover:bg-cyan-400 transition-colors">Confirm & Translate</button>
             </footer>
           </div>
         </div>